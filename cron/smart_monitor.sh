@@ -16,6 +16,9 @@ DEVICE_PATTERN="/dev/sd* /dev/nvme* /dev/hd*"
 EXCLUDE_PATTERNS=""
 DRY_RUN=false
 VERBOSE=false
+HISTORY_ENABLED=true
+HISTORY_RETENTION_DAYS=90
+HISTORY_MAX_SNAPSHOTS=0
 
 # Load configuration file if it exists
 if [[ -f "$CONFIG_FILE" ]]; then
@@ -34,6 +37,8 @@ Options:
     -d, --devices PATTERN  Device pattern to scan (default: "$DEVICE_PATTERN")
     -e, --exclude PATTERN  Exclude devices matching pattern
     -f, --format FORMAT    JSON format: pretty, compact (default: $JSON_FORMAT)
+    -r, --retention DAYS   Days of history snapshots to keep (default: $HISTORY_RETENTION_DAYS)
+    --no-history           Do not archive a history snapshot for this run
     -n, --dry-run          Show what would be done without executing
     -v, --verbose          Verbose output
     -h, --help             Show this help message
@@ -44,6 +49,7 @@ Examples:
     $0 -l ""                              # Disable logging
     $0 -d "/dev/sd*" -e "/dev/sda"      # Only scan /dev/sd* devices, exclude /dev/sda
     $0 -f compact                        # Output compact JSON
+    $0 -r 30                             # Keep 30 days of history snapshots
 
 EOF
 }
@@ -88,6 +94,36 @@ validate_json_basic() {
     fi
 }
 
+# Function to run smartctl with JSON output, prints "{}" when there is no usable output
+# smartctl also sets exit status bits for a failing disk or logged errors, so the output is kept
+# whatever the exit status is. The webui decodes it from the smartctl block of every section.
+smartctl_json() {
+    local label="$1"
+    local device="$2"
+    shift 2
+
+    local output
+    output=$(smartctl "$@" -j "$device" 2>/dev/null) || true
+    if [[ -z "$output" ]]; then
+        echo "{}"
+        return
+    fi
+
+    # Validate JSON output
+    if command -v jq &> /dev/null; then
+        if echo "$output" | jq empty >/dev/null 2>&1; then
+            echo "$output"
+            return
+        fi
+    elif validate_json_basic "$output"; then
+        echo "$output"
+        return
+    fi
+
+    log "WARNING" "Invalid JSON from $label for $device, using empty object" >&2
+    echo "{}"
+}
+
 # Function to get device information
 get_device_info() {
     local device="$1"
@@ -96,125 +132,13 @@ get_device_info() {
     # Log debug messages to stderr to avoid contaminating function output
     log "DEBUG" "Getting SMART info for device: $device" >&2
     
-    # Get device info in JSON format
-    local device_info="{}"
-    if smartctl -i -j "$device" >/dev/null 2>&1; then
-        local temp_info=$(smartctl -i -j "$device" 2>/dev/null || echo "{}")
-        # Validate JSON output
-        if command -v jq &> /dev/null; then
-            if echo "$temp_info" | jq empty >/dev/null 2>&1; then
-                device_info="$temp_info"
-            else
-                log "WARNING" "Invalid JSON from device info for $device, using empty object"
-                device_info="{}"
-            fi
-        else
-            if validate_json_basic "$temp_info"; then
-                device_info="$temp_info"
-            else
-                log "WARNING" "Invalid JSON from device info for $device, using empty object"
-                device_info="{}"
-            fi
-        fi
-    else
-        device_info="{}"
-    fi
-    
-    # Get SMART attributes in JSON format
-    local smart_attrs="{}"
-    if smartctl -A -j "$device" >/dev/null 2>&1; then
-        local temp_attrs=$(smartctl -A -j "$device" 2>/dev/null || echo "{}")
-        # Validate JSON output
-        if command -v jq &> /dev/null; then
-            if echo "$temp_attrs" | jq empty >/dev/null 2>&1; then
-                smart_attrs="$temp_attrs"
-            else
-                log "WARNING" "Invalid JSON from SMART attributes for $device, using empty object"
-                smart_attrs="{}"
-            fi
-        else
-            if validate_json_basic "$temp_attrs"; then
-                smart_attrs="$temp_attrs"
-            else
-                log "WARNING" "Invalid JSON from SMART attributes for $device, using empty object"
-                smart_attrs="{}"
-            fi
-        fi
-    else
-        smart_attrs="{}"
-    fi
-    
-    # Get SMART health status in JSON format
-    local smart_health="{}"
-    if smartctl -H -j "$device" >/dev/null 2>&1; then
-        local temp_health=$(smartctl -H -j "$device" 2>/dev/null || echo "{}")
-        # Validate JSON output
-        if command -v jq &> /dev/null; then
-            if echo "$temp_health" | jq empty >/dev/null 2>&1; then
-                smart_health="$temp_health"
-            else
-                log "WARNING" "Invalid JSON from SMART health for $device, using empty object"
-                smart_health="{}"
-            fi
-        else
-            if validate_json_basic "$temp_health"; then
-                smart_health="$temp_health"
-            else
-                log "WARNING" "Invalid JSON from SMART health for $device, using empty object"
-                smart_health="{}"
-            fi
-        fi
-    else
-        smart_health="{}"
-    fi
-    
-    # Get SMART error log in JSON format
-    local smart_errors="{}"
-    if smartctl -l error -j "$device" >/dev/null 2>&1; then
-        local temp_errors=$(smartctl -l error -j "$device" 2>/dev/null || echo "{}")
-        # Validate JSON output
-        if command -v jq &> /dev/null; then
-            if echo "$temp_errors" | jq empty >/dev/null 2>&1; then
-                smart_errors="$temp_errors"
-            else
-                log "WARNING" "Invalid JSON from error log for $device, using empty object"
-                smart_errors="{}"
-            fi
-        else
-            if validate_json_basic "$temp_errors"; then
-                smart_errors="$temp_errors"
-            else
-                log "WARNING" "Invalid JSON from error log for $device, using empty object"
-                smart_errors="{}"
-            fi
-        fi
-    else
-        smart_errors="{}"
-    fi
-    
-    # Get SMART selftest log in JSON format
-    local smart_selftest="{}"
-    if smartctl -l selftest -j "$device" >/dev/null 2>&1; then
-        local temp_selftest=$(smartctl -l selftest -j "$device" 2>/dev/null || echo "{}")
-        # Validate JSON output
-        if command -v jq &> /dev/null; then
-            if echo "$temp_selftest" | jq empty >/dev/null 2>&1; then
-                smart_selftest="$temp_selftest"
-            else
-                log "WARNING" "Invalid JSON from selftest log for $device, using empty object"
-                smart_selftest="{}"
-            fi
-        else
-            if validate_json_basic "$temp_selftest"; then
-                smart_selftest="$temp_selftest"
-            else
-                log "WARNING" "Invalid JSON from selftest log for $device, using empty object"
-                smart_selftest="{}"
-            fi
-        fi
-    else
-        smart_selftest="{}"
-    fi
+    # Get device info, SMART attributes, health status, error log and selftest log
+    local device_info smart_attrs smart_health smart_errors smart_selftest
+    device_info=$(smartctl_json "device info" "$device" -i)
+    smart_attrs=$(smartctl_json "SMART attributes" "$device" -A)
+    smart_health=$(smartctl_json "SMART health" "$device" -H)
+    smart_errors=$(smartctl_json "error log" "$device" -l error)
+    smart_selftest=$(smartctl_json "selftest log" "$device" -l selftest)
     
     # Combine all JSON information into a single JSON structure
     cat > "$info_file" << EOF
@@ -358,6 +282,118 @@ EOF
     log "INFO" "Created index.json with ${#devices[@]} devices"
 }
 
+# Function to archive the device files written in this run as a timestamped history snapshot
+# Pass only the devices processed successfully, the file of a failed device is left from an earlier run
+archive_snapshot() {
+    local devices=("$@")
+    local snapshot_timestamp=$(date +%s)
+    local snapshot_dir="${OUTPUT_DIR}/history/${snapshot_timestamp}"
+    local archived=0
+
+    mkdir -p "$snapshot_dir"
+
+    for device in "${devices[@]}"; do
+        local device_name=$(basename "$device")
+        local json_file="${OUTPUT_DIR}/${device_name}_smart.json"
+        if [[ -f "$json_file" ]]; then
+            cp "$json_file" "$snapshot_dir/"
+            archived=$((archived + 1))
+        fi
+    done
+
+    if [[ $archived -eq 0 ]]; then
+        rmdir "$snapshot_dir" 2>/dev/null || true
+        log "WARNING" "No device files to archive, history snapshot skipped"
+        return 0
+    fi
+
+    log "INFO" "Archived $archived device files to history snapshot $snapshot_timestamp"
+}
+
+# Function to list history snapshot directories, oldest first
+# Snapshot directories are named by their unix timestamp, so a numeric sort is chronological
+list_snapshots() {
+    ls -1 "${OUTPUT_DIR}/history" 2>/dev/null | grep -E '^[0-9]+$' | sort -n || true
+}
+
+# Function to remove history snapshots outside the retention window
+prune_history() {
+    local history_dir="${OUTPUT_DIR}/history"
+    local cutoff=0
+    local snapshots=()
+
+    if [[ "$HISTORY_RETENTION_DAYS" -gt 0 ]]; then
+        cutoff=$(( $(date +%s) - HISTORY_RETENTION_DAYS * 86400 ))
+    fi
+
+    for snapshot in $(list_snapshots); do
+        if [[ "$snapshot" -lt "$cutoff" ]]; then
+            log "DEBUG" "Removing expired history snapshot: $snapshot"
+            rm -rf "${history_dir:?}/$snapshot"
+        else
+            snapshots+=("$snapshot")
+        fi
+    done
+
+    if [[ "$HISTORY_MAX_SNAPSHOTS" -gt 0 && ${#snapshots[@]} -gt "$HISTORY_MAX_SNAPSHOTS" ]]; then
+        local excess=$(( ${#snapshots[@]} - HISTORY_MAX_SNAPSHOTS ))
+        for ((i=0; i<excess; i++)); do
+            log "DEBUG" "Removing history snapshot over limit: ${snapshots[$i]}"
+            rm -rf "${history_dir:?}/${snapshots[$i]}"
+        done
+    fi
+}
+
+# Function to create history/index.json listing all retained snapshots
+create_history_index() {
+    local history_dir="${OUTPUT_DIR}/history"
+    local index_file="${history_dir}/index.json"
+    local first_snapshot=true
+
+    mkdir -p "$history_dir"
+
+    cat > "$index_file" << EOF
+{
+  "generated": $(date +%s),
+  "retention_days": $HISTORY_RETENTION_DAYS,
+  "max_snapshots": $HISTORY_MAX_SNAPSHOTS,
+  "snapshots": [
+EOF
+    for snapshot in $(list_snapshots); do
+        local files=()
+        for json_file in "$history_dir/$snapshot"/*_smart.json; do
+            if [[ -f "$json_file" ]]; then
+                files+=("\"$(basename "$json_file")\"")
+            fi
+        done
+        if [[ ${#files[@]} -eq 0 ]]; then
+            continue
+        fi
+
+        if [[ "$first_snapshot" == "false" ]]; then
+            echo "    ," >> "$index_file"
+        fi
+        first_snapshot=false
+
+        local file_list=$(IFS=,; echo "${files[*]}")
+        cat >> "$index_file" << EOF
+    {
+      "timestamp": $snapshot,
+      "iso": "$(date -d "@$snapshot" -Iseconds)",
+      "path": "history/$snapshot",
+      "json_files": [${file_list}]
+    }
+EOF
+    done
+
+    cat >> "$index_file" << EOF
+  ]
+}
+EOF
+
+    log "INFO" "Created history/index.json"
+}
+
 # Function to process a single device
 process_device() {
     local device="$1"
@@ -512,6 +548,7 @@ scan_devices() {
     # Process each device
     local success_count=0
     local error_count=0
+    local processed_devices=()
     
     log "INFO" "Starting to process ${#devices[@]} devices..."
     log "DEBUG" "Device list: ${devices[*]}"
@@ -528,6 +565,7 @@ scan_devices() {
             exit $exit_code
         ); then
             log "INFO" "Device $device processed successfully"
+            processed_devices+=("$device")
             ((success_count++))
         else
             log "WARNING" "Device $device failed to process, continuing with next device"
@@ -540,6 +578,13 @@ scan_devices() {
     
     # Create index.json after processing all devices
     create_index "${devices[@]}"
+
+    # Keep a timestamped copy of this run for the trend charts
+    if [[ "$HISTORY_ENABLED" == "true" ]]; then
+        archive_snapshot ${processed_devices[@]+"${processed_devices[@]}"}
+        prune_history
+        create_history_index
+    fi
     
     log "INFO" "Processing complete: $success_count successful, $error_count errors"
     return $error_count
@@ -567,6 +612,15 @@ EXCLUDE_PATTERNS="${EXCLUDE_PATTERNS}"
 
 # JSON format: pretty, compact, or basic
 JSON_FORMAT="${JSON_FORMAT}"
+
+# Archive every run to OUTPUT_DIR/history for trend charts (true/false)
+HISTORY_ENABLED="${HISTORY_ENABLED}"
+
+# Days of history snapshots to keep (0 = keep forever)
+HISTORY_RETENTION_DAYS="${HISTORY_RETENTION_DAYS}"
+
+# Maximum number of history snapshots to keep (0 = no limit)
+HISTORY_MAX_SNAPSHOTS="${HISTORY_MAX_SNAPSHOTS}"
 EOF
         log "INFO" "Configuration file created. Edit $CONFIG_FILE to customize settings."
     fi
@@ -601,6 +655,14 @@ main() {
                 JSON_FORMAT="$2"
                 shift 2
                 ;;
+            -r|--retention)
+                HISTORY_RETENTION_DAYS="$2"
+                shift 2
+                ;;
+            --no-history)
+                HISTORY_ENABLED=false
+                shift
+                ;;
             -n|--dry-run)
                 DRY_RUN=true
                 shift
@@ -10,5 +10,17 @@ module.exports = {
   ],
   parserOptions: {
     ecmaVersion: 'latest'
-  }
+  },
+  overrides: [
+    {
+      // command line tools and the Vite config run in Node
+      files: ['cli/**/*.js', 'vite.config.js'],
+      env: { node: true }
+    },
+    {
+      // emitted as sw.js, see cli/lib/pwa.js
+      files: ['src/serviceWorker.js'],
+      env: { serviceworker: true }
+    }
+  ]
 }
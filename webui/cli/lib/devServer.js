@@ -0,0 +1,92 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+import { createFleet, fleetFile } from './fleet.js'
+
+/**
+ * Vite dev server plugin that serves the data files under /sampledata
+ *
+ * By default the files come from webui/sampledata. With a fleet the files are generated on request
+ * instead, see cli/lib/fleet.js. Either way a missing file is a real 404 rather than the SPA's
+ * index.html, and every file has an ETag so the conditional requests of the UI get their 304s.
+ */
+
+/**
+ * Reads a file below a directory
+ * @param {string} dir - Directory the files are served from
+ * @param {string} filePath - Requested path relative to dir
+ * @returns {Object|null} { content, modified } or null if there is no such file
+ */
+const readDataFile = (dir, filePath) => {
+    const file = path.join(dir, filePath)
+    // Nothing outside the data directory
+    const stat = file.startsWith(dir + path.sep) && fs.existsSync(file) ? fs.statSync(file) : null
+    if (!stat?.isFile()) {
+        return null
+    }
+    return { content: fs.readFileSync(file, 'utf-8'), modified: stat.mtime }
+}
+
+/**
+ * Builds a file of a synthetic fleet
+ * @param {Object} fleet - Fleet description from createFleet
+ * @param {string} filePath - Requested path relative to the data directory
+ * @returns {Object|null} { content, modified } or null if there is no such file
+ */
+const generateDataFile = (fleet, filePath) => {
+    const content = fleetFile(fleet, filePath)
+    return content === null ? null : { content, modified: new Date(fleet.lastRun * 1000) }
+}
+
+/**
+ * Creates the plugin
+ * @param {Object} options - { dir, fleet } dir is the sample data directory, fleet the options
+ *                           of createFleet or null to serve dir
+ * @returns {Object} Vite plugin, only active in the dev server
+ */
+export const smartDataPlugin = ({ dir, fleet = null }) => ({
+    name: 'nanosmart-data',
+    apply: 'serve',
+    configureServer(server) {
+        const generated = fleet && createFleet(fleet)
+        if (generated) {
+            const drives = generated.hosts.reduce((total, host) => total + host.drives.length, 0)
+            server.config.logger.info(
+                `  Serving a synthetic fleet of ${drives} drives on ${generated.hosts.length} hosts (seed ${generated.seed}) under /sampledata`
+            )
+        }
+
+        server.middlewares.use('/sampledata', (req, res, next) => {
+            if (req.method !== 'GET' && req.method !== 'HEAD') {
+                next()
+                return
+            }
+
+            const filePath = decodeURIComponent(
+                new URL(req.url, 'http://localhost').pathname
+            ).slice(1)
+            const file = generated
+                ? generateDataFile(generated, filePath)
+                : readDataFile(dir, filePath)
+
+            if (!file) {
+                res.statusCode = 404
+                res.setHeader('Content-Type', 'text/plain')
+                res.end(`${filePath} not found`)
+                return
+            }
+
+            const etag = `"${crypto.createHash('sha1').update(file.content).digest('hex')}"`
+            res.setHeader('ETag', etag)
+            res.setHeader('Last-Modified', file.modified.toUTCString())
+            res.setHeader('Cache-Control', 'no-cache')
+            if (req.headers['if-none-match'] === etag) {
+                res.statusCode = 304
+                res.end()
+                return
+            }
+            res.setHeader('Content-Type', 'application/json')
+            res.end(req.method === 'HEAD' ? undefined : file.content)
+        })
+    }
+})
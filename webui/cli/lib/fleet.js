@@ -0,0 +1,670 @@
+/**
+ * Synthetic fleets for development and tests
+ *
+ * Builds the files smart_monitor.sh writes (hosts.json, and per host index.json, the device files
+ * and the history snapshots) for hundreds of ATA, NVMe and SAS drives without any real disk. Some
+ * drives get a scenario the UI has to cope with. Everything derives from the seed, so any single
+ * file can be built on request and comes out the same every time.
+ */
+
+export const SCENARIO_HEALTHY = 'healthy'
+// Reallocated sectors, NVMe media errors or SAS grown defects that keep growing
+export const SCENARIO_DEGRADING = 'degrading'
+export const SCENARIO_OVERHEATING = 'overheating'
+// Listed in index.json, but the file of the last run is missing
+export const SCENARIO_MISSING = 'missing'
+// The file of the last run is cut off halfway
+export const SCENARIO_MALFORMED = 'malformed'
+// The file of the last run is left over from an earlier run
+export const SCENARIO_STALE = 'stale'
+export const SCENARIO_SELFTEST_FAILED = 'selftest-failed'
+
+export const FLEET_SCENARIOS = [
+    SCENARIO_DEGRADING,
+    SCENARIO_OVERHEATING,
+    SCENARIO_MISSING,
+    SCENARIO_MALFORMED,
+    SCENARIO_STALE,
+    SCENARIO_SELFTEST_FAILED
+]
+
+export const DEFAULT_FLEET_OPTIONS = {
+    hosts: 4,
+    drives: 240,
+    seed: 1,
+    // Part of the drives that get one of FLEET_SCENARIOS
+    problemShare: 0.25,
+    snapshots: 8,
+    snapshotDays: 7,
+    // Unix timestamp of the last run, defaults to a few minutes ago
+    lastRun: null
+}
+
+const MODELS = {
+    ata: [
+        { model: 'WDC WD80EFZX-68UW8N0', bytes: 8001563222016, rotation: 5400, serial: 'WD-CA' },
+        { model: 'ST4000VN008-2DR166', bytes: 4000787030016, rotation: 5980, serial: 'ZDH' },
+        { model: 'Samsung SSD 870 EVO 1TB', bytes: 1000204886016, rotation: 0, serial: 'S6PU' }
+    ],
+    nvme: [
+        { model: 'Samsung SSD 990 PRO 2TB', bytes: 2000398934016, serial: 'S73W' },
+        { model: 'WD_BLACK SN850X 1000GB', bytes: 1000204886016, serial: '2231' },
+        { model: 'KIOXIA KCD8XRUG3T84', bytes: 3840755982336, serial: 'X2K0' }
+    ],
+    sas: [
+        {
+            vendor: 'SEAGATE',
+            product: 'ST4000NM0023',
+            bytes: 4000787030016,
+            rotation: 7200,
+            serial: 'Z1Z'
+        },
+        {
+            vendor: 'HGST',
+            product: 'HUH721212AL5200',
+            bytes: 12000138625024,
+            rotation: 7200,
+            serial: '8HG'
+        }
+    ]
+}
+
+const DEVICE_BLOCKS = {
+    ata: (name) => ({
+        name: `/dev/${name}`,
+        info_name: `/dev/${name} [SAT]`,
+        type: 'sat',
+        protocol: 'ATA'
+    }),
+    nvme: (name) => ({
+        name: `/dev/${name}`,
+        info_name: `/dev/${name}`,
+        type: 'nvme',
+        protocol: 'NVMe'
+    }),
+    sas: (name) => ({
+        name: `/dev/${name}`,
+        info_name: `/dev/${name}`,
+        type: 'scsi',
+        protocol: 'SCSI'
+    })
+}
+
+// smartctl exit status bit 7: the self-test log contains errors
+const EXIT_SELFTEST_LOG = 1 << 7
+
+/**
+ * Small seeded PRNG (mulberry32)
+ * @param {number} seed - 32 bit seed
+ * @returns {Function} () => number in [0, 1)
+ */
+const mulberry32 = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed)
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+}
+
+/**
+ * FNV-1a hash of a string
+ * @param {string} text - Any text
+ * @returns {number} 32 bit hash
+ */
+const hashString = (text) => {
+    let hash = 2166136261
+    for (let i = 0; i < text.length; i++) {
+        hash = Math.imul(hash ^ text.charCodeAt(i), 16777619)
+    }
+    return hash >>> 0
+}
+
+/**
+ * PRNG for one part of the fleet, e.g. randomFor(seed, 'node01', 12)
+ * @param {...*} parts - Whatever identifies the part
+ * @returns {Function} () => number in [0, 1)
+ */
+const randomFor = (...parts) => mulberry32(hashString(parts.join(':')))
+
+/**
+ * Random integer in a range
+ * @param {Function} random - PRNG
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value, included
+ * @returns {number} Integer between min and max
+ */
+const between = (random, min, max) => min + Math.floor(random() * (max - min + 1))
+
+/**
+ * Random element of a list
+ * @param {Function} random - PRNG
+ * @param {Array} list - Non-empty list
+ * @returns {*} One of the elements
+ */
+const pick = (random, list) => list[Math.floor(random() * list.length)]
+
+/**
+ * Linux name of the n-th SCSI disk: sda .. sdz, sdaa ..
+ * @param {number} n - Zero based disk number
+ * @returns {string} Device name
+ */
+const scsiDiskName = (n) => {
+    let letters = ''
+    for (let i = n + 1; i > 0; i = Math.floor((i - 1) / 26)) {
+        letters = String.fromCharCode(97 + ((i - 1) % 26)) + letters
+    }
+    return `sd${letters}`
+}
+
+/**
+ * Formats a unix timestamp like `date -Iseconds` in UTC
+ * @param {number} time - Unix timestamp
+ * @returns {string} e.g. '2025-08-16T10:30:42+00:00'
+ */
+const isoTime = (time) => new Date(time * 1000).toISOString().replace(/\.\d{3}Z$/, '+00:00')
+
+/**
+ * Describes one drive, the files of every run are built from this
+ * @param {Function} random - PRNG of the drive
+ * @param {Object} options - Fleet options
+ * @param {Object} counters - { sd, nvme } device names handed out on the host so far
+ * @returns {Object} Drive description
+ */
+const describeDrive = (random, options, counters) => {
+    const roll = random()
+    const protocol = roll < 0.5 ? 'ata' : roll < 0.8 ? 'nvme' : 'sas'
+    const model = pick(random, MODELS[protocol])
+    const scenario =
+        random() < options.problemShare ? pick(random, FLEET_SCENARIOS) : SCENARIO_HEALTHY
+    const serial = random().toString(16).slice(2, 12).toUpperCase()
+
+    return {
+        name: protocol === 'nvme' ? `nvme${counters.nvme++}n1` : scsiDiskName(counters.sd++),
+        protocol,
+        scenario,
+        model,
+        serial: `${model.serial}${serial}`,
+        powerOnHours: between(random, 2000, 60000),
+        powerCycles: between(random, 20, 400),
+        temperature: between(random, 28, 42),
+        // Defects/media errors a degrading drive ends up with in the last run
+        defects: between(random, 8, 180),
+        // Days a stale file is older than the last run
+        staleDays: between(random, 2, 10),
+        wear: between(random, 0, 40)
+    }
+}
+
+/**
+ * Creates a fleet description
+ * @param {Object} options - See DEFAULT_FLEET_OPTIONS
+ * @returns {Object} { ...options, lastRun, runs, hosts } hosts with their drive descriptions, runs
+ *                   are the snapshot times oldest first, the last one is lastRun
+ */
+export const createFleet = (options = {}) => {
+    const settings = { ...DEFAULT_FLEET_OPTIONS, ...options }
+    const lastRun = settings.lastRun ?? Math.floor(Date.now() / 1000) - 300
+    const snapshots = Math.max(1, settings.snapshots)
+    const runs = Array.from(
+        { length: snapshots },
+        (_, i) => lastRun - (snapshots - 1 - i) * settings.snapshotDays * 86400
+    )
+
+    const hosts = Array.from({ length: settings.hosts }, (_, h) => {
+        const name = `node${String(h + 1).padStart(2, '0')}`
+        // Spread the drives evenly, the first hosts get the remainder
+        const count =
+            Math.floor(settings.drives / settings.hosts) +
+            (h < settings.drives % settings.hosts ? 1 : 0)
+        const counters = { sd: 0, nvme: 0 }
+        const drives = Array.from({ length: count }, (_, d) =>
+            describeDrive(randomFor(settings.seed, name, d), settings, counters)
+        )
+        return { name, drives }
+    })
+
+    return { ...settings, lastRun, runs, hosts }
+}
+
+/**
+ * Wraps a section body like smartctl does
+ * @param {Object} drive - Drive description
+ * @param {string} flag - smartctl option of the section, e.g. '-A'
+ * @param {number} time - Collection time
+ * @param {Object} body - Section specific fields
+ * @param {number} exitStatus - smartctl exit status
+ * @returns {Object} smartctl JSON document
+ */
+const section = (drive, flag, time, body, exitStatus = 0) => ({
+    json_format_version: [1, 0],
+    smartctl: {
+        version: [7, 3],
+        argv: ['smartctl', flag, '-j', `/dev/${drive.name}`],
+        exit_status: exitStatus
+    },
+    local_time: { time_t: time, asctime: new Date(time * 1000).toUTCString() },
+    device: DEVICE_BLOCKS[drive.protocol](drive.name),
+    ...body
+})
+
+/**
+ * ATA attribute table entry
+ * @param {number} id - Attribute number
+ * @param {string} name - Attribute name as smartctl prints it
+ * @param {number} value - Normalized value, also used as the worst value
+ * @param {number} thresh - Vendor threshold
+ * @param {number} raw - Raw value
+ * @param {boolean} prefailure - Whether the attribute predicts failure
+ * @returns {Object} Entry of ata_smart_attributes.table
+ */
+const ataAttribute = (id, name, value, thresh, raw, prefailure = false) => ({
+    id,
+    name,
+    value,
+    worst: value,
+    thresh,
+    when_failed: '',
+    flags: { prefailure, updated_online: true },
+    raw: { value: raw, string: String(raw) }
+})
+
+/**
+ * Self-test history shared by all protocols, newest first
+ * @param {Object} state - Drive state of the run
+ * @returns {Array<Object>} { extended, failed, hours }
+ */
+const selftestRuns = (state) => [
+    { extended: state.selftestFailed, failed: state.selftestFailed, hours: state.powerOnHours - 2 },
+    { extended: false, failed: false, hours: state.powerOnHours - 26 },
+    { extended: true, failed: false, hours: state.powerOnHours - 170 }
+]
+
+/**
+ * smart_data of an ATA drive
+ * @param {Object} drive - Drive description
+ * @param {number} time - Collection time
+ * @param {Object} state - Drive state of the run, see driveState
+ * @returns {Object} The five smartctl sections
+ */
+const ataSections = (drive, time, state) => ({
+    device_info: section(drive, '-i', time, {
+        model_name: drive.model.model,
+        serial_number: drive.serial,
+        firmware_version: '82.00A82',
+        user_capacity: { blocks: drive.model.bytes / 512, bytes: drive.model.bytes },
+        logical_block_size: 512,
+        rotation_rate: drive.model.rotation,
+        smart_support: { available: true, enabled: true }
+    }),
+    smart_attributes: section(drive, '-A', time, {
+        ata_smart_attributes: {
+            revision: 16,
+            table: [
+                ataAttribute(1, 'Raw_Read_Error_Rate', 200, 51, 0, true),
+                ataAttribute(
+                    5,
+                    'Reallocated_Sector_Ct',
+                    Math.max(1, 100 - Math.floor(state.defects / 4)),
+                    10,
+                    state.defects,
+                    true
+                ),
+                ataAttribute(
+                    9,
+                    'Power_On_Hours',
+                    100 - Math.floor(state.powerOnHours / 1000),
+                    0,
+                    state.powerOnHours
+                ),
+                ataAttribute(12, 'Power_Cycle_Count', 100, 0, drive.powerCycles),
+                ataAttribute(
+                    194,
+                    'Temperature_Celsius',
+                    100 - state.temperature,
+                    0,
+                    state.temperature
+                ),
+                ataAttribute(197, 'Current_Pending_Sector', 200, 0, Math.floor(state.defects / 10)),
+                ataAttribute(198, 'Offline_Uncorrectable', 100, 0, 0),
+                ataAttribute(199, 'UDMA_CRC_Error_Count', 200, 0, 0)
+            ]
+        },
+        temperature: { current: state.temperature },
+        power_on_time: { hours: state.powerOnHours },
+        power_cycle_count: drive.powerCycles
+    }),
+    smart_health: section(drive, '-H', time, { smart_status: { passed: true } }),
+    smart_errors: section(drive, '-l', time, {
+        ata_smart_error_log: { summary: { revision: 1, count: 0 } }
+    }),
+    smart_selftest: section(
+        drive,
+        '-l',
+        time,
+        {
+            ata_smart_self_test_log: {
+                standard: {
+                    revision: 1,
+                    table: selftestRuns(state).map((run) => ({
+                        type: run.extended
+                            ? { value: 2, string: 'Extended offline' }
+                            : { value: 1, string: 'Short offline' },
+                        status: run.failed
+                            ? {
+                                  value: 121,
+                                  string: 'Completed: read failure',
+                                  remaining_percent: 90,
+                                  passed: false
+                              }
+                            : { value: 0, string: 'Completed without error', passed: true },
+                        lifetime_hours: run.hours,
+                        ...(run.failed ? { lba: 1953525160 } : {})
+                    })),
+                    count: 3,
+                    error_count_total: state.selftestFailed ? 1 : 0,
+                    error_count_outdated: 0
+                }
+            }
+        },
+        state.selftestFailed ? EXIT_SELFTEST_LOG : 0
+    )
+})
+
+/**
+ * smart_data of an NVMe drive
+ * @param {Object} drive - Drive description
+ * @param {number} time - Collection time
+ * @param {Object} state - Drive state of the run, see driveState
+ * @returns {Object} The five smartctl sections
+ */
+const nvmeSections = (drive, time, state) => ({
+    device_info: section(drive, '-i', time, {
+        model_name: drive.model.model,
+        serial_number: drive.serial,
+        firmware_version: '4B2QJXD7',
+        nvme_total_capacity: drive.model.bytes,
+        nvme_number_of_namespaces: 1,
+        user_capacity: { blocks: drive.model.bytes / 512, bytes: drive.model.bytes },
+        logical_block_size: 512
+    }),
+    smart_attributes: section(drive, '-A', time, {
+        nvme_smart_health_information_log: {
+            critical_warning: 0,
+            temperature: state.temperature,
+            available_spare: Math.max(0, 100 - Math.floor(state.defects / 2)),
+            available_spare_threshold: 10,
+            percentage_used: state.wear,
+            data_units_read: state.powerOnHours * 9000,
+            data_units_written: state.powerOnHours * 12000,
+            host_reads: state.powerOnHours * 40000,
+            host_writes: state.powerOnHours * 90000,
+            power_cycles: drive.powerCycles,
+            power_on_hours: state.powerOnHours,
+            unsafe_shutdowns: Math.floor(drive.powerCycles / 20),
+            media_errors: state.defects,
+            num_err_log_entries: state.defects
+        },
+        temperature: { current: state.temperature },
+        power_on_time: { hours: state.powerOnHours },
+        power_cycle_count: drive.powerCycles
+    }),
+    smart_health: section(drive, '-H', time, {
+        smart_status: { passed: true, nvme: { value: 0 } }
+    }),
+    smart_errors: section(drive, '-l', time, {}),
+    smart_selftest: section(
+        drive,
+        '-l',
+        time,
+        {
+            nvme_self_test_log: {
+                current_self_test_operation: { value: 0, string: 'No self-test in progress' },
+                table: selftestRuns(state).map((run) => ({
+                    self_test_code: run.extended
+                        ? { value: 2, string: 'Extended' }
+                        : { value: 1, string: 'Short' },
+                    self_test_result: run.failed
+                        ? { value: 7, string: 'Completed: failed segments' }
+                        : { value: 0, string: 'Completed without error' },
+                    power_on_hours: run.hours,
+                    ...(run.failed ? { segment: 2, lba: 73422336 } : {})
+                }))
+            }
+        },
+        state.selftestFailed ? EXIT_SELFTEST_LOG : 0
+    )
+})
+
+/**
+ * smart_data of a SAS drive
+ * @param {Object} drive - Drive description
+ * @param {number} time - Collection time
+ * @param {Object} state - Drive state of the run, see driveState
+ * @returns {Object} The five smartctl sections
+ */
+const sasSections = (drive, time, state) => {
+    const errorCounters = (uncorrected, gigabytes) => ({
+        errors_corrected_by_eccfast: gigabytes * 4,
+        errors_corrected_by_eccdelayed: 0,
+        errors_corrected_by_rereads_rewrites: 0,
+        total_errors_corrected: gigabytes * 4,
+        correction_algorithm_invocations: gigabytes,
+        gigabytes_processed: `${gigabytes}.000`,
+        total_uncorrected_errors: uncorrected
+    })
+
+    return {
+        device_info: section(drive, '-i', time, {
+            scsi_vendor: drive.model.vendor,
+            scsi_product: drive.model.product,
+            scsi_model_name: `${drive.model.vendor} ${drive.model.product}`,
+            scsi_revision: 'GS0F',
+            model_name: `${drive.model.vendor} ${drive.model.product}`,
+            serial_number: drive.serial,
+            user_capacity: { blocks: drive.model.bytes / 512, bytes: drive.model.bytes },
+            logical_block_size: 512,
+            rotation_rate: drive.model.rotation,
+            scsi_transport_protocol: { name: 'SAS (SPL-3)', value: 6 }
+        }),
+        smart_attributes: section(drive, '-A', time, {
+            temperature: { current: state.temperature, drive_trip: 68 },
+            scsi_start_stop_cycle_counter: {
+                specified_cycle_count_over_device_lifetime: 10000,
+                accumulated_start_stop_cycles: drive.powerCycles,
+                specified_load_unload_count_over_device_lifetime: 300000,
+                accumulated_load_unload_cycles: drive.powerCycles * 20
+            },
+            scsi_grown_defect_list: state.defects,
+            power_on_time: { hours: state.powerOnHours, minutes: 0 }
+        }),
+        smart_health: section(drive, '-H', time, {
+            smart_status: { passed: true, scsi: { asc: 0, ascq: 0, ie_string: '' } }
+        }),
+        smart_errors: section(drive, '-l', time, {
+            scsi_error_counter_log: {
+                read: errorCounters(Math.floor(state.defects / 40), state.powerOnHours * 8),
+                write: errorCounters(0, state.powerOnHours * 4),
+                verify: errorCounters(0, Math.floor(state.powerOnHours / 4))
+            }
+        }),
+        smart_selftest: section(
+            drive,
+            '-l',
+            time,
+            Object.fromEntries(
+                selftestRuns(state).map((run, i) => [
+                    `scsi_self_test_${i}`,
+                    {
+                        code: run.extended
+                            ? { value: 2, string: 'Background long' }
+                            : { value: 1, string: 'Background short' },
+                        result: run.failed
+                            ? { value: 7, string: 'Failed in segment -->' }
+                            : { value: 0, string: 'Completed' },
+                        power_on_time: { hours: run.hours, aka: 'accumulated_power_on_hours' },
+                        ...(run.failed
+                            ? {
+                                  failed_segment: { value: 5 },
+                                  lba_first_failure: { value: 4206896 }
+                              }
+                            : {})
+                    }
+                ])
+            ),
+            state.selftestFailed ? EXIT_SELFTEST_LOG : 0
+        )
+    }
+}
+
+const SECTION_BUILDERS = { ata: ataSections, nvme: nvmeSections, sas: sasSections }
+
+/**
+ * State of a drive at one run, the scenarios develop from the first snapshot to the last run
+ * @param {Object} fleet - Fleet description
+ * @param {Object} drive - Drive description
+ * @param {number} time - Collection time
+ * @returns {Object} { powerOnHours, temperature, defects, wear, selftestFailed }
+ */
+const driveState = (fleet, drive, time) => {
+    const first = fleet.runs[0]
+    const progress = fleet.lastRun > first ? (time - first) / (fleet.lastRun - first) : 1
+
+    return {
+        powerOnHours: Math.max(0, drive.powerOnHours - Math.round((fleet.lastRun - time) / 3600)),
+        temperature:
+            drive.scenario === SCENARIO_OVERHEATING
+                ? drive.temperature + (drive.protocol === 'nvme' ? 44 : 28)
+                : drive.temperature,
+        defects:
+            drive.scenario === SCENARIO_DEGRADING ? Math.round(drive.defects * progress ** 2) : 0,
+        wear: drive.wear,
+        // The failing test shows up in the second half of the history
+        selftestFailed: drive.scenario === SCENARIO_SELFTEST_FAILED && progress >= 0.5
+    }
+}
+
+/**
+ * Builds the device file of a drive as collected at a given time
+ * @param {Object} fleet - Fleet description
+ * @param {Object} drive - Drive description
+ * @param {number} time - Collection time
+ * @returns {Object} Device file
+ */
+export const deviceFile = (fleet, drive, time) => ({
+    device: `/dev/${drive.name}`,
+    timestamp: time,
+    smart_data: SECTION_BUILDERS[drive.protocol](drive, time, driveState(fleet, drive, time))
+})
+
+/**
+ * Content of a drive's file in the last run with its scenario applied
+ * @param {Object} fleet - Fleet description
+ * @param {Object} drive - Drive description
+ * @returns {string|null} JSON text, null if the file is missing
+ */
+const currentDeviceFile = (fleet, drive) => {
+    switch (drive.scenario) {
+        case SCENARIO_MISSING:
+            return null
+        case SCENARIO_STALE:
+            return toJson(deviceFile(fleet, drive, fleet.lastRun - drive.staleDays * 86400))
+        case SCENARIO_MALFORMED: {
+            const text = toJson(deviceFile(fleet, drive, fleet.lastRun))
+            return text.slice(0, Math.floor(text.length * 0.6))
+        }
+        default:
+            return toJson(deviceFile(fleet, drive, fleet.lastRun))
+    }
+}
+
+// Pretty printed like the jq output of smart_monitor.sh
+const toJson = (data) => `${JSON.stringify(data, null, 2)}\n`
+
+const deviceFileName = (drive) => `${drive.name}_smart.json`
+
+/**
+ * Builds one file of the fleet
+ * @param {Object} fleet - Fleet description from createFleet
+ * @param {string} filePath - Path relative to the data directory, e.g. 'hosts/node01/index.json'
+ * @returns {string|null} File content, null if there is no such file
+ */
+export const fleetFile = (fleet, filePath) => {
+    if (filePath === 'hosts.json') {
+        return toJson({
+            version: 1,
+            hosts: fleet.hosts.map((host) => ({ name: host.name, baseUrl: `hosts/${host.name}` }))
+        })
+    }
+
+    const match = /^hosts\/([^/]+)\/(?:history\/(?:(\d+)\/)?)?([^/]+)$/.exec(filePath)
+    const host = match && fleet.hosts.find((candidate) => candidate.name === match[1])
+    if (!host) {
+        return null
+    }
+    const [, , snapshot, fileName] = match
+    const isHistory = filePath.includes('/history/')
+
+    if (!isHistory && fileName === 'index.json') {
+        return toJson({
+            last_run: fleet.lastRun,
+            last_run_iso: isoTime(fleet.lastRun),
+            total_devices: host.drives.length,
+            json_files: host.drives.map(deviceFileName)
+        })
+    }
+    if (isHistory && !snapshot && fileName === 'index.json') {
+        return toJson({
+            generated: fleet.lastRun,
+            retention_days: fleet.runs.length * fleet.snapshotDays,
+            max_snapshots: 0,
+            snapshots: fleet.runs.map((time) => ({
+                timestamp: time,
+                iso: isoTime(time),
+                path: `history/${time}`,
+                json_files: host.drives
+                    .filter(
+                        (drive) => time !== fleet.lastRun || drive.scenario !== SCENARIO_MISSING
+                    )
+                    .map(deviceFileName)
+            }))
+        })
+    }
+
+    const drive = host.drives.find((candidate) => deviceFileName(candidate) === fileName)
+    if (!drive) {
+        return null
+    }
+    if (!isHistory) {
+        return currentDeviceFile(fleet, drive)
+    }
+    // Snapshots are copies of the run, the last one has the same scenario as the current file
+    const time = Number(snapshot)
+    if (!fleet.runs.includes(time)) {
+        return null
+    }
+    return time === fleet.lastRun
+        ? currentDeviceFile(fleet, drive)
+        : toJson(deviceFile(fleet, drive, time))
+}
+
+/**
+ * Paths of all files of the fleet
+ * @param {Object} fleet - Fleet description from createFleet
+ * @returns {Array<string>} Paths relative to the data directory, missing files excluded
+ */
+export const fleetPaths = (fleet) => [
+    'hosts.json',
+    ...fleet.hosts.flatMap((host) => {
+        const base = `hosts/${host.name}`
+        const present = host.drives.filter((drive) => drive.scenario !== SCENARIO_MISSING)
+        return [
+            `${base}/index.json`,
+            ...present.map((drive) => `${base}/${deviceFileName(drive)}`),
+            `${base}/history/index.json`,
+            ...fleet.runs.flatMap((time) =>
+                (time === fleet.lastRun ? present : host.drives).map(
+                    (drive) => `${base}/history/${time}/${deviceFileName(drive)}`
+                )
+            )
+        ]
+    })
+]
@@ -0,0 +1,300 @@
+import { spawn } from 'node:child_process'
+import {
+    DEFAULT_RENOTIFY_HOURS,
+    SEVERITIES,
+    formatEvents,
+    summarizeEvents,
+    worstSeverity
+} from '../../src/smart/notify.js'
+import { sendMail } from './smtp.js'
+
+/**
+ * Sinks of the notifier and the config file that lists them
+ *
+ *   {
+ *     "stateFile": "/var/lib/nanosmart/notify-state.json",
+ *     "renotifyHours": 24,
+ *     "sinks": [
+ *       { "type": "webhook", "url": "https://chat.example.com/hooks/abc", "minSeverity": "warning" },
+ *       { "type": "smtp", "host": "mail.example.com", "username": "...", "password": "...",
+ *         "from": "nanosmart@example.com", "to": ["ops@example.com"] },
+ *       { "type": "command", "command": ["/usr/local/bin/page-oncall", "--team", "storage"] }
+ *     ]
+ *   }
+ *
+ * Every sink gets all events of a run at once, those below its minSeverity left out.
+ */
+
+const DEFAULT_TIMEOUT_SECONDS = 30
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Checks of the config fields, each returns what is wrong with a value or null
+const nonEmptyString = (value) =>
+    typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'
+const optionalString = (value) => (typeof value === 'string' ? null : 'must be a string')
+const positiveNumber = (value) =>
+    typeof value === 'number' && Number.isFinite(value) && value > 0
+        ? null
+        : 'must be a number greater than 0'
+const stringList = (value) =>
+    Array.isArray(value) &&
+    value.length > 0 &&
+    value.every((item) => typeof item === 'string' && item !== '')
+        ? null
+        : 'must be a non-empty array of strings'
+const stringMap = (value) =>
+    isObject(value) && Object.values(value).every((item) => typeof item === 'string')
+        ? null
+        : 'must be an object of names and string values'
+
+const COMMON_SINK_CHECKS = {
+    type: nonEmptyString,
+    name: nonEmptyString,
+    minSeverity: (value) =>
+        SEVERITIES.includes(value) ? null : `must be one of ${SEVERITIES.join(', ')}`,
+    timeoutSeconds: positiveNumber
+}
+
+/**
+ * Fields of each sink type, the required ones and the checks of all of them
+ */
+const SINK_FIELDS = {
+    webhook: {
+        required: ['url'],
+        checks: {
+            url: (value) => (/^https?:\/\/\S+$/.test(value) ? null : 'must be an http(s) URL'),
+            headers: stringMap
+        }
+    },
+    smtp: {
+        required: ['host', 'from', 'to'],
+        checks: {
+            host: nonEmptyString,
+            port: (value) =>
+                Number.isInteger(value) && value > 0 && value < 65536
+                    ? null
+                    : 'must be a port number',
+            secure: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+            starttls: (value) => (typeof value === 'boolean' ? null : 'must be true or false'),
+            username: nonEmptyString,
+            password: optionalString,
+            allowInsecureAuth: (value) =>
+                typeof value === 'boolean' ? null : 'must be true or false',
+            from: nonEmptyString,
+            to: stringList,
+            subjectPrefix: optionalString
+        }
+    },
+    command: {
+        required: ['command'],
+        checks: {
+            command: stringList,
+            env: stringMap
+        }
+    }
+}
+
+const CONFIG_CHECKS = {
+    stateFile: nonEmptyString,
+    renotifyHours: positiveNumber,
+    // Checked one by one in sinkProblems
+    sinks: (value) => (Array.isArray(value) ? null : 'must be an array of sinks')
+}
+
+/**
+ * Name a sink is reported and tracked by
+ * @param {Object} sink - Sink config
+ * @param {number} index - Position in the sinks list
+ * @returns {string} Its name or e.g. 'webhook #1'
+ */
+export const sinkName = (sink, index) => sink.name ?? `${sink.type} #${index + 1}`
+
+/**
+ * Validates one sink
+ * @param {Object} sink - Sink config
+ * @param {number} index - Position in the sinks list
+ * @returns {Array<string>} Problems
+ */
+const sinkProblems = (sink, index) => {
+    if (!isObject(sink)) {
+        return [`sinks[${index}] must be an object`]
+    }
+    const fields = SINK_FIELDS[sink.type]
+    if (!fields) {
+        return [`sinks[${index}] "type" must be one of ${Object.keys(SINK_FIELDS).join(', ')}`]
+    }
+    const label = `sink "${sinkName(sink, index)}"`
+    const missing = fields.required
+        .filter((field) => sink[field] === undefined)
+        .map((field) => `${label} needs "${field}"`)
+    const invalid = Object.entries(sink).flatMap(([field, value]) => {
+        const check = fields.checks[field] ?? COMMON_SINK_CHECKS[field]
+        if (!check) {
+            return [`${label} has an unknown field "${field}"`]
+        }
+        const problem = check(value)
+        return problem ? [`${label} "${field}" ${problem}`] : []
+    })
+    return [...missing, ...invalid]
+}
+
+/**
+ * Validates a notifier config
+ * @param {Object} config - Parsed config file
+ * @returns {Array<string>} Problems, empty if the config is valid
+ */
+export const notifyConfigProblems = (config) => {
+    if (!isObject(config)) {
+        return ['the config must contain a JSON object']
+    }
+
+    const problems = Object.entries(config).flatMap(([field, value]) => {
+        const check = CONFIG_CHECKS[field]
+        if (!check) {
+            return [`unknown field "${field}"`]
+        }
+        const problem = check(value)
+        return problem ? [`"${field}" ${problem}`] : []
+    })
+    if (Array.isArray(config.sinks)) {
+        problems.push(...config.sinks.flatMap(sinkProblems))
+        const names = config.sinks.filter(isObject).map(sinkName)
+        names
+            .filter((name, i) => names.indexOf(name) !== i)
+            .forEach((name) => problems.push(`sink name "${name}" is used more than once`))
+    }
+    return problems
+}
+
+/**
+ * Fills in the defaults of a valid config
+ * @param {Object} config - Config that passed notifyConfigProblems
+ * @returns {Object} { stateFile, renotifyHours, sinks }
+ */
+export const normalizeNotifyConfig = (config) => ({
+    stateFile: config.stateFile ?? null,
+    renotifyHours: config.renotifyHours ?? DEFAULT_RENOTIFY_HOURS,
+    sinks: (config.sinks ?? []).map((sink, index) => ({ ...sink, name: sinkName(sink, index) }))
+})
+
+/**
+ * Body every sink gets in some form
+ * @param {Array<Object>} events - Events of the run
+ * @param {number} now - Unix time of the run
+ * @returns {Object} { source, time, severity, summary, events }
+ */
+export const notificationPayload = (events, now) => ({
+    source: 'nanosmart',
+    time: now,
+    severity: worstSeverity(events),
+    summary: summarizeEvents(events),
+    events
+})
+
+/**
+ * POSTs the payload as JSON
+ * @param {Object} sink - Webhook sink config
+ * @param {Object} payload - Result of notificationPayload
+ * @throws {Error} If the request fails or doesn't answer with a 2xx status
+ */
+const sendWebhook = async (sink, payload) => {
+    let response
+    try {
+        response = await fetch(sink.url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...sink.headers },
+            body: JSON.stringify(payload),
+            signal: AbortSignal.timeout((sink.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000)
+        })
+    } catch (error) {
+        // fetch only says 'fetch failed', the reason is in the cause
+        throw new Error(error.cause ? `${error.message}: ${error.cause.message}` : error.message)
+    }
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status} ${response.statusText}`)
+    }
+}
+
+/**
+ * Mails the events as plain text
+ * @param {Object} sink - SMTP sink config
+ * @param {Object} payload - Result of notificationPayload
+ */
+const sendEmail = (sink, payload) =>
+    sendMail(
+        {
+            host: sink.host,
+            port: sink.port,
+            secure: sink.secure,
+            starttls: sink.starttls,
+            username: sink.username,
+            password: sink.password,
+            allowInsecureAuth: sink.allowInsecureAuth,
+            timeoutMs: (sink.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000
+        },
+        {
+            from: sink.from,
+            to: sink.to,
+            subject: `${sink.subjectPrefix ?? '[nanoSMART]'} ${payload.summary}`,
+            text: [
+                `${payload.summary} at ${new Date(payload.time * 1000).toISOString()}`,
+                '',
+                ...formatEvents(payload.events),
+                ''
+            ].join('\n')
+        }
+    )
+
+/**
+ * Runs the command with the payload as JSON on stdin
+ * @param {Object} sink - Command sink config
+ * @param {Object} payload - Result of notificationPayload
+ * @throws {Error} If the command can't be started, times out or exits with another status than 0
+ */
+const runCommand = (sink, payload) =>
+    new Promise((resolve, reject) => {
+        const [file, ...args] = sink.command
+        const child = spawn(file, args, {
+            stdio: ['pipe', 'inherit', 'inherit'],
+            timeout: (sink.timeoutSeconds ?? DEFAULT_TIMEOUT_SECONDS) * 1000,
+            env: {
+                ...process.env,
+                ...sink.env,
+                NANOSMART_SEVERITY: payload.severity,
+                NANOSMART_SUMMARY: payload.summary,
+                NANOSMART_EVENT_COUNT: String(payload.events.length)
+            }
+        })
+        child.on('error', reject)
+        child.on('close', (code, signal) => {
+            if (code === 0) {
+                resolve()
+            } else {
+                reject(
+                    new Error(
+                        signal ? `${file} killed by ${signal}` : `${file} exited with ${code}`
+                    )
+                )
+            }
+        })
+        // A command that doesn't read its input is fine
+        child.stdin.on('error', () => {})
+        child.stdin.end(JSON.stringify(payload))
+    })
+
+const SENDERS = {
+    webhook: sendWebhook,
+    smtp: sendEmail,
+    command: runCommand
+}
+
+/**
+ * Delivers events to a sink
+ * @param {Object} sink - Sink config from normalizeNotifyConfig
+ * @param {Array<Object>} events - Events for this sink
+ * @param {number} now - Unix time of the run
+ * @throws {Error} If the delivery fails
+ */
+export const deliver = (sink, events, now) =>
+    SENDERS[sink.type](sink, notificationPayload(events, now))
@@ -0,0 +1,97 @@
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { indexDeviceNames, transformIndexFiles } from '../../src/smart/collection.js'
+import { DEFAULT_RULES, mergeRules } from '../../src/smart/healthRules.js'
+import { LOCAL_HOST } from '../../src/smart/hosts.js'
+import { normalizeInventory } from '../../src/smart/inventory.js'
+
+/**
+ * Reads and parses a JSON file
+ * @param {string} file - Path of the file
+ * @returns {Promise<Object>} Parsed content
+ */
+const readJson = async (file) => JSON.parse(await fs.readFile(file, 'utf-8'))
+
+/**
+ * Loads the rules.json of an output directory merged onto the built-in rules
+ * @param {string} dir - Output directory
+ * @returns {Promise<Object>} Effective health rule set
+ */
+export const readRules = async (dir) => {
+    try {
+        return mergeRules(DEFAULT_RULES, await readJson(path.join(dir, 'rules.json')))
+    } catch (error) {
+        // No rules file is the normal case, same as in the web UI
+        if (error.code === 'ENOENT') {
+            return DEFAULT_RULES
+        }
+        throw new Error(`rules.json: ${error.message}`)
+    }
+}
+
+/**
+ * Loads the inventory.json of an output directory
+ * @param {string} dir - Output directory
+ * @returns {Promise<Object>} Result of normalizeInventory, empty without an inventory.json
+ * @throws {Error} If the file isn't a valid inventory
+ */
+export const readInventory = async (dir) => {
+    const file = path.join(dir, 'inventory.json')
+    try {
+        return normalizeInventory(await readJson(file))
+    } catch (error) {
+        // Keeping an inventory is optional
+        if (error.code === 'ENOENT') {
+            return {}
+        }
+        throw new Error(`Cannot read ${file}: ${error.message}`)
+    }
+}
+
+/**
+ * Reads a smart_monitor.sh output directory the same way the web UI loads it
+ * @param {string} dir - Output directory containing index.json
+ * @param {Object} options - { host } name the devices are tagged with
+ * @returns {Promise<Object>} { index, lastRun, rules, devices } devices are normalized
+ * @throws {Error} If index.json is missing or not valid JSON
+ */
+export const readOutputDir = async (dir, { host = LOCAL_HOST } = {}) => {
+    let index
+    try {
+        index = await readJson(path.join(dir, 'index.json'))
+    } catch (error) {
+        throw new Error(`Cannot read ${path.join(dir, 'index.json')}: ${error.message}`)
+    }
+
+    const rules = await readRules(dir)
+    const files = await Promise.all(
+        indexDeviceNames(index).map(async (deviceName) => {
+            try {
+                return {
+                    deviceName,
+                    data: await readJson(path.join(dir, `${deviceName}_smart.json`))
+                }
+            } catch (error) {
+                return { deviceName, error }
+            }
+        })
+    )
+
+    return {
+        index,
+        lastRun: index.last_run || null,
+        rules,
+        devices: transformIndexFiles(index, files, rules, host)
+    }
+}
+
+/**
+ * Writes a file atomically so readers like node_exporter never see a half-written file
+ * @param {string} file - Target path
+ * @param {string} content - File content
+ */
+export const writeFileAtomic = async (file, content) => {
+    const tmp = `${file}.${process.pid}.tmp`
+    await fs.writeFile(tmp, content, 'utf-8')
+    await fs.rename(tmp, file)
+}
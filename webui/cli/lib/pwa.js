@@ -0,0 +1,112 @@
+import crypto from 'node:crypto'
+import fs from 'node:fs'
+import path from 'node:path'
+
+/**
+ * Vite plugin that makes the build an installable, offline capable app
+ *
+ * The icon set and site.webmanifest are served under /icons, in the dev server from the source
+ * directory and in the build as files of their own. The build also gets sw.js, the service worker
+ * of src/serviceWorker.js with the version of the build and the list of files to cache. The
+ * version changes with every file of the build, which is how a browser notices a new deployment.
+ * The dev server has no service worker, see src/composables/useServiceWorker.js.
+ */
+
+export const SERVICE_WORKER_FILE = 'sw.js'
+export const ICONS_PATH = 'icons'
+
+// Files that are fetched when needed rather than cached up front
+const NOT_PRECACHED = [/\.map$/, /^sampledata\//]
+
+/**
+ * Reads the files of the icon directory
+ * @param {string} iconsDir - Directory with the icons and site.webmanifest
+ * @returns {Array<Object>} { name, source } sorted by name
+ */
+const readIcons = (iconsDir) =>
+    fs
+        .readdirSync(iconsDir)
+        .filter((name) => fs.statSync(path.join(iconsDir, name)).isFile())
+        .sort()
+        .map((name) => ({ name, source: fs.readFileSync(path.join(iconsDir, name)) }))
+
+/**
+ * Builds the service worker script
+ * @param {string} template - Source of src/serviceWorker.js
+ * @param {Array<string>} precache - Paths of the build relative to its base, index.html included
+ * @param {string} version - Build version
+ * @returns {string} sw.js
+ */
+export const serviceWorkerSource = (template, precache, version) =>
+    [
+        `const BUILD_VERSION = ${JSON.stringify(version)}`,
+        `const PRECACHE = ${JSON.stringify(precache, null, 4)}`,
+        '',
+        template
+    ].join('\n')
+
+/**
+ * Version of a build from the names and content of its files
+ * @param {Array<Object>} files - { fileName, source }
+ * @returns {string} Short hash
+ */
+export const buildVersion = (files) => {
+    const hash = crypto.createHash('sha256')
+    for (const { fileName, source } of [...files].sort((a, b) =>
+        a.fileName.localeCompare(b.fileName)
+    )) {
+        hash.update(fileName).update('\0').update(source).update('\0')
+    }
+    return hash.digest('hex').slice(0, 12)
+}
+
+/**
+ * Creates the plugin
+ * @param {Object} options - { iconsDir, serviceWorker } directory of the icons and path of
+ *                           src/serviceWorker.js
+ * @returns {Object} Vite plugin
+ */
+export const pwaPlugin = ({ iconsDir, serviceWorker }) => ({
+    name: 'nanosmart-pwa',
+    // After the HTML plugin, index.html is part of the bundle
+    enforce: 'post',
+
+    configureServer(server) {
+        server.middlewares.use(`/${ICONS_PATH}`, (req, res, next) => {
+            const name = decodeURIComponent(new URL(req.url, 'http://localhost').pathname).slice(1)
+            const file = path.join(iconsDir, name)
+            if (!file.startsWith(iconsDir + path.sep) || !fs.existsSync(file)) {
+                next()
+                return
+            }
+            if (name.endsWith('.webmanifest')) {
+                res.setHeader('Content-Type', 'application/manifest+json')
+            }
+            res.end(fs.readFileSync(file))
+        })
+    },
+
+    generateBundle(_options, bundle) {
+        const icons = readIcons(iconsDir)
+        const files = [
+            ...Object.values(bundle).map((output) => ({
+                fileName: output.fileName,
+                source: output.type === 'chunk' ? output.code : output.source
+            })),
+            ...icons.map(({ name, source }) => ({ fileName: `${ICONS_PATH}/${name}`, source }))
+        ].filter(({ fileName }) => !NOT_PRECACHED.some((pattern) => pattern.test(fileName)))
+
+        for (const { name, source } of icons) {
+            this.emitFile({ type: 'asset', fileName: `${ICONS_PATH}/${name}`, source })
+        }
+        this.emitFile({
+            type: 'asset',
+            fileName: SERVICE_WORKER_FILE,
+            source: serviceWorkerSource(
+                fs.readFileSync(serviceWorker, 'utf-8'),
+                files.map(({ fileName }) => fileName).sort(),
+                buildVersion(files)
+            )
+        })
+    }
+})
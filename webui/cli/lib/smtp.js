@@ -0,0 +1,209 @@
+import crypto from 'node:crypto'
+import net from 'node:net'
+import os from 'node:os'
+import tls from 'node:tls'
+
+/**
+ * Minimal SMTP client for the notifier's mail sink
+ *
+ * Enough for a relay or a submission port: implicit TLS or STARTTLS, AUTH PLAIN or LOGIN and one
+ * plain text message per connection.
+ */
+
+/**
+ * Reads SMTP replies from a socket
+ * @param {net.Socket} socket - Connected socket
+ * @returns {Function} Returns a promise of the next reply { code, lines }
+ */
+const replyReader = (socket) => {
+    let buffer = ''
+    let lines = []
+    const replies = []
+    const waiting = []
+    let failure = null
+
+    const settle = () => {
+        while (waiting.length && (replies.length || failure)) {
+            const { resolve, reject } = waiting.shift()
+            if (replies.length) {
+                resolve(replies.shift())
+            } else {
+                reject(failure)
+            }
+        }
+    }
+
+    socket.on('data', (chunk) => {
+        buffer += chunk.toString('utf-8')
+        let end
+        while ((end = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, end).replace(/\r$/, '')
+            buffer = buffer.slice(end + 1)
+            lines.push(line.slice(4))
+            // '250-' continues a multiline reply, '250 ' ends it
+            if (line[3] !== '-') {
+                replies.push({ code: Number(line.slice(0, 3)), lines })
+                lines = []
+            }
+        }
+        settle()
+    })
+    socket.on('error', (error) => {
+        failure = error
+        settle()
+    })
+    socket.on('close', () => {
+        failure = failure || new Error('SMTP server closed the connection')
+        settle()
+    })
+
+    return () =>
+        new Promise((resolve, reject) => {
+            waiting.push({ resolve, reject })
+            settle()
+        })
+}
+
+/**
+ * Opens a connection and resolves once it's established
+ * @param {Object} options - { host, port, secure, timeoutMs }
+ * @returns {Promise<net.Socket>} Connected socket
+ */
+const connect = ({ host, port, secure, timeoutMs }) =>
+    new Promise((resolve, reject) => {
+        const socket = secure
+            ? tls.connect({ host, port, servername: host })
+            : net.connect({ host, port })
+        socket.setTimeout(timeoutMs, () =>
+            socket.destroy(new Error(`SMTP timeout after ${timeoutMs / 1000}s`))
+        )
+        socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket))
+        socket.once('error', reject)
+    })
+
+/**
+ * Upgrades a connection after STARTTLS
+ * @param {net.Socket} socket - Plain connection
+ * @param {string} host - Server name to verify the certificate against
+ * @returns {Promise<tls.TLSSocket>} Encrypted connection
+ */
+const upgrade = (socket, host) =>
+    new Promise((resolve, reject) => {
+        socket.removeAllListeners('data')
+        socket.removeAllListeners('close')
+        const secure = tls.connect({ socket, servername: host }, () => resolve(secure))
+        secure.once('error', reject)
+    })
+
+/**
+ * Encodes a header value as an RFC 2047 encoded word when it isn't plain ASCII
+ * @param {string} value - Header value
+ * @returns {string} Header value safe for the message
+ */
+const encodeHeader = (value) =>
+    /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`
+
+/**
+ * Builds the message, with CRLF line ends and leading dots doubled for the DATA command
+ * @param {Object} mail - { from, to, subject, text }
+ * @returns {string} Message ending before the terminating '.'
+ */
+export const buildMessage = ({ from, to, subject, text }) => {
+    const domain = from.split('@')[1] || os.hostname()
+    const headers = [
+        `From: ${from}`,
+        `To: ${to.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: 8bit'
+    ]
+    const body = text.split(/\r?\n/).map((line) => (line.startsWith('.') ? `.${line}` : line))
+    return [...headers, '', ...body].join('\r\n')
+}
+
+/**
+ * Sends a mail
+ * @param {Object} options - { host, port, secure, starttls, username, password, allowInsecureAuth,
+ *                           timeoutMs } secure is implicit TLS (port 465), otherwise STARTTLS is
+ *                           used when the server offers it unless starttls is false. The password is
+ *                           only sent over an unencrypted connection with allowInsecureAuth
+ * @param {Object} mail - { from, to, subject, text } to is a list of addresses
+ * @throws {Error} If the server refuses a command, the connection fails or authenticating would
+ *                 send the password in the clear
+ */
+export const sendMail = async (
+    {
+        host,
+        port,
+        secure = false,
+        starttls = true,
+        username = null,
+        password = null,
+        allowInsecureAuth = false,
+        timeoutMs = 30000
+    },
+    mail
+) => {
+    let socket = await connect({ host, port: port ?? (secure ? 465 : 587), secure, timeoutMs })
+    let read = replyReader(socket)
+
+    const expect = async (command, codes) => {
+        const reply = await read()
+        if (!codes.includes(reply.code)) {
+            throw new Error(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(' ')}`)
+        }
+        return reply
+    }
+    const send = (command, codes, logged = command) => {
+        socket.write(`${command}\r\n`)
+        return expect(logged, codes)
+    }
+
+    try {
+        await expect('greeting', [220])
+        let features = (await send(`EHLO ${os.hostname()}`, [250], 'EHLO')).lines
+        let encrypted = secure
+        if (!secure && starttls && features.some((line) => /^STARTTLS\b/i.test(line))) {
+            await send('STARTTLS', [220])
+            socket = await upgrade(socket, host)
+            encrypted = true
+            socket.setTimeout(timeoutMs, () =>
+                socket.destroy(new Error(`SMTP timeout after ${timeoutMs / 1000}s`))
+            )
+            read = replyReader(socket)
+            features = (await send(`EHLO ${os.hostname()}`, [250], 'EHLO')).lines
+        }
+
+        if (username) {
+            if (!encrypted && !allowInsecureAuth) {
+                throw new Error(
+                    'SMTP connection is not encrypted, refusing to send the password (set allowInsecureAuth to allow it)'
+                )
+            }
+            const auth = features.find((line) => /^AUTH\b/i.test(line)) ?? ''
+            if (/\bPLAIN\b/i.test(auth)) {
+                const token = Buffer.from(`\0${username}\0${password}`).toString('base64')
+                await send(`AUTH PLAIN ${token}`, [235], 'AUTH PLAIN')
+            } else if (/\bLOGIN\b/i.test(auth)) {
+                await send('AUTH LOGIN', [334])
+                await send(Buffer.from(username).toString('base64'), [334], 'AUTH LOGIN')
+                await send(Buffer.from(password ?? '').toString('base64'), [235], 'AUTH LOGIN')
+            } else {
+                throw new Error('SMTP server offers neither AUTH PLAIN nor AUTH LOGIN')
+            }
+        }
+
+        await send(`MAIL FROM:<${mail.from}>`, [250], 'MAIL FROM')
+        for (const recipient of mail.to) {
+            await send(`RCPT TO:<${recipient}>`, [250, 251], 'RCPT TO')
+        }
+        await send('DATA', [354])
+        await send(`${buildMessage(mail)}\r\n.`, [250], 'message')
+        await send('QUIT', [221]).catch(() => {})
+    } finally {
+        socket.destroy()
+    }
+}
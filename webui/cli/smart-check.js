@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Monitoring plugin for Nagios, Icinga and compatible systems that checks the SMART data of a
+ * smart_monitor.sh output directory with the same health rules as the web UI:
+ *
+ *   node cli/smart-check.js --dir /var/www/nanosmart/data --exclude 'sdz' \
+ *       --warning temperature=45 --critical temperature=55
+ *
+ * Prints a status line with perfdata plus one line per device and exits with 0 (OK),
+ * 1 (WARNING), 2 (CRITICAL) or 3 (UNKNOWN).
+ */
+import { parseArgs } from 'node:util'
+import { CHECK_UNKNOWN, formatCheckOutput, parseThresholds, runCheck } from '../src/smart/check.js'
+import { DEFAULT_MAX_AGE_HOURS } from '../src/smart/staleness.js'
+import { readOutputDir } from './lib/outputDir.js'
+
+const USAGE = `Usage: smart-check --dir DIR [options]
+
+  -d, --dir DIR               smart_monitor.sh output directory containing index.json
+  -i, --include PATTERN       only check devices whose name or serial matches (repeatable, * glob)
+  -e, --exclude PATTERN       skip devices whose name or serial matches (repeatable, * glob)
+  -a, --max-age HOURS         data older than this is UNKNOWN (default ${DEFAULT_MAX_AGE_HOURS})
+  -w, --warning METRIC=RANGE  WARNING threshold (repeatable)
+  -c, --critical METRIC=RANGE CRITICAL threshold (repeatable)
+  -h, --help                  show this help
+
+METRIC is temperature, power_on_hours, errors or an attribute id (5, 197, media_errors, ...)
+compared by its raw value. RANGE uses the monitoring plugin syntax: 50 alerts above 50,
+10: below 10, 10:50 outside 10..50 and @10:50 inside 10..50.`
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            dir: { type: 'string', short: 'd' },
+            include: { type: 'string', short: 'i', multiple: true, default: [] },
+            exclude: { type: 'string', short: 'e', multiple: true, default: [] },
+            'max-age': { type: 'string', short: 'a' },
+            warning: { type: 'string', short: 'w', multiple: true, default: [] },
+            critical: { type: 'string', short: 'c', multiple: true, default: [] },
+            help: { type: 'boolean', short: 'h' }
+        }
+    })
+
+    if (values.help) {
+        console.log(USAGE)
+        process.exit(CHECK_UNKNOWN)
+    }
+    if (!values.dir) {
+        throw new Error('--dir is required')
+    }
+
+    const maxAgeHours = Number(values['max-age'] ?? DEFAULT_MAX_AGE_HOURS)
+    if (!Number.isFinite(maxAgeHours) || maxAgeHours <= 0) {
+        throw new Error(`Invalid --max-age '${values['max-age']}'`)
+    }
+
+    const thresholds = parseThresholds(values.warning, values.critical)
+    const { devices, lastRun } = await readOutputDir(values.dir)
+    const result = runCheck(devices, {
+        now: Math.floor(Date.now() / 1000),
+        lastRun,
+        maxAgeHours,
+        thresholds,
+        include: values.include,
+        exclude: values.exclude
+    })
+
+    process.stdout.write(formatCheckOutput(result))
+    process.exitCode = result.state
+}
+
+// Any failure (bad options, unreadable directory) is UNKNOWN, as the plugin guidelines ask for
+main().catch((error) => {
+    console.log(`SMART UNKNOWN - ${error.message}`)
+    process.exit(CHECK_UNKNOWN)
+})
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+/**
+ * Writes a synthetic fleet as a smart_monitor.sh output directory, e.g. to try the other tools or
+ * a web server setup at scale:
+ *
+ *   node cli/smart-fleet.js --output /tmp/fleet --drives 600 --hosts 8
+ *
+ * The dev server can serve the same fleet without writing it, see SMART_FLEET in vite.config.js.
+ */
+import fs from 'node:fs/promises'
+import path from 'node:path'
+import { parseArgs } from 'node:util'
+import { DEFAULT_FLEET_OPTIONS, createFleet, fleetFile, fleetPaths } from './lib/fleet.js'
+
+const USAGE = `Usage: smart-fleet --output DIR [--drives N] [--hosts N] [--seed N] [--snapshots N]
+
+  -o, --output DIR        directory to write hosts.json and hosts/<host>/ to
+      --drives N          drives in the whole fleet (default ${DEFAULT_FLEET_OPTIONS.drives})
+      --hosts N           hosts the drives are spread over (default ${DEFAULT_FLEET_OPTIONS.hosts})
+      --seed N            seed, the same seed gives the same fleet (default ${DEFAULT_FLEET_OPTIONS.seed})
+      --snapshots N       history snapshots per host, a week apart (default ${DEFAULT_FLEET_OPTIONS.snapshots})
+      --problem-share F   part of the drives with a problem scenario (default ${DEFAULT_FLEET_OPTIONS.problemShare})
+  -h, --help              show this help`
+
+/**
+ * Parses a numeric option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @returns {number|undefined} Number, undefined if the option wasn't given
+ * @throws {Error} If the value is not a number 0 or more
+ */
+const numberOption = (value, name) => {
+    if (value === undefined) {
+        return undefined
+    }
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < 0) {
+        throw new Error(`--${name} must be a number, got "${value}"`)
+    }
+    return number
+}
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            output: { type: 'string', short: 'o' },
+            drives: { type: 'string' },
+            hosts: { type: 'string' },
+            seed: { type: 'string' },
+            snapshots: { type: 'string' },
+            'problem-share': { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    })
+
+    if (values.help) {
+        console.log(USAGE)
+        return
+    }
+    if (!values.output) {
+        throw new Error(`--output is required\n\n${USAGE}`)
+    }
+
+    const options = Object.fromEntries(
+        [
+            ['drives', numberOption(values.drives, 'drives')],
+            ['hosts', numberOption(values.hosts, 'hosts')],
+            ['seed', numberOption(values.seed, 'seed')],
+            ['snapshots', numberOption(values.snapshots, 'snapshots')],
+            ['problemShare', numberOption(values['problem-share'], 'problem-share')]
+        ].filter(([, value]) => value !== undefined)
+    )
+    const fleet = createFleet(options)
+
+    const paths = fleetPaths(fleet)
+    for (const filePath of paths) {
+        const file = path.join(values.output, filePath)
+        await fs.mkdir(path.dirname(file), { recursive: true })
+        await fs.writeFile(file, fleetFile(fleet, filePath), 'utf-8')
+    }
+
+    const drives = fleet.hosts.reduce((total, host) => total + host.drives.length, 0)
+    console.log(
+        `Wrote ${paths.length} files for ${drives} drives on ${fleet.hosts.length} hosts to ${values.output}`
+    )
+}
+
+main().catch((error) => {
+    console.error(`smart-fleet: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+/**
+ * Writes the SMART data of a smart_monitor.sh output directory as OpenMetrics text, e.g. for
+ * node_exporter's textfile collector:
+ *
+ *   node cli/smart-metrics.js --dir /var/www/nanosmart/data \
+ *       --output /var/lib/node_exporter/textfile_collector/nanosmart.prom
+ *
+ * Without --output the metrics are printed to stdout.
+ */
+import { parseArgs } from 'node:util'
+import { renderOpenMetrics } from '../src/smart/metrics.js'
+import { readOutputDir, writeFileAtomic } from './lib/outputDir.js'
+
+const USAGE = `Usage: smart-metrics --dir DIR [--output FILE] [--host NAME]
+
+  -d, --dir DIR       smart_monitor.sh output directory containing index.json
+  -o, --output FILE   write the metrics to FILE (atomically) instead of stdout
+      --host NAME     add a host="NAME" label to every series
+  -h, --help          show this help`
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            dir: { type: 'string', short: 'd' },
+            output: { type: 'string', short: 'o' },
+            host: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    })
+
+    if (values.help) {
+        console.log(USAGE)
+        return
+    }
+    if (!values.dir) {
+        throw new Error(`--dir is required\n\n${USAGE}`)
+    }
+
+    const { devices, lastRun } = await readOutputDir(values.dir)
+    const metrics = renderOpenMetrics(devices, {
+        now: Math.floor(Date.now() / 1000),
+        lastRun,
+        host: values.host || null
+    })
+
+    if (values.output) {
+        await writeFileAtomic(values.output, metrics)
+    } else {
+        process.stdout.write(metrics)
+    }
+}
+
+main().catch((error) => {
+    console.error(`smart-metrics: ${error.message}`)
+    process.exit(1)
+})
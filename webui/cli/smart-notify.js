@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * Sends notifications about what changed since the last run of smart_monitor.sh: degraded health,
+ * new reallocated/pending sectors and error log entries, failed self-tests and drives that
+ * appeared or disappeared. Run it from cron right after smart_monitor.sh:
+ *
+ *   node cli/smart-notify.js --dir /var/www/nanosmart/data --config /etc/nanosmart/notify.json
+ *
+ * The state of the previous run is kept in a JSON file, see src/smart/notify.js for what is
+ * compared and cli/lib/notifySinks.js for the config.
+ */
+import fs from 'node:fs/promises'
+import { parseArgs } from 'node:util'
+import {
+    evaluateRun,
+    formatEvents,
+    isUsableState,
+    meetsSeverity,
+    retryableEvents
+} from '../src/smart/notify.js'
+import { deliver, normalizeNotifyConfig, notifyConfigProblems } from './lib/notifySinks.js'
+import { readOutputDir, writeFileAtomic } from './lib/outputDir.js'
+
+const USAGE = `Usage: smart-notify --dir DIR --config FILE [options]
+
+  -d, --dir DIR        smart_monitor.sh output directory containing index.json
+  -c, --config FILE    notifier config with the sinks, see the README
+  -s, --state FILE     state of the previous run (default: stateFile of the config)
+      --host NAME      host name the devices are reported with
+  -n, --dry-run        print the events instead of sending them, the state is not saved
+  -h, --help           show this help`
+
+/**
+ * Reads and validates the config file
+ * @param {string} file - Path of the config
+ * @returns {Promise<Object>} Config from normalizeNotifyConfig
+ * @throws {Error} If the file can't be read or isn't valid
+ */
+const readConfig = async (file) => {
+    let config
+    try {
+        config = JSON.parse(await fs.readFile(file, 'utf-8'))
+    } catch (error) {
+        throw new Error(`Cannot read ${file}: ${error.message}`)
+    }
+    const problems = notifyConfigProblems(config)
+    if (problems.length) {
+        throw new Error(`${file}:\n  ${problems.join('\n  ')}`)
+    }
+    return normalizeNotifyConfig(config)
+}
+
+/**
+ * Reads the state of the previous run
+ * @param {string} file - Path of the state file
+ * @returns {Promise<Object|null>} State, null on the first run
+ */
+const readState = async (file) => {
+    try {
+        const state = JSON.parse(await fs.readFile(file, 'utf-8'))
+        if (isUsableState(state)) {
+            return state
+        }
+        console.error(`smart-notify: ${file} has an unknown format, starting over`)
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error(`smart-notify: cannot read ${file}, starting over: ${error.message}`)
+        }
+    }
+    return null
+}
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            dir: { type: 'string', short: 'd' },
+            config: { type: 'string', short: 'c' },
+            state: { type: 'string', short: 's' },
+            host: { type: 'string' },
+            'dry-run': { type: 'boolean', short: 'n' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    })
+
+    if (values.help) {
+        console.log(USAGE)
+        return
+    }
+    if (!values.dir || !values.config) {
+        throw new Error(`--dir and --config are required\n\n${USAGE}`)
+    }
+
+    const config = await readConfig(values.config)
+    // Not in the output directory by default, that one is usually served to the web
+    const stateFile = values.state ?? config.stateFile
+    if (!stateFile) {
+        throw new Error('--state or "stateFile" in the config is required')
+    }
+    const { devices } = await readOutputDir(values.dir, values.host ? { host: values.host } : {})
+    const now = Math.floor(Date.now() / 1000)
+    const { events, state } = evaluateRun(await readState(stateFile), devices, {
+        now,
+        renotifyHours: config.renotifyHours
+    })
+
+    if (values['dry-run']) {
+        console.log(events.length ? formatEvents(events).join('\n') : 'No changes to report')
+        return
+    }
+
+    let failed = 0
+    const pending = {}
+    for (const sink of config.sinks) {
+        const retries = retryableEvents(state.pending[sink.name], now)
+        const selected = [
+            ...retries,
+            ...events.filter((event) => meetsSeverity(event, sink.minSeverity))
+        ]
+        if (!selected.length) {
+            continue
+        }
+        try {
+            await deliver(sink, selected, now)
+        } catch (error) {
+            failed += 1
+            pending[sink.name] = selected
+            console.error(`smart-notify: ${sink.name}: ${error.message}`)
+        }
+    }
+
+    // Undelivered events are retried with the next run
+    await writeFileAtomic(stateFile, JSON.stringify({ ...state, pending }, null, 2))
+    console.log(
+        `${events.length} event${events.length === 1 ? '' : 's'}, ${config.sinks.length - failed} of ${config.sinks.length} sinks ok`
+    )
+    if (failed) {
+        process.exitCode = 1
+    }
+}
+
+main().catch((error) => {
+    console.error(`smart-notify: ${error.message}`)
+    process.exit(1)
+})
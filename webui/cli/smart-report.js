@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * Writes the health report of a smart_monitor.sh output directory, the same files the export
+ * menu of the web UI offers, e.g. to mail it on a schedule:
+ *
+ *   node cli/smart-report.js --dir /var/www/nanosmart/data --format html --output /tmp/smart.html
+ *
+ * Without --output the report is printed to stdout.
+ */
+import { parseArgs } from 'node:util'
+import { withInventory } from '../src/smart/inventory.js'
+import { REPORT_FORMATS, REPORT_HTML, buildReport } from '../src/smart/report.js'
+import { TEMPERATURE_UNITS } from '../src/smart/units.js'
+import { readInventory, readOutputDir, writeFileAtomic } from './lib/outputDir.js'
+
+const USAGE = `Usage: smart-report --dir DIR [--format FORMAT] [--output FILE] [options]
+
+  -d, --dir DIR              smart_monitor.sh output directory containing index.json
+  -f, --format FORMAT        ${Object.keys(REPORT_FORMATS).join(', ')} (default ${REPORT_HTML})
+  -o, --output FILE          write the report to FILE instead of stdout
+      --host NAME            host name the devices are reported with
+      --title TITLE          title of the report (default "nano SMART")
+      --temperature-unit U   C or F for the HTML report (default C)
+  -h, --help                 show this help`
+
+const main = async () => {
+    const { values } = parseArgs({
+        options: {
+            dir: { type: 'string', short: 'd' },
+            format: { type: 'string', short: 'f', default: REPORT_HTML },
+            output: { type: 'string', short: 'o' },
+            host: { type: 'string' },
+            title: { type: 'string' },
+            'temperature-unit': { type: 'string', default: 'C' },
+            help: { type: 'boolean', short: 'h' }
+        }
+    })
+
+    if (values.help) {
+        console.log(USAGE)
+        return
+    }
+    if (!values.dir) {
+        throw new Error(`--dir is required\n\n${USAGE}`)
+    }
+    if (!TEMPERATURE_UNITS.includes(values['temperature-unit'])) {
+        throw new Error(`--temperature-unit must be one of ${TEMPERATURE_UNITS.join(', ')}`)
+    }
+
+    const now = Math.floor(Date.now() / 1000)
+    const { devices } = await readOutputDir(values.dir, values.host ? { host: values.host } : {})
+    const report = buildReport(
+        values.format,
+        withInventory(devices, await readInventory(values.dir), now),
+        {
+            title: values.title,
+            generated: now,
+            temperatureUnit: values['temperature-unit']
+        }
+    )
+
+    if (values.output) {
+        await writeFileAtomic(values.output, report.content)
+    } else {
+        process.stdout.write(report.content)
+    }
+}
+
+main().catch((error) => {
+    console.error(`smart-report: ${error.message}`)
+    process.exit(1)
+})
@@ -0,0 +1,57 @@
+import { useIsFetching, useQueryClient } from '@tanstack/vue-query'
+import { computed, onScopeDispose, ref, watch } from 'vue'
+import { isRefreshedQuery } from '@/composables/useSmartMonitor'
+import { appConfig } from '@/config'
+
+/**
+ * Intervals offered in the refresh control, the configured one included
+ * @returns {Array<number>} Seconds, 0 turns the background refresh off
+ */
+export const refreshIntervals = () =>
+    [...new Set([0, 60, 300, 900, 3600, appConfig().refreshSeconds])].sort((a, b) => a - b)
+
+// Chosen interval, shared by all pages, starts with refreshSeconds of config.json
+const intervalSeconds = ref(null)
+
+/**
+ * Background refresh of the data files with a countdown
+ *
+ * Every refresh revalidates the files of the current run, unchanged ones answer with a 304. The
+ * countdown pauses while the tab is hidden.
+ *
+ * @returns {Object} { intervalSeconds, secondsLeft, isFetching, refresh }
+ */
+export function useAutoRefresh() {
+    if (intervalSeconds.value === null) {
+        intervalSeconds.value = appConfig().refreshSeconds
+    }
+    const queryClient = useQueryClient()
+    const fetching = useIsFetching({ predicate: isRefreshedQuery })
+    const secondsLeft = ref(intervalSeconds.value)
+
+    const refresh = () => {
+        secondsLeft.value = intervalSeconds.value
+        return queryClient.invalidateQueries({ predicate: isRefreshedQuery })
+    }
+
+    const timer = setInterval(() => {
+        if (!intervalSeconds.value || document.hidden) return
+        secondsLeft.value = Math.max(0, secondsLeft.value - 1)
+        if (secondsLeft.value === 0 && !fetching.value) {
+            refresh()
+        }
+    }, 1000)
+    onScopeDispose(() => clearInterval(timer))
+
+    // A new interval starts a new countdown
+    watch(intervalSeconds, (seconds) => {
+        secondsLeft.value = seconds
+    })
+
+    return {
+        intervalSeconds,
+        secondsLeft,
+        isFetching: computed(() => fetching.value > 0),
+        refresh
+    }
+}
@@ -0,0 +1,14 @@
+/**
+ * Offers a file for download
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export const downloadFile = (fileName, content, type = 'application/json') => {
+    const url = URL.createObjectURL(new Blob([content], { type }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = fileName
+    link.click()
+    URL.revokeObjectURL(url)
+}
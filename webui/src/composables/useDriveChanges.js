@@ -0,0 +1,92 @@
+import { computed, ref, unref, watch } from 'vue'
+import { DRIVE_MOVED, detectDriveChanges, driveMap, mergeDriveMap } from '@/smart/identity'
+import { t } from '@/i18n'
+
+// localStorage key of the name -> drive mapping seen before, see smart/identity.js
+const STORAGE_KEY = 'nanosmart.drives'
+
+/**
+ * Reads the stored mapping, a missing or broken entry counts as nothing seen yet
+ * @returns {Object} Mapping from driveMap
+ */
+const loadDriveMap = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+    } catch {
+        return {}
+    }
+}
+
+/**
+ * Stores the mapping, failures (private mode, quota) only cost the notices
+ * @param {Object} map - Mapping from driveMap
+ */
+const saveDriveMap = (map) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(map))
+    } catch (error) {
+        console.warn('Could not store the drive mapping:', error)
+    }
+}
+
+/**
+ * Title and text of a notice in the language of the UI, describeDriveChange of smart/identity.js
+ * translated
+ * @param {Object} notice - Notice of detectDriveChanges
+ * @returns {Object} { title, text }
+ */
+export const driveChangeMessage = (notice) => {
+    const moved = notice.type === DRIVE_MOVED
+    return {
+        title: t(moved ? 'drive.moved' : 'drive.replaced'),
+        text: t(moved ? 'drive.movedText' : 'drive.replacedText', {
+            name: notice.name,
+            model: notice.model,
+            serial: notice.serial,
+            previousName: notice.previous.name,
+            previousModel: notice.previous.model,
+            previousSerial: notice.previous.serial
+        })
+    }
+}
+
+// Shared by all views so acknowledging on the overview clears the detail page notice as well
+const storedMap = ref(loadDriveMap())
+
+/**
+ * "Drive replaced" / "drive moved" notices for a list of devices
+ *
+ * The first time a host is seen its drives are only remembered. Names without a change are kept
+ * up to date automatically, the ones with a notice keep their old drive until acknowledged.
+ *
+ * @param {Ref<Array<Object>>} devices - Normalized devices with their host name
+ * @param {Object} options - { track } false to only read the stored mapping (detail page)
+ * @returns {Object} { notices, acknowledge }
+ */
+export function useDriveChanges(devices, options = {}) {
+    const track = options.track !== false
+    const notices = computed(() => detectDriveChanges(storedMap.value, unref(devices) || []))
+
+    if (track) {
+        watch(
+            () => unref(devices),
+            (current) => {
+                if (!current?.length) return
+                const merged = mergeDriveMap(storedMap.value, current, notices.value)
+                if (JSON.stringify(merged) !== JSON.stringify(storedMap.value)) {
+                    storedMap.value = merged
+                    saveDriveMap(merged)
+                }
+            },
+            { immediate: true }
+        )
+    }
+
+    // Takes the current mapping as the new baseline, names that disappeared are forgotten
+    const acknowledge = () => {
+        storedMap.value = { ...storedMap.value, ...driveMap(unref(devices) || []) }
+        saveDriveMap(storedMap.value)
+    }
+
+    return { notices, acknowledge }
+}
@@ -0,0 +1,49 @@
+import { computed, ref, unref } from 'vue'
+import { serializeInventory, updateInventory } from '@/smart/inventory'
+import { downloadFile } from '@/composables/useDownload'
+
+// Edited inventories per host name. The SPA is static and can't write inventory.json back, the
+// edits are kept until the page is reloaded and shown everywhere in the meantime.
+const drafts = ref({})
+
+/**
+ * Inventory of a host with the edits made in this session
+ * @param {string} hostName - Host name
+ * @param {Object} loaded - Inventory loaded from the host's inventory.json
+ * @returns {Object} Edited inventory, the loaded one if nothing was edited
+ */
+export const effectiveInventory = (hostName, loaded) => drafts.value[hostName] || loaded || {}
+
+/**
+ * Editor for the inventory of one host
+ * @param {Ref<Object>} host - Host { name }
+ * @param {Ref<Object>} loaded - Inventory loaded from the host's inventory.json
+ * @returns {Object} { inventory, isModified, update, discard, exportFile }
+ */
+export function useInventory(host, loaded) {
+    const hostName = computed(() => unref(host)?.name)
+    const inventory = computed(() => effectiveInventory(hostName.value, unref(loaded)))
+
+    const update = (serial, changes) => {
+        drafts.value = {
+            ...drafts.value,
+            [hostName.value]: updateInventory(inventory.value, serial, changes)
+        }
+    }
+
+    const discard = () => {
+        const rest = { ...drafts.value }
+        delete rest[hostName.value]
+        drafts.value = rest
+    }
+
+    const exportFile = () => downloadFile('inventory.json', serializeInventory(inventory.value))
+
+    return {
+        inventory,
+        isModified: computed(() => !!drafts.value[hostName.value]),
+        update,
+        discard,
+        exportFile
+    }
+}
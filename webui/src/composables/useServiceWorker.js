@@ -0,0 +1,95 @@
+import { computed, ref } from 'vue'
+
+// Data files the service worker answered from its cache, url -> unix milliseconds of the copy
+const cachedFiles = ref(new Map())
+
+// Installed service worker of a newer build, waiting for the page to let it take over
+const waitingWorker = ref(null)
+
+// Set once the user asked for the new build, the page reloads when it took over
+let reloadOnUpdate = false
+
+// How often an open page looks for a new build
+const UPDATE_CHECK_MS = 60 * 60 * 1000
+
+/**
+ * Keeps track of where the data files came from, see src/serviceWorker.js
+ * @param {MessageEvent} event - Message of the service worker
+ */
+const onMessage = ({ data }) => {
+    if (data?.type === 'nanosmart:cached') {
+        cachedFiles.value = new Map(cachedFiles.value).set(data.url, data.fetchedAt)
+    } else if (data?.type === 'nanosmart:network' && cachedFiles.value.has(data.url)) {
+        const files = new Map(cachedFiles.value)
+        files.delete(data.url)
+        cachedFiles.value = files
+    }
+}
+
+/**
+ * Offers a worker to the update prompt once it is installed
+ * @param {ServiceWorker} worker - Worker of a new build
+ */
+const watchInstalling = (worker) => {
+    worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install rather than an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+            waitingWorker.value = worker
+        }
+    })
+}
+
+/**
+ * Registers the service worker of the build (sw.js), the dev server has none
+ * @returns {Promise<void>} Resolves once registered, failures are only logged
+ */
+export const registerServiceWorker = async () => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) {
+        return
+    }
+    navigator.serviceWorker.addEventListener('message', onMessage)
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadOnUpdate) {
+            window.location.reload()
+        }
+    })
+
+    try {
+        const registration = await navigator.serviceWorker.register(
+            `${import.meta.env.BASE_URL}sw.js`
+        )
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            waitingWorker.value = registration.waiting
+        }
+        registration.addEventListener('updatefound', () => watchInstalling(registration.installing))
+        setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_MS)
+    } catch (error) {
+        // Plain HTTP or a browser setting, the app works without
+        console.warn('Service worker not registered:', error)
+    }
+}
+
+/**
+ * Offline state and update prompt of the installed app
+ * @returns {Object} { isOffline, offlineSince, updateAvailable, applyUpdate } offlineSince is the
+ *                   unix milliseconds of the oldest cached data file shown, null if unknown
+ */
+export function useServiceWorker() {
+    const isOffline = computed(() => cachedFiles.value.size > 0)
+    const offlineSince = computed(() => {
+        const times = [...cachedFiles.value.values()].filter(Boolean)
+        return times.length ? Math.min(...times) : null
+    })
+
+    const applyUpdate = () => {
+        reloadOnUpdate = true
+        waitingWorker.value?.postMessage({ type: 'nanosmart:skip-waiting' })
+    }
+
+    return {
+        isOffline,
+        offlineSince,
+        updateAvailable: computed(() => waitingWorker.value !== null),
+        applyUpdate
+    }
+}
@@ -0,0 +1,128 @@
+import { ref, watch } from 'vue'
+import { appConfig } from '@/config'
+import { formatVolume } from '@/smart/endurance'
+import { LOCALES, currentLocale, formatNumber, matchLocale, setLocale, t } from '@/i18n'
+import {
+    CAPACITY_DECIMAL,
+    CAPACITY_UNITS,
+    POWER_ON_HOURS,
+    POWER_ON_UNITS,
+    TEMPERATURE_UNITS,
+    formatCapacity,
+    formatTemperature,
+    splitPowerOnHours
+} from '@/smart/units'
+
+// localStorage key of the settings the user changed
+const STORAGE_KEY = 'nanosmart.settings'
+
+// Values each setting can take
+const SETTING_VALUES = {
+    locale: Object.keys(LOCALES),
+    temperatureUnit: TEMPERATURE_UNITS,
+    capacityUnit: CAPACITY_UNITS,
+    powerOnUnit: POWER_ON_UNITS
+}
+
+/**
+ * Settings of a browser that never changed them: its language, the temperature unit of
+ * config.json, capacities like on the drive label and power-on time in hours
+ * @returns {Object} { locale, temperatureUnit, capacityUnit, powerOnUnit }
+ */
+export const defaultSettings = () => ({
+    locale: matchLocale(navigator.languages?.length ? navigator.languages : [navigator.language]),
+    temperatureUnit: appConfig().temperatureUnit,
+    capacityUnit: CAPACITY_DECIMAL,
+    powerOnUnit: POWER_ON_HOURS
+})
+
+/**
+ * Reads the stored settings, unknown or invalid values are dropped
+ * @returns {Object} Settings that were changed
+ */
+const loadStoredSettings = () => {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEY)) || {}
+        return Object.fromEntries(
+            Object.entries(stored).filter(([name, value]) => SETTING_VALUES[name]?.includes(value))
+        )
+    } catch {
+        return {}
+    }
+}
+
+/**
+ * Stores the settings, failures (private mode, quota) only cost them after a reload
+ * @param {Object} values - Settings that were changed
+ */
+const saveSettings = (values) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(values))
+    } catch (error) {
+        console.warn('Could not store the settings:', error)
+    }
+}
+
+// Shared by all views, set up by loadSettings
+const settings = ref(null)
+
+/**
+ * Applies the stored settings, to be called once config.json is loaded
+ */
+export const loadSettings = () => {
+    settings.value = { ...defaultSettings(), ...loadStoredSettings() }
+    setLocale(settings.value.locale)
+    watch(
+        settings,
+        (values) => {
+            setLocale(values.locale)
+            // Only what differs, the others keep following the browser and config.json
+            const defaults = defaultSettings()
+            saveSettings(
+                Object.fromEntries(
+                    Object.entries(values).filter(([name, value]) => value !== defaults[name])
+                )
+            )
+        },
+        { deep: true }
+    )
+}
+
+/**
+ * Language and unit preferences with the formatters that follow them
+ * @returns {Object} { settings, reset, formatCapacity, formatPowerOnTime, formatTemperature,
+ *                   formatVolume }
+ */
+export function useSettings() {
+    if (settings.value === null) {
+        loadSettings()
+    }
+
+    const reset = () => {
+        settings.value = defaultSettings()
+    }
+
+    // e.g. '17,532 h' or '2 years, 1 day'
+    const formatPowerOnTime = (hours) => {
+        if (settings.value.powerOnUnit === POWER_ON_HOURS) {
+            return t('units.hours', { hours })
+        }
+        const { years, days } = splitPowerOnHours(hours)
+        const parts = years ? [t('units.years', { count: years })] : []
+        return [...parts, t('units.days', { count: days })].join(', ')
+    }
+
+    return {
+        settings,
+        reset,
+        formatCapacity: (bytes) =>
+            formatCapacity(bytes, settings.value.capacityUnit, currentLocale()) ||
+            formatNumber(null),
+        formatPowerOnTime,
+        formatTemperature: (celsius) =>
+            celsius === null || celsius === undefined
+                ? formatNumber(null)
+                : formatTemperature(celsius, settings.value.temperatureUnit),
+        formatVolume: (tb) => formatVolume(tb, currentLocale()) || formatNumber(null)
+    }
+}
@@ -0,0 +1,194 @@
+import { useQuery, useQueryClient } from '@tanstack/vue-query'
+import axios from 'axios'
+import { computed, unref } from 'vue'
+import {
+    defaultHost,
+    getData,
+    smartQueryKeys,
+    transformDeviceFile
+} from '@/composables/useSmartMonitor'
+
+// Upper bound of snapshots fetched per device, long retention windows are sampled down to this
+const DEFAULT_MAX_POINTS = 60
+
+/**
+ * Metrics that are charted in the trends tab, each read from a transformed device
+ */
+export const TREND_METRICS = [
+    { key: 'temperature', label: 'Temperature', unit: '°C' },
+    { key: 'powerOnHours', label: 'Power-On Hours', unit: 'h' },
+    { key: 'reallocatedSectors', label: 'Reallocated Sectors', unit: '' },
+    { key: 'pendingSectors', label: 'Pending Sectors', unit: '' },
+    { key: 'percentageUsed', label: 'Percentage Used', unit: '%' },
+    { key: 'mediaErrors', label: 'Media Errors', unit: '' }
+]
+
+/**
+ * Fetches history/index.json which lists all retained snapshots
+ * @param {Object} host - Host whose history to read, defaults to the local data directory
+ * @returns {Promise<Object>} History index with the snapshots array
+ */
+const fetchHistoryIndex = (host = defaultHost()) => getData(`${host.baseUrl}/history/index.json`)
+
+/**
+ * Picks at most maxPoints snapshots evenly spread over the list, always keeping the newest one
+ * @param {Array<Object>} snapshots - Snapshots sorted oldest first
+ * @param {number} maxPoints - Maximum number of snapshots to return
+ * @returns {Array<Object>} Selected snapshots
+ */
+const sampleSnapshots = (snapshots, maxPoints) => {
+    if (snapshots.length <= maxPoints) {
+        return snapshots
+    }
+
+    const step = (snapshots.length - 1) / (maxPoints - 1)
+    const selected = []
+    for (let i = 0; i < maxPoints; i++) {
+        selected.push(snapshots[Math.round(i * step)])
+    }
+    return selected
+}
+
+/**
+ * Fetches an archived device file, kept in the query cache for good as it never changes
+ * @param {QueryClient} queryClient - Query client of the app
+ * @param {string} url - URL of the file in a history snapshot
+ * @returns {Promise<Object>} Raw device file
+ */
+const fetchSnapshotFile = (queryClient, url) =>
+    queryClient.fetchQuery({
+        queryKey: smartQueryKeys.snapshotFile(url),
+        queryFn: () => axios.get(url).then((res) => res.data),
+        staleTime: Infinity,
+        gcTime: Infinity
+    })
+
+/**
+ * Fetches the archived SMART files of a single device from all (sampled) history snapshots
+ *
+ * The history index is read again every time, only the snapshots new since the last call are
+ * downloaded.
+ * @param {QueryClient} queryClient - Query client of the app, caches the snapshot files
+ * @param {string} deviceName - Device name (e.g., 'sda', 'nvme0n1')
+ * @param {number} maxPoints - Maximum number of snapshots to fetch
+ * @param {Object} host - Host the device belongs to, defaults to the local data directory
+ * @returns {Promise<Array>} Raw device files, oldest first
+ */
+const fetchDeviceHistory = async (
+    queryClient,
+    deviceName,
+    maxPoints = DEFAULT_MAX_POINTS,
+    host = defaultHost()
+) => {
+    const historyIndex = await fetchHistoryIndex(host)
+    const fileName = `${deviceName}_smart.json`
+
+    const snapshots = (historyIndex?.snapshots || [])
+        .filter((snapshot) => snapshot.json_files?.includes(fileName))
+        .sort((a, b) => a.timestamp - b.timestamp)
+
+    const promises = sampleSnapshots(snapshots, maxPoints).map((snapshot) =>
+        fetchSnapshotFile(queryClient, `${host.baseUrl}/${snapshot.path}/${fileName}`)
+    )
+    const results = await Promise.allSettled(promises)
+
+    // A pruned or half-written snapshot should not break the whole chart
+    return results.filter((result) => result.status === 'fulfilled').map((result) => result.value)
+}
+
+/**
+ * Reads a numeric value out of a transformed SMART attribute's raw value
+ * @param {Object} device - Transformed device data
+ * @param {number|string} attributeId - ATA attribute id or NVMe attribute key
+ * @returns {number|null} Parsed raw value or null if the device has no such attribute
+ */
+const attributeRaw = (device, attributeId) => {
+    const attr = device.smartAttributes.find((a) => a.id === attributeId)
+    if (!attr) {
+        return null
+    }
+    const value = parseInt(attr.raw)
+    return Number.isNaN(value) ? null : value
+}
+
+/**
+ * Converts one raw device file into a single point of the trend series
+ * @param {Object} deviceData - Raw device data from a history snapshot
+ * @returns {Object|null} Trend point or null if the file could not be transformed
+ */
+const toTrendPoint = (deviceData) => {
+    const { device } = transformDeviceFile(deviceData)
+    if (!device || !device.timestamp) {
+        return null
+    }
+
+    return {
+        id: device.id,
+        timestamp: device.timestamp,
+        temperature: device.temperature,
+        powerOnHours: device.powerOnHours || null,
+        reallocatedSectors: attributeRaw(device, 5),
+        pendingSectors: attributeRaw(device, 197),
+        percentageUsed: attributeRaw(device, 'percentage_used'),
+        mediaErrors: attributeRaw(device, 'media_errors')
+    }
+}
+
+/**
+ * Builds the trend series of a device from its archived files
+ * @param {Array<Object>} deviceDataList - Raw device files
+ * @param {string|null} identity - Drive identity to keep, snapshots taken while the device name
+ *                                 pointed to another drive are left out
+ * @returns {Object} Points sorted by time and the metrics that have at least one value
+ */
+const buildTrendSeries = (deviceDataList, identity = null) => {
+    const points = deviceDataList
+        .map(toTrendPoint)
+        .filter((point) => point && (!identity || point.id === identity))
+        .sort((a, b) => a.timestamp - b.timestamp)
+
+    const metrics = TREND_METRICS.filter((metric) =>
+        points.some((point) => point[metric.key] !== null && point[metric.key] !== undefined)
+    )
+
+    return { points, metrics }
+}
+
+/**
+ * Composable for the trend charts of a single device
+ * @param {Ref<string>} deviceName - Device name to load the history for
+ * @param {Object} options - { maxPoints } upper bound of snapshots to fetch,
+ *                           { host } host (or Ref of it) the device belongs to,
+ *                           { identity } drive identity (or Ref of it) the snapshots must match
+ * @returns {Object} Trend series and query state
+ */
+export function useSmartHistory(deviceName, options = {}) {
+    const maxPoints = options.maxPoints || DEFAULT_MAX_POINTS
+    const host = computed(() => unref(options.host) || defaultHost())
+    const queryClient = useQueryClient()
+
+    // Reloaded with the data files of the current run, a run adds a snapshot
+    const historyQuery = useQuery({
+        queryKey: computed(() =>
+            smartQueryKeys.history(host.value.name, deviceName.value, maxPoints)
+        ),
+        queryFn: () => fetchDeviceHistory(queryClient, deviceName.value, maxPoints, host.value),
+        enabled: computed(() => !!deviceName.value),
+        // a missing history/index.json just means history is disabled, don't hammer it
+        retry: false,
+        select: (deviceDataList) => buildTrendSeries(deviceDataList, unref(options.identity) || null)
+    })
+
+    const series = computed(() => historyQuery.data.value || { points: [], metrics: [] })
+
+    return {
+        series,
+        hasHistory: computed(() => series.value.points.length > 1),
+        isLoading: computed(() => historyQuery.isLoading.value),
+        isError: computed(() => historyQuery.isError.value),
+        error: computed(() => historyQuery.error.value),
+        refresh: () => historyQuery.refetch()
+    }
+}
+
+export { fetchHistoryIndex, fetchDeviceHistory, sampleSnapshots, buildTrendSeries }
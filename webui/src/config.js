@@ -0,0 +1,81 @@
+import axios from 'axios'
+import { configProblems, normalizeConfig } from '@/smart/appConfig'
+import { DEFAULT_MAX_AGE_HOURS } from '@/smart/staleness'
+import { DEFAULT_WARRANTY_WARN_DAYS } from '@/smart/inventory'
+import { CELSIUS } from '@/smart/units'
+
+// Loaded from next to index.html, see smart/appConfig.js for the fields
+export const CONFIG_URL = `${import.meta.env.BASE_URL}config.json`
+
+const env = import.meta.env
+
+/**
+ * Reads a number from a build-time variable
+ * @param {string} value - Value of the VITE_ variable
+ * @param {number} fallback - Default if the variable is not set or not a number of 0 or more
+ * @returns {number} Number
+ */
+const envNumber = (value, fallback) =>
+    value !== undefined && value !== '' && Number(value) >= 0 ? Number(value) : fallback
+
+// Build-time defaults, config.json overrides them. The dev server serves the sample data.
+const DEFAULT_CONFIG = {
+    title: 'nano SMART',
+    dataUrl: env.VITE_SMART_API_URL || (env.DEV ? '/sampledata' : '/api/smart'),
+    hosts: null,
+    // The cron job runs daily or hourly, checking every 5 minutes is plenty for a wallboard
+    refreshSeconds: envNumber(env.VITE_SMART_REFRESH_SECONDS, 300),
+    maxAgeHours: Number(env.VITE_SMART_MAX_AGE_HOURS) || DEFAULT_MAX_AGE_HOURS,
+    warrantyWarnDays: envNumber(env.VITE_SMART_WARRANTY_WARN_DAYS, DEFAULT_WARRANTY_WARN_DAYS),
+    temperatureUnit: CELSIUS,
+    auth: null,
+    headers: {}
+}
+
+let config = DEFAULT_CONFIG
+
+/**
+ * Effective configuration, the defaults until loadConfig succeeded
+ * @returns {Object} Config, see smart/appConfig.js
+ */
+export const appConfig = () => config
+
+/**
+ * Loads config.json, to be awaited before the app is mounted
+ *
+ * A missing file keeps the defaults. Static servers with an SPA fallback answer a missing file with
+ * index.html, which counts as missing too.
+ *
+ * @returns {Promise<Array<string>>} Problems that keep the app from starting, empty if it can
+ */
+export const loadConfig = async () => {
+    let response
+    try {
+        response = await axios.get(CONFIG_URL)
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return []
+        }
+        return [`${CONFIG_URL} could not be loaded: ${error.message}`]
+    }
+    if (String(response.headers?.['content-type']).includes('text/html')) {
+        return []
+    }
+    if (typeof response.data === 'string') {
+        return [`${CONFIG_URL} is not valid JSON`]
+    }
+
+    const problems = configProblems(response.data, DEFAULT_CONFIG)
+    if (problems.length) {
+        return problems
+    }
+
+    config = normalizeConfig(response.data, DEFAULT_CONFIG)
+    // Sent with every data request, config.json itself is loaded without them
+    if (config.auth) {
+        axios.defaults.auth = config.auth
+    }
+    Object.assign(axios.defaults.headers.common, config.headers)
+    document.title = config.title
+    return []
+}
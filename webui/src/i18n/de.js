@@ -0,0 +1,446 @@
+/**
+ * German messages, same keys as en.js
+ */
+export default {
+    common: {
+        backToOverview: 'Zur Übersicht',
+        retry: 'Erneut versuchen',
+        unknownError: 'Unbekannter Fehler',
+        notAvailable: 'k. A.',
+        couldNotLoad: '{url} konnte nicht geladen werden: {message}',
+        loadingData: 'SMART-Daten werden geladen...',
+        loadError: 'Fehler beim Laden der SMART-Daten: {message}',
+        written: '{volume} geschrieben'
+    },
+
+    status: {
+        Good: 'Gut',
+        Warning: 'Warnung',
+        Critical: 'Kritisch',
+        Unknown: 'Unbekannt'
+    },
+
+    risk: {
+        low: 'gering',
+        elevated: 'erhöht',
+        high: 'hoch',
+        'very high': 'sehr hoch',
+        noPredictors: 'Keine Ausfallindikatoren gemeldet'
+    },
+
+    warranty: {
+        active: 'aktiv',
+        expired: 'abgelaufen',
+        daysLeft: { one: 'noch {count} Tag', other: 'noch {count} Tage' },
+        expiredDaysAgo: {
+            one: 'seit {count} Tag abgelaufen',
+            other: 'seit {count} Tagen abgelaufen'
+        }
+    },
+
+    age: {
+        unknown: 'unbekannt',
+        justNow: 'vor weniger als einer Minute'
+    },
+
+    units: {
+        hours: '{hours} h',
+        years: { one: '{count} Jahr', other: '{count} Jahre' },
+        days: { one: '{count} Tag', other: '{count} Tage' }
+    },
+
+    drive: {
+        moved: 'Laufwerk verschoben',
+        replaced: 'Laufwerk ersetzt',
+        movedText: '{model} ({serial}) ist jetzt {name}, vorher war es {previousName}',
+        replacedText:
+            '{name} ist jetzt {model} ({serial}), vorher war es {previousModel} ({previousSerial})'
+    },
+
+    settings: {
+        title: 'Einstellungen',
+        language: 'Sprache',
+        temperature: 'Temperatur',
+        capacity: 'Kapazität',
+        capacityDecimal: 'Dezimal (GB, TB)',
+        capacityBinary: 'Binär (GiB, TiB)',
+        powerOnTime: 'Betriebszeit',
+        powerOnHours: 'Stunden',
+        powerOnYears: 'Jahre und Tage',
+        stored: 'In diesem Browser gespeichert.',
+        reset: 'Zurücksetzen'
+    },
+
+    refresh: {
+        off: 'Aus',
+        everyHours: 'Alle {count} h',
+        everyMinutes: 'Alle {count} min',
+        everySeconds: 'Alle {count} s',
+        refreshing: 'Wird aktualisiert...',
+        nextIn: 'Nächste Aktualisierung in {time}',
+        interval: 'Automatische Aktualisierung',
+        now: 'Jetzt aktualisieren'
+    },
+
+    report: {
+        export: 'Exportieren',
+        'devices-csv': 'Geräte (CSV)',
+        'attributes-csv': 'Attribute (CSV)',
+        json: 'Normalisierte Daten (JSON)',
+        html: 'Druckbarer Bericht (HTML)'
+    },
+
+    serviceWorker: {
+        offlineSince: 'Offline – Daten vom {time}',
+        offline: 'Offline – zuvor geladene Daten',
+        updateAvailable: 'Eine neue Version von nano Smart ist verfügbar.',
+        reload: 'Neu laden'
+    },
+
+    overview: {
+        staleHosts: {
+            one: 'Die SMART-Daten von {count} Host sind veraltet:',
+            other: 'Die SMART-Daten von {count} Hosts sind veraltet:'
+        },
+        lastRun: '(letzter Lauf {ago})',
+        staleSingle: 'Die SMART-Daten sind veraltet: der letzte Lauf war {ago} ({time}).',
+        staleHint:
+            'Prüfen Sie, ob der smart_monitor-Cronjob noch läuft. Ergebnisse, die älter als {hours} Stunden sind, werden so angezeigt, wie sie zuletzt erfasst wurden.',
+        acknowledge: 'Bestätigen',
+        expiringWarranties: {
+            one: 'Bei {count} Laufwerk endet die Garantie innerhalb von {days} Tagen:',
+            other: 'Bei {count} Laufwerken endet die Garantie innerhalb von {days} Tagen:'
+        },
+        storageDevices: 'Speichergeräte',
+        statsTotal: '{count} gesamt',
+        statsTotalOnHosts: '{count} gesamt auf {hosts} Hosts',
+        statsWarnings: { one: '{count} Warnung', other: '{count} Warnungen' },
+        statsCritical: '{count} kritisch',
+        statsStale: '{count} veraltet',
+        statsMissing: '{count} fehlend',
+        statsDegraded: '{count} beschädigt',
+        hostStats: '{total} Geräte, {warning} Warnungen, {critical} kritisch',
+        inventory: 'Inventar',
+        compareSelected: 'Auswahl vergleichen ({count})',
+        lastCheck: 'Letzte Prüfung: {time}',
+        unreachable: 'Nicht erreichbar',
+        dataProblems: 'Datenprobleme',
+        files: { one: '{count} Datei', other: '{count} Dateien' },
+        problemHttp: 'HTTP-Fehler',
+        problemParse: 'Syntaxfehler',
+        problemSchema: 'Schemaverletzung'
+    },
+
+    table: {
+        device: 'Gerät',
+        model: 'Modell',
+        location: 'Standort',
+        size: 'Größe',
+        health: 'Zustand',
+        risk: 'Risiko',
+        errors: 'Fehler',
+        powerOnTime: 'Betriebszeit',
+        lifeLeft: 'Restlebensdauer',
+        warranty: 'Garantie',
+        actions: 'Aktionen',
+        details: 'Details',
+        stale: 'veraltet',
+        missing: 'fehlt',
+        degraded: 'beschädigt',
+        staleTitle: 'Erfasst {time}, vor dem letzten Lauf',
+        degradedTitle: 'Teile von {file} sind ungültig:'
+    },
+
+    compare: {
+        title: 'Geräte vergleichen',
+        onlyDifferences: 'Nur abweichende Attribute anzeigen ({count})',
+        selectTwo: 'Wählen Sie in der Übersicht mindestens zwei Geräte zum Vergleichen aus.',
+        loading: 'Geräte werden geladen...',
+        noDifferences: 'Keine abweichenden Attribute',
+        attribute: 'Attribut',
+        notReported: 'nicht gemeldet',
+        unknownHost: '{key}: unbekannter Host "{host}"',
+        notLoaded: '{key}: konnte nicht geladen werden',
+        noSmartData: '{key}: Datei enthält keine SMART-Daten'
+    },
+
+    inventory: {
+        title: 'Laufwerksinventar',
+        help: 'Einschub, Kaufdatum, Händler, Garantieende und Notizen stammen aus der inventory.json neben der index.json jedes Hosts. Änderungen bleiben bis zum Neuladen der Seite erhalten: Exportieren Sie die Datei und ersetzen Sie die auf dem Server, um sie zu behalten.',
+        notExported: 'Nicht exportiert',
+        export: 'inventory.json exportieren',
+        discard: 'Änderungen verwerfen',
+        device: 'Gerät',
+        notPresent: 'nicht vorhanden',
+        serial: 'Seriennummer',
+        location: 'Standort',
+        purchaseDate: 'Kaufdatum',
+        vendor: 'Händler',
+        warrantyEnd: 'Garantieende',
+        notes: 'Notizen',
+        locationPlaceholder: 'Einschub 3'
+    },
+
+    notFound: {
+        title: 'Seite nicht gefunden',
+        heading: '404 - Seite nicht gefunden',
+        text: 'Die gesuchte Seite existiert nicht oder wurde verschoben.',
+        home: 'Zur Startseite'
+    },
+
+    detail: {
+        title: 'Gerätedetails',
+        loading: 'Gerätedetails werden geladen...',
+        loadError: 'Fehler beim Laden der Gerätedetails: {message}',
+        unknownHost: 'Unbekannter Host "{host}"',
+        unknownDrive: 'Kein Laufwerk mit der Seriennummer "{serial}" gefunden',
+        degradedData: 'Beschädigte Daten:',
+        degradedText:
+            'Teile von {file} sind ungültig, die angezeigten Werte sind möglicherweise unvollständig.',
+
+        deviceInformation: 'Geräteinformationen',
+        deviceName: 'Gerätename:',
+        model: 'Modell:',
+        deviceType: 'Gerätetyp:',
+        serial: 'Seriennummer:',
+        firmware: 'Firmware:',
+        size: 'Größe:',
+        powerOnTime: 'Betriebszeit:',
+        lastCheck: 'Letzte Prüfung:',
+        healthStatus: 'Zustand:',
+        lastShortTest: 'Letzter Kurztest:',
+        lastExtendedTest: 'Letzter erweiterter Test:',
+        never: 'Nie',
+        today: 'heute',
+        overdue: 'Überfällig',
+        noTestLogged: 'Kein Test protokolliert',
+        overdueTitle: 'Älter als der Testplan erlaubt',
+        noTestLoggedTitle: 'Das Selbsttest-Protokoll enthält keinen erfolgreichen Test dieser Art',
+        whyThisStatus: 'Grund für diesen Zustand:',
+
+        inventory: 'Inventar',
+        edit: 'Bearbeiten',
+        location: 'Standort:',
+        vendor: 'Händler:',
+        purchaseDate: 'Kaufdatum:',
+        warrantyEnd: 'Garantieende:',
+        notes: 'Notizen:',
+        noInventoryEntry: 'Kein Inventareintrag für die Seriennummer {serial}.',
+
+        failureRisk: 'Ausfallrisiko',
+        riskScore: '{score} / 100, {level}',
+        riskText:
+            'Der Wert summiert die Attribute, die in Feldstudien Laufwerksausfälle vorhersagen, auch wenn das Laufwerk seine SMART-Selbstbewertung noch besteht. Die ersten Vorkommen wiegen am meisten, jeder Faktor ist begrenzt.',
+        noRiskFactors: 'Keiner der Ausfallindikatoren ist größer als null.',
+
+        diagnostics: 'Erfassungsdiagnose',
+        exitStatusBits: {
+            one: '{count} Bit im Exit-Status gesetzt',
+            other: '{count} Bits im Exit-Status gesetzt'
+        },
+        diagnosticsText:
+            'smartctl meldet in den Bits seines Exit-Status, was ihm beim Lesen des Laufwerks aufgefallen ist. Bits, die für den Zustand relevant sind, werden auch unter "Grund für diesen Zustand" aufgeführt.',
+        notCollected: 'nicht erfasst',
+        exitStatus: 'Exit-Status {status}',
+        bit: 'Bit {bit}',
+
+        scsiHealth: 'SCSI-Zustand:',
+        transport: 'Transport:',
+        manufactured: 'Hergestellt:',
+        grownDefects: 'Neue Defekte:',
+        startStopCycles: 'Start-Stopp-Zyklen:',
+        loadUnloadCycles: 'Lade-/Entladezyklen:',
+        enduranceUsed: 'Verbrauchte Lebensdauer:',
+        temperature: 'Temperatur:',
+        tripTemperature: 'Abschalttemperatur:',
+        cyclesOf: '{count} von {specified}',
+        errorCounters: 'Fehlerzähler',
+        corrected: 'Korrigiert',
+        uncorrected: 'Nicht korrigiert',
+        gbProcessed: 'GB verarbeitet',
+        read: 'Lesen',
+        write: 'Schreiben',
+        verify: 'Prüfen',
+
+        endurance: 'Lebensdauer',
+        dataWritten: 'Geschrieben:',
+        dataRead: 'Gelesen:',
+        dailyWrites: 'Täglich geschrieben:',
+        dailyWritesValue: '{gb} GB pro Betriebstag',
+        remainingLife: 'Restlebensdauer:',
+        ratedEndurance: 'Nennlebensdauer:',
+        ratedTbw: '{tbw} TBW',
+        notConfigured: 'Nicht konfiguriert, siehe endurance in rules.json',
+        projectedWearOut: 'Voraussichtlich verschlissen:',
+        wearOutTbw: 'Bei der bisherigen durchschnittlichen Schreibrate, gemessen an der Nenn-TBW',
+        wearOutPercentageUsed:
+            'Hochgerechnet aus dem Verschleiß, den das Laufwerk meldet, keine Nenn-TBW konfiguriert',
+        wearOutNone: 'Noch keine Daten geschrieben oder keine Nennwerte für eine Prognose',
+
+        smartAttributes: 'SMART-Attribute',
+        decodeRaw: 'Rohwert von {name} entschlüsseln',
+        attributeName: 'Attribut',
+        description: 'Beschreibung',
+        value: 'Wert',
+        worst: 'Schlechtester',
+        threshold: 'Schwellwert',
+        rawValue: 'Rohwert',
+        status: 'Status',
+        rule: 'Regel',
+        decodedRaw: 'Entschlüsselter Rohwert',
+        set: 'gesetzt',
+        notSet: 'nicht gesetzt',
+
+        selftestLog: 'Selbsttest-Protokoll',
+        dateEstimated: 'Datum (geschätzt)',
+        powerOnHours: 'Betriebsstunden',
+        testType: 'Testart',
+        remaining: 'Verbleibend',
+        firstFailure: 'Erster Fehler',
+        lba: 'LBA {lba}',
+        segment: 'Segment {segment}',
+
+        errorLog: 'Fehlerprotokoll',
+        errorLogTruncated:
+            'Das Gerät meldet insgesamt {count} Fehler, das Protokoll enthält nur die letzten {held}.',
+        noErrors: 'Keine Fehler protokolliert',
+        lifetimeHours: 'Betriebsstunden',
+        command: 'Befehl',
+        registers: 'Register / Zustand',
+
+        trends: 'Verlauf',
+        loadingHistory: 'Verlauf wird geladen...',
+        noHistory:
+            'Für dieses Gerät gibt es noch nicht genug Verlaufsdaten. Der Verlauf erscheint, sobald das Cron-Skript mindestens zwei Läufe archiviert hat (HISTORY_ENABLED in smart_monitor.conf).'
+    },
+
+    trends: {
+        temperature: 'Temperatur',
+        powerOnHours: 'Betriebsstunden',
+        reallocatedSectors: 'Neu zugewiesene Sektoren',
+        pendingSectors: 'Ausstehende Sektoren',
+        percentageUsed: 'Verbrauchte Lebensdauer',
+        mediaErrors: 'Medienfehler'
+    },
+
+    attributes: {
+        // NVMe attributes
+        'Critical Warning': 'Gesamtzustand des Geräts',
+        'Available Spare': 'Anteil der verfügbaren Reserveblöcke',
+        'Percentage Used': 'Geschätzter Anteil der verbrauchten Lebensdauer',
+        'Media Errors': 'Beim Lesen und Schreiben erkannte Medienfehler',
+        'Error Log Entries': 'Anzahl der Einträge im Fehlerprotokoll',
+        'Unsafe Shutdowns': 'Wie oft das Gerät unerwartet ausgeschaltet wurde',
+
+        // Common ATA SMART attributes
+        Raw_Read_Error_Rate: 'Rate der nicht korrigierten Lesefehler',
+        Throughput_Performance: 'Allgemeiner Leistungsindikator des Geräts',
+        Spin_Up_Time: 'Zeit zum Hochfahren des Laufwerks aus dem Stillstand',
+        Start_Stop_Count: 'Anzahl der Start-Stopp-Zyklen',
+        Reallocated_Sector_Ct: 'Anzahl der neu zugewiesenen Sektoren',
+        Seek_Error_Rate: 'Rate der Positionierungsfehler im Betrieb',
+        Seek_Time_Performance: 'Durchschnittliche Positionierungsleistung',
+        Power_On_Hours: 'Gesamte Betriebszeit des Geräts',
+        Spin_Retry_Count: 'Anzahl der wiederholten Hochfahrversuche',
+        Helium_Level: 'Heliumstand bei heliumgefüllten Laufwerken',
+        'Power-Off_Retract_Count': 'Anzahl der Kopfparkvorgänge beim Ausschalten',
+        Load_Cycle_Count: 'Anzahl der Lade-/Entladezyklen',
+        Temperature_Celsius: 'Aktuelle Betriebstemperatur',
+        Reallocated_Event_Count: 'Anzahl der Neuzuweisungen',
+        Current_Pending_Sector: 'Anzahl der Sektoren, die auf Neuzuweisung warten',
+        Offline_Uncorrectable: 'Offline gefundene, nicht korrigierbare Sektoren',
+        UDMA_CRC_Error_Count: 'Anzahl der UltraDMA-CRC-Fehler',
+
+        // Alternative naming variations
+        Temperature: 'Aktuelle Betriebstemperatur in Celsius',
+        'Power-On Hours': 'Gesamte Betriebszeit des Geräts',
+        'Power Cycles': 'Anzahl der Ein-/Ausschaltzyklen',
+        'SMART Status': 'SMART-Gesamtzustand des Geräts',
+        'Reallocated Sectors Count': 'Anzahl der neu zugewiesenen Sektoren',
+        'Current Pending Sectors': 'Anzahl der Sektoren, die auf Neuzuweisung warten',
+        'Uncorrectable Sectors': 'Anzahl der nicht korrigierbaren Sektoren',
+        'Spin Retry Count': 'Anzahl der wiederholten Hochfahrversuche',
+        'Calibration Retry Count': 'Anzahl der wiederholten Kalibrierungen',
+        'Power Cycle Count': 'Anzahl der Ein-/Ausschaltzyklen',
+        'Soft Read Error Rate': 'Rate der korrigierbaren Lesefehler',
+        'End-to-End Error': 'Datenintegritätsfehler',
+        'Reported Uncorrectable Errors': 'Gemeldete nicht korrigierbare Fehler',
+        'High Fly Writes': 'Schreibvorgänge mit zu hoher Kopfflughöhe',
+        'Airflow Temperature': 'Temperatur des Luftstroms um das Laufwerk',
+        'G-Sense Error Rate': 'Rate der Erschütterungsfehler',
+        'Power-Off Retract Count': 'Anzahl der Kopfparkvorgänge beim Ausschalten',
+        'Load Cycle Count': 'Anzahl der Lade-/Entladezyklen',
+        'Hardware ECC Recovered': 'Per Hardware-ECC behobene Fehler',
+        'Reallocation Event Count': 'Anzahl der Neuzuweisungen',
+        'Current Pending Sector Count': 'Sektoren, die auf Neuzuweisung warten',
+        'Offline Uncorrectable': 'Offline gefundene, nicht korrigierbare Sektoren',
+        'UltraDMA CRC Error Count': 'UltraDMA-CRC-Fehler',
+        'Multi Zone Error Rate': 'Fehlerrate über mehrere Zonen',
+        'Seek Error Rate': 'Rate der Positionierungsfehler',
+        'Spin Up Time': 'Zeit zum Hochfahren aus dem Stillstand',
+        'Start Stop Count': 'Anzahl der Start-Stopp-Zyklen',
+        'Reallocated Sector Count': 'Anzahl der neu zugewiesenen Sektoren',
+        'Seek Time Performance': 'Positionierungsleistung',
+        'Power On Hours Count': 'Gesamte Betriebszeit',
+
+        // SCSI/SAS log pages
+        'Grown Defect List':
+            'Defekte, die das Laufwerk seit der Auslieferung gefunden und ersetzt hat',
+        'Read Errors Corrected': 'Per ECC oder erneutem Lesen korrigierte Lesefehler',
+        'Read Errors Uncorrected': 'Lesefehler, die das Laufwerk nicht korrigieren konnte',
+        'Read Gigabytes Processed': 'Seit dem Zurücksetzen der Zähler gelesene Daten',
+        'Write Errors Corrected': 'Per ECC oder erneutem Schreiben korrigierte Schreibfehler',
+        'Write Errors Uncorrected': 'Schreibfehler, die das Laufwerk nicht korrigieren konnte',
+        'Write Gigabytes Processed': 'Seit dem Zurücksetzen der Zähler geschriebene Daten',
+        'Verify Errors Corrected': 'Per ECC oder erneutem Lesen korrigierte Prüffehler',
+        'Verify Errors Uncorrected': 'Prüffehler, die das Laufwerk nicht korrigieren konnte',
+        'Verify Gigabytes Processed': 'Seit dem Zurücksetzen der Zähler geprüfte Daten',
+        'Start-Stop Cycles':
+            'Start-Stopp-Zyklen der Spindel, der Wert ist der verbleibende Anteil der spezifizierten Anzahl',
+        'Load-Unload Cycles':
+            'Lade-/Entladezyklen der Köpfe, der Wert ist der verbleibende Anteil der spezifizierten Anzahl',
+        'Percentage Used Endurance': 'Geschätzter Anteil der verbrauchten SSD-Lebensdauer'
+    },
+
+    attributeHints: {
+        errorRate: 'Fehlerrate im Betrieb',
+        errorCount: 'Anzahl der erkannten Fehler',
+        temperature: 'Aktuelle Betriebstemperatur',
+        powerOn: 'Gesamte Betriebszeit des Geräts',
+        powerCycle: 'Anzahl der Ein-/Ausschaltzyklen',
+        reallocated: 'Anzahl der neu zugewiesenen Sektoren',
+        pending: 'Anzahl der Sektoren, die auf Verarbeitung warten',
+        uncorrectable: 'Anzahl der nicht korrigierbaren Sektoren',
+        seek: 'Positionierungszeit und -leistung',
+        spin: 'Hochfahrleistung des Laufwerks',
+        loadCycle: 'Anzahl der Lade-/Entladezyklen',
+        crc: 'Erkennung und Zählung von CRC-Fehlern',
+        throughput: 'Allgemeiner Leistungsindikator des Geräts',
+        helium: 'Heliumstand bei heliumgefüllten Laufwerken',
+        generic: 'SMART-Attribut: {name}'
+    },
+
+    selftests: {
+        'Short Self-Test': 'Schnelle Diagnose des Laufwerkszustands (meist 1-2 Minuten)',
+        'Extended Self-Test': 'Umfassende Diagnose des Laufwerkszustands (meist 1-4 Stunden)',
+        'Conveyance Test': 'Test auf Transportschäden',
+        'Power-On Self-Test': 'Automatischer Test beim Einschalten des Laufwerks',
+        'Power-Off Self-Test': 'Test beim Ausschalten des Laufwerks',
+        'Load/Unload Cycle': 'Test des Lade- und Entlademechanismus der Köpfe',
+        Calibration: 'Test der genauen Positionierung und Ausrichtung der Köpfe',
+        'SMART Self-Test': 'Standard-SMART-Selbsttest',
+        'Background Scan': 'Überprüfung im Hintergrund',
+        'Selective Test': 'Gezielter Test ausgewählter Bereiche',
+        Other: 'Selbsttest unbekannter Art'
+    },
+
+    selftestHints: {
+        short: 'Schnelle Diagnose des Laufwerkszustands',
+        extended: 'Umfassende Diagnose des Laufwerkszustands',
+        nvme: 'NVMe-spezifischer Zustandstest',
+        smart: 'SMART-Diagnosetest',
+        health: 'Zustands- und Diagnosetest',
+        background: 'Überwachung und Prüfung im Hintergrund',
+        generic: 'Testart: {type}'
+    }
+}
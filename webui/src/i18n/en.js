@@ -0,0 +1,448 @@
+/**
+ * English messages, the reference catalog, see i18n/index.js
+ */
+export default {
+    common: {
+        backToOverview: 'Back to Overview',
+        retry: 'Retry',
+        unknownError: 'Unknown error',
+        notAvailable: 'N/A',
+        couldNotLoad: 'Could not load {url}: {message}',
+        loadingData: 'Loading SMART data...',
+        loadError: 'Error loading SMART data: {message}',
+        written: '{volume} written'
+    },
+
+    status: {
+        Good: 'Good',
+        Warning: 'Warning',
+        Critical: 'Critical',
+        Unknown: 'Unknown'
+    },
+
+    risk: {
+        low: 'low',
+        elevated: 'elevated',
+        high: 'high',
+        'very high': 'very high',
+        noPredictors: 'No failure predictors reported'
+    },
+
+    warranty: {
+        active: 'active',
+        expired: 'expired',
+        daysLeft: { one: '{count} day left', other: '{count} days left' },
+        expiredDaysAgo: { one: 'expired {count} day ago', other: 'expired {count} days ago' }
+    },
+
+    age: {
+        unknown: 'unknown',
+        justNow: 'less than a minute ago'
+    },
+
+    units: {
+        hours: '{hours} h',
+        years: { one: '{count} year', other: '{count} years' },
+        days: { one: '{count} day', other: '{count} days' }
+    },
+
+    drive: {
+        moved: 'Drive moved',
+        replaced: 'Drive replaced',
+        movedText: '{model} ({serial}) is now {name}, before it was {previousName}',
+        replacedText:
+            '{name} now holds {model} ({serial}), before it was {previousModel} ({previousSerial})'
+    },
+
+    settings: {
+        title: 'Settings',
+        language: 'Language',
+        temperature: 'Temperature',
+        capacity: 'Capacity',
+        capacityDecimal: 'Decimal (GB, TB)',
+        capacityBinary: 'Binary (GiB, TiB)',
+        powerOnTime: 'Power-on time',
+        powerOnHours: 'Hours',
+        powerOnYears: 'Years and days',
+        stored: 'Stored in this browser.',
+        reset: 'Reset'
+    },
+
+    refresh: {
+        off: 'Off',
+        everyHours: 'Every {count} h',
+        everyMinutes: 'Every {count} min',
+        everySeconds: 'Every {count} s',
+        refreshing: 'Refreshing...',
+        nextIn: 'Next refresh in {time}',
+        interval: 'Background refresh',
+        now: 'Refresh now'
+    },
+
+    // Export menu, by format of smart/report.js
+    report: {
+        export: 'Export',
+        'devices-csv': 'Devices (CSV)',
+        'attributes-csv': 'Attributes (CSV)',
+        json: 'Normalized data (JSON)',
+        html: 'Printable report (HTML)'
+    },
+
+    serviceWorker: {
+        offlineSince: 'Offline – showing data from {time}',
+        offline: 'Offline – showing previously fetched data',
+        updateAvailable: 'A new version of nano Smart is available.',
+        reload: 'Reload'
+    },
+
+    overview: {
+        staleHosts: {
+            one: 'SMART data is out of date on {count} host:',
+            other: 'SMART data is out of date on {count} hosts:'
+        },
+        lastRun: '(last run {ago})',
+        staleSingle: 'SMART data is out of date: the last run was {ago} ({time}).',
+        staleHint:
+            'Check that the smart_monitor cron job is still running, results older than {hours} hours are shown as they were last collected.',
+        acknowledge: 'Acknowledge',
+        expiringWarranties: {
+            one: '{count} drive reaches the end of the warranty within {days} days:',
+            other: '{count} drives reach the end of the warranty within {days} days:'
+        },
+        storageDevices: 'Storage Devices',
+        statsTotal: '{count} total',
+        statsTotalOnHosts: '{count} total on {hosts} hosts',
+        statsWarnings: { one: '{count} warning', other: '{count} warnings' },
+        statsCritical: '{count} critical',
+        statsStale: '{count} stale',
+        statsMissing: '{count} missing',
+        statsDegraded: '{count} degraded',
+        hostStats: '{total} devices, {warning} warnings, {critical} critical',
+        inventory: 'Inventory',
+        compareSelected: 'Compare selected ({count})',
+        lastCheck: 'Last check: {time}',
+        unreachable: 'Unreachable',
+        dataProblems: 'Data problems',
+        files: { one: '{count} file', other: '{count} files' },
+        problemHttp: 'HTTP error',
+        problemParse: 'Parse error',
+        problemSchema: 'Schema violation'
+    },
+
+    table: {
+        device: 'Device',
+        model: 'Model',
+        location: 'Location',
+        size: 'Size',
+        health: 'Health',
+        risk: 'Risk',
+        errors: 'Errors',
+        powerOnTime: 'Power-On Time',
+        lifeLeft: 'Life Left',
+        warranty: 'Warranty',
+        actions: 'Actions',
+        details: 'Details',
+        stale: 'stale',
+        missing: 'missing',
+        degraded: 'degraded',
+        staleTitle: 'Collected {time}, before the last run',
+        degradedTitle: 'Parts of {file} are invalid:'
+    },
+
+    compare: {
+        title: 'Compare Devices',
+        onlyDifferences: 'Show only differing attributes ({count})',
+        selectTwo: 'Select at least two devices in the overview to compare them.',
+        loading: 'Loading devices...',
+        noDifferences: 'No differing attributes',
+        attribute: 'Attribute',
+        notReported: 'not reported',
+        unknownHost: '{key}: unknown host "{host}"',
+        notLoaded: '{key}: could not be loaded',
+        noSmartData: '{key}: file contains no SMART data'
+    },
+
+    inventory: {
+        title: 'Drive Inventory',
+        help: "Bay, purchase date, vendor, warranty end and notes are read from the inventory.json next to each host's index.json. The changes made here are kept until the page is reloaded: export the file and replace the one on the server to keep them.",
+        notExported: 'Not exported',
+        export: 'Export inventory.json',
+        discard: 'Discard changes',
+        device: 'Device',
+        notPresent: 'not present',
+        serial: 'Serial Number',
+        location: 'Location',
+        purchaseDate: 'Purchase Date',
+        vendor: 'Vendor',
+        warrantyEnd: 'Warranty End',
+        notes: 'Notes',
+        locationPlaceholder: 'Bay 3'
+    },
+
+    notFound: {
+        title: 'Page Not Found',
+        heading: '404 - Page Not Found',
+        text: 'The page you are looking for does not exist or has been moved.',
+        home: 'Go to Home'
+    },
+
+    detail: {
+        title: 'Device Details',
+        loading: 'Loading device details...',
+        loadError: 'Error loading device details: {message}',
+        unknownHost: 'Unknown host "{host}"',
+        unknownDrive: 'No drive with serial number "{serial}" found',
+        degradedData: 'Degraded data:',
+        degradedText: 'parts of {file} are invalid, the values shown may be incomplete.',
+
+        deviceInformation: 'Device Information',
+        deviceName: 'Device Name:',
+        model: 'Model:',
+        deviceType: 'Device Type:',
+        serial: 'Serial Number:',
+        firmware: 'Firmware:',
+        size: 'Size:',
+        powerOnTime: 'Power-On Time:',
+        lastCheck: 'Last Check:',
+        healthStatus: 'Health Status:',
+        lastShortTest: 'Last Short Test:',
+        lastExtendedTest: 'Last Extended Test:',
+        never: 'Never',
+        today: 'today',
+        overdue: 'Overdue',
+        noTestLogged: 'No test logged',
+        overdueTitle: 'Older than the test schedule allows',
+        noTestLoggedTitle: 'The self-test log has no successful test of this kind',
+        whyThisStatus: 'Why this status:',
+
+        inventory: 'Inventory',
+        edit: 'Edit',
+        location: 'Location:',
+        vendor: 'Vendor:',
+        purchaseDate: 'Purchase Date:',
+        warrantyEnd: 'Warranty End:',
+        notes: 'Notes:',
+        noInventoryEntry: 'No inventory entry for serial number {serial}.',
+
+        failureRisk: 'Failure Risk',
+        riskScore: '{score} / 100, {level}',
+        riskText:
+            'The score adds up the attributes that predict drive failures in field studies, even while the drive still passes its SMART self-assessment. The first occurrences weigh the most, each factor is capped.',
+        noRiskFactors: 'None of the failure predictors are above zero.',
+
+        diagnostics: 'Collection Diagnostics',
+        exitStatusBits: {
+            one: '{count} exit status bit set',
+            other: '{count} exit status bits set'
+        },
+        diagnosticsText:
+            'smartctl reports what it noticed while reading the drive in the bits of its exit status. Bits that matter for the health are listed under "Why this status" as well.',
+        notCollected: 'not collected',
+        exitStatus: 'exit status {status}',
+        bit: 'bit {bit}',
+
+        scsiHealth: 'SCSI Health:',
+        transport: 'Transport:',
+        manufactured: 'Manufactured:',
+        grownDefects: 'Grown Defects:',
+        startStopCycles: 'Start-Stop Cycles:',
+        loadUnloadCycles: 'Load-Unload Cycles:',
+        enduranceUsed: 'Endurance Used:',
+        temperature: 'Temperature:',
+        tripTemperature: 'Drive Trip Temperature:',
+        cyclesOf: '{count} of {specified}',
+        errorCounters: 'Error Counters',
+        corrected: 'Corrected',
+        uncorrected: 'Uncorrected',
+        gbProcessed: 'GB Processed',
+        read: 'read',
+        write: 'write',
+        verify: 'verify',
+
+        endurance: 'Endurance',
+        dataWritten: 'Data Written:',
+        dataRead: 'Data Read:',
+        dailyWrites: 'Daily Writes:',
+        dailyWritesValue: '{gb} GB per power-on day',
+        remainingLife: 'Remaining Life:',
+        ratedEndurance: 'Rated Endurance:',
+        ratedTbw: '{tbw} TBW',
+        notConfigured: 'Not configured, see endurance in rules.json',
+        projectedWearOut: 'Projected Wear-Out:',
+        wearOutTbw: 'At the average write rate so far, against the rated TBW',
+        wearOutPercentageUsed:
+            'Extrapolated from the wear the drive reports, no rated TBW configured',
+        wearOutNone: 'No data written yet or no rating to project against',
+
+        smartAttributes: 'SMART Attributes',
+        decodeRaw: 'Decode raw value of {name}',
+        attributeName: 'Attribute Name',
+        description: 'Description',
+        value: 'Value',
+        worst: 'Worst',
+        threshold: 'Threshold',
+        rawValue: 'Raw Value',
+        status: 'Status',
+        rule: 'Rule',
+        decodedRaw: 'Decoded raw value',
+        set: 'set',
+        notSet: 'not set',
+
+        selftestLog: 'Self-Test Log',
+        dateEstimated: 'Date (est.)',
+        powerOnHours: 'Power-On Hours',
+        testType: 'Test Type',
+        remaining: 'Remaining',
+        firstFailure: 'First Failure',
+        lba: 'LBA {lba}',
+        segment: 'segment {segment}',
+
+        errorLog: 'Error Log',
+        errorLogTruncated:
+            'The device reports {count} errors in total, the log only holds the most recent {held}.',
+        noErrors: 'No errors logged',
+        lifetimeHours: 'Lifetime Hours',
+        command: 'Command',
+        registers: 'Registers / State',
+
+        trends: 'Trends',
+        loadingHistory: 'Loading history...',
+        noHistory:
+            'Not enough history snapshots for this device yet. Trends appear once the cron script has archived at least two runs (HISTORY_ENABLED in smart_monitor.conf).'
+    },
+
+    // Trend charts by metric key of useSmartHistory
+    trends: {
+        temperature: 'Temperature',
+        powerOnHours: 'Power-On Hours',
+        reallocatedSectors: 'Reallocated Sectors',
+        pendingSectors: 'Pending Sectors',
+        percentageUsed: 'Percentage Used',
+        mediaErrors: 'Media Errors'
+    },
+
+    // Descriptions of the attributes by their display name
+    attributes: {
+        // NVMe attributes
+        'Critical Warning': 'Overall health status of the device',
+        'Available Spare': 'Percentage of spare blocks available',
+        'Percentage Used': 'Estimated percentage of device life used',
+        'Media Errors': 'Number of media errors detected during read/write operations',
+        'Error Log Entries': 'Total count of error log entries recorded',
+        'Unsafe Shutdowns': 'Number of times the device was shut down unexpectedly',
+
+        // Common ATA SMART attributes
+        Raw_Read_Error_Rate: 'Rate of uncorrected read errors',
+        Throughput_Performance: 'Overall device performance indicator',
+        Spin_Up_Time: 'Time required to spin up the drive from stop',
+        Start_Stop_Count: 'Number of start/stop cycles',
+        Reallocated_Sector_Ct: 'Number of reallocated sectors',
+        Seek_Error_Rate: 'Rate of seek errors during operation',
+        Seek_Time_Performance: 'Average seek time performance',
+        Power_On_Hours: 'Total time the device has been powered on',
+        Spin_Retry_Count: 'Number of retries to spin up the drive',
+        Helium_Level: 'Helium level in helium-filled drives',
+        'Power-Off_Retract_Count': 'Number of power-off retracts',
+        Load_Cycle_Count: 'Number of load/unload cycles',
+        Temperature_Celsius: 'Current operating temperature',
+        Reallocated_Event_Count: 'Number of reallocation events',
+        Current_Pending_Sector: 'Number of sectors waiting to be reallocated',
+        Offline_Uncorrectable: 'Number of uncorrectable sectors found offline',
+        UDMA_CRC_Error_Count: 'UltraDMA CRC error count',
+
+        // Alternative naming variations
+        Temperature: 'Current operating temperature in Celsius',
+        'Power-On Hours': 'Total time the device has been powered on',
+        'Power Cycles': 'Number of power on/off cycles',
+        'SMART Status': 'Overall SMART health status of the device',
+        'Reallocated Sectors Count': 'Number of reallocated sectors',
+        'Current Pending Sectors': 'Number of sectors waiting to be reallocated',
+        'Uncorrectable Sectors': 'Number of sectors that cannot be corrected',
+        'Spin Retry Count': 'Number of retries to spin up the drive',
+        'Calibration Retry Count': 'Number of calibration retries',
+        'Power Cycle Count': 'Number of power cycles',
+        'Soft Read Error Rate': 'Rate of soft read errors',
+        'End-to-End Error': 'Data integrity errors',
+        'Reported Uncorrectable Errors': 'Uncorrectable errors reported',
+        'High Fly Writes': 'Writes while head was flying high',
+        'Airflow Temperature': 'Temperature of airflow around the drive',
+        'G-Sense Error Rate': 'Rate of G-sense errors',
+        'Power-Off Retract Count': 'Number of power-off retracts',
+        'Load Cycle Count': 'Number of load/unload cycles',
+        'Hardware ECC Recovered': 'Hardware ECC errors recovered',
+        'Reallocation Event Count': 'Number of reallocation events',
+        'Current Pending Sector Count': 'Sectors pending reallocation',
+        'Offline Uncorrectable': 'Uncorrectable sectors found offline',
+        'UltraDMA CRC Error Count': 'UltraDMA CRC errors',
+        'Multi Zone Error Rate': 'Multi-zone error rate',
+        'Seek Error Rate': 'Rate of seek errors',
+        'Spin Up Time': 'Time to spin up from stop',
+        'Start Stop Count': 'Number of start/stop cycles',
+        'Reallocated Sector Count': 'Number of reallocated sectors',
+        'Seek Time Performance': 'Seek time performance',
+        'Power On Hours Count': 'Total power-on time',
+
+        // SCSI/SAS log pages
+        'Grown Defect List': 'Defects the drive found and remapped since it left the factory',
+        'Read Errors Corrected': 'Read errors corrected by ECC or rereads',
+        'Read Errors Uncorrected': 'Read errors the drive could not correct',
+        'Read Gigabytes Processed': 'Data read since the counters were reset',
+        'Write Errors Corrected': 'Write errors corrected by ECC or rewrites',
+        'Write Errors Uncorrected': 'Write errors the drive could not correct',
+        'Write Gigabytes Processed': 'Data written since the counters were reset',
+        'Verify Errors Corrected': 'Verify errors corrected by ECC or rereads',
+        'Verify Errors Uncorrected': 'Verify errors the drive could not correct',
+        'Verify Gigabytes Processed': 'Data verified since the counters were reset',
+        'Start-Stop Cycles':
+            'Spindle start-stop cycles, value is the share of the specified count left',
+        'Load-Unload Cycles':
+            'Head load-unload cycles, value is the share of the specified count left',
+        'Percentage Used Endurance': 'Estimated percentage of the SSD endurance used'
+    },
+
+    // Descriptions of attributes without an entry above, by what their name contains
+    attributeHints: {
+        errorRate: 'Rate of errors during operation',
+        errorCount: 'Count of errors detected',
+        temperature: 'Current operating temperature',
+        powerOn: 'Total time the device has been powered on',
+        powerCycle: 'Number of power on/off cycles',
+        reallocated: 'Number of reallocated sectors',
+        pending: 'Number of sectors waiting to be processed',
+        uncorrectable: 'Number of sectors that cannot be corrected',
+        seek: 'Seek time and performance metrics',
+        spin: 'Drive spin-up performance metrics',
+        loadCycle: 'Number of load/unload cycles',
+        crc: 'CRC error detection and counting',
+        throughput: 'Overall device performance indicator',
+        helium: 'Helium level in helium-filled drives',
+        generic: 'SMART monitoring attribute: {name}'
+    },
+
+    // Descriptions of the self-test types
+    selftests: {
+        'Short Self-Test': 'Quick diagnostic check of drive health (typically 1-2 minutes)',
+        'Extended Self-Test':
+            'Comprehensive diagnostic check of drive health (typically 1-4 hours)',
+        'Conveyance Test': 'Test performed during drive movement and transportation',
+        'Power-On Self-Test': 'Automatic test performed when drive is powered on',
+        'Power-Off Self-Test': 'Test performed when drive is powered off',
+        'Load/Unload Cycle': 'Test of drive head loading and unloading mechanism',
+        Calibration: 'Test to ensure accurate head positioning and alignment',
+        'SMART Self-Test': 'Standard SMART monitoring self-test',
+        'Background Scan': 'Background scanning and monitoring test',
+        'Selective Test': 'Targeted test of specific drive components',
+        Other: 'Self-test of unspecified type'
+    },
+
+    // Descriptions of self-test types without an entry above, by what their name contains
+    selftestHints: {
+        short: 'Quick diagnostic test of drive health',
+        extended: 'Comprehensive diagnostic test of drive health',
+        nvme: 'NVMe-specific health monitoring test',
+        smart: 'SMART monitoring diagnostic test',
+        health: 'Health monitoring and diagnostic test',
+        background: 'Background monitoring and scanning test',
+        generic: 'Test type: {type}'
+    }
+}
@@ -0,0 +1,184 @@
+import { ref } from 'vue'
+import de from './de.js'
+import en from './en.js'
+
+/**
+ * Translations of the web UI
+ *
+ * The catalogs (en.js, de.js) are nested objects of messages, looked up by dotted keys like
+ * 'detail.title'. Messages take {name} placeholders, numbers are formatted for the locale. A message
+ * that depends on a count is an object of plural forms, { one, other }, picked by params.count.
+ * Keys missing in a catalog fall back to English.
+ *
+ * Only what the UI shows is translated: rule reasons, data problems and the exported reports keep
+ * the English of the modules that produce them, the command line tools share those.
+ */
+
+export const DEFAULT_LOCALE = 'en'
+
+// Locales with a catalog, by code with the name of the language in that language
+export const LOCALES = {
+    en: 'English',
+    de: 'Deutsch'
+}
+
+const CATALOGS = { en, de }
+
+// Current locale, set from the settings
+const locale = ref(DEFAULT_LOCALE)
+
+/**
+ * Picks the supported locale of a list of language tags
+ * @param {Array<string>} languages - Preferred languages, e.g. navigator.languages
+ * @returns {string} First supported one, 'de-AT' matches 'de', DEFAULT_LOCALE if none does
+ */
+export const matchLocale = (languages = []) =>
+    languages
+        .map((language) => String(language).toLowerCase().split('-')[0])
+        .find((code) => code in LOCALES) || DEFAULT_LOCALE
+
+/**
+ * Current locale
+ * @returns {string} Locale code, reactive when read in a computed or template
+ */
+export const currentLocale = () => locale.value
+
+/**
+ * Switches the language of the UI
+ * @param {string} code - Locale code of LOCALES, anything else is ignored
+ */
+export const setLocale = (code) => {
+    if (!(code in LOCALES)) {
+        return
+    }
+    locale.value = code
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = code
+    }
+}
+
+/**
+ * Looks up a message in a catalog
+ * @param {Object} catalog - Catalog of a locale
+ * @param {string} key - Dotted key
+ * @returns {string|Object|undefined} Message, plural forms or undefined if there is none
+ */
+const lookup = (catalog, key) => {
+    const message = key.split('.').reduce((node, part) => node?.[part], catalog)
+    return typeof message === 'string' || message?.other !== undefined ? message : undefined
+}
+
+/**
+ * Translates a message for a locale
+ * @param {string} code - Locale code
+ * @param {string} key - Dotted key of the message
+ * @param {Object} params - Values of the placeholders, count picks the plural form
+ * @returns {string} Message, the key itself if no catalog has it
+ */
+export const translate = (code, key, params = {}) => {
+    let message = lookup(CATALOGS[code] || {}, key) ?? lookup(CATALOGS[DEFAULT_LOCALE], key)
+    if (message === undefined) {
+        return key
+    }
+    if (typeof message === 'object') {
+        const form = new Intl.PluralRules(code).select(params.count ?? 0)
+        message = message[form] ?? message.other
+    }
+    const numbers = new Intl.NumberFormat(code)
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        const value = params[name]
+        if (value === undefined || value === null) {
+            return placeholder
+        }
+        return typeof value === 'number' ? numbers.format(value) : String(value)
+    })
+}
+
+/**
+ * Translates a message for the current locale
+ * @param {string} key - Dotted key of the message
+ * @param {Object} params - Values of the placeholders, count picks the plural form
+ * @returns {string} Message
+ */
+export const t = (key, params) => translate(locale.value, key, params)
+
+/**
+ * Whether the catalogs have a message
+ * @param {string} key - Dotted key
+ * @returns {boolean} True if the current locale or English has it
+ */
+export const hasMessage = (key) =>
+    lookup(CATALOGS[locale.value], key) !== undefined ||
+    lookup(CATALOGS[DEFAULT_LOCALE], key) !== undefined
+
+/**
+ * Formats a number for the current locale
+ * @param {number|null} value - Number
+ * @param {Object} options - Intl.NumberFormat options
+ * @returns {string} Formatted number, N/A if there is none
+ */
+export const formatNumber = (value, options) =>
+    value === null || value === undefined
+        ? t('common.notAvailable')
+        : new Intl.NumberFormat(locale.value, options).format(value)
+
+/**
+ * Formats a date for the current locale
+ * @param {number|string|null} value - Unix timestamp in seconds or a day as YYYY-MM-DD like the
+ *                                     dates of the inventory
+ * @returns {string} e.g. 'Aug 16, 2025' or '16.08.2025', N/A if there is none
+ */
+export const formatDate = (value) => {
+    if (!value) {
+        return t('common.notAvailable')
+    }
+    if (typeof value === 'string') {
+        // A day rather than a point in time, the same day in every time zone
+        const day = new Date(`${value}T00:00:00Z`)
+        return Number.isNaN(day.getTime())
+            ? value
+            : new Intl.DateTimeFormat(locale.value, {
+                  dateStyle: 'medium',
+                  timeZone: 'UTC'
+              }).format(day)
+    }
+    return new Intl.DateTimeFormat(locale.value, { dateStyle: 'medium' }).format(value * 1000)
+}
+
+/**
+ * Formats a date and time for the current locale
+ * @param {number|null} timestamp - Unix timestamp in seconds
+ * @returns {string} e.g. 'Aug 16, 2025, 10:30 AM' or '16.08.2025, 10:30', N/A if there is none
+ */
+export const formatDateTime = (timestamp) =>
+    timestamp
+        ? new Intl.DateTimeFormat(locale.value, { dateStyle: 'medium', timeStyle: 'short' }).format(
+              timestamp * 1000
+          )
+        : t('common.notAvailable')
+
+// Units of formatAge, largest first
+const AGE_UNITS = [
+    ['day', 86400],
+    ['hour', 3600],
+    ['minute', 60]
+]
+
+/**
+ * Formats how long ago something happened for the current locale
+ * @param {number|null} seconds - Age in seconds
+ * @returns {string} e.g. '3 days ago' or 'vor 3 Tagen'
+ */
+export const formatAge = (seconds) => {
+    if (seconds === null || seconds === undefined) {
+        return t('age.unknown')
+    }
+    const format = new Intl.RelativeTimeFormat(locale.value, { numeric: 'always' })
+    for (const [unit, size] of AGE_UNITS) {
+        const count = Math.floor(seconds / size)
+        if (count >= 1) {
+            return format.format(-count, unit)
+        }
+    }
+    return t('age.justNow')
+}
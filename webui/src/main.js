@@ -1,7 +1,11 @@
 import { createApp } from 'vue'
 import { VueQueryPlugin, QueryClient } from '@tanstack/vue-query'
 import App from './App.vue'
+import ConfigErrorView from '@/views/ConfigErrorView.vue'
 import CustomTheme from '@/theme.js'
+import { CONFIG_URL, loadConfig } from '@/config'
+import { registerServiceWorker } from '@/composables/useServiceWorker'
+import { loadSettings } from '@/composables/useSettings'
 
 import 'primeflex/primeflex.css'
 import 'primeicons/primeicons.css'
@@ -9,21 +13,10 @@ import '@/assets/style.scss'
 
 import PrimeVue from 'primevue/config'
 
-const app = createApp(App)
-
-// https://github.com/primefaces/primevue/issues/2397
-// allows to use <InputText v-model="value" v-focus /> to focus on an input item
-app.directive('focus', {
-    mounted(el) {
-        el.focus()
-
-        setTimeout(() => {
-            el.focus()
-        }, 300)
-    }
-})
+// add the app router
+import router from './router'
 
-app.use(PrimeVue, {
+const primeVueOptions = {
     // Default theme configuration
     theme: {
         preset: CustomTheme,
@@ -36,32 +29,65 @@ app.use(PrimeVue, {
     locale: {
         firstDayOfWeek: 1,
     }
-})
+}
 
-// add the app router
-import router from './router'
-app.use(router)
-
-
-// vue query
-const queryClient = new QueryClient({
-    defaultOptions: {
-        queries: {
-            // Global default settings for queries
-            refetchOnWindowFocus: false, // Disable refetching when window regains focus
-            retry: 3, // Number of retries if query fails
-            staleTime: 1000 * 60 * 5, // Data considered fresh for 5 minutes
-            cacheTime: 1000 * 60 * 30 // Cache data for 30 minutes
-        },
-        mutations: {
-            // Global default settings for mutations
-            retry: false
+const startApp = () => {
+    // Language and units, the defaults depend on config.json
+    loadSettings()
+
+    const app = createApp(App)
+
+    // https://github.com/primefaces/primevue/issues/2397
+    // allows to use <InputText v-model="value" v-focus /> to focus on an input item
+    app.directive('focus', {
+        mounted(el) {
+            el.focus()
+
+            setTimeout(() => {
+                el.focus()
+            }, 300)
         }
-    }
-})
+    })
 
-app.use(VueQueryPlugin, {
-    queryClient
-})
+    app.use(PrimeVue, primeVueOptions)
 
-app.mount('#app')
+    app.use(router)
+
+
+    // vue query
+    const queryClient = new QueryClient({
+        defaultOptions: {
+            queries: {
+                // Global default settings for queries
+                refetchOnWindowFocus: false, // Disable refetching when window regains focus
+                retry: 3, // Number of retries if query fails
+                staleTime: 1000 * 60 * 5, // Data considered fresh for 5 minutes
+                gcTime: 1000 * 60 * 30 // Keep unused data for 30 minutes
+            },
+            mutations: {
+                // Global default settings for mutations
+                retry: false
+            }
+        }
+    })
+
+    app.use(VueQueryPlugin, {
+        queryClient
+    })
+
+    app.mount('#app')
+}
+
+// Before the config, a deployment with a broken config.json still gets its fixed build
+registerServiceWorker()
+
+// config.json decides where the data comes from, nothing may load before it
+loadConfig().then((problems) => {
+    if (problems.length) {
+        createApp(ConfigErrorView, { url: CONFIG_URL, problems })
+            .use(PrimeVue, primeVueOptions)
+            .mount('#app')
+        return
+    }
+    startApp()
+})
@@ -13,6 +13,31 @@ const router = createRouter({
             name: 'detail',
             component: () => import('@/views/DetailView.vue')
         },
+        {
+            path: '/host/:host/detail/:id',
+            name: 'host-detail',
+            component: () => import('@/views/DetailView.vue')
+        },
+        {
+            path: '/drive/:serial',
+            name: 'drive',
+            component: () => import('@/views/DetailView.vue')
+        },
+        {
+            path: '/host/:host/drive/:serial',
+            name: 'host-drive',
+            component: () => import('@/views/DetailView.vue')
+        },
+        {
+            path: '/inventory',
+            name: 'inventory',
+            component: () => import('@/views/InventoryView.vue')
+        },
+        {
+            path: '/compare',
+            name: 'compare',
+            component: () => import('@/views/CompareView.vue')
+        },
         {
             path: '/404',
             name: 'NotFound',
@@ -0,0 +1,182 @@
+/**
+ * Service worker of the installable app, emitted as sw.js by the pwa plugin (cli/lib/pwa.js)
+ *
+ * The plugin prepends BUILD_VERSION and PRECACHE, the files of the build. This is a classic
+ * script, not a module, so it runs in every browser that supports service workers.
+ *
+ * - App shell (index.html, scripts, styles, icons): cached on install, served from the cache.
+ *   A new build installs next to the running one and waits until the page asks it to take over.
+ * - Data files (config.json, hosts.json, index.json, device files, ...): network first, the last
+ *   answer is kept and served when the network fails or the server answers with a 5xx, the way a
+ *   reverse proxy reports the NAS behind it as down. The page is told which files came from the
+ *   cache and when they were fetched, so it can say that it's offline. History snapshots are not
+ *   kept, they would fill the cache for little use.
+ */
+/* global BUILD_VERSION, PRECACHE */
+
+const SHELL_CACHE = `nanosmart-shell-${BUILD_VERSION}`
+const DATA_CACHE = 'nanosmart-data'
+
+// Header of the cached copies with the time they were fetched, unix milliseconds
+const FETCHED_HEADER = 'x-nanosmart-fetched'
+
+// Headers that would make the server answer 304 and leave the cache without a body
+const CONDITIONAL_HEADERS = ['if-none-match', 'if-modified-since']
+
+const shellUrl = (path) => new URL(path, self.registration.scope).href
+
+/**
+ * Whether a request is for a data file
+ * @param {Request} request - Intercepted request
+ * @returns {boolean} JSON files outside a history directory the page fetched, a file opened in a
+ *                    tab of its own is left to the browser
+ */
+const isDataRequest = (request) => {
+    const { pathname } = new URL(request.url)
+    return (
+        request.mode !== 'navigate' && pathname.endsWith('.json') && !pathname.includes('/history/')
+    )
+}
+
+/**
+ * Tells the page where a data file came from
+ * @param {string} clientId - Client that made the request
+ * @param {Object} message - { type, url, fetchedAt }
+ */
+const notifyClient = async (clientId, message) => {
+    // config.json is read once at startup and belongs to the app rather than the data, a cached
+    // copy of it would keep the page offline until it is reloaded
+    if (message.url === shellUrl('config.json')) {
+        return
+    }
+    const client = clientId && (await self.clients.get(clientId))
+    client?.postMessage(message)
+}
+
+/**
+ * Keeps a copy of a data file answer, 404s too so a file known to be absent stays absent offline
+ * @param {Request} request - Request the answer belongs to
+ * @param {Response} response - Answer from the network
+ */
+const storeData = async (request, response) => {
+    const headers = new Headers(response.headers)
+    headers.set(FETCHED_HEADER, String(Date.now()))
+    const copy = new Response(await response.blob(), {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    })
+    const cache = await caches.open(DATA_CACHE)
+    await cache.put(request.url, copy)
+}
+
+/**
+ * Answers with the kept copy of a data file and tells the page so
+ * @param {FetchEvent} event - Fetch of a data file
+ * @param {Response} cached - Copy from the data cache
+ * @returns {Response} The copy
+ */
+const serveCached = (event, cached) => {
+    event.waitUntil(
+        notifyClient(event.clientId, {
+            type: 'nanosmart:cached',
+            url: event.request.url,
+            fetchedAt: Number(cached.headers.get(FETCHED_HEADER)) || null
+        })
+    )
+    return cached
+}
+
+/**
+ * Network first, the cached copy when the network fails or the server can't answer
+ * @param {FetchEvent} event - Fetch of a data file
+ * @returns {Promise<Response>} Answer for the page
+ */
+const fetchData = async (event) => {
+    const { request } = event
+    const cache = await caches.open(DATA_CACHE)
+    const cached = await cache.match(request.url)
+
+    // Without a copy the revalidation of the page is dropped, the cache needs a full answer
+    let networkRequest = request
+    if (!cached && CONDITIONAL_HEADERS.some((name) => request.headers.has(name))) {
+        const headers = new Headers(request.headers)
+        CONDITIONAL_HEADERS.forEach((name) => headers.delete(name))
+        networkRequest = new Request(request, { headers })
+    }
+
+    let response
+    try {
+        response = await fetch(networkRequest)
+    } catch (error) {
+        if (!cached) {
+            throw error
+        }
+        return serveCached(event, cached)
+    }
+
+    // A proxy in front of a NAS that is down answers with 502, 503 or 504
+    if (response.status >= 500 && cached) {
+        return serveCached(event, cached)
+    }
+    if (response.status === 200 || response.status === 404) {
+        event.waitUntil(storeData(request, response.clone()))
+    } else if (response.status === 304 && cached) {
+        // Still the same content, the copy is as recent as the answer
+        event.waitUntil(storeData(request, cached.clone()))
+    }
+    event.waitUntil(notifyClient(event.clientId, { type: 'nanosmart:network', url: request.url }))
+    return response
+}
+
+/**
+ * App shell from the cache, index.html for every page of the SPA
+ * @param {Request} request - Navigation or request for a file of the build
+ * @returns {Promise<Response>} Cached file, the network for anything else
+ */
+const fetchShell = async (request) => {
+    const cache = await caches.open(SHELL_CACHE)
+    const key = request.mode === 'navigate' ? shellUrl('index.html') : request.url
+    return (await cache.match(key)) || fetch(request)
+}
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE).then((cache) => cache.addAll(PRECACHE.map(shellUrl))))
+})
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches
+            .keys()
+            .then((keys) =>
+                Promise.all(
+                    keys
+                        .filter((key) => key.startsWith('nanosmart-shell-') && key !== SHELL_CACHE)
+                        .map((key) => caches.delete(key))
+                )
+            )
+            .then(() => self.clients.claim())
+    )
+})
+
+// The update prompt of the page
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'nanosmart:skip-waiting') {
+        self.skipWaiting()
+    }
+})
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event
+    if (request.method !== 'GET') {
+        return
+    }
+    if (isDataRequest(request)) {
+        event.respondWith(fetchData(event))
+    } else if (
+        request.mode === 'navigate' ||
+        PRECACHE.some((path) => shellUrl(path) === request.url)
+    ) {
+        event.respondWith(fetchShell(request))
+    }
+})
@@ -0,0 +1,83 @@
+// @vitest-environment node
+import fs from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { describe, expect, it } from 'vitest'
+import { configProblems, normalizeConfig } from '../appConfig.js'
+import { FAHRENHEIT, formatTemperature } from '../units.js'
+
+const EXAMPLE = fileURLToPath(new URL('../../../config.example.json', import.meta.url))
+
+const DEFAULTS = {
+    title: 'nano SMART',
+    dataUrl: '/api/smart',
+    hosts: null,
+    refreshSeconds: 300,
+    maxAgeHours: 26,
+    warrantyWarnDays: 90,
+    temperatureUnit: 'C',
+    auth: null,
+    headers: {}
+}
+
+describe('configProblems', () => {
+    it('accepts the example config and an empty one', () => {
+        expect(configProblems(JSON.parse(fs.readFileSync(EXAMPLE, 'utf-8')), DEFAULTS)).toEqual([])
+        expect(configProblems({}, DEFAULTS)).toEqual([])
+    })
+
+    it('lists every problem', () => {
+        expect(
+            configProblems(
+                {
+                    dataUrl: '',
+                    refreshSeconds: '60',
+                    maxAgeHours: 0,
+                    temperatureUnit: 'K',
+                    auth: { username: 'monitor' },
+                    headers: { 'X-Api-Key': 42 },
+                    refreshSecs: 60
+                },
+                DEFAULTS
+            )
+        ).toEqual([
+            '"dataUrl" must be a non-empty string',
+            '"refreshSeconds" must be a number of seconds, 0 or more',
+            '"maxAgeHours" must be a number of hours greater than 0',
+            '"temperatureUnit" must be one of C, F',
+            '"auth" must be an object with a username and a password',
+            '"headers" must be an object of header names and string values',
+            'unknown field "refreshSecs"'
+        ])
+        expect(configProblems([], DEFAULTS)).toEqual(['config.json must contain a JSON object'])
+    })
+
+    it('checks the hosts like a hosts.json', () => {
+        expect(configProblems({ hosts: [{ name: 'a' }, { name: 'a' }] }, DEFAULTS)).toEqual([
+            '"hosts": host name "a" is used more than once'
+        ])
+    })
+})
+
+describe('normalizeConfig', () => {
+    it('merges onto the defaults and resolves the hosts against dataUrl', () => {
+        const config = normalizeConfig(
+            { dataUrl: 'https://smart.example.com/data/', hosts: [{ name: 'nas01' }] },
+            DEFAULTS
+        )
+
+        expect(config.dataUrl).toBe('https://smart.example.com/data')
+        expect(config.refreshSeconds).toBe(300)
+        expect(config.hosts).toEqual([
+            { name: 'nas01', label: null, baseUrl: 'https://smart.example.com/data/nas01' }
+        ])
+        expect(normalizeConfig({}, DEFAULTS).hosts).toBeNull()
+    })
+})
+
+describe('formatTemperature', () => {
+    it('converts to the configured unit', () => {
+        expect(formatTemperature(45)).toBe('45°C')
+        expect(formatTemperature(45, FAHRENHEIT)).toBe('113°F')
+        expect(formatTemperature(null, FAHRENHEIT)).toBe('N/A')
+    })
+})
@@ -0,0 +1,170 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { readOutputDir } from '../../../cli/lib/outputDir.js'
+import {
+    CHECK_CRITICAL,
+    CHECK_OK,
+    CHECK_UNKNOWN,
+    CHECK_WARNING,
+    filterDevices,
+    formatCheckOutput,
+    parseRange,
+    parseThresholds,
+    rangeAlerts,
+    runCheck,
+    worseCheckState
+} from '../check.js'
+import { BACKUP_DIR, SAMPLE_DIR } from './samples.js'
+
+describe('parseRange', () => {
+    it.each([
+        [
+            '10',
+            [
+                [-1, true],
+                [0, false],
+                [10, false],
+                [11, true]
+            ]
+        ],
+        [
+            '10:',
+            [
+                [9, true],
+                [10, false],
+                [1000, false]
+            ]
+        ],
+        [
+            '~:10',
+            [
+                [-50, false],
+                [10, false],
+                [11, true]
+            ]
+        ],
+        [
+            '10:20',
+            [
+                [9, true],
+                [15, false],
+                [21, true]
+            ]
+        ],
+        [
+            '@10:20',
+            [
+                [9, false],
+                [15, true],
+                [20, true]
+            ]
+        ]
+    ])('evaluates %s like the monitoring plugins', (spec, cases) => {
+        const range = parseRange(spec)
+        cases.forEach(([value, alerts]) => expect(rangeAlerts(range, value)).toBe(alerts))
+    })
+
+    it('rejects malformed ranges', () => {
+        expect(() => parseRange('')).toThrow('empty')
+        expect(() => parseRange('abc')).toThrow("Invalid range 'abc'")
+        expect(() => parseRange('20:10')).toThrow('start is greater than end')
+    })
+})
+
+describe('parseThresholds', () => {
+    it('groups warning and critical ranges by metric', () => {
+        const thresholds = parseThresholds(['temperature=45', '5=0'], ['temperature=55'])
+
+        expect(thresholds.temperature.warning.end).toBe(45)
+        expect(thresholds.temperature.critical.end).toBe(55)
+        expect(thresholds['5']).toMatchObject({ warning: { end: 0 }, critical: null })
+    })
+
+    it('requires METRIC=RANGE', () => {
+        expect(() => parseThresholds(['=10'])).toThrow('expected METRIC=RANGE')
+        expect(() => parseThresholds([], ['temperature'])).toThrow('expected METRIC=RANGE')
+    })
+})
+
+describe('worseCheckState', () => {
+    it('ranks a found problem above not knowing', () => {
+        expect(worseCheckState(CHECK_UNKNOWN, CHECK_WARNING)).toBe(CHECK_WARNING)
+        expect(worseCheckState(CHECK_CRITICAL, CHECK_UNKNOWN)).toBe(CHECK_CRITICAL)
+        expect(worseCheckState(CHECK_OK, CHECK_UNKNOWN)).toBe(CHECK_UNKNOWN)
+    })
+})
+
+describe('runCheck', () => {
+    it('maps the health of the sample devices to plugin states', async () => {
+        const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+        const result = runCheck(devices, { now: lastRun + 3600, lastRun })
+
+        expect(result.state).toBe(CHECK_CRITICAL)
+        expect(result.summary).toBe('7 devices: 1 critical, 2 warning, 4 ok - sdb, nvme1n1, sde')
+        expect(result.results.find((r) => r.device.name === 'sde').state).toBe(CHECK_WARNING)
+        // smartctl flagged errors in the error log of sdb
+        expect(result.results.find((r) => r.device.name === 'sdb').state).toBe(CHECK_WARNING)
+        expect(result.perfdata).toContain('last_run_age=3600s;;93600')
+        expect(result.perfdata).toContain('nvme1n1_temperature=75')
+    })
+
+    it('applies include and exclude patterns to names and serials', async () => {
+        const { devices } = await readOutputDir(SAMPLE_DIR)
+
+        const names = (options) => filterDevices(devices, options).map((device) => device.name)
+        expect(names({ include: ['nvme*'] })).toEqual(['nvme0n1', 'nvme1n1'])
+        expect(names({ include: ['sd*'], exclude: ['sde', 'INTEL*'] })).toEqual([
+            'sdb',
+            'sdc',
+            'sdd'
+        ])
+    })
+
+    it('raises the state with per-metric thresholds', async () => {
+        const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+        const result = runCheck(devices, {
+            now: lastRun,
+            lastRun,
+            include: ['sda', 'sdb'],
+            thresholds: parseThresholds(['temperature=34'], ['5=0'])
+        })
+
+        const sda = result.results.find((r) => r.device.name === 'sda')
+        expect(sda.state).toBe(CHECK_WARNING)
+        expect(sda.reasons).toEqual(['temperature 35 outside warning range 34'])
+        expect(result.perfdata).toContain('sda_temperature=35;34')
+        expect(result.perfdata).toContain('sdb_5=0;;0')
+    })
+
+    it('reports stale and missing data as UNKNOWN', async () => {
+        const { devices, lastRun } = await readOutputDir(BACKUP_DIR)
+        const result = runCheck(devices, { now: lastRun, lastRun })
+
+        expect(result.state).toBe(CHECK_UNKNOWN)
+        expect(result.summary).toBe('3 devices: 2 unknown, 1 ok - nvme0n1, sdb')
+        expect(result.results.find((r) => r.device.name === 'sdb').reasons[0]).toMatch(/^no data:/)
+    })
+
+    it('is UNKNOWN when the last run is too old or nothing matched', async () => {
+        const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+
+        const old = runCheck(devices, { now: lastRun + 3 * 86400, lastRun, maxAgeHours: 26 })
+        expect(old.summary).toContain('last run 3 days ago')
+
+        const none = runCheck(devices, { now: lastRun, lastRun, include: ['md*'] })
+        expect(none.state).toBe(CHECK_UNKNOWN)
+        expect(none.summary).toBe('0 devices - no devices matched')
+    })
+})
+
+describe('formatCheckOutput', () => {
+    it('prints the status line with perfdata and the problem devices first', async () => {
+        const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+        const lines = formatCheckOutput(runCheck(devices, { now: lastRun, lastRun })).split('\n')
+
+        expect(lines[0]).toMatch(/^SMART CRITICAL - 7 devices: .* \| last_run_age=0s;;93600 /)
+        expect(lines[1]).toMatch(/^\[CRITICAL\] nvme1n1 \(INTEL SSDPE2KX080T8, INTEL987654321\): /)
+        expect(lines[2]).toMatch(/^\[WARNING\] sdb .*smartctl -l error: /)
+        expect(lines[3]).toMatch(/^\[WARNING\] sde /)
+    })
+})
@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest'
+import { compareAttributes, parseCompareParam } from '../compare.js'
+import { deviceKey, parseDeviceKey } from '../hosts.js'
+
+const attribute = (id, raw, name = `Attribute ${id}`) => ({ id, name, raw, status: 'Good' })
+const device = (...smartAttributes) => ({ smartAttributes })
+
+describe('compareAttributes', () => {
+    it('aligns attributes by id in order of first appearance', () => {
+        const rows = compareAttributes([
+            device(attribute(5, '0'), attribute(9, '100')),
+            device(attribute(9, '100'), attribute(197, '0'))
+        ])
+
+        expect(rows.map((row) => row.id)).toEqual(['5', '9', '197'])
+        expect(rows[0].cells[1]).toEqual({ attribute: null, highlight: true })
+        expect(rows[1].differs).toBe(false)
+    })
+
+    it('highlights the outlier against the majority', () => {
+        const [row] = compareAttributes([
+            device(attribute(5, '0')),
+            device(attribute(5, '8')),
+            device(attribute(5, '0'))
+        ])
+
+        expect(row.differs).toBe(true)
+        expect(row.cells.map((cell) => cell.highlight)).toEqual([false, true, false])
+    })
+
+    it('highlights every cell when there is no majority', () => {
+        const [row] = compareAttributes([device(attribute(5, '0')), device(attribute(5, '8'))])
+
+        expect(row.cells.map((cell) => cell.highlight)).toEqual([true, true])
+    })
+
+    it('matches numeric and string ids', () => {
+        const [row] = compareAttributes([device(attribute(5, '0')), device(attribute('5', '0'))])
+
+        expect(row.differs).toBe(false)
+    })
+})
+
+describe('parseCompareParam', () => {
+    it('splits, trims and dedupes device keys', () => {
+        expect(parseCompareParam('sda, sdb,,sda')).toEqual(['sda', 'sdb'])
+        expect(parseCompareParam(['sda', 'nas01:sdb'])).toEqual(['sda', 'nas01:sdb'])
+        expect(parseCompareParam(undefined)).toEqual([])
+    })
+})
+
+describe('device keys', () => {
+    it('round-trips host qualified keys', () => {
+        expect(deviceKey({ name: 'sda', host: 'local' })).toBe('sda')
+        expect(deviceKey({ name: 'sda', host: 'nas01' })).toBe('nas01:sda')
+        expect(parseDeviceKey('nas01:sda')).toEqual({ host: 'nas01', name: 'sda' })
+        expect(parseDeviceKey('sda')).toEqual({ host: null, name: 'sda' })
+    })
+})
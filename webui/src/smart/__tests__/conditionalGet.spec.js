@@ -0,0 +1,68 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { createConditionalGet } from '../conditionalGet.js'
+
+// Fake server answering from a list of responses, records the request headers
+const fakeServer = (responses) => {
+    const requests = []
+    const get = async (url, config) => {
+        requests.push(config.headers)
+        const response = responses.shift()
+        if (!config.validateStatus(response.status)) {
+            throw Object.assign(new Error(`Request failed with status code ${response.status}`), {
+                response
+            })
+        }
+        return response
+    }
+    return { get, requests }
+}
+
+describe('createConditionalGet', () => {
+    it('revalidates with the validators of the last full response', async () => {
+        const { get, requests } = fakeServer([
+            {
+                status: 200,
+                headers: { etag: '"a1"', 'last-modified': 'Sat, 16 Aug 2025 10:30:42 GMT' },
+                data: { last_run: 1 }
+            },
+            { status: 304, headers: {}, data: '' }
+        ])
+        const getData = createConditionalGet(get)
+
+        const first = await getData('/index.json')
+        const second = await getData('/index.json')
+
+        expect(second).toBe(first)
+        expect(requests).toEqual([
+            {},
+            {
+                'If-None-Match': '"a1"',
+                'If-Modified-Since': 'Sat, 16 Aug 2025 10:30:42 GMT'
+            }
+        ])
+    })
+
+    it('does not cache responses without validators', async () => {
+        const { get, requests } = fakeServer([
+            { status: 200, headers: {}, data: { last_run: 1 } },
+            { status: 200, headers: {}, data: { last_run: 2 } }
+        ])
+        const getData = createConditionalGet(get)
+
+        await getData('/index.json')
+        expect(await getData('/index.json')).toEqual({ last_run: 2 })
+        expect(requests[1]).toEqual({})
+    })
+
+    it('keeps errors such as a missing file', async () => {
+        const { get } = fakeServer([
+            { status: 404, headers: {}, data: '' },
+            { status: 304, headers: {}, data: '' }
+        ])
+        const getData = createConditionalGet(get)
+
+        await expect(getData('/rules.json')).rejects.toMatchObject({ response: { status: 404 } })
+        await expect(getData('/rules.json')).rejects.toThrow('status code 304')
+    })
+})
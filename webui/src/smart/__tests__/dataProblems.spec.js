@@ -0,0 +1,157 @@
+// @vitest-environment node
+import fs from 'node:fs'
+import path from 'node:path'
+import { describe, expect, it } from 'vitest'
+import { indexDeviceNames, transformIndexFiles } from '../collection.js'
+import {
+    PROBLEM_HTTP,
+    PROBLEM_PARSE,
+    PROBLEM_SCHEMA,
+    checkDeviceFile,
+    checkIndexFile,
+    isDegradedDevice
+} from '../dataProblems.js'
+import { DEFAULT_RULES } from '../healthRules.js'
+import { DEVICE_SCHEMA, INDEX_SCHEMA, validateSchema } from '../schemas.js'
+import { DATA_MISSING, DATA_OK } from '../staleness.js'
+import { SAMPLE_DIR, loadSample } from './samples.js'
+
+describe('schemas', () => {
+    it('accept every sample file', () => {
+        for (const dir of ['', 'hosts/backup01']) {
+            const index = loadSample(path.join(dir, 'index.json'))
+            expect(validateSchema(INDEX_SCHEMA, index)).toEqual([])
+            // backup01 lists a file it failed to write, a missing device in the sample data
+            const files = index.json_files.filter((file) =>
+                fs.existsSync(path.join(SAMPLE_DIR, dir, file))
+            )
+            for (const file of files) {
+                expect(
+                    validateSchema(DEVICE_SCHEMA, loadSample(path.join(dir, file))),
+                    file
+                ).toEqual([])
+            }
+        }
+    })
+
+    it('report every violation with its path', () => {
+        expect(
+            validateSchema(INDEX_SCHEMA, {
+                last_run: -1,
+                json_files: ['sda_smart.json', 42, '../x']
+            })
+        ).toEqual([
+            '/last_run: must be at least 0',
+            '/json_files/1: must be string, found integer',
+            '/json_files/2: "../x" does not match ^[^/]+_smart\\.json$'
+        ])
+        expect(
+            validateSchema(DEVICE_SCHEMA, {
+                device: '/dev/sda',
+                timestamp: 1755340242.5,
+                smart_data: {
+                    device_info: {},
+                    smart_attributes: [],
+                    smart_health: { smartctl: { exit_status: '4' } }
+                }
+            })
+        ).toEqual([
+            '/timestamp: must be integer, found number',
+            '/smart_data: missing "smart_errors"',
+            '/smart_data: missing "smart_selftest"',
+            '/smart_data/device_info: must not be empty',
+            '/smart_data/smart_attributes: must be object, found array',
+            '/smart_data/smart_health/smartctl/exit_status: must be integer, found string'
+        ])
+    })
+})
+
+describe('checkDataFile', () => {
+    it('tells HTTP errors, parse errors and schema violations apart', () => {
+        const notFound = Object.assign(new Error('Request failed with status code 404'), {
+            response: { status: 404, statusText: 'Not Found' }
+        })
+
+        expect(checkIndexFile({ error: notFound })).toEqual({
+            kind: PROBLEM_HTTP,
+            messages: ['HTTP 404 Not Found']
+        })
+        expect(checkIndexFile({ data: '{"last_run": 17553' })).toMatchObject({
+            kind: PROBLEM_PARSE
+        })
+        expect(checkDeviceFile({ error: new SyntaxError('Unexpected end of JSON input') })).toEqual(
+            {
+                kind: PROBLEM_PARSE,
+                messages: ['Unexpected end of JSON input']
+            }
+        )
+        expect(checkIndexFile({ data: { json_files: [] } })).toEqual({
+            kind: PROBLEM_SCHEMA,
+            messages: ['/: missing "last_run"']
+        })
+        expect(checkDeviceFile({ data: loadSample('sda_smart.json') })).toBeNull()
+    })
+})
+
+describe('transformIndexFiles', () => {
+    const index = loadSample('index.json')
+    const transform = (files) => transformIndexFiles(index, files, DEFAULT_RULES, 'local')
+
+    it('keeps a partly valid device as degraded', () => {
+        const sda = loadSample('sda_smart.json')
+        const broken = { ...sda, smart_data: { ...sda.smart_data, smart_health: [] } }
+        const [device] = transform([{ deviceName: 'sda', data: broken }])
+
+        expect(device.model).toBe(transform([{ deviceName: 'sda', data: sda }])[0].model)
+        expect(device.dataState).toBe(DATA_OK)
+        expect(device.dataProblem).toEqual({
+            file: 'sda_smart.json',
+            kind: PROBLEM_SCHEMA,
+            messages: ['/smart_data/smart_health: must be object, found array']
+        })
+        expect(isDegradedDevice(device)).toBe(true)
+    })
+
+    it('turns an unusable file into a missing device with the reason', () => {
+        const [truncated, noData] = transform([
+            { deviceName: 'sda', data: '{"device": "/dev/sda", "smart_da' },
+            { deviceName: 'sdb', data: { device: '/dev/sdb', timestamp: 1, smart_data: 'PASSED' } }
+        ])
+
+        expect(truncated.dataState).toBe(DATA_MISSING)
+        expect(truncated.dataProblem.kind).toBe(PROBLEM_PARSE)
+        expect(truncated.dataError).toBe(truncated.dataProblem.messages[0])
+        expect(noData.dataError).toBe('/smart_data: must be object, found string')
+        expect(isDegradedDevice(noData)).toBe(false)
+    })
+
+    it('keeps a file the parsers fail on as a missing device with a parse problem', () => {
+        const sda = () => loadSample('sda_smart.json')
+        const numericDevice = { ...sda(), device: 5 }
+        const numericType = sda()
+        numericType.smart_data.device_info.device.type = 5
+        const nullAttribute = sda()
+        nullAttribute.smart_data.smart_attributes.table.push(null)
+
+        const devices = transform([
+            { deviceName: 'sda', data: numericDevice },
+            { deviceName: 'sda', data: numericType },
+            { deviceName: 'sda', data: nullAttribute }
+        ])
+
+        for (const device of devices) {
+            expect(device.dataState).toBe(DATA_MISSING)
+            expect(device.dataProblem.kind).toBe(PROBLEM_PARSE)
+            expect(device.dataProblem.messages.at(-1)).toMatch(/^Could not be read: /)
+            expect(device.dataError).toBe(device.dataProblem.messages.join('; '))
+        }
+        // The schema violations are kept with the error
+        expect(devices[0].dataProblem.messages[0]).toBe('/device: must be string, found integer')
+    })
+
+    it('skips index entries that are no file names', () => {
+        expect(indexDeviceNames({ json_files: ['sda_smart.json', null, 3] })).toEqual(['sda'])
+        expect(indexDeviceNames({ json_files: 'sda_smart.json' })).toEqual([])
+        expect(indexDeviceNames('{"json_files": [')).toEqual([])
+    })
+})
@@ -0,0 +1,118 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { deriveEndurance, formatVolume } from '../endurance.js'
+import { DEFAULT_RULES, mergeRules, resolveRatedTbw } from '../healthRules.js'
+import { ataEnduranceCounters } from '../parsers/ata.js'
+import { transformDeviceData } from '../transform.js'
+import { loadSample } from './samples.js'
+
+const DAY = 86400
+
+describe('deriveEndurance', () => {
+    it('projects the wear-out date against the rated TBW', () => {
+        // 100 TB in 1000 days is 100 GB a day, 500 TB left take another 5000 days
+        const endurance = deriveEndurance(
+            { bytesWritten: 100e12, bytesRead: 50e12, percentageUsed: null },
+            { powerOnHours: 24000, timestamp: 1000, ratedTbw: 600 }
+        )
+
+        expect(endurance).toEqual({
+            tbWritten: 100,
+            tbRead: 50,
+            percentageUsed: null,
+            remainingLife: 83,
+            ratedTbw: 600,
+            dailyWriteGb: 100,
+            wearOutTimestamp: 1000 + 5000 * DAY,
+            wearOutBasis: 'tbw'
+        })
+    })
+
+    it('extrapolates the percentage used without a rating', () => {
+        const endurance = deriveEndurance(
+            { bytesWritten: null, bytesRead: null, percentageUsed: 20 },
+            { powerOnHours: 2400, timestamp: 1000 }
+        )
+
+        expect(endurance.remainingLife).toBe(80)
+        expect(endurance.wearOutTimestamp).toBe(1000 + 400 * DAY)
+        expect(endurance.wearOutBasis).toBe('percentageUsed')
+    })
+
+    it('does not project a date in the past once the rating is exceeded', () => {
+        const endurance = deriveEndurance(
+            { bytesWritten: 200e12, bytesRead: null, percentageUsed: 110 },
+            { powerOnHours: 240, timestamp: 5000, ratedTbw: 150 }
+        )
+
+        expect(endurance.remainingLife).toBe(0)
+        expect(endurance.wearOutTimestamp).toBe(5000)
+    })
+
+    it('returns null without counters', () => {
+        expect(deriveEndurance(null, { powerOnHours: 100 })).toBeNull()
+    })
+})
+
+describe('ataEnduranceCounters', () => {
+    const attribute = (id, name, value, raw) => ({ id, name, value, raw: { value: raw } })
+
+    it('converts the vendor specific write units to bytes', () => {
+        const counters = ataEnduranceCounters([
+            attribute(241, 'Host_Writes_32MiB', 100, 1000),
+            attribute(242, 'Total_LBAs_Read', 100, 2000),
+            attribute(177, 'Wear_Leveling_Count', 93, 41)
+        ])
+
+        expect(counters).toEqual({
+            bytesWritten: 1000 * 32 * 1024 ** 2,
+            bytesRead: 2000 * 512,
+            percentageUsed: 7
+        })
+    })
+
+    it('ignores drives without endurance counters', () => {
+        expect(ataEnduranceCounters([attribute(5, 'Reallocated_Sector_Ct', 100, 0)])).toBeNull()
+    })
+})
+
+describe('endurance ratings', () => {
+    const rules = mergeRules(DEFAULT_RULES, {
+        endurance: [
+            { match: { model: 'Samsung SSD 990 PRO*' }, tbw: 1200 },
+            { match: { model: 'Samsung SSD 990 PRO 4TB' }, tbw: 2400 }
+        ]
+    })
+
+    it('uses the last matching entry', () => {
+        expect(resolveRatedTbw(rules, { model: 'Samsung SSD 990 PRO 4TB' })).toBe(2400)
+        expect(resolveRatedTbw(rules, { model: 'Samsung SSD 990 PRO 1TB' })).toBe(1200)
+        expect(resolveRatedTbw(rules, { model: 'WDC WD80EFZX-68UW8N0' })).toBeNull()
+    })
+
+    it('is applied by transformDeviceData', () => {
+        const { endurance } = transformDeviceData(loadSample('nvme0n1_smart.json'), rules)
+
+        expect(endurance.tbWritten).toBeCloseTo(20.853)
+        expect(endurance.ratedTbw).toBe(2400)
+        expect(endurance.wearOutBasis).toBe('tbw')
+    })
+
+    it('leaves hard disks without endurance data', () => {
+        expect(transformDeviceData(loadSample('sdd_smart.json')).endurance).toBeNull()
+    })
+})
+
+describe('formatVolume', () => {
+    it('picks GB, TB or PB', () => {
+        expect(formatVolume(0.25)).toBe('250 GB')
+        expect(formatVolume(20.853)).toBe('20.85 TB')
+        expect(formatVolume(13880)).toBe('13.88 PB')
+        expect(formatVolume(null)).toBe(null)
+    })
+
+    it('formats the number for the locale', () => {
+        expect(formatVolume(20.853, 'de')).toBe('20,85 TB')
+        expect(formatVolume(13880, 'de')).toBe('13,88 PB')
+    })
+})
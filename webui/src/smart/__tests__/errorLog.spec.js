@@ -0,0 +1,109 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { parseErrorLog } from '../errorLog.js'
+import { loadSample } from './samples.js'
+
+const errorLogOf = (file) => {
+    const { smart_errors: smartErrors, smart_attributes: smartAttrs } = loadSample(file).smart_data
+    return parseErrorLog(smartErrors, smartAttrs)
+}
+
+describe('parseErrorLog', () => {
+    it('maps the ATA summary error log', () => {
+        const { entries, count } = errorLogOf('sdb_smart.json')
+
+        expect(count).toBe(2)
+        expect(entries.map((entry) => entry.number)).toEqual([2, 1])
+        expect(entries[0]).toEqual({
+            number: 2,
+            lifetimeHours: 102711,
+            lba: 48213312,
+            command: 'READ FPDMA QUEUED',
+            description: 'Error: UNC 8 sectors at LBA = 0x02dfb040 = 48213312',
+            registers: 'ER=0x40 ST=0x51 SC=0x00 DEV=0x40',
+            state: 'active or idle',
+            previousCommands: [
+                {
+                    name: 'READ FPDMA QUEUED',
+                    lba: 48213312,
+                    count: 8,
+                    powerupMilliseconds: 7305121
+                },
+                {
+                    name: 'SET FEATURES [Enable SATA feature]',
+                    lba: 0,
+                    count: 2,
+                    powerupMilliseconds: 7303921
+                }
+            ],
+            protocol: 'ATA'
+        })
+    })
+
+    it('maps the NVMe error information log', () => {
+        const { entries, count } = errorLogOf('nvme1n1_smart.json')
+
+        expect(count).toBe(5)
+        expect(entries.map((entry) => entry.number)).toEqual([5, 4, 3, 2, 1])
+        expect(entries[0]).toEqual({
+            number: 5,
+            lifetimeHours: null,
+            lba: 1834520960,
+            command: 'SQ 3 / CID 412',
+            description: 'Unrecovered Read Error',
+            registers: 'SCT=2 SC=0x81 DNR=1',
+            state: 'NSID 1',
+            previousCommands: [],
+            protocol: 'NVMe'
+        })
+    })
+
+    it('counts the errors the log no longer holds', () => {
+        const { entries, count } = parseErrorLog(
+            { nvme_error_information_log: { table: [{ error_count: 0 }, { error_count: 7 }] } },
+            { nvme_smart_health_information_log: { num_err_log_entries: 7 } }
+        )
+
+        // slots without an error count are unused
+        expect(entries.map((entry) => entry.number)).toEqual([7])
+        expect(count).toBe(7)
+        expect(
+            parseErrorLog({ ata_smart_error_log: { summary: { count: 40, table: [{}] } } }).count
+        ).toBe(40)
+    })
+
+    it('is empty without errors', () => {
+        expect(errorLogOf('sda_smart.json')).toEqual({ entries: [], count: 0 })
+        expect(parseErrorLog()).toEqual({ entries: [], count: 0 })
+        expect(
+            parseErrorLog({ ata_smart_error_log: { summary: { count: 0, table: [] } } })
+        ).toEqual({ entries: [], count: 0 })
+    })
+
+    it('skips entries that are no objects', () => {
+        const ata = parseErrorLog({
+            ata_smart_error_log: {
+                summary: {
+                    table: [null, 3, 'error', [], { error_number: 1, previous_commands: [null] }]
+                }
+            }
+        })
+        const nvme = parseErrorLog({
+            nvme_error_information_log: { table: [null, 'x', { error_count: 1 }] }
+        })
+
+        expect(ata.entries).toHaveLength(1)
+        expect(ata.entries[0]).toMatchObject({
+            number: 1,
+            command: 'Unknown',
+            description: 'Unknown error',
+            registers: 'ER=-- ST=-- SC=-- DEV=--',
+            previousCommands: []
+        })
+        expect(nvme.entries.map((entry) => entry.number)).toEqual([1])
+        expect(parseErrorLog({ ata_smart_error_log: { summary: { table: 'none' } } })).toEqual({
+            entries: [],
+            count: 0
+        })
+    })
+})
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { collectionDiagnostics, decodeExitStatus, exitStatusReasons } from '../exitStatus.js'
+import { DEFAULT_RULES, mergeRules } from '../healthRules.js'
+import { transformDeviceData } from '../transform.js'
+import { loadSample } from './samples.js'
+
+const withExitStatus = (section, exitStatus) => {
+    const sample = loadSample('sdd_smart.json')
+    sample.smart_data[section].smartctl.exit_status = exitStatus
+    return sample
+}
+
+describe('decodeExitStatus', () => {
+    it('decodes every bit that is set', () => {
+        expect(decodeExitStatus(0)).toEqual([])
+        expect(decodeExitStatus(0b11000100).map((flag) => flag.key)).toEqual([
+            'commandFailed',
+            'errorLog',
+            'selftestLog'
+        ])
+    })
+})
+
+describe('collectionDiagnostics', () => {
+    it('reads the exit status of every section', () => {
+        const diagnostics = collectionDiagnostics(loadSample('sdb_smart.json').smart_data)
+
+        expect(diagnostics.map((d) => [d.command, d.exitStatus])).toEqual([
+            ['smartctl -i', 0],
+            ['smartctl -A', 0],
+            ['smartctl -H', null],
+            ['smartctl -l error', 64],
+            ['smartctl -l selftest', null]
+        ])
+        expect(diagnostics[3].flags).toEqual([
+            {
+                bit: 6,
+                key: 'errorLog',
+                label: 'The device error log contains errors',
+                status: 'Warning'
+            }
+        ])
+    })
+
+    it('reports a bit set by several sections once', () => {
+        const reasons = exitStatusReasons(
+            collectionDiagnostics({
+                smart_attributes: { smartctl: { exit_status: 4 } },
+                smart_health: { smartctl: { exit_status: 4 } }
+            })
+        )
+
+        expect(reasons).toEqual([
+            {
+                attribute: 'smartctl -A',
+                status: 'Warning',
+                rule: 'exitStatus.commandFailed',
+                reason: 'A SMART command to the device failed or returned a checksum error'
+            }
+        ])
+    })
+})
+
+describe('exit status in the health evaluation', () => {
+    it('marks a drive smartctl reports as failing critical', () => {
+        const device = transformDeviceData(withExitStatus('smart_health', 8))
+
+        expect(device.health).toBe('Critical')
+        expect(device.healthReasons.map((reason) => reason.rule)).toContain(
+            'exitStatus.diskFailing'
+        )
+    })
+
+    it('stops a drive that could not be fully read from looking healthy', () => {
+        expect(transformDeviceData(loadSample('sdd_smart.json')).health).toBe('Good')
+        expect(transformDeviceData(withExitStatus('smart_attributes', 2)).health).toBe('Warning')
+    })
+
+    it('ignores bits the rule set maps to Good', () => {
+        const rules = mergeRules(DEFAULT_RULES, { exitStatus: { errorLog: 'Good' } })
+        const device = transformDeviceData(loadSample('sdb_smart.json'), rules)
+
+        expect(device.health).toBe('Good')
+        expect(device.diagnostics[3].flags[0].status).toBe('Good')
+    })
+})
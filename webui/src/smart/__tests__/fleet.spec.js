@@ -0,0 +1,142 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+    FLEET_SCENARIOS,
+    SCENARIO_DEGRADING,
+    SCENARIO_MALFORMED,
+    SCENARIO_MISSING,
+    SCENARIO_OVERHEATING,
+    SCENARIO_SELFTEST_FAILED,
+    SCENARIO_STALE,
+    createFleet,
+    fleetFile,
+    fleetPaths
+} from '../../../cli/lib/fleet.js'
+import { indexDeviceNames, transformIndexFiles } from '../collection.js'
+import { PROBLEM_PARSE, checkDeviceFile, checkIndexFile } from '../dataProblems.js'
+import { DEFAULT_RULES, STATUS_CRITICAL, STATUS_GOOD, STATUS_WARNING } from '../healthRules.js'
+import { DATA_MISSING, DATA_OK, DATA_STALE } from '../staleness.js'
+
+const LAST_RUN = 1755340242
+const fleet = createFleet({ drives: 120, hosts: 2, seed: 7, snapshots: 4, lastRun: LAST_RUN })
+
+const hostDevices = (host) => {
+    const index = JSON.parse(fleetFile(fleet, `hosts/${host.name}/index.json`))
+    const files = indexDeviceNames(index).map((deviceName) => {
+        const content = fleetFile(fleet, `hosts/${host.name}/${deviceName}_smart.json`)
+        if (content === null) {
+            return { deviceName, error: new Error('HTTP 404') }
+        }
+        try {
+            return { deviceName, data: JSON.parse(content) }
+        } catch {
+            // what axios hands out for a response that isn't JSON
+            return { deviceName, data: content }
+        }
+    })
+    return transformIndexFiles(index, files, DEFAULT_RULES, host.name).map((device, i) => ({
+        ...device,
+        scenario: host.drives[i].scenario
+    }))
+}
+
+const devices = fleet.hosts.flatMap(hostDevices)
+const withScenario = (scenario) => devices.filter((device) => device.scenario === scenario)
+
+describe('createFleet', () => {
+    it('is the same for the same seed', () => {
+        const again = createFleet({
+            drives: 120,
+            hosts: 2,
+            seed: 7,
+            snapshots: 4,
+            lastRun: LAST_RUN
+        })
+        expect(fleetFile(again, 'hosts/node02/index.json')).toBe(
+            fleetFile(fleet, 'hosts/node02/index.json')
+        )
+        expect(fleetPaths(again)).toEqual(fleetPaths(fleet))
+    })
+
+    it('spreads protocols and scenarios over the hosts', () => {
+        expect(fleet.hosts.map((host) => host.drives.length)).toEqual([60, 60])
+        expect(new Set(devices.map((device) => device.protocol).filter(Boolean))).toEqual(
+            new Set(['ATA', 'NVMe', 'SCSI'])
+        )
+        for (const scenario of FLEET_SCENARIOS) {
+            expect(withScenario(scenario).length, scenario).toBeGreaterThan(0)
+        }
+    })
+})
+
+describe('fleet files', () => {
+    it('validate against the schemas', () => {
+        for (const host of fleet.hosts) {
+            expect(
+                checkIndexFile({
+                    data: JSON.parse(fleetFile(fleet, `hosts/${host.name}/index.json`))
+                })
+            ).toBeNull()
+        }
+        for (const device of devices.filter((device) => device.dataState !== DATA_MISSING)) {
+            expect(device.dataProblem, device.name).toBeNull()
+        }
+    })
+
+    it('apply the scenarios to the last run', () => {
+        expect(
+            withScenario(SCENARIO_MISSING).every((device) => device.dataState === DATA_MISSING)
+        ).toBe(true)
+        expect(
+            withScenario(SCENARIO_MALFORMED).every(
+                (device) => device.dataProblem?.kind === PROBLEM_PARSE
+            )
+        ).toBe(true)
+        expect(
+            withScenario(SCENARIO_STALE).every((device) => device.dataState === DATA_STALE)
+        ).toBe(true)
+        expect(
+            withScenario(SCENARIO_OVERHEATING).every((device) => device.health !== STATUS_GOOD)
+        ).toBe(true)
+        expect(
+            withScenario(SCENARIO_DEGRADING).every((device) =>
+                [STATUS_WARNING, STATUS_CRITICAL].includes(device.health)
+            )
+        ).toBe(true)
+        expect(
+            withScenario(SCENARIO_SELFTEST_FAILED).every(
+                (device) => device.selftestLog[0].passed === false && device.dataState === DATA_OK
+            )
+        ).toBe(true)
+    })
+
+    it('keep a history in which degrading drives get worse', () => {
+        const degrading = (candidate) => candidate.scenario === SCENARIO_DEGRADING
+        const host = fleet.hosts.find((candidate) => candidate.drives.some(degrading))
+        const drive = host.drives.find(degrading)
+        const history = JSON.parse(fleetFile(fleet, `hosts/${host.name}/history/index.json`))
+        expect(history.snapshots.map((snapshot) => snapshot.timestamp)).toEqual(fleet.runs)
+
+        const defects = history.snapshots.map((snapshot) => {
+            const file = JSON.parse(
+                fleetFile(fleet, `hosts/${host.name}/${snapshot.path}/${drive.name}_smart.json`)
+            )
+            expect(checkDeviceFile({ data: file })).toBeNull()
+            const [device] = transformIndexFiles(
+                {},
+                [{ deviceName: drive.name, data: file }],
+                DEFAULT_RULES,
+                host.name
+            )
+            return device.healthReasons.length
+        })
+        expect(defects[0]).toBe(0)
+        expect(defects.at(-1)).toBeGreaterThan(0)
+    })
+
+    it('has no other files', () => {
+        expect(fleetFile(fleet, 'hosts/node09/index.json')).toBeNull()
+        expect(fleetFile(fleet, 'hosts/node01/sdzz_smart.json')).toBeNull()
+        expect(fleetFile(fleet, 'hosts/node01/history/1/sda_smart.json')).toBeNull()
+    })
+})
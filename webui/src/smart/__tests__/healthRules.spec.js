@@ -0,0 +1,254 @@
+import { describe, expect, it } from 'vitest'
+import {
+    DEFAULT_RULES,
+    STATUS_CRITICAL,
+    STATUS_GOOD,
+    STATUS_UNKNOWN,
+    STATUS_WARNING,
+    evaluateAttributes,
+    evaluateRule,
+    globMatch,
+    mergeRules,
+    resolveRules,
+    ruleDeviceType,
+    worseStatus
+} from '../healthRules.js'
+
+const attribute = (fields) => ({ id: 5, name: 'Reallocated_Sector_Ct', ...fields })
+
+describe('evaluateRule', () => {
+    it('checks the raw value against the warn and critical limits', () => {
+        const rule = { warn: 1, critical: 100 }
+
+        expect(evaluateRule(attribute({ raw: '0' }), rule)).toEqual({
+            status: STATUS_GOOD,
+            reason: 'Raw value 0 within limits (warning 1, critical 100)'
+        })
+        expect(evaluateRule(attribute({ raw: '1' }), rule)).toEqual({
+            status: STATUS_WARNING,
+            reason: 'Raw value 1 ≥ warning limit 1'
+        })
+        expect(evaluateRule(attribute({ raw: '250 (Min/Max 0/300)' }), rule)).toEqual({
+            status: STATUS_CRITICAL,
+            reason: 'Raw value 250 ≥ critical limit 100'
+        })
+        expect(evaluateRule(attribute({ raw: '-' }), rule)).toEqual({
+            status: STATUS_UNKNOWN,
+            reason: 'Raw value is not available'
+        })
+    })
+
+    it('checks the normalized value, downwards with direction below', () => {
+        const rule = { check: 'value', direction: 'below', warn: 20, critical: 10 }
+
+        expect(evaluateRule(attribute({ value: 50 }), rule).status).toBe(STATUS_GOOD)
+        expect(evaluateRule(attribute({ value: 20 }), rule)).toEqual({
+            status: STATUS_WARNING,
+            reason: 'Normalized value 20 ≤ warning limit 20'
+        })
+        expect(evaluateRule(attribute({ value: 5 }), rule).status).toBe(STATUS_CRITICAL)
+    })
+
+    it('compares value and worst with the vendor threshold', () => {
+        const rule = { check: 'threshold' }
+
+        expect(evaluateRule(attribute({ value: 100, worst: 100, threshold: 36 }), rule)).toEqual({
+            status: STATUS_GOOD,
+            reason: 'Normalized value above vendor threshold 36'
+        })
+        expect(evaluateRule(attribute({ value: 36, worst: 36, threshold: 36 }), rule)).toEqual({
+            status: STATUS_CRITICAL,
+            reason: 'Normalized value 36 at or below vendor threshold 36'
+        })
+        expect(evaluateRule(attribute({ value: 90, worst: 30, threshold: 36 }), rule)).toEqual({
+            status: STATUS_WARNING,
+            reason: 'Worst value 30 reached vendor threshold 36 in the past'
+        })
+        expect(
+            evaluateRule(attribute({ value: 36, worst: 30, threshold: 36 }), {
+                ...rule,
+                failing: STATUS_WARNING
+            }).status
+        ).toBe(STATUS_WARNING)
+    })
+
+    it('never fails an attribute with a vendor threshold of 0', () => {
+        expect(
+            evaluateRule(attribute({ value: 0, worst: 0, threshold: 0 }), { check: 'threshold' })
+        ).toEqual({ status: STATUS_GOOD, reason: 'No vendor threshold' })
+    })
+
+    it('checks the overall self-assessment', () => {
+        const rule = { check: 'passed' }
+
+        expect(evaluateRule(attribute({ raw: 'PASSED' }), rule)).toEqual({
+            status: STATUS_GOOD,
+            reason: 'SMART overall-health self-assessment passed'
+        })
+        expect(evaluateRule(attribute({ raw: 'FAILED' }), rule)).toEqual({
+            status: STATUS_CRITICAL,
+            reason: 'SMART overall-health self-assessment failed'
+        })
+        expect(
+            evaluateRule(attribute({ raw: 'FAILED' }), { ...rule, failing: STATUS_WARNING }).status
+        ).toBe(STATUS_WARNING)
+    })
+})
+
+describe('resolveRules', () => {
+    const rules = mergeRules(DEFAULT_RULES, {
+        defaults: { 5: { warn: 2 } },
+        deviceTypes: { ata: { 5: { critical: 50 } } },
+        overrides: [
+            { name: 'archive', match: { model: 'WDC WD80*' }, rules: { 5: { warn: 10 } } },
+            { match: { serial: 'ABC*' }, rules: { 5: { critical: 20 } } },
+            { match: { deviceType: 'nvme' }, rules: { 5: { warn: 99 } } }
+        ]
+    })
+
+    it('applies defaults, then the device type, then matching overrides in order', () => {
+        // the warning limit of the defaults gives way to the one of ata.5
+        expect(resolveRules(rules, { model: 'INTEL', serial: 'X', deviceType: 'ata' })[5]).toEqual({
+            warn: 1,
+            critical: 50,
+            source: 'ata.5'
+        })
+        expect(
+            resolveRules(rules, { model: 'WDC WD80EFZX', serial: 'abc1', deviceType: 'ata' })[5]
+        ).toEqual({ warn: 10, critical: 20, source: 'overrides[1].5' })
+        expect(
+            resolveRules(rules, { model: 'WDC WD80EFZX', serial: 'X', deviceType: 'ata' })[5].source
+        ).toBe('archive.5')
+    })
+
+    it('only applies the layer of the device type', () => {
+        const nvme = resolveRules(rules, { model: 'Samsung', serial: 'X', deviceType: 'nvme' })
+
+        expect(nvme[5]).toEqual({ warn: 99, source: 'overrides[2].5' })
+        expect(nvme.temperature.source).toBe('nvme.temperature')
+        expect(nvme['*']).toBeUndefined()
+        expect(nvme.smart_status.source).toBe('defaults.smart_status')
+    })
+})
+
+describe('mergeRules', () => {
+    it('merges attribute rules field by field and appends lists', () => {
+        const merged = mergeRules(DEFAULT_RULES, {
+            deviceTypes: { ata: { 194: { warn: 50 } }, usb: { 1: { warn: 1 } } },
+            overrides: [{ match: { model: 'X' }, rules: {} }],
+            endurance: [{ match: { model: 'X' }, tbw: 600 }],
+            exitStatus: { errorLog: STATUS_GOOD }
+        })
+
+        expect(merged.deviceTypes.ata[194]).toEqual({ warn: 50, critical: 65 })
+        expect(merged.deviceTypes.ata[5]).toEqual(DEFAULT_RULES.deviceTypes.ata[5])
+        expect(merged.deviceTypes.usb).toEqual({ 1: { warn: 1 } })
+        expect(merged.overrides).toHaveLength(1)
+        expect(merged.endurance).toEqual([{ match: { model: 'X' }, tbw: 600 }])
+        expect(merged.exitStatus.errorLog).toBe(STATUS_GOOD)
+        expect(merged.exitStatus.diskFailing).toBe(STATUS_CRITICAL)
+    })
+
+    it('keeps the base without a rules file', () => {
+        expect(mergeRules(DEFAULT_RULES, null)).toBe(DEFAULT_RULES)
+    })
+})
+
+describe('globMatch', () => {
+    it('matches * wildcards case-insensitively', () => {
+        expect(globMatch('wdc wd80*', 'WDC WD80EFZX-68UW8N0')).toBe(true)
+        expect(globMatch('*EFZX*', 'WDC WD80EFZX-68UW8N0')).toBe(true)
+        expect(globMatch('WD80*', 'WDC WD80EFZX')).toBe(false)
+        expect(globMatch('ST4000.NM', 'ST4000xNM')).toBe(false)
+        expect(globMatch(undefined, 'anything')).toBe(true)
+    })
+})
+
+describe('ruleDeviceType', () => {
+    it('prefers the protocol over the type smartctl reached the drive with', () => {
+        expect(ruleDeviceType({ protocol: 'NVMe', type: 'nvme' })).toBe('nvme')
+        expect(ruleDeviceType({ protocol: 'SCSI', type: 'scsi' })).toBe('scsi')
+        expect(ruleDeviceType({ protocol: 'ATA', type: 'scsi' })).toBe('ata')
+        expect(ruleDeviceType({ type: 'scsi' })).toBe('scsi')
+        expect(ruleDeviceType('nvme')).toBe('nvme')
+        expect(ruleDeviceType()).toBe('ata')
+    })
+})
+
+describe('evaluateAttributes', () => {
+    const resolved = resolveRules(DEFAULT_RULES, { model: 'X', serial: 'Y', deviceType: 'ata' })
+
+    it('takes the worst of the own rule and the wildcard', () => {
+        const { attributes, health, healthReasons } = evaluateAttributes(
+            [
+                attribute({ value: 100, worst: 100, threshold: 36, raw: '0' }),
+                { id: 9, name: 'Power_On_Hours', value: 10, worst: 10, threshold: 20, raw: '5' },
+                {
+                    id: 194,
+                    name: 'Temperature_Celsius',
+                    value: 100,
+                    worst: 100,
+                    threshold: 0,
+                    raw: '58'
+                }
+            ],
+            resolved
+        )
+
+        expect(attributes.map(({ status, rule }) => [status, rule])).toEqual([
+            [STATUS_GOOD, 'ata.5'],
+            [STATUS_CRITICAL, 'ata.*'],
+            [STATUS_WARNING, 'ata.194']
+        ])
+        expect(attributes[0].reason).toBe('Raw value 0 within limits (warning 1, critical 100)')
+        expect(health).toBe(STATUS_CRITICAL)
+        expect(healthReasons).toEqual([
+            {
+                attribute: 'Power_On_Hours',
+                status: STATUS_CRITICAL,
+                rule: 'ata.*',
+                reason: 'Normalized value 10 at or below vendor threshold 20'
+            },
+            {
+                attribute: 'Temperature_Celsius',
+                status: STATUS_WARNING,
+                rule: 'ata.194',
+                reason: 'Raw value 58 ≥ warning limit 55'
+            }
+        ])
+    })
+
+    it('skips disabled rules and reports attributes without one', () => {
+        const rules = resolveRules(
+            mergeRules(DEFAULT_RULES, {
+                deviceTypes: { nvme: { media_errors: { enabled: false } } }
+            }),
+            { model: 'X', serial: 'Y', deviceType: 'nvme' }
+        )
+        const { attributes, health } = evaluateAttributes(
+            [
+                { id: 'media_errors', name: 'Media Errors', raw: '60' },
+                { id: 'data_units_read', name: 'Data Units Read', raw: '1000' }
+            ],
+            rules
+        )
+
+        expect(attributes.map(({ status, rule, reason }) => [status, rule, reason])).toEqual([
+            [STATUS_GOOD, null, 'No rule configured'],
+            [STATUS_GOOD, null, 'No rule configured']
+        ])
+        expect(health).toBe(STATUS_GOOD)
+    })
+
+    it('is Unknown without attributes', () => {
+        expect(evaluateAttributes([], resolved).health).toBe(STATUS_UNKNOWN)
+    })
+})
+
+describe('worseStatus', () => {
+    it('ranks Critical over Warning over Good over Unknown', () => {
+        expect(worseStatus(STATUS_WARNING, STATUS_CRITICAL)).toBe(STATUS_CRITICAL)
+        expect(worseStatus(STATUS_WARNING, STATUS_GOOD)).toBe(STATUS_WARNING)
+        expect(worseStatus(STATUS_UNKNOWN, STATUS_GOOD)).toBe(STATUS_GOOD)
+    })
+})
@@ -0,0 +1,82 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { buildTrendSeries, sampleSnapshots } from '@/composables/useSmartHistory'
+import { isRefreshedQuery, smartQueryKeys } from '@/composables/useSmartMonitor'
+import { loadSample } from './samples.js'
+
+const RUNS = [1752921042, 1753525842, 1754130642, 1754735442, 1755340242]
+
+const historyOf = (deviceName) =>
+    RUNS.map((timestamp) => loadSample(`history/${timestamp}/${deviceName}_smart.json`))
+
+describe('sampleSnapshots', () => {
+    const snapshots = Array.from({ length: 10 }, (_, i) => ({ timestamp: i }))
+
+    it('keeps short lists as they are', () => {
+        expect(sampleSnapshots(snapshots, 10)).toBe(snapshots)
+        expect(sampleSnapshots([], 5)).toEqual([])
+    })
+
+    it('spreads the picks evenly from the oldest to the newest snapshot', () => {
+        expect(sampleSnapshots(snapshots, 4).map((snapshot) => snapshot.timestamp)).toEqual([
+            0, 3, 6, 9
+        ])
+        expect(sampleSnapshots(snapshots, 2).map((snapshot) => snapshot.timestamp)).toEqual([0, 9])
+    })
+})
+
+describe('buildTrendSeries', () => {
+    it('sorts the points by time and charts the metrics the drive reports', () => {
+        const { points, metrics } = buildTrendSeries(historyOf('sda').reverse())
+
+        expect(points.map((point) => point.timestamp)).toEqual(RUNS)
+        expect(points[0]).toEqual({
+            id: 'INTEL_SSDSC2BB240G4_INTEL123456789',
+            timestamp: 1752921042,
+            temperature: 38,
+            powerOnHours: 68740,
+            reallocatedSectors: 0,
+            pendingSectors: null,
+            percentageUsed: null,
+            mediaErrors: null
+        })
+        expect(metrics.map((metric) => metric.key)).toEqual([
+            'temperature',
+            'powerOnHours',
+            'reallocatedSectors'
+        ])
+    })
+
+    it('charts the wear of NVMe drives', () => {
+        const { points, metrics } = buildTrendSeries(historyOf('nvme0n1'))
+
+        expect(points.map((point) => point.percentageUsed)).toEqual([0, 0, 0, 0, 1])
+        expect(metrics.map((metric) => metric.key)).toEqual([
+            'temperature',
+            'powerOnHours',
+            'percentageUsed',
+            'mediaErrors'
+        ])
+    })
+
+    it('leaves out snapshots of another drive and files it cannot read', () => {
+        const files = [...historyOf('sda'), ...historyOf('nvme0n1'), {}, { device: 5 }]
+        const { points } = buildTrendSeries(files, 'nvme-eui.0025384641a1c6ea')
+
+        expect(points).toHaveLength(RUNS.length)
+        expect(new Set(points.map((point) => point.id))).toEqual(
+            new Set(['nvme-eui.0025384641a1c6ea'])
+        )
+        expect(buildTrendSeries([{}, { device: 5 }])).toEqual({ points: [], metrics: [] })
+    })
+})
+
+describe('refresh', () => {
+    it('reloads the history of a device but not the archived files', () => {
+        const query = (queryKey) => isRefreshedQuery({ queryKey })
+
+        expect(query(smartQueryKeys.history('local', 'sda', 60))).toBe(true)
+        expect(query(smartQueryKeys.device('local', 'sda'))).toBe(true)
+        expect(query(smartQueryKeys.snapshotFile('history/1/sda_smart.json'))).toBe(false)
+    })
+})
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest'
+import {
+    LOCAL_HOST,
+    deviceDetailPath,
+    findHost,
+    hostHealthRollup,
+    localHost,
+    normalizeHostsManifest,
+    resolveHostUrl
+} from '../hosts.js'
+
+describe('resolveHostUrl', () => {
+    it('resolves relative base URLs against the manifest directory', () => {
+        expect(resolveHostUrl('/api/smart', 'hosts/nas01/')).toBe('/api/smart/hosts/nas01')
+        expect(resolveHostUrl('/api/smart/', './nas01')).toBe('/api/smart/nas01')
+        expect(resolveHostUrl('/api/smart', '.')).toBe('/api/smart')
+    })
+
+    it('keeps absolute paths and URLs', () => {
+        expect(resolveHostUrl('/api/smart', '/other/nas01')).toBe('/other/nas01')
+        expect(resolveHostUrl('/api/smart', 'https://nas01.lan/smart/')).toBe(
+            'https://nas01.lan/smart'
+        )
+    })
+})
+
+describe('normalizeHostsManifest', () => {
+    it('defaults the base URL to the host name', () => {
+        const hosts = normalizeHostsManifest(
+            {
+                hosts: [
+                    { name: 'nas01', label: 'NAS' },
+                    { name: 'backup01', baseUrl: '/b' }
+                ]
+            },
+            '/api/smart'
+        )
+
+        expect(hosts).toEqual([
+            { name: 'nas01', label: 'NAS', baseUrl: '/api/smart/nas01' },
+            { name: 'backup01', label: null, baseUrl: '/b' }
+        ])
+    })
+
+    it('rejects empty manifests, invalid and duplicate names', () => {
+        expect(() => normalizeHostsManifest({ hosts: [] }, '/')).toThrow('non-empty')
+        expect(() => normalizeHostsManifest({ hosts: [{ name: 'a/b' }] }, '/')).toThrow(
+            'invalid name'
+        )
+        expect(() =>
+            normalizeHostsManifest({ hosts: [{ name: 'a' }, { name: 'a' }] }, '/')
+        ).toThrow('more than once')
+    })
+})
+
+describe('findHost', () => {
+    const hosts = [localHost('/data'), { name: 'nas01', baseUrl: '/data/nas01' }]
+
+    it('selects the first host without a name and null for unknown ones', () => {
+        expect(findHost(hosts, null).name).toBe(LOCAL_HOST)
+        expect(findHost(hosts, 'nas01').baseUrl).toBe('/data/nas01')
+        expect(findHost(hosts, 'nope')).toBeNull()
+        expect(findHost(undefined, 'nas01')).toBeNull()
+    })
+})
+
+describe('hostHealthRollup', () => {
+    it('counts devices per status and takes the worst health', () => {
+        const rollup = hostHealthRollup([
+            { health: 'Good' },
+            { health: 'Warning' },
+            { health: 'Good' },
+            { health: 'Critical' }
+        ])
+
+        expect(rollup).toEqual({ health: 'Critical', total: 4, good: 2, warning: 1, critical: 1 })
+    })
+
+    it('is Unknown for a host without devices', () => {
+        expect(hostHealthRollup([]).health).toBe('Unknown')
+    })
+})
+
+describe('deviceDetailPath', () => {
+    it('only qualifies the route with the host in multi-host setups', () => {
+        expect(deviceDetailPath({ name: 'sda', host: LOCAL_HOST })).toBe('/detail/sda')
+        expect(deviceDetailPath({ name: 'sda', host: 'nas01' })).toBe('/host/nas01/detail/sda')
+    })
+
+    it('uses the stable drive route for drives with a serial number', () => {
+        const drive = { name: 'sda', serial: 'WD-WX12 34', host: LOCAL_HOST }
+        expect(deviceDetailPath(drive)).toBe('/drive/WD-WX12%2034')
+        expect(deviceDetailPath({ ...drive, host: 'nas01' })).toBe('/host/nas01/drive/WD-WX12%2034')
+        expect(deviceDetailPath({ ...drive, serial: 'Unknown Serial' })).toBe('/detail/sda')
+    })
+})
@@ -0,0 +1,85 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import de from '../../i18n/de.js'
+import en from '../../i18n/en.js'
+import {
+    DEFAULT_LOCALE,
+    formatAge,
+    formatDate,
+    matchLocale,
+    setLocale,
+    t,
+    translate
+} from '../../i18n/index.js'
+
+// Dotted keys of a catalog, plural forms as key.one, key.other
+const keys = (catalog, prefix = '') =>
+    Object.entries(catalog).flatMap(([name, value]) =>
+        typeof value === 'string' ? [prefix + name] : keys(value, `${prefix}${name}.`)
+    )
+
+describe('catalogs', () => {
+    it('have the same messages in every language', () => {
+        expect(keys(de).sort()).toEqual(keys(en).sort())
+    })
+
+    it('use the same placeholders in every language', () => {
+        const placeholders = (message) => (message.match(/\{\w+\}/g) || []).sort()
+        const lookup = (catalog, key) => key.split('.').reduce((node, part) => node[part], catalog)
+        for (const key of keys(en)) {
+            expect(placeholders(lookup(de, key)), key).toEqual(placeholders(lookup(en, key)))
+        }
+    })
+})
+
+describe('translate', () => {
+    it('fills in placeholders and formats numbers for the locale', () => {
+        expect(translate('en', 'units.hours', { hours: 17532 })).toBe('17,532 h')
+        expect(translate('de', 'units.hours', { hours: 17532 })).toBe('17.532 h')
+        expect(translate('en', 'common.couldNotLoad', { url: 'a.json', message: 'gone' })).toBe(
+            'Could not load a.json: gone'
+        )
+    })
+
+    it('picks the plural form by count', () => {
+        expect(translate('en', 'units.years', { count: 1 })).toBe('1 year')
+        expect(translate('en', 'units.years', { count: 2 })).toBe('2 years')
+        expect(translate('de', 'units.days', { count: 1 })).toBe('1 Tag')
+        expect(translate('de', 'units.days', { count: 0 })).toBe('0 Tage')
+    })
+
+    it('falls back to English, then to the key', () => {
+        expect(translate('fr', 'detail.edit')).toBe('Edit')
+        expect(translate('de', 'no.such.key')).toBe('no.such.key')
+    })
+})
+
+describe('matchLocale', () => {
+    it('picks the first supported language', () => {
+        expect(matchLocale(['de-AT', 'en-US'])).toBe('de')
+        expect(matchLocale(['fr-FR', 'en-GB'])).toBe('en')
+        expect(matchLocale(['fr-FR'])).toBe(DEFAULT_LOCALE)
+        expect(matchLocale()).toBe(DEFAULT_LOCALE)
+    })
+})
+
+describe('current locale', () => {
+    afterEach(() => setLocale(DEFAULT_LOCALE))
+
+    it('switches the messages and formats', () => {
+        setLocale('de')
+        expect(t('detail.edit')).toBe('Bearbeiten')
+        expect(formatDate('2025-08-16')).toBe('16.08.2025')
+        expect(formatAge(3 * 86400 + 60)).toBe('vor 3 Tagen')
+
+        setLocale('en')
+        expect(formatDate('2025-08-16')).toBe('Aug 16, 2025')
+        expect(formatAge(2 * 3600)).toBe('2 hours ago')
+        expect(formatAge(10)).toBe(t('age.justNow'))
+        expect(formatDate(null)).toBe('N/A')
+    })
+
+    it('ignores unknown locales', () => {
+        setLocale('xx')
+        expect(t('detail.edit')).toBe('Edit')
+    })
+})
@@ -0,0 +1,84 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+    DRIVE_MOVED,
+    DRIVE_REPLACED,
+    describeDriveChange,
+    detectDriveChanges,
+    driveIdentity,
+    driveMap,
+    formatWwn,
+    mergeDriveMap
+} from '../identity.js'
+import { missingDevice } from '../staleness.js'
+import { transformDeviceData } from '../transform.js'
+import { loadSample } from './samples.js'
+
+const drive = (name, serial, host = 'local') => ({
+    id: `MODEL_${serial}`,
+    name,
+    serial,
+    model: 'MODEL',
+    host
+})
+
+describe('driveIdentity', () => {
+    it('prefers the WWN, then the EUI-64, then model and serial', () => {
+        expect(formatWwn({ naa: 5, oui: 3274, id: 10263734630 })).toBe('0x5000cca263c42966')
+        expect(transformDeviceData(loadSample('sdd_smart.json')).id).toBe('wwn-0x5000cca263c42966')
+        expect(transformDeviceData(loadSample('sde_smart.json')).id).toBe('wwn-0x5000c500a1b2c3d4')
+        expect(transformDeviceData(loadSample('nvme0n1_smart.json')).id).toBe(
+            'nvme-eui.0025384641a1c6ea'
+        )
+        expect(driveIdentity({}, { model: 'WDC WD80EFZX', serial: 'R6G94U4Y' })).toBe(
+            'WDC_WD80EFZX_R6G94U4Y'
+        )
+    })
+
+    it('falls back to the device name without a serial number', () => {
+        const sample = loadSample('sda_smart.json')
+        delete sample.smart_data.device_info.serial_number
+
+        expect(transformDeviceData(sample).id).toBe('sda')
+    })
+})
+
+describe('detectDriveChanges', () => {
+    const previous = driveMap([drive('sda', 'A'), drive('sdb', 'B')])
+
+    it('reports nothing while the names keep their drives', () => {
+        expect(detectDriveChanges(previous, [drive('sda', 'A'), drive('sdb', 'B')])).toEqual([])
+    })
+
+    it('reports a drive not seen before as a replacement', () => {
+        const [notice] = detectDriveChanges(previous, [drive('sda', 'C'), drive('sdb', 'B')])
+
+        expect(notice).toMatchObject({ type: DRIVE_REPLACED, name: 'sda', serial: 'C' })
+        expect(describeDriveChange(notice)).toBe('sda now holds MODEL (C), before it was MODEL (A)')
+    })
+
+    it('reports a known drive under another name as a move', () => {
+        const notices = detectDriveChanges(previous, [drive('sda', 'B'), drive('sdb', 'A')])
+
+        expect(notices.map((notice) => [notice.type, notice.name, notice.previous.name])).toEqual([
+            [DRIVE_MOVED, 'sda', 'sdb'],
+            [DRIVE_MOVED, 'sdb', 'sda']
+        ])
+    })
+
+    it('only compares within a host that was seen before', () => {
+        expect(detectDriveChanges(previous, [drive('sda', 'C', 'nas01')])).toEqual([])
+        expect(detectDriveChanges(previous, [missingDevice('sda', 'gone')])).toEqual([])
+    })
+})
+
+describe('mergeDriveMap', () => {
+    it('keeps the old drive of names with a notice until acknowledged', () => {
+        const previous = driveMap([drive('sda', 'A')])
+        const devices = [drive('sda', 'C'), drive('sdc', 'D')]
+        const merged = mergeDriveMap(previous, devices, detectDriveChanges(previous, devices))
+
+        expect(merged.local.sda.serial).toBe('A')
+        expect(merged.local.sdc.serial).toBe('D')
+    })
+})
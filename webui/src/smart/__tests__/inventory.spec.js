@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+    WARRANTY_ACTIVE,
+    WARRANTY_EXPIRED,
+    WARRANTY_EXPIRING,
+    normalizeInventory,
+    parseInventoryDate,
+    serializeInventory,
+    updateInventory,
+    warrantyStatus,
+    withInventory
+} from '../inventory.js'
+import { missingDevice } from '../staleness.js'
+import { loadSample } from './samples.js'
+
+// 2026-10-19 12:00 UTC
+const NOW = Date.UTC(2026, 9, 19, 12) / 1000
+
+describe('normalizeInventory', () => {
+    it('reads the sample inventory', () => {
+        const inventory = normalizeInventory(loadSample('inventory.json'))
+
+        expect(inventory.R6G94U4Y).toEqual({
+            location: 'Bay 5',
+            purchaseDate: '2023-12-04',
+            vendor: 'Amazon',
+            warrantyEnd: '2026-12-03'
+        })
+    })
+
+    it('trims the fields, drops empty ones and keeps unknown ones', () => {
+        const inventory = normalizeInventory({
+            drives: { A: { location: ' Bay 1 ', vendor: '', rack: 'R2' } }
+        })
+
+        expect(inventory.A).toEqual({ location: 'Bay 1', rack: 'R2' })
+    })
+
+    it('rejects files it cannot use', () => {
+        expect(() => normalizeInventory({ drives: [] })).toThrow(/"drives" object/)
+        expect(() => normalizeInventory({ drives: { A: 'Bay 1' } })).toThrow(/drive "A"/)
+        expect(() => normalizeInventory({ drives: { A: { warrantyEnd: '2027-02-30' } } })).toThrow(
+            /invalid warrantyEnd "2027-02-30"/
+        )
+    })
+})
+
+describe('warrantyStatus', () => {
+    it('counts the last day as covered', () => {
+        expect(parseInventoryDate('2026-10-19')).toBe(Date.UTC(2026, 9, 19) / 1000)
+        expect(warrantyStatus('2026-10-19', NOW)).toEqual({ state: WARRANTY_EXPIRING, daysLeft: 0 })
+        expect(warrantyStatus('2026-10-18', NOW)).toEqual({ state: WARRANTY_EXPIRED, daysLeft: -1 })
+    })
+
+    it('flags a warranty ending within the warning window', () => {
+        expect(warrantyStatus('2026-12-03', NOW).state).toBe(WARRANTY_EXPIRING)
+        expect(warrantyStatus('2026-12-03', NOW, 30).state).toBe(WARRANTY_ACTIVE)
+        expect(warrantyStatus(undefined, NOW)).toBeNull()
+    })
+})
+
+describe('withInventory', () => {
+    it('matches devices by serial number', () => {
+        const inventory = normalizeInventory(loadSample('inventory.json'))
+        const [sdd, missing] = withInventory(
+            [{ name: 'sdd', serial: 'R6G94U4Y' }, missingDevice('sdx', 'gone')],
+            inventory,
+            NOW
+        )
+
+        expect(sdd.inventory.location).toBe('Bay 5')
+        expect(sdd.warranty).toEqual({ state: WARRANTY_EXPIRING, daysLeft: 45 })
+        expect(missing.inventory).toBeNull()
+        expect(missing.warranty).toBeNull()
+    })
+})
+
+describe('updateInventory', () => {
+    it('sets and clears fields without touching the original', () => {
+        const inventory = { A: { location: 'Bay 1' } }
+        const updated = updateInventory(inventory, 'A', { location: '', notes: 'RMA sent' })
+
+        expect(updated).toEqual({ A: { notes: 'RMA sent' } })
+        expect(inventory.A.location).toBe('Bay 1')
+        expect(updateInventory(updated, 'A', { notes: ' ' })).toEqual({})
+    })
+
+    it('exports a file that reads back the same', () => {
+        const inventory = updateInventory(
+            normalizeInventory(loadSample('inventory.json')),
+            'SEAGATE123456',
+            { location: 'Bay 2' }
+        )
+        const file = serializeInventory(inventory)
+
+        expect(Object.keys(JSON.parse(file).drives)[0]).toBe('HGST123456789')
+        expect(normalizeInventory(JSON.parse(file))).toEqual(inventory)
+    })
+})
@@ -0,0 +1,39 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { readOutputDir } from '../../../cli/lib/outputDir.js'
+import { renderOpenMetrics } from '../metrics.js'
+import { missingDevice } from '../staleness.js'
+import { BACKUP_DIR, SAMPLE_DIR } from './samples.js'
+
+describe('renderOpenMetrics', () => {
+    it('matches the golden exposition of the sample data', async () => {
+        const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+
+        await expect(
+            renderOpenMetrics(devices, { now: lastRun + 3600, lastRun })
+        ).toMatchFileSnapshot('./__golden__/metrics.prom')
+    })
+
+    it('exports the data state of stale and missing files', async () => {
+        const { devices, lastRun } = await readOutputDir(BACKUP_DIR, { host: 'backup01' })
+        const metrics = renderOpenMetrics(devices, { now: lastRun, lastRun, host: 'backup01' })
+
+        expect(metrics).toMatch(
+            /nanosmart_device_data_state\{host="backup01",device="nvme0n1",[^}]*state="stale"\} 1/
+        )
+        expect(metrics).toMatch(
+            /nanosmart_device_data_state\{host="backup01",device="sdb",[^}]*state="missing"\} 1/
+        )
+        expect(metrics).not.toMatch(/nanosmart_device_power_on_hours\{[^}]*device="sdb"/)
+    })
+
+    it('escapes label values', () => {
+        const device = { ...missingDevice('sdx', 'gone'), model: 'Disk "A"\\B\nC' }
+
+        expect(renderOpenMetrics([device], { now: 0 })).toContain('model="Disk \\"A\\"\\\\B\\nC"')
+    })
+
+    it('ends with the OpenMetrics EOF marker', () => {
+        expect(renderOpenMetrics([], { now: 0 })).toBe('# EOF\n')
+    })
+})
@@ -0,0 +1,377 @@
+// @vitest-environment node
+import fs from 'node:fs/promises'
+import { Buffer } from 'node:buffer'
+import net from 'node:net'
+import os from 'node:os'
+import path from 'node:path'
+import process from 'node:process'
+import { describe, expect, it } from 'vitest'
+import { deliver, notifyConfigProblems } from '../../../cli/lib/notifySinks.js'
+import { buildMessage, sendMail } from '../../../cli/lib/smtp.js'
+import { STATUS_CRITICAL, STATUS_GOOD, STATUS_WARNING } from '../healthRules.js'
+import {
+    EVENT_APPEARED,
+    EVENT_DISAPPEARED,
+    EVENT_ERRORS,
+    EVENT_HEALTH,
+    EVENT_PENDING,
+    EVENT_REALLOCATED,
+    EVENT_SELFTEST,
+    SEVERITY_CRITICAL,
+    evaluateRun,
+    formatEvents,
+    meetsSeverity,
+    summarizeEvents
+} from '../notify.js'
+import { DATA_MISSING, DATA_OK } from '../staleness.js'
+
+const HOUR = 3600
+const T0 = 1755340242
+
+const device = ({
+    name = 'sda',
+    health = STATUS_GOOD,
+    reallocated = 0,
+    pending = 0,
+    errorCount = 0,
+    selftest = null
+} = {}) => ({
+    id: `wwn-${name}`,
+    host: 'nas01',
+    name,
+    model: 'WDC WD40EFRX',
+    serial: `WD-${name}`,
+    health,
+    healthReasons:
+        health === STATUS_GOOD
+            ? []
+            : [{ attribute: 'Reallocated Sector Count', status: health, reason: 'too many' }],
+    smartAttributes: [
+        { id: 5, raw: String(reallocated) },
+        { id: 197, raw: String(pending) }
+    ],
+    errorCount,
+    selftestLog: selftest ? [selftest] : [],
+    dataState: DATA_OK,
+    dataError: null
+})
+
+const failedSelftest = (lifetimeHours) => ({
+    type: 'Extended offline',
+    status: 'Completed: read failure',
+    passed: false,
+    lifetimeHours
+})
+
+/**
+ * Runs the notifier over a series of runs an hour apart
+ * @param {Array<Array<Object>>} runs - Devices of each run
+ * @param {Object} options - Options of evaluateRun
+ * @returns {Array<Array<Object>>} Events of each run
+ */
+const runSeries = (runs, options = {}) => {
+    let state = null
+    return runs.map((devices, i) => {
+        const result = evaluateRun(state, devices, { now: T0 + i * HOUR, ...options })
+        state = result.state
+        return result.events
+    })
+}
+
+const types = (events) => events.map((event) => event.type).sort()
+
+describe('evaluateRun', () => {
+    it('only reports already degraded drives on the first run', () => {
+        const [events] = runSeries([
+            [device({ name: 'sda' }), device({ name: 'sdb', health: STATUS_CRITICAL })]
+        ])
+        expect(events).toHaveLength(1)
+        expect(events[0]).toMatchObject({
+            key: 'health:nas01:wwn-sdb:Critical',
+            type: EVENT_HEALTH,
+            severity: SEVERITY_CRITICAL,
+            time: T0
+        })
+    })
+
+    it('detects the transitions between runs', () => {
+        const [, events] = runSeries([
+            [device({ name: 'sda' }), device({ name: 'sdb' })],
+            [
+                device({
+                    name: 'sda',
+                    health: STATUS_WARNING,
+                    reallocated: 8,
+                    pending: 2,
+                    errorCount: 1,
+                    selftest: failedSelftest(1200)
+                }),
+                device({ name: 'sdc' })
+            ]
+        ])
+        expect(types(events)).toEqual(
+            [
+                EVENT_APPEARED,
+                EVENT_DISAPPEARED,
+                EVENT_ERRORS,
+                EVENT_HEALTH,
+                EVENT_PENDING,
+                EVENT_REALLOCATED,
+                EVENT_SELFTEST
+            ].sort()
+        )
+        const reallocated = events.find((event) => event.type === EVENT_REALLOCATED)
+        expect(reallocated.message).toBe('8 new reallocated sectors (0 → 8)')
+        expect(formatEvents(events)[0]).toBe(
+            '[CRITICAL] nas01/sda (WDC WD40EFRX, WD-sda): Extended offline self-test failed at 1200 hours: Completed: read failure'
+        )
+    })
+
+    it('tells why a listed drive disappeared', () => {
+        const missing = { ...device({ name: 'sdb' }), id: 'sdb', dataState: DATA_MISSING }
+        missing.dataError = 'HTTP 404 Not Found'
+        const [, events] = runSeries([[device({ name: 'sdb' })], [missing]])
+        expect(events).toHaveLength(1)
+        expect(events[0].message).toBe('drive disappeared: HTTP 404 Not Found')
+    })
+
+    it('reports a failed self-test and counters once', () => {
+        const degraded = device({ pending: 3, selftest: failedSelftest(1200) })
+        const series = runSeries([[device()], [degraded], [degraded], [degraded]])
+        expect(types(series[1])).toEqual([EVENT_PENDING, EVENT_SELFTEST])
+        expect(series[2]).toEqual([])
+        expect(series[3]).toEqual([])
+    })
+
+    it('keeps a flapping drive quiet within the re-notify interval', () => {
+        const good = device()
+        const bad = device({ health: STATUS_WARNING })
+        const series = runSeries([[good], [bad], [good], [bad], [good], [bad]], {
+            renotifyHours: 3
+        })
+        expect(series.map((events) => events.length)).toEqual([0, 1, 0, 0, 0, 1])
+    })
+
+    it('reminds of a drive that stays degraded once per interval', () => {
+        const bad = device({ health: STATUS_CRITICAL })
+        const series = runSeries(Array(7).fill([bad]), { renotifyHours: 3 })
+        expect(series.map((events) => events.length)).toEqual([1, 0, 0, 1, 0, 0, 1])
+        expect(series[3][0]).toMatchObject({ reminder: true })
+        expect(series[3][0].message).toMatch(/^health is still Critical/)
+    })
+
+    it('reports a drive that gets worse again', () => {
+        const series = runSeries([
+            [device()],
+            [device({ health: STATUS_WARNING })],
+            [device({ health: STATUS_CRITICAL })],
+            [device({ health: STATUS_WARNING })]
+        ])
+        expect(series.map((events) => events.map((event) => event.key))).toEqual([
+            [],
+            ['health:nas01:wwn-sda:Warning'],
+            ['health:nas01:wwn-sda:Critical'],
+            []
+        ])
+    })
+})
+
+describe('event helpers', () => {
+    const [, events] = runSeries([
+        [device()],
+        [device({ health: STATUS_WARNING, selftest: failedSelftest(10) })]
+    ])
+
+    it('filters by severity', () => {
+        expect(events.filter((event) => meetsSeverity(event, SEVERITY_CRITICAL))).toHaveLength(1)
+        expect(events.filter((event) => meetsSeverity(event))).toHaveLength(2)
+    })
+
+    it('summarizes', () => {
+        expect(summarizeEvents(events)).toBe('1 critical, 1 warning on nas01')
+    })
+})
+
+describe('notifyConfigProblems', () => {
+    it('accepts a valid config', () => {
+        expect(
+            notifyConfigProblems({
+                stateFile: '/var/lib/nanosmart/notify-state.json',
+                renotifyHours: 12,
+                sinks: [
+                    { type: 'webhook', url: 'https://example.com/hook', minSeverity: 'warning' },
+                    { type: 'smtp', host: 'mail', from: 'a@example.com', to: ['b@example.com'] },
+                    { type: 'command', command: ['/bin/true'] }
+                ]
+            })
+        ).toEqual([])
+    })
+
+    it('lists what is wrong', () => {
+        expect(
+            notifyConfigProblems({
+                renotifyHours: 0,
+                color: 'red',
+                sinks: [
+                    { type: 'pager' },
+                    { type: 'webhook', url: 'ftp://example.com', minSeverity: 'loud' },
+                    { type: 'smtp', name: 'mail', host: 'mail', to: [] },
+                    { type: 'command', name: 'mail', command: ['/bin/true'] }
+                ]
+            })
+        ).toEqual([
+            '"renotifyHours" must be a number greater than 0',
+            'unknown field "color"',
+            'sinks[0] "type" must be one of webhook, smtp, command',
+            'sink "webhook #2" "url" must be an http(s) URL',
+            'sink "webhook #2" "minSeverity" must be one of info, warning, critical',
+            'sink "mail" needs "from"',
+            'sink "mail" "to" must be a non-empty array of strings',
+            'sink name "mail" is used more than once'
+        ])
+    })
+})
+
+describe('sinks', () => {
+    const [events] = runSeries([[device({ health: STATUS_CRITICAL })]])
+
+    it('pipe the events into a command', async () => {
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'nanosmart-notify-'))
+        const output = path.join(dir, 'payload.json')
+        const script = `require('fs').writeFileSync(${JSON.stringify(output)}, require('fs').readFileSync(0, 'utf-8') + process.env.NANOSMART_SEVERITY)`
+        try {
+            await deliver(
+                { type: 'command', command: [process.execPath, '-e', script] },
+                events,
+                T0
+            )
+            const written = await fs.readFile(output, 'utf-8')
+            expect(written.endsWith('}critical')).toBe(true)
+            expect(JSON.parse(written.slice(0, -'critical'.length))).toMatchObject({
+                source: 'nanosmart',
+                time: T0,
+                summary: '1 critical on nas01',
+                events: [{ type: EVENT_HEALTH }]
+            })
+            await expect(
+                deliver(
+                    { type: 'command', command: [process.execPath, '-e', 'process.exit(3)'] },
+                    events,
+                    T0
+                )
+            ).rejects.toThrow('exited with 3')
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true })
+        }
+    })
+
+    // Fake server that queues any mail and keeps the lines the client sent
+    const smtpServer = async (received) => {
+        const server = net.createServer((socket) => {
+            let data = false
+            let buffer = ''
+            socket.write('220 test ESMTP\r\n')
+            socket.on('data', (chunk) => {
+                buffer += chunk.toString()
+                let end
+                while ((end = buffer.indexOf('\r\n')) !== -1) {
+                    const line = buffer.slice(0, end)
+                    buffer = buffer.slice(end + 2)
+                    received.push(line)
+                    if (data) {
+                        if (line === '.') {
+                            data = false
+                            socket.write('250 queued\r\n')
+                        }
+                    } else if (line.startsWith('EHLO')) {
+                        socket.write('250-test\r\n250 AUTH PLAIN LOGIN\r\n')
+                    } else if (line.startsWith('AUTH PLAIN')) {
+                        socket.write('235 ok\r\n')
+                    } else if (line === 'DATA') {
+                        data = true
+                        socket.write('354 go ahead\r\n')
+                    } else if (line === 'QUIT') {
+                        socket.end('221 bye\r\n')
+                    } else {
+                        socket.write('250 ok\r\n')
+                    }
+                }
+            })
+        })
+        await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve))
+        return server
+    }
+
+    it('mail the events over SMTP', async () => {
+        const received = []
+        const server = await smtpServer(received)
+        try {
+            await sendMail(
+                {
+                    host: '127.0.0.1',
+                    port: server.address().port,
+                    username: 'monitor',
+                    password: 'secret',
+                    allowInsecureAuth: true,
+                    timeoutMs: 5000
+                },
+                {
+                    from: 'nanosmart@example.com',
+                    to: ['ops@example.com'],
+                    subject: 'Übersicht',
+                    text: 'first\n.hidden'
+                }
+            )
+        } finally {
+            server.close()
+        }
+        expect(received).toContain(
+            `AUTH PLAIN ${Buffer.from('\0monitor\0secret').toString('base64')}`
+        )
+        expect(received).toContain('RCPT TO:<ops@example.com>')
+        expect(received).toContain(
+            `Subject: =?UTF-8?B?${Buffer.from('Übersicht').toString('base64')}?=`
+        )
+        expect(received).toContain('..hidden')
+        expect(received.at(-1)).toBe('QUIT')
+    })
+
+    it('refuse to send the password over an unencrypted connection', async () => {
+        const received = []
+        const server = await smtpServer(received)
+        try {
+            await expect(
+                sendMail(
+                    {
+                        host: '127.0.0.1',
+                        port: server.address().port,
+                        username: 'monitor',
+                        password: 'secret',
+                        timeoutMs: 5000
+                    },
+                    {
+                        from: 'nanosmart@example.com',
+                        to: ['ops@example.com'],
+                        subject: 'x',
+                        text: ''
+                    }
+                )
+            ).rejects.toThrow('not encrypted')
+        } finally {
+            server.close()
+        }
+        expect(received.some((line) => line.startsWith('AUTH'))).toBe(false)
+        expect(received).not.toContain('MAIL FROM:<nanosmart@example.com>')
+    })
+
+    it('build a message with CRLF line ends', () => {
+        const message = buildMessage({
+            from: 'a@example.com',
+            to: ['b@example.com', 'c@example.com'],
+            subject: 'Hi',
+            text: 'one\ntwo'
+        })
+        expect(message).toMatch(/^From: a@example.com\r\nTo: b@example.com, c@example.com\r\n/)
+        expect(message.endsWith('\r\n\r\none\r\ntwo')).toBe(true)
+    })
+})
@@ -0,0 +1,182 @@
+// @vitest-environment node
+import fs from 'node:fs'
+import { fileURLToPath } from 'node:url'
+import { describe, expect, it } from 'vitest'
+import { SERVICE_WORKER_FILE, buildVersion, pwaPlugin } from '../../../cli/lib/pwa.js'
+
+const ICONS_DIR = fileURLToPath(new URL('../../assets/icons', import.meta.url))
+const SERVICE_WORKER = fileURLToPath(new URL('../../serviceWorker.js', import.meta.url))
+
+/**
+ * Runs generateBundle of the plugin on a bundle
+ * @param {Object} bundle - Output bundle by file name
+ * @returns {Object} Emitted files by name
+ */
+const generate = (bundle) => {
+    const emitted = {}
+    const plugin = pwaPlugin({ iconsDir: ICONS_DIR, serviceWorker: SERVICE_WORKER })
+    plugin.generateBundle.call(
+        { emitFile: ({ fileName, source }) => (emitted[fileName] = source) },
+        {},
+        bundle
+    )
+    return emitted
+}
+
+const sampleBundle = (code = 'console.log(1)') => ({
+    'index.html': { type: 'asset', fileName: 'index.html', source: '<!DOCTYPE html>' },
+    'assets/main-abc.js': { type: 'chunk', fileName: 'assets/main-abc.js', code },
+    'assets/main-abc.js.map': { type: 'asset', fileName: 'assets/main-abc.js.map', source: '{}' }
+})
+
+/**
+ * Reads the constants the plugin prepends to the service worker
+ * @param {string} source - Emitted sw.js
+ * @returns {Object} { BUILD_VERSION, PRECACHE }
+ */
+const swConstants = (source) =>
+    new Function(`${source.split('\n\n')[0]}\nreturn { BUILD_VERSION, PRECACHE }`)()
+
+const SCOPE = 'https://nas.example/'
+
+/**
+ * Runs the service worker with an in-memory cache and a fake network
+ * @param {Function} network - (request) => Promise<Response>, the fetch of the worker
+ * @returns {Object} { request, messages } request(url) fetches through the worker like the page,
+ *                   messages are the ones posted to the page
+ */
+const runServiceWorker = (network) => {
+    const listeners = {}
+    const store = new Map()
+    const cache = {
+        match: async (url) => store.get(url)?.clone(),
+        put: async (url, response) => void store.set(url, response)
+    }
+    const messages = []
+    const self = {
+        registration: { scope: SCOPE },
+        clients: { get: async () => ({ postMessage: (message) => messages.push(message) }) },
+        addEventListener: (type, listener) => (listeners[type] = listener)
+    }
+    new Function(
+        'self',
+        'caches',
+        'fetch',
+        'BUILD_VERSION',
+        'PRECACHE',
+        fs.readFileSync(SERVICE_WORKER, 'utf-8')
+    )(self, { open: async () => cache }, network, 'test', [])
+
+    const request = async (url) => {
+        let answer
+        const pending = []
+        listeners.fetch({
+            request: new Request(url),
+            clientId: 'page',
+            respondWith: (promise) => (answer = promise),
+            waitUntil: (promise) => pending.push(promise)
+        })
+        const response = await answer
+        await Promise.all(pending)
+        return response
+    }
+    return { request, messages }
+}
+
+describe('pwa plugin', () => {
+    it('emits the icons and the manifest', () => {
+        const emitted = generate(sampleBundle())
+
+        expect(Object.keys(emitted)).toContain('icons/android-chrome-192x192.png')
+        const manifest = JSON.parse(emitted['icons/site.webmanifest'])
+        // relative to the manifest, which is served under /icons
+        expect(manifest.icons.every(({ src }) => !src.startsWith('/'))).toBe(true)
+        for (const { src } of manifest.icons) {
+            expect(fs.existsSync(`${ICONS_DIR}/${src}`)).toBe(true)
+        }
+    })
+
+    it('precaches the app shell without source maps', () => {
+        const { BUILD_VERSION, PRECACHE } = swConstants(
+            generate(sampleBundle())[SERVICE_WORKER_FILE]
+        )
+
+        expect(BUILD_VERSION).toMatch(/^[0-9a-f]{12}$/)
+        expect(PRECACHE).toContain('index.html')
+        expect(PRECACHE).toContain('assets/main-abc.js')
+        expect(PRECACHE).toContain('icons/site.webmanifest')
+        expect(PRECACHE).not.toContain('assets/main-abc.js.map')
+        expect(new Set(PRECACHE).size).toBe(PRECACHE.length)
+    })
+
+    it('gives every build its own version', () => {
+        const first = swConstants(generate(sampleBundle())[SERVICE_WORKER_FILE])
+        const same = swConstants(generate(sampleBundle())[SERVICE_WORKER_FILE])
+        const changed = swConstants(generate(sampleBundle('console.log(2)'))[SERVICE_WORKER_FILE])
+
+        expect(same.BUILD_VERSION).toBe(first.BUILD_VERSION)
+        expect(changed.BUILD_VERSION).not.toBe(first.BUILD_VERSION)
+        expect(buildVersion([{ fileName: 'a', source: 'x' }])).not.toBe(
+            buildVersion([{ fileName: 'b', source: 'x' }])
+        )
+    })
+
+    it('emits a classic script', () => {
+        const source = generate(sampleBundle())[SERVICE_WORKER_FILE]
+
+        expect(source).not.toMatch(/^\s*(import|export)\s/m)
+        expect(() => new Function(source)).not.toThrow()
+    })
+})
+
+describe('service worker', () => {
+    const url = `${SCOPE}api/smart/index.json`
+    const answers = (...responses) => {
+        const queue = [...responses]
+        return async () => {
+            const next = queue.shift()
+            if (next instanceof Error) {
+                throw next
+            }
+            return next
+        }
+    }
+
+    it('serves the last copy of a data file when the network fails', async () => {
+        const { request, messages } = runServiceWorker(
+            answers(new Response('{"last_run": 1}'), new TypeError('Failed to fetch'))
+        )
+
+        expect(await (await request(url)).text()).toBe('{"last_run": 1}')
+        const offline = await request(url)
+
+        expect(await offline.text()).toBe('{"last_run": 1}')
+        expect(messages.map((message) => message.type)).toEqual([
+            'nanosmart:network',
+            'nanosmart:cached'
+        ])
+        expect(messages[1].fetchedAt).toBeGreaterThan(0)
+    })
+
+    it.each([502, 503, 504])('serves the last copy when a proxy answers %i', async (status) => {
+        const { request, messages } = runServiceWorker(
+            answers(new Response('{"last_run": 1}'), new Response('Bad Gateway', { status }))
+        )
+
+        await request(url)
+        const offline = await request(url)
+
+        expect(offline.status).toBe(200)
+        expect(await offline.text()).toBe('{"last_run": 1}')
+        expect(messages.at(-1)).toMatchObject({ type: 'nanosmart:cached', url })
+    })
+
+    it('passes a server error through without a copy', async () => {
+        const { request, messages } = runServiceWorker(
+            answers(new Response('Service Unavailable', { status: 503 }))
+        )
+
+        expect((await request(url)).status).toBe(503)
+        expect(messages).toEqual([{ type: 'nanosmart:network', url }])
+    })
+})
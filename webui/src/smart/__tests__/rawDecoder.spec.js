@@ -0,0 +1,66 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { activeFlags, decodeCriticalWarning, decodeRawValue } from '../rawDecoder.js'
+
+const ata = (id, rawValue, raw = String(rawValue)) => ({ id, raw, rawValue })
+
+describe('decodeRawValue', () => {
+    it('splits the temperature into current, min and max', () => {
+        // 0x2f_0014_0020, printed by smartctl as '32 (Min/Max 20/47)'
+        expect(decodeRawValue(ata(194, 201864773664, '32 (Min/Max 20/47)'), {})).toEqual([
+            { label: 'Current', value: 32, unit: '°C' },
+            { label: 'Minimum', value: 20, unit: '°C' },
+            { label: 'Maximum', value: 47, unit: '°C' }
+        ])
+        expect(decodeRawValue(ata(194, 35), {})).toEqual([
+            { label: 'Current', value: 35, unit: '°C' }
+        ])
+    })
+
+    it('decodes the power-on time of millisecond and minute counters', () => {
+        expect(decodeRawValue(ata(9, 1234, '1234h+05m+17.250s'), { model: 'ANY' })).toEqual([
+            { label: 'Hours', value: 1234, unit: 'h' },
+            { label: 'Minutes', value: 5, unit: 'min' },
+            { label: 'Seconds', value: 17.25, unit: 's' }
+        ])
+        expect(decodeRawValue(ata(9, 125), { model: 'Maxtor 6L300S0' })).toEqual([
+            { label: 'Hours', value: 2, unit: 'h' },
+            { label: 'Minutes', value: 5, unit: 'min' }
+        ])
+        expect(decodeRawValue(ata(9, 69412), { model: 'INTEL SSDSC2BB240G4' })).toBeNull()
+    })
+
+    it('only applies the Seagate layouts to Seagate drives', () => {
+        // 3 errors in 0x10000 operations
+        const errorRate = ata(1, 3 * 2 ** 32 + 65536)
+        expect(decodeRawValue(errorRate, { model: 'ST4000DM004-2CV104' })).toEqual([
+            { label: 'Errors', value: 3 },
+            { label: 'Operations', value: 65536 }
+        ])
+        expect(decodeRawValue(errorRate, { model: 'WDC WD80EFZX-68UW8N0' })).toBeNull()
+
+        expect(decodeRawValue(ata(188, 4295032833), { model: 'ST8000NM0055' })).toEqual([
+            { label: 'Timeouts', value: 1 },
+            { label: 'Longer than 5 s', value: 1 },
+            { label: 'Longer than 7.5 s', value: 1 }
+        ])
+    })
+
+    it('leaves unpacked attributes alone', () => {
+        expect(decodeRawValue(ata(5, 12), { model: 'ST8000NM0055' })).toBeNull()
+        expect(decodeRawValue({ id: 'media_errors', raw: '2' }, { model: 'X' })).toBeNull()
+    })
+})
+
+describe('decodeCriticalWarning', () => {
+    it('names every bit of the NVMe critical warning', () => {
+        const flags = decodeCriticalWarning({ raw: '12' })
+
+        expect(flags).toHaveLength(6)
+        expect(activeFlags(flags)).toEqual([
+            'NVM subsystem reliability degraded',
+            'Media placed in read-only mode'
+        ])
+        expect(activeFlags(decodeCriticalWarning({ raw: '0' }))).toEqual([])
+    })
+})
@@ -0,0 +1,107 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { readInventory, readOutputDir } from '../../../cli/lib/outputDir.js'
+import { withInventory } from '../inventory.js'
+import {
+    REPORT_ATTRIBUTES_CSV,
+    REPORT_DEVICES_CSV,
+    REPORT_HTML,
+    REPORT_JSON,
+    buildReport,
+    csvField,
+    formatReportTime
+} from '../report.js'
+import { FAHRENHEIT } from '../units.js'
+import { BACKUP_DIR, SAMPLE_DIR } from './samples.js'
+
+const sampleDevices = async () => {
+    const { devices, lastRun } = await readOutputDir(SAMPLE_DIR)
+    return { devices: withInventory(devices, await readInventory(SAMPLE_DIR), lastRun), lastRun }
+}
+
+describe('CSV', () => {
+    it('matches the golden device list of the sample data', async () => {
+        const { devices, lastRun } = await sampleDevices()
+        const report = buildReport(REPORT_DEVICES_CSV, devices, { generated: lastRun })
+
+        expect(report.fileName).toBe('nanosmart-2025-08-16-devices.csv')
+        expect(report.type).toBe('text/csv')
+        await expect(report.content).toMatchFileSnapshot('./__golden__/report-devices.csv')
+    })
+
+    it('lists every attribute with its rule result', async () => {
+        const { devices, lastRun } = await sampleDevices()
+        const lines = buildReport(REPORT_ATTRIBUTES_CSV, devices, { generated: lastRun })
+            .content.trimEnd()
+            .split('\r\n')
+
+        expect(lines[0]).toBe(
+            'host,device,serial,attribute_id,attribute,value,worst,threshold,raw,status,rule,reason'
+        )
+        expect(lines).toHaveLength(
+            1 + devices.reduce((total, device) => total + device.smartAttributes.length, 0)
+        )
+        expect(lines).toContain(
+            'local,nvme1n1,INTEL987654321,critical_warning,Critical Warning,0,0,0,1,Critical,nvme.critical_warning,Raw value 1 ≥ critical limit 1'
+        )
+    })
+
+    it('quotes fields when needed', () => {
+        expect(csvField('Bay 1')).toBe('Bay 1')
+        expect(csvField('Shelf 2, bay 7')).toBe('"Shelf 2, bay 7"')
+        expect(csvField('12" rack\nrow 2')).toBe('"12"" rack\nrow 2"')
+        expect(csvField(null)).toBe('')
+        expect(csvField(0)).toBe('0')
+    })
+})
+
+describe('JSON', () => {
+    it('dumps the normalized devices', async () => {
+        const { devices, lastRun } = await sampleDevices()
+        const report = buildReport(REPORT_JSON, devices, { title: 'Lab', generated: lastRun })
+        const parsed = JSON.parse(report.content)
+
+        expect(report.fileName).toBe('nanosmart-2025-08-16-data.json')
+        expect(parsed).toMatchObject({ title: 'Lab', modelVersion: devices[0].modelVersion })
+        expect(parsed.devices).toEqual(JSON.parse(JSON.stringify(devices)))
+    })
+})
+
+describe('HTML', () => {
+    it('reports every device with its problems', async () => {
+        const { devices, lastRun } = await sampleDevices()
+        const { content } = buildReport(REPORT_HTML, devices, {
+            title: 'Lab <1>',
+            generated: lastRun,
+            temperatureUnit: FAHRENHEIT
+        })
+
+        expect(content).toMatch(/^<!DOCTYPE html>/)
+        expect(content).toContain('<title>Lab &lt;1&gt; – health report</title>')
+        expect(content).toContain('7 devices: 1 critical, 2 warning, 4 good')
+        expect(content).toContain('@media print')
+        expect(content.match(/<section class="device">/g)).toHaveLength(devices.length)
+        // worst first
+        expect(content.indexOf('<h2>nvme1n1')).toBeLessThan(content.indexOf('<h2>sda'))
+        expect(content).toContain('<td>Grown Defect List</td>')
+        expect(content).toContain('<dt>Location</dt><dd>Shelf 2, bay 7</dd>')
+        expect(content).toContain('<td>Background long</td><td>Completed</td><td>61102</td>')
+        expect(content).toContain(`<dd>${formatReportTime(devices[0].timestamp)}</dd>`)
+        expect(content).toContain('167°F')
+    })
+
+    it('shows why a device has no data', async () => {
+        const { devices, lastRun } = await readOutputDir(BACKUP_DIR, { host: 'backup01' })
+        const { content } = buildReport(REPORT_HTML, devices, { generated: lastRun })
+
+        expect(content).toMatch(/<h2>sdb <span[^>]*>Unknown<\/span><\/h2><p>No data: /)
+        expect(content).toContain('without data')
+        expect(content).toContain('(stale)')
+    })
+
+    it('rejects unknown formats', () => {
+        expect(() => buildReport('pdf', [], { generated: 0 })).toThrow(
+            'Unknown report format "pdf"'
+        )
+    })
+})
@@ -0,0 +1,98 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import {
+    RISK_ELEVATED,
+    RISK_HIGH,
+    RISK_LOW,
+    RISK_VERY_HIGH,
+    assessRisk,
+    riskLevel
+} from '../risk.js'
+import { decodeRawValue } from '../rawDecoder.js'
+import { transformDeviceData } from '../transform.js'
+import { loadSample } from './samples.js'
+
+const attribute = (id, name, raw, threshold = 0) => ({ id, name, raw: String(raw), threshold })
+
+describe('assessRisk', () => {
+    it('scores a drive that passes SMART but has pending and reallocated sectors', () => {
+        const risk = assessRisk([
+            attribute(5, 'Reallocated_Sector_Ct', 8),
+            attribute(197, 'Current_Pending_Sector', 3),
+            attribute(198, 'Offline_Uncorrectable', 0),
+            attribute('smart_status', 'SMART Status', 'PASSED')
+        ])
+
+        expect(risk.score).toBe(35)
+        expect(risk.level).toBe(RISK_ELEVATED)
+        expect(risk.factors).toEqual([
+            {
+                attribute: 'Current_Pending_Sector',
+                points: 20.2,
+                explanation: '3 sectors are unreadable and waiting to be remapped'
+            },
+            {
+                attribute: 'Reallocated_Sector_Ct',
+                points: 14.3,
+                explanation: '8 sectors were reallocated to the spare area'
+            }
+        ])
+    })
+
+    it('levels a predictor off at its weight', () => {
+        const risk = assessRisk([attribute(197, 'Current_Pending_Sector', 5000)])
+
+        expect(risk.factors[0].points).toBe(35)
+    })
+
+    it('weights NVMe media errors, critical warnings and spare depletion', () => {
+        const risk = assessRisk([
+            attribute('critical_warning', 'Critical Warning', 4),
+            attribute('available_spare', 'Available Spare', 5, 10),
+            attribute('media_errors', 'Media Errors', 0)
+        ])
+
+        expect(risk.score).toBe(90)
+        expect(risk.factors.map((factor) => factor.explanation)).toEqual([
+            'The controller raised a critical warning',
+            'Spare blocks are used up (5% left, threshold 10%)'
+        ])
+    })
+
+    it('counts only the timeouts of a packed command timeout value', () => {
+        // 1 timeout, 1 longer than 5 s, 1 longer than 7.5 s
+        const packed = { ...attribute(188, 'Command_Timeout', 4295032833), rawValue: 4295032833 }
+        const seagate = { ...packed, decoded: decodeRawValue(packed, { model: 'ST4000DM004' }) }
+        const other = { ...packed, decoded: decodeRawValue(packed, { model: 'WDC WD80EFZX' }) }
+
+        expect(assessRisk([seagate]).factors).toEqual([
+            { attribute: 'Command_Timeout', points: 1.5, explanation: '1 command timed out' }
+        ])
+        expect(assessRisk([other]).factors[0].explanation).toBe('4295032833 commands timed out')
+    })
+
+    it('caps the score at 100', () => {
+        const { score, level, factors } = transformDeviceData(loadSample('nvme1n1_smart.json')).risk
+
+        expect(score).toBe(100)
+        expect(level).toBe(RISK_VERY_HIGH)
+        expect(factors[0].attribute).toBe('SMART Status')
+    })
+
+    it('has no factors for a clean drive', () => {
+        expect(transformDeviceData(loadSample('sdd_smart.json')).risk).toEqual({
+            score: 0,
+            level: RISK_LOW,
+            factors: []
+        })
+    })
+})
+
+describe('riskLevel', () => {
+    it('maps scores to levels', () => {
+        expect(riskLevel(9)).toBe(RISK_LOW)
+        expect(riskLevel(10)).toBe(RISK_ELEVATED)
+        expect(riskLevel(40)).toBe(RISK_HIGH)
+        expect(riskLevel(70)).toBe(RISK_VERY_HIGH)
+    })
+})
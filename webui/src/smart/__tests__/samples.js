@@ -0,0 +1,19 @@
+import fs from 'node:fs'
+import { fileURLToPath } from 'node:url'
+
+/**
+ * Sample smartctl output the specs run against
+ */
+
+export const SAMPLE_DIR = fileURLToPath(new URL('../../../sampledata/', import.meta.url))
+
+export const BACKUP_DIR = fileURLToPath(
+    new URL('../../../sampledata/hosts/backup01/', import.meta.url)
+)
+
+/**
+ * Reads a JSON file of the sample data
+ * @param {string} file - Path relative to the sample data directory
+ * @returns {Object} Parsed JSON
+ */
+export const loadSample = (file) => JSON.parse(fs.readFileSync(`${SAMPLE_DIR}${file}`, 'utf-8'))
@@ -0,0 +1,119 @@
+// @vitest-environment node
+import { describe, expect, it } from 'vitest'
+import { parseNvmeSelftestLog } from '../parsers/nvme.js'
+import { estimateTestTime, selftestEntry, selftestKind, selftestSummary } from '../selftests.js'
+import { transformDeviceData } from '../transform.js'
+import { loadSample } from './samples.js'
+
+const HOUR = 3600
+const DAY = 86400
+
+describe('selftestKind', () => {
+    it('classifies the type strings of all protocols', () => {
+        expect(selftestKind('Short offline')).toBe('short')
+        expect(selftestKind('Background short')).toBe('short')
+        expect(selftestKind('Extended captive')).toBe('extended')
+        expect(selftestKind('Background long')).toBe('extended')
+        expect(selftestKind('Conveyance offline')).toBe('conveyance')
+        expect(selftestKind('Selective offline')).toBe('selective')
+        expect(selftestKind('Vendor specific')).toBe('other')
+    })
+})
+
+describe('estimateTestTime', () => {
+    it('counts back from the snapshot', () => {
+        expect(estimateTestTime(900, { powerOnHours: 1000, timestamp: 1e9 })).toBe(1e9 - 100 * HOUR)
+    })
+
+    it('undoes the 16 bit wrap of the log hours', () => {
+        // the test ran at 65600 hours, logged as 64
+        expect(estimateTestTime(64, { powerOnHours: 65700, timestamp: 1e9 })).toBe(1e9 - 100 * HOUR)
+    })
+
+    it('needs the power-on hours and timestamp', () => {
+        expect(estimateTestTime(900, { powerOnHours: 1000, timestamp: null })).toBeNull()
+        expect(estimateTestTime(null, { powerOnHours: 1000, timestamp: 1e9 })).toBeNull()
+    })
+})
+
+describe('parseNvmeSelftestLog', () => {
+    it('reports the running test first and the failing location', () => {
+        const log = parseNvmeSelftestLog(
+            {
+                nvme_self_test_log: {
+                    current_self_test_operation: { value: 2, string: 'Extended self-test' },
+                    current_self_test_completion_percent: 30,
+                    table: [
+                        {
+                            self_test_code: { value: 1, string: 'Short' },
+                            self_test_result: { value: 7, string: 'Completed: failed segments' },
+                            power_on_hours: 1200,
+                            segment: 2,
+                            lba: 123456
+                        }
+                    ]
+                }
+            },
+            1234
+        )
+
+        expect(log).toHaveLength(2)
+        expect(log[0]).toMatchObject({
+            kind: 'extended',
+            passed: null,
+            lifetimeHours: 1234,
+            remainingPercent: 70
+        })
+        expect(log[1]).toMatchObject({
+            kind: 'short',
+            passed: false,
+            failingLba: 123456,
+            failingSegment: 2
+        })
+    })
+
+    it('returns no entries without a log', () => {
+        expect(parseNvmeSelftestLog({}, 1234)).toEqual([])
+    })
+})
+
+describe('selftestSummary', () => {
+    const now = 1e9
+    const test = (type, passed, daysAgo) => ({
+        ...selftestEntry({ type, passed, lifetimeHours: 10000 - daysAgo * 24 }),
+        estimatedTime: now - daysAgo * DAY
+    })
+
+    it('picks the most recent successful test of each kind', () => {
+        const summary = selftestSummary(
+            [
+                test('Short offline', false, 1),
+                test('Short offline', true, 3),
+                test('Short offline', true, 10),
+                test('Extended offline', true, 40)
+            ],
+            now
+        )
+
+        expect(summary.short).toMatchObject({ ageDays: 3, overdue: false })
+        expect(summary.extended).toMatchObject({ ageDays: 40, overdue: true })
+    })
+
+    it('counts a missing test as overdue', () => {
+        const summary = selftestSummary([test('Short offline', true, 1)], now, {
+            extendedMaxDays: 90
+        })
+
+        expect(summary.extended).toEqual({ test: null, ageDays: null, overdue: true })
+    })
+
+    it('dates the sample logs', () => {
+        const device = transformDeviceData(loadSample('sde_smart.json'))
+        const summary = selftestSummary(device.selftestLog, device.timestamp)
+
+        // the short test ran 168 power-on hours before the long one
+        expect(summary.extended).toMatchObject({ ageDays: 5, overdue: false })
+        expect(summary.extended.test.type).toBe('Background long')
+        expect(summary.short).toMatchObject({ ageDays: 12, overdue: true })
+    })
+})
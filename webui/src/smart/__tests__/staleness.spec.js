@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest'
+import { MODEL_VERSION } from '../model.js'
+import {
+    DATA_MISSING,
+    DATA_OK,
+    DATA_STALE,
+    DEFAULT_MAX_AGE_HOURS,
+    DEVICE_GRACE_SECONDS,
+    deviceDataState,
+    evaluateRunAge,
+    formatAge,
+    missingDevice
+} from '../staleness.js'
+
+const HOUR = 3600
+const lastRun = 1755340242
+
+describe('evaluateRunAge', () => {
+    it('flags runs older than the maximum age', () => {
+        expect(evaluateRunAge(lastRun, lastRun + 2 * HOUR, 24)).toEqual({
+            lastRun,
+            ageSeconds: 2 * HOUR,
+            stale: false
+        })
+        expect(evaluateRunAge(lastRun, lastRun + 25 * HOUR, 24).stale).toBe(true)
+        expect(evaluateRunAge(lastRun, lastRun + (DEFAULT_MAX_AGE_HOURS + 1) * HOUR).stale).toBe(
+            true
+        )
+    })
+
+    it('does not guess for an index without last_run', () => {
+        expect(evaluateRunAge(undefined, lastRun)).toEqual({
+            lastRun: null,
+            ageSeconds: null,
+            stale: false
+        })
+    })
+
+    it('treats a clock slightly behind the server as age 0', () => {
+        expect(evaluateRunAge(lastRun, lastRun - 30).ageSeconds).toBe(0)
+    })
+})
+
+describe('deviceDataState', () => {
+    it('accepts files written during the same run', () => {
+        expect(deviceDataState(lastRun - 60, lastRun)).toBe(DATA_OK)
+        expect(deviceDataState(lastRun - DEVICE_GRACE_SECONDS, lastRun)).toBe(DATA_OK)
+    })
+
+    it('marks files left over from an earlier run as stale', () => {
+        expect(deviceDataState(lastRun - 24 * HOUR, lastRun)).toBe(DATA_STALE)
+    })
+
+    it('is ok when either timestamp is unknown', () => {
+        expect(deviceDataState(null, lastRun)).toBe(DATA_OK)
+        expect(deviceDataState(lastRun, null)).toBe(DATA_OK)
+    })
+})
+
+describe('missingDevice', () => {
+    it('builds an Unknown placeholder in the normalized shape', () => {
+        const device = missingDevice('sdz', 'Request failed with status code 404')
+
+        expect(device).toMatchObject({
+            modelVersion: MODEL_VERSION,
+            id: 'sdz',
+            health: 'Unknown',
+            powerOnHours: 0,
+            smartAttributes: [],
+            dataState: DATA_MISSING,
+            dataError: 'Request failed with status code 404'
+        })
+    })
+})
+
+describe('formatAge', () => {
+    it('uses the largest whole unit', () => {
+        expect(formatAge(3 * 86400 + 5 * HOUR)).toBe('3 days')
+        expect(formatAge(HOUR)).toBe('1 hour')
+        expect(formatAge(125)).toBe('2 minutes')
+        expect(formatAge(10)).toBe('less than a minute')
+        expect(formatAge(null)).toBe('unknown')
+    })
+})
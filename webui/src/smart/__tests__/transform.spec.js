@@ -0,0 +1,138 @@
+// @vitest-environment node
+import fs from 'node:fs'
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_RULES, mergeRules } from '../healthRules.js'
+import { MODEL_VERSION } from '../model.js'
+import { listParsers, selectParser } from '../parsers/index.js'
+import { transformDeviceData } from '../transform.js'
+import { SAMPLE_DIR, loadSample } from './samples.js'
+
+const sampleFiles = fs
+    .readdirSync(SAMPLE_DIR)
+    .filter((file) => file.endsWith('_smart.json'))
+    .sort()
+
+describe('transformDeviceData', () => {
+    it.each(sampleFiles)('matches the golden normalized output of %s', async (file) => {
+        const device = transformDeviceData(loadSample(file))
+
+        await expect(JSON.stringify(device, null, 2)).toMatchFileSnapshot(
+            `./__golden__/${file.replace('_smart.json', '.json')}`
+        )
+    })
+
+    it.each(sampleFiles)('stamps %s with the current model version', (file) => {
+        expect(transformDeviceData(loadSample(file)).modelVersion).toBe(MODEL_VERSION)
+    })
+
+    it('returns null for files without smart_data', () => {
+        expect(transformDeviceData({ device: '/dev/sdx', timestamp: 1 })).toBeNull()
+        expect(transformDeviceData(null)).toBeNull()
+    })
+
+    it('reads the ATA table from smart_attributes.table as well', () => {
+        const device = transformDeviceData(loadSample('sda_smart.json'))
+
+        expect(device.parser).toBe('ata')
+        expect(device.smartAttributes.find((attr) => attr.id === 5)).toBeDefined()
+        expect(device.powerOnHours).toBe(69412)
+        expect(device.temperature).toBe(35)
+    })
+
+    it('does not turn the smartctl envelope into self-test entries', () => {
+        const device = transformDeviceData(loadSample('sdb_smart.json'))
+
+        expect(device.selftestLog.map((test) => test.type)).not.toContain('smartctl')
+    })
+
+    it('surfaces the SAS error counters, grown defects and start-stop cycles', () => {
+        const device = transformDeviceData(loadSample('sde_smart.json'))
+        const attribute = (id) => device.smartAttributes.find((attr) => attr.id === id)
+
+        expect(device.parser).toBe('scsi')
+        expect(device.model).toBe('SEAGATE ST4000NM0023')
+        expect(device.scsi.healthStatus).toBe('OK')
+        expect(device.scsi.grownDefects).toBe(12)
+        expect(device.scsi.errorCounters.verify.uncorrected).toBe(2)
+        expect(device.scsi.startStopCycles).toBe(147)
+        expect(attribute('scsi_grown_defect_list').rule).toBe('scsi.scsi_grown_defect_list')
+        expect(attribute('verify_errors_uncorrected').status).toBe('Warning')
+        expect(attribute('temperature')).toMatchObject({ value: null, threshold: null, raw: '38' })
+        expect(device.scsi.driveTripTemperature).toBe(68)
+        expect(device.health).toBe('Warning')
+    })
+
+    it('judges a SATA drive behind a SAS HBA by the ATA rules', () => {
+        const sdc = loadSample('sdc_smart.json')
+        const raw = { 5: 500, 197: 40 }
+        for (const attribute of sdc.smart_data.smart_attributes.table) {
+            if (raw[attribute.id] !== undefined) {
+                attribute.raw = { value: raw[attribute.id], string: String(raw[attribute.id]) }
+            }
+        }
+        const device = transformDeviceData(sdc)
+        const attribute = (id) => device.smartAttributes.find((attr) => attr.id === id)
+
+        expect(device.parser).toBe('scsi')
+        expect(attribute(5)).toMatchObject({ status: 'Critical', rule: 'ata.5' })
+        expect(attribute(197)).toMatchObject({ status: 'Critical', rule: 'ata.197' })
+        expect(device.health).toBe('Critical')
+    })
+
+    it('shows the NVMe temperature with the limits of the rules only', () => {
+        const rules = mergeRules(DEFAULT_RULES, {
+            deviceTypes: { nvme: { temperature: { warn: 40, critical: 90 } } }
+        })
+        const device = transformDeviceData(loadSample('nvme0n1_smart.json'), rules)
+
+        expect(device.smartAttributes.find((attr) => attr.id === 'temperature')).toMatchObject({
+            value: null,
+            threshold: null,
+            status: 'Warning',
+            reason: 'Raw value 47 ≥ warning limit 40'
+        })
+    })
+
+    it('has no SCSI summary for other protocols', () => {
+        expect(transformDeviceData(loadSample('nvme0n1_smart.json')).scsi).toBeNull()
+    })
+})
+
+describe('parser registry', () => {
+    const expected = {
+        'nvme0n1_smart.json': 'nvme',
+        'nvme1n1_smart.json': 'nvme',
+        'sda_smart.json': 'ata',
+        'sdb_smart.json': 'ata',
+        'sdc_smart.json': 'scsi',
+        'sdd_smart.json': 'ata',
+        'sde_smart.json': 'scsi'
+    }
+
+    it.each(Object.entries(expected))('selects the right parser for %s', (file, parser) => {
+        const { smart_data } = loadSample(file)
+
+        expect(
+            selectParser({
+                deviceInfo: smart_data.device_info || {},
+                smartAttrs: smart_data.smart_attributes || {}
+            }).name
+        ).toBe(parser)
+    })
+
+    it('picks the USB parser for bridged drives', () => {
+        const parser = selectParser({
+            deviceInfo: { device: { name: '/dev/sde', type: 'sntjmicron', protocol: 'NVMe' } },
+            smartAttrs: { nvme_smart_health_information_log: { temperature: 40 } }
+        })
+
+        expect(parser.name).toBe('usb')
+    })
+
+    it('falls back to the generic parser', () => {
+        const parser = selectParser({ deviceInfo: {}, smartAttrs: {} })
+
+        expect(parser.name).toBe('generic')
+        expect(listParsers().at(-1)).toBe(parser)
+    })
+})
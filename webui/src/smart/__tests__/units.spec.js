@@ -0,0 +1,32 @@
+import { describe, expect, it } from 'vitest'
+import { CAPACITY_BINARY, CAPACITY_DECIMAL, formatCapacity, splitPowerOnHours } from '../units.js'
+
+describe('formatCapacity', () => {
+    it('uses decimal units like the drive label by default', () => {
+        expect(formatCapacity(4000787030016)).toBe('4 TB')
+        expect(formatCapacity(500107862016, CAPACITY_DECIMAL)).toBe('500 GB')
+        expect(formatCapacity(512)).toBe('512 B')
+    })
+
+    it('uses binary units on request', () => {
+        expect(formatCapacity(4000787030016, CAPACITY_BINARY)).toBe('3.64 TiB')
+        expect(formatCapacity(1024 ** 3, CAPACITY_BINARY)).toBe('1 GiB')
+    })
+
+    it('formats the number for the locale', () => {
+        expect(formatCapacity(4000787030016, CAPACITY_BINARY, 'de')).toBe('3,64 TiB')
+    })
+
+    it('returns null without a capacity', () => {
+        expect(formatCapacity(null)).toBe(null)
+        expect(formatCapacity(undefined)).toBe(null)
+    })
+})
+
+describe('splitPowerOnHours', () => {
+    it('splits hours into years of 365 days', () => {
+        expect(splitPowerOnHours(17532)).toEqual({ years: 2, days: 0, hours: 12 })
+        expect(splitPowerOnHours(24 * 400 + 5)).toEqual({ years: 1, days: 35, hours: 5 })
+        expect(splitPowerOnHours(23)).toEqual({ years: 0, days: 0, hours: 23 })
+    })
+})
@@ -0,0 +1,99 @@
+import { normalizeHostsManifest } from './hosts.js'
+import { TEMPERATURE_UNITS } from './units.js'
+
+/**
+ * Runtime configuration of the web UI
+ *
+ * A config.json next to index.html is loaded before the app starts, so a release can be pointed at
+ * its data without a rebuild. Every field is optional, the build-time defaults fill in the rest:
+ *
+ *   {
+ *     "title": "nano SMART",
+ *     "dataUrl": "/api/smart",
+ *     "hosts": [ { "name": "nas01", "baseUrl": "https://nas01.example.com/smart" } ],
+ *     "refreshSeconds": 300,
+ *     "maxAgeHours": 26,
+ *     "warrantyWarnDays": 90,
+ *     "temperatureUnit": "C",
+ *     "auth": { "username": "monitor", "password": "secret" },
+ *     "headers": { "X-Api-Key": "..." }
+ *   }
+ *
+ * hosts takes the place of a hosts.json in the data directory, relative base URLs are resolved
+ * against dataUrl. auth and headers are sent with every data request.
+ */
+
+const isObject = (value) => !!value && typeof value === 'object' && !Array.isArray(value)
+
+// Checks of the config fields, each returns what is wrong with a value or null
+const nonEmptyString = (value) =>
+    typeof value === 'string' && value.trim() !== '' ? null : 'must be a non-empty string'
+const number = (valid, description) => (value) =>
+    typeof value === 'number' && Number.isFinite(value) && valid(value)
+        ? null
+        : `must be ${description}`
+
+const FIELD_CHECKS = {
+    title: nonEmptyString,
+    dataUrl: nonEmptyString,
+    // Checked against dataUrl in configProblems
+    hosts: (value) => (Array.isArray(value) ? null : 'must be an array of hosts'),
+    refreshSeconds: number((value) => value >= 0, 'a number of seconds, 0 or more'),
+    maxAgeHours: number((value) => value > 0, 'a number of hours greater than 0'),
+    warrantyWarnDays: number((value) => value >= 0, 'a number of days, 0 or more'),
+    temperatureUnit: (value) =>
+        TEMPERATURE_UNITS.includes(value) ? null : `must be one of ${TEMPERATURE_UNITS.join(', ')}`,
+    auth: (value) =>
+        isObject(value) && typeof value.username === 'string' && typeof value.password === 'string'
+            ? null
+            : 'must be an object with a username and a password',
+    headers: (value) =>
+        isObject(value) && Object.values(value).every((header) => typeof header === 'string')
+            ? null
+            : 'must be an object of header names and string values'
+}
+
+/**
+ * Validates a config.json
+ * @param {Object} config - Parsed config.json
+ * @param {Object} defaults - Build-time defaults, used to resolve the hosts without a dataUrl
+ * @returns {Array<string>} Problems, empty if the config is valid
+ */
+export const configProblems = (config, defaults = {}) => {
+    if (!isObject(config)) {
+        return ['config.json must contain a JSON object']
+    }
+
+    const problems = Object.entries(config).flatMap(([field, value]) => {
+        const check = FIELD_CHECKS[field]
+        if (!check) {
+            return [`unknown field "${field}"`]
+        }
+        const problem = check(value)
+        return problem ? [`"${field}" ${problem}`] : []
+    })
+
+    if (problems.length === 0 && config.hosts) {
+        try {
+            normalizeHostsManifest({ hosts: config.hosts }, config.dataUrl ?? defaults.dataUrl)
+        } catch (error) {
+            problems.push(error.message.replace('hosts.json', '"hosts"'))
+        }
+    }
+    return problems
+}
+
+/**
+ * Merges a valid config.json onto the defaults
+ * @param {Object} config - Parsed config.json, see configProblems
+ * @param {Object} defaults - Build-time defaults
+ * @returns {Object} Effective config, hosts normalized like a hosts.json or null if not set
+ */
+export const normalizeConfig = (config, defaults) => {
+    const merged = { ...defaults, ...config }
+    return {
+        ...merged,
+        dataUrl: merged.dataUrl.replace(/\/+$/, ''),
+        hosts: merged.hosts ? normalizeHostsManifest({ hosts: merged.hosts }, merged.dataUrl) : null
+    }
+}
@@ -0,0 +1,302 @@
+import { STATUS_CRITICAL, STATUS_GOOD, STATUS_WARNING, globMatch } from './healthRules.js'
+import { parseRawNumber } from './model.js'
+import {
+    DATA_MISSING,
+    DATA_STALE,
+    DEFAULT_MAX_AGE_HOURS,
+    evaluateRunAge,
+    formatAge
+} from './staleness.js'
+
+/**
+ * Monitoring plugin check of normalized devices (Nagios, Icinga, Naemon, ...)
+ *
+ * The device health comes from the same health rules as the UI. Per-metric thresholds use the
+ * monitoring plugin range syntax and can only make a device's state worse. Data that is too old
+ * or missing is UNKNOWN: the check can't tell whether the drive is fine.
+ */
+
+export const CHECK_OK = 0
+export const CHECK_WARNING = 1
+export const CHECK_CRITICAL = 2
+export const CHECK_UNKNOWN = 3
+
+export const CHECK_STATE_NAMES = ['OK', 'WARNING', 'CRITICAL', 'UNKNOWN']
+
+// A problem that was found outranks not knowing: CRITICAL > WARNING > UNKNOWN > OK
+const CHECK_RANK = { [CHECK_OK]: 0, [CHECK_UNKNOWN]: 1, [CHECK_WARNING]: 2, [CHECK_CRITICAL]: 3 }
+
+const HEALTH_CHECK_STATE = {
+    [STATUS_GOOD]: CHECK_OK,
+    [STATUS_WARNING]: CHECK_WARNING,
+    [STATUS_CRITICAL]: CHECK_CRITICAL
+}
+
+/**
+ * Device metrics that thresholds and perfdata can refer to by name, every other metric name is
+ * looked up as an attribute id ('5', 'media_errors', ...) and compared by its raw value
+ */
+const DEVICE_METRICS = {
+    temperature: (device) => device.temperature,
+    power_on_hours: (device) => (device.dataState === DATA_MISSING ? null : device.powerOnHours),
+    errors: (device) => (device.dataState === DATA_MISSING ? null : device.errorCount)
+}
+
+/**
+ * Returns the more severe of two check states
+ * @param {number} a - Check state
+ * @param {number} b - Check state
+ * @returns {number} The worse state
+ */
+export const worseCheckState = (a, b) => (CHECK_RANK[b] > CHECK_RANK[a] ? b : a)
+
+/**
+ * Parses a monitoring plugin range: '10' (alert outside 0..10), '10:' (below 10), '~:10'
+ * (above 10), '10:20' (outside 10..20) and '@10:20' (inside 10..20)
+ * @param {string} spec - Range specification
+ * @returns {Object} { start, end, inside, spec } start/end are -Infinity/Infinity when open
+ * @throws {Error} If the range can't be parsed
+ */
+export const parseRange = (spec) => {
+    const text = String(spec ?? '').trim()
+    const inside = text.startsWith('@')
+    const body = inside ? text.slice(1) : text
+    const [startText, endText] = body.includes(':') ? body.split(':', 2) : ['0', body]
+
+    const bound = (value, open) => {
+        if (value === '' || value === '~') {
+            return open
+        }
+        const number = Number(value)
+        if (!Number.isFinite(number)) {
+            throw new Error(`Invalid range '${spec}'`)
+        }
+        return number
+    }
+
+    if (!body) {
+        throw new Error('Invalid range: empty')
+    }
+    const start = startText === '~' ? -Infinity : bound(startText, 0)
+    const end = bound(endText, Infinity)
+    if (start > end) {
+        throw new Error(`Invalid range '${spec}': start is greater than end`)
+    }
+    return { start, end, inside, spec: text }
+}
+
+/**
+ * Checks whether a value raises an alert for a range
+ * @param {Object} range - Result of parseRange
+ * @param {number} value - Measured value
+ * @returns {boolean} Whether the value is outside (or with '@' inside) the range
+ */
+export const rangeAlerts = (range, value) => {
+    const within = value >= range.start && value <= range.end
+    return range.inside ? within : !within
+}
+
+/**
+ * Parses the --warning/--critical options into thresholds per metric
+ * @param {Array<string>} warning - 'METRIC=RANGE' specifications for WARNING
+ * @param {Array<string>} critical - 'METRIC=RANGE' specifications for CRITICAL
+ * @returns {Object} Metric name to { warning, critical } ranges, either may be null
+ * @throws {Error} If a specification is malformed
+ */
+export const parseThresholds = (warning = [], critical = []) => {
+    const thresholds = {}
+    const add = (specs, level) =>
+        specs.forEach((spec) => {
+            const separator = spec.indexOf('=')
+            const metric = spec.slice(0, separator).trim()
+            if (separator < 1 || !metric) {
+                throw new Error(`Invalid threshold '${spec}', expected METRIC=RANGE`)
+            }
+            thresholds[metric] = thresholds[metric] || { warning: null, critical: null }
+            thresholds[metric][level] = parseRange(spec.slice(separator + 1))
+        })
+
+    add(warning, 'warning')
+    add(critical, 'critical')
+    return thresholds
+}
+
+/**
+ * Reads a metric of a device
+ * @param {Object} device - Normalized device
+ * @param {string} metric - Name from DEVICE_METRICS or an attribute id
+ * @returns {number|null} Value or null if the device doesn't have it
+ */
+export const deviceMetric = (device, metric) => {
+    if (DEVICE_METRICS[metric]) {
+        const value = DEVICE_METRICS[metric](device)
+        return value === null || value === undefined ? null : Number(value)
+    }
+    const attribute = device.smartAttributes.find((attr) => String(attr.id) === metric)
+    return attribute ? parseRawNumber(attribute.raw) : null
+}
+
+/**
+ * Filters devices by name or serial glob patterns
+ * @param {Array<Object>} devices - Normalized devices
+ * @param {Object} options - { include, exclude } pattern lists, an empty include keeps everything
+ * @returns {Array<Object>} Devices matching an include and no exclude pattern
+ */
+export const filterDevices = (devices, { include = [], exclude = [] } = {}) => {
+    const matches = (patterns, device) =>
+        patterns.some(
+            (pattern) => globMatch(pattern, device.name) || globMatch(pattern, device.serial)
+        )
+
+    return devices.filter(
+        (device) => (!include.length || matches(include, device)) && !matches(exclude, device)
+    )
+}
+
+/**
+ * Evaluates one device
+ * @param {Object} device - Normalized device
+ * @param {Object} options - { now, maxAgeHours, thresholds }
+ * @returns {Object} { device, state, reasons }
+ */
+const checkDevice = (device, { now, maxAgeHours, thresholds }) => {
+    if (device.dataState === DATA_MISSING) {
+        return { device, state: CHECK_UNKNOWN, reasons: [`no data: ${device.dataError}`] }
+    }
+
+    const age = evaluateRunAge(device.timestamp, now, maxAgeHours)
+    if (device.dataState === DATA_STALE || age.stale) {
+        return {
+            device,
+            state: CHECK_UNKNOWN,
+            reasons: [`data is ${formatAge(age.ageSeconds)} old`]
+        }
+    }
+
+    let state = HEALTH_CHECK_STATE[device.health] ?? CHECK_UNKNOWN
+    const reasons = device.healthReasons.map((reason) => `${reason.attribute}: ${reason.reason}`)
+    if (state === CHECK_UNKNOWN) {
+        reasons.push('health could not be determined')
+    }
+
+    Object.entries(thresholds).forEach(([metric, { warning, critical }]) => {
+        const value = deviceMetric(device, metric)
+        if (value === null) {
+            return
+        }
+        const [level, range] =
+            critical && rangeAlerts(critical, value)
+                ? [CHECK_CRITICAL, critical]
+                : warning && rangeAlerts(warning, value)
+                  ? [CHECK_WARNING, warning]
+                  : [CHECK_OK, null]
+        if (range) {
+            state = worseCheckState(state, level)
+            reasons.push(
+                `${metric} ${value} ${range.inside ? 'inside' : 'outside'} ${CHECK_STATE_NAMES[level].toLowerCase()} range ${range.spec}`
+            )
+        }
+    })
+
+    return { device, state, reasons }
+}
+
+/**
+ * Formats a perfdata label=value;warn;crit entry, quoting the label when needed
+ * @param {string} label - Label
+ * @param {number} value - Value
+ * @param {Object} threshold - { warning, critical } ranges or undefined
+ * @returns {string} Perfdata entry
+ */
+const perfdata = (label, value, threshold) => {
+    const quoted = /[\s'=]/.test(label) ? `'${label.replace(/'/g, "''")}'` : label
+    const levels = [threshold?.warning?.spec ?? '', threshold?.critical?.spec ?? '']
+    return `${quoted}=${value};${levels.join(';')}`.replace(/;+$/, '')
+}
+
+/**
+ * Runs the check over the devices of one output directory
+ * @param {Array<Object>} devices - Normalized devices, see smart/collection.js
+ * @param {Object} options - { now } current unix time, { lastRun } last_run of index.json,
+ *                           { maxAgeHours }, { thresholds } from parseThresholds,
+ *                           { include, exclude } see filterDevices
+ * @returns {Object} { state, summary, results, perfdata }
+ */
+export const runCheck = (
+    devices,
+    {
+        now,
+        lastRun = null,
+        maxAgeHours = DEFAULT_MAX_AGE_HOURS,
+        thresholds = {},
+        include = [],
+        exclude = []
+    } = {}
+) => {
+    const selected = filterDevices(devices, { include, exclude })
+    const results = selected.map((device) => checkDevice(device, { now, maxAgeHours, thresholds }))
+
+    let state = results.reduce((worst, result) => worseCheckState(worst, result.state), CHECK_OK)
+    const notes = []
+    const run = evaluateRunAge(lastRun, now, maxAgeHours)
+    if (run.stale) {
+        state = worseCheckState(state, CHECK_UNKNOWN)
+        notes.push(`last run ${formatAge(run.ageSeconds)} ago`)
+    }
+    if (!results.length) {
+        state = worseCheckState(state, CHECK_UNKNOWN)
+        notes.push('no devices matched')
+    }
+
+    const counts = [CHECK_CRITICAL, CHECK_WARNING, CHECK_UNKNOWN, CHECK_OK]
+        .map((level) => [level, results.filter((result) => result.state === level).length])
+        .filter(([, count]) => count)
+        .map(([level, count]) => `${count} ${CHECK_STATE_NAMES[level].toLowerCase()}`)
+    const problems = results
+        .filter((result) => result.state !== CHECK_OK)
+        .map((result) => result.device.name)
+    const summary = [
+        `${results.length} device${results.length === 1 ? '' : 's'}${counts.length ? `: ${counts.join(', ')}` : ''}`,
+        ...(problems.length ? [problems.join(', ')] : []),
+        ...notes
+    ].join(' - ')
+
+    const perf = []
+    if (run.ageSeconds !== null) {
+        perf.push(`last_run_age=${run.ageSeconds}s;;${maxAgeHours * 3600}`)
+    }
+    results.forEach(({ device }) => {
+        const metrics = [...new Set([...Object.keys(DEVICE_METRICS), ...Object.keys(thresholds)])]
+        metrics.forEach((metric) => {
+            const value = deviceMetric(device, metric)
+            if (value !== null) {
+                perf.push(perfdata(`${device.name}_${metric}`, value, thresholds[metric]))
+            }
+        })
+    })
+
+    return { state, summary, results, perfdata: perf }
+}
+
+/**
+ * Formats a check result as plugin output: status line with perfdata, then one line per device
+ * with the problems first
+ * @param {Object} result - Result of runCheck
+ * @param {string} label - Service label at the start of the status line
+ * @returns {string} Plugin output
+ */
+export const formatCheckOutput = (result, label = 'SMART') => {
+    const status = `${label} ${CHECK_STATE_NAMES[result.state]} - ${result.summary}`
+    const lines = [result.perfdata.length ? `${status} | ${result.perfdata.join(' ')}` : status]
+
+    ;[...result.results]
+        .sort((a, b) => CHECK_RANK[b.state] - CHECK_RANK[a.state])
+        .forEach(({ device, state, reasons }) => {
+            const detail = reasons.length ? `: ${reasons.join('; ')}` : ''
+            lines.push(
+                `[${CHECK_STATE_NAMES[state]}] ${device.name} (${device.model}, ${device.serial})${detail}`
+            )
+        })
+
+    return `${lines.join('\n')}\n`
+}
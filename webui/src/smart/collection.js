@@ -0,0 +1,85 @@
+import { PROBLEM_PARSE, checkDeviceFile, isUsableDeviceFile } from './dataProblems.js'
+import { deviceDataState, missingDevice } from './staleness.js'
+import { transformDeviceData } from './transform.js'
+
+/**
+ * One cron output directory (index.json plus the device files it lists) as normalized devices
+ *
+ * Shared by the SPA, which loads the files over HTTP, and the CLIs, which read them from disk.
+ */
+
+/**
+ * Device names listed in an index.json
+ * @param {Object} index - Parsed index.json
+ * @returns {Array<string>} Device names, e.g. ['sda', 'nvme0n1'], entries that aren't file names
+ *                          are skipped
+ */
+export const indexDeviceNames = (index) =>
+    (Array.isArray(index?.json_files) ? index.json_files : [])
+        .filter((filename) => typeof filename === 'string')
+        .map((filename) => filename.replace('_smart.json', ''))
+
+/**
+ * Checks and transforms one loaded device file
+ *
+ * The schema only checks the structure smartctl guarantees, values of an unexpected type can still
+ * break the parsers. Such a file becomes a parse problem instead of failing the whole run.
+ *
+ * @param {Object|string} data - Parsed device file, a string if it isn't valid JSON
+ * @param {Object} rules - Health rule set
+ * @returns {Object} { device, problem }, device null if the file holds nothing usable, problem
+ *                   null if the file is valid
+ */
+export const transformDeviceFile = (data, rules) => {
+    const problem = checkDeviceFile({ data })
+    if (!isUsableDeviceFile(data)) {
+        return { device: null, problem }
+    }
+    try {
+        return { device: transformDeviceData(data, rules), problem }
+    } catch (error) {
+        return {
+            device: null,
+            problem: {
+                kind: PROBLEM_PARSE,
+                messages: [...(problem?.messages || []), `Could not be read: ${error.message}`]
+            }
+        }
+    }
+}
+
+/**
+ * Transforms the loaded device files of one index.json
+ *
+ * Files that failed to load (or hold no SMART data) are kept as "missing" devices, files older
+ * than the run that listed them are marked "stale". Every file is checked against its schema,
+ * a device whose file only partly validated carries the violations in dataProblem. A file the
+ * parsers fail on is kept as a missing device with a parse problem.
+ *
+ * @param {Object} index - Parsed index.json
+ * @param {Array<Object>} files - { deviceName, data } or { deviceName, error } per listed device
+ * @param {Object} rules - Health rule set
+ * @param {string} hostName - Host the directory belongs to
+ * @returns {Array<Object>} Normalized devices with host, dataState, dataError and dataProblem
+ */
+export const transformIndexFiles = (index, files, rules, hostName) => {
+    const lastRun = index?.last_run || null
+
+    return files.map(({ deviceName, data, error }) => {
+        const { device, problem } = error
+            ? { device: null, problem: checkDeviceFile({ error }) }
+            : transformDeviceFile(data, rules)
+        const dataProblem = problem && { file: `${deviceName}_smart.json`, ...problem }
+        if (!device) {
+            const reason = problem ? problem.messages.join('; ') : 'File contains no SMART data'
+            return { ...missingDevice(deviceName, reason), host: hostName, dataProblem }
+        }
+        return {
+            ...device,
+            host: hostName,
+            dataState: deviceDataState(device.timestamp, lastRun),
+            dataError: null,
+            dataProblem
+        }
+    })
+}
@@ -0,0 +1,93 @@
+/**
+ * Side-by-side comparison of normalized devices
+ *
+ * Attributes are matched by id, so ATA attribute 5 of one drive is compared with attribute 5 of
+ * the other, NVMe and SCSI fields by their field name.
+ */
+
+/**
+ * Value an attribute is compared by
+ * @param {Object|null} attribute - Normalized attribute or null if the device doesn't have it
+ * @returns {string|null} Comparable value
+ */
+const comparableValue = (attribute) => (attribute ? String(attribute.raw) : null)
+
+/**
+ * Decides which cells of a row stand out: the ones that differ from the majority value, or every
+ * cell when there is no majority (e.g. two drives with different values). A device without the
+ * attribute always stands out.
+ * @param {Array<string|null>} values - Comparable value per device
+ * @returns {Array<boolean>} Per device whether its cell is highlighted
+ */
+const highlightCells = (values) => {
+    const counts = new Map()
+    values.forEach((value) => {
+        if (value !== null) {
+            counts.set(value, (counts.get(value) || 0) + 1)
+        }
+    })
+
+    const maxCount = Math.max(0, ...counts.values())
+    const majorities = [...counts.values()].filter((count) => count === maxCount).length
+    const allEqual = counts.size === 1 && values.every((value) => value !== null)
+
+    return values.map((value) => {
+        if (allEqual) {
+            return false
+        }
+        if (value === null) {
+            return true
+        }
+        return majorities > 1 || counts.get(value) < maxCount
+    })
+}
+
+/**
+ * Aligns the attributes of several devices by attribute id
+ * @param {Array<Object>} devices - Normalized devices, see smart/model.js
+ * @returns {Array<Object>} Rows { id, name, cells: [{ attribute, highlight }], differs } in order
+ *                          of first appearance, one cell per device in device order
+ */
+export const compareAttributes = (devices) => {
+    const rows = new Map()
+
+    devices.forEach((device) => {
+        device.smartAttributes.forEach((attribute) => {
+            const id = String(attribute.id)
+            if (!rows.has(id)) {
+                rows.set(id, { id, name: attribute.name })
+            }
+        })
+    })
+
+    return [...rows.values()].map((row) => {
+        const attributes = devices.map(
+            (device) =>
+                device.smartAttributes.find((attribute) => String(attribute.id) === row.id) || null
+        )
+        const highlights = highlightCells(attributes.map(comparableValue))
+
+        return {
+            ...row,
+            cells: attributes.map((attribute, i) => ({ attribute, highlight: highlights[i] })),
+            differs: highlights.some(Boolean)
+        }
+    })
+}
+
+/**
+ * Parses the devices query parameter of the compare route, e.g. 'sda,nas01:sdb'
+ * @param {string|Array<string>} param - route.query.devices
+ * @returns {Array<string>} Unique device keys in the given order
+ */
+export const parseCompareParam = (param) => {
+    const raw = Array.isArray(param) ? param.join(',') : String(param || '')
+    return [
+        ...new Set(
+            raw
+                .split(',')
+                .map((key) => key.trim())
+                .filter(Boolean)
+        )
+    ]
+}
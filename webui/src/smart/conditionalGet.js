@@ -0,0 +1,47 @@
+/**
+ * Conditional GET requests for the data files
+ *
+ * The cron output is only rewritten once per run, but a page left open polls it all the time. The
+ * ETag and Last-Modified of every file are remembered and sent back as If-None-Match and
+ * If-Modified-Since, a 304 answer returns the data of the last full response so an unchanged file
+ * only costs its headers.
+ */
+
+/**
+ * Creates a GET function that revalidates files it has seen before
+ * @param {Function} get - axios.get compatible (url, config) => Promise<{ status, headers, data }>
+ * @returns {Function} (url) => Promise<data>, rejects like get for everything but a 304
+ */
+export const createConditionalGet = (get) => {
+    // url -> { etag, lastModified, data } of the last full response
+    const cache = new Map()
+
+    return async (url) => {
+        const cached = cache.get(url)
+        const headers = {}
+        if (cached?.etag) {
+            headers['If-None-Match'] = cached.etag
+        }
+        if (cached?.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified
+        }
+
+        const response = await get(url, {
+            headers,
+            // Without a cached copy a 304 (e.g. from a proxy) can't be answered, treat it as an error
+            validateStatus: (status) => (status >= 200 && status < 300) || (status === 304 && !!cached)
+        })
+        if (response.status === 304) {
+            return cached.data
+        }
+
+        const etag = response.headers?.etag
+        const lastModified = response.headers?.['last-modified']
+        if (etag || lastModified) {
+            cache.set(url, { etag, lastModified, data: response.data })
+        } else {
+            cache.delete(url)
+        }
+        return response.data
+    }
+}
@@ -0,0 +1,102 @@
+import { DEVICE_SCHEMA, INDEX_SCHEMA, validateSchema } from './schemas.js'
+import { DATA_MISSING } from './staleness.js'
+
+/**
+ * Problems with the data files of a cron run
+ *
+ * A file can fail to load (HTTP error), hold something that isn't JSON (truncated by a run that
+ * was killed, an HTML error page) or be JSON that doesn't match its schema (the jq-less basic
+ * mode of smart_monitor.sh passes whatever smartctl printed through). The overview lists every
+ * such file, a device file that is still usable shows its device as degraded.
+ */
+
+export const PROBLEM_HTTP = 'http'
+export const PROBLEM_PARSE = 'parse'
+export const PROBLEM_SCHEMA = 'schema'
+
+/**
+ * Describes a failed load
+ * @param {Error} error - axios error, or the error of reading the file from disk
+ * @returns {Object} { kind, messages }
+ */
+const loadProblem = (error) => {
+    // Reading from disk parses with JSON.parse, which throws a SyntaxError
+    if (error instanceof SyntaxError) {
+        return { kind: PROBLEM_PARSE, messages: [error.message] }
+    }
+
+    const response = error.response
+    const message = response
+        ? `HTTP ${response.status}${response.statusText ? ` ${response.statusText}` : ''}`
+        : error.message
+    return { kind: PROBLEM_HTTP, messages: [message] }
+}
+
+/**
+ * Checks a loaded data file
+ *
+ * axios hands out the raw text when a response isn't valid JSON, so a string is parsed once more
+ * to find out why.
+ *
+ * @param {Object} schema - Schema of the file, see smart/schemas.js
+ * @param {Object} file - { data } or { error } as loaded
+ * @returns {Object|null} { kind, messages } or null if the file is fine
+ */
+export const checkDataFile = (schema, { data, error } = {}) => {
+    if (error) {
+        return loadProblem(error)
+    }
+    if (typeof data === 'string') {
+        try {
+            JSON.parse(data)
+        } catch (parseError) {
+            return { kind: PROBLEM_PARSE, messages: [parseError.message] }
+        }
+    }
+
+    const violations = validateSchema(schema, data)
+    return violations.length ? { kind: PROBLEM_SCHEMA, messages: violations } : null
+}
+
+/**
+ * Checks a loaded index.json
+ * @param {Object} file - { data } or { error } as loaded
+ * @returns {Object|null} { kind, messages } or null if the file is fine
+ */
+export const checkIndexFile = (file) => checkDataFile(INDEX_SCHEMA, file)
+
+/**
+ * Checks a loaded <dev>_smart.json
+ * @param {Object} file - { data } or { error } as loaded
+ * @returns {Object|null} { kind, messages } or null if the file is fine
+ */
+export const checkDeviceFile = (file) => checkDataFile(DEVICE_SCHEMA, file)
+
+/**
+ * Whether a value is a JSON object
+ * @param {*} value - Parsed JSON value
+ * @returns {boolean} True for objects, false for arrays and null
+ */
+const isJsonObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+
+/**
+ * Whether a device file holds enough to show the device, even if parts of it are invalid
+ * @param {*} data - Loaded device file
+ * @returns {boolean} True if there is a smart_data object
+ */
+export const isUsableDeviceFile = (data) => isJsonObject(data) && isJsonObject(data.smart_data)
+
+/**
+ * Whether an index.json lists device files at all
+ * @param {*} data - Loaded index.json
+ * @returns {boolean} True if there is a json_files array
+ */
+export const isUsableIndexFile = (data) => isJsonObject(data) && Array.isArray(data.json_files)
+
+/**
+ * Whether a device is shown from a file that only partly validated
+ * @param {Object} device - Normalized device from transformIndexFiles
+ * @returns {boolean} True if the file has a problem but the device isn't missing
+ */
+export const isDegradedDevice = (device) =>
+    !!device.dataProblem && device.dataState !== DATA_MISSING
@@ -0,0 +1,124 @@
+/**
+ * Endurance of a drive: data written and read, remaining life and a projected wear-out date
+ *
+ * The parsers report raw counters ({ bytesWritten, bytesRead, percentageUsed }), this module turns
+ * them into the normalized endurance summary. Volumes use decimal units like the TBW ratings in
+ * the data sheets: 1 TB = 10^12 bytes.
+ */
+
+export const BYTES_PER_TB = 1e12
+export const BYTES_PER_GB = 1e9
+
+/**
+ * Raw endurance counters, every field may be null
+ * @param {Object} counters - { bytesWritten, bytesRead, percentageUsed }
+ * @returns {Object|null} Counters or null when the drive reports none of them
+ */
+export const enduranceCounters = ({
+    bytesWritten = null,
+    bytesRead = null,
+    percentageUsed = null
+}) =>
+    bytesWritten === null && bytesRead === null && percentageUsed === null
+        ? null
+        : { bytesWritten, bytesRead, percentageUsed }
+
+/**
+ * Rounds to a fixed number of decimals, keeping null
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimals to keep
+ * @returns {number|null} Rounded value
+ */
+const round = (value, decimals) =>
+    value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals
+
+/**
+ * Projects the day the drive reaches its rated endurance
+ *
+ * The rated TBW is used when known, otherwise the percentage used the drive reports itself is
+ * extrapolated. Both assume the average write rate so far continues.
+ *
+ * @param {Object} endurance - { tbWritten, percentageUsed, ratedTbw, dailyWriteGb }
+ * @param {number} powerOnDays - Power-on time in days
+ * @returns {Object} { days, basis } days left or null, basis 'tbw' or 'percentageUsed'
+ */
+const projectWearOut = ({ tbWritten, percentageUsed, ratedTbw, dailyWriteGb }, powerOnDays) => {
+    if (ratedTbw && dailyWriteGb) {
+        const remainingGb = (ratedTbw - tbWritten) * (BYTES_PER_TB / BYTES_PER_GB)
+        return { days: Math.max(0, remainingGb / dailyWriteGb), basis: 'tbw' }
+    }
+    if (percentageUsed && powerOnDays) {
+        const usedPerDay = percentageUsed / powerOnDays
+        return { days: Math.max(0, (100 - percentageUsed) / usedPerDay), basis: 'percentageUsed' }
+    }
+    return { days: null, basis: null }
+}
+
+/**
+ * Derives the endurance summary of a device
+ * @param {Object|null} counters - Raw counters from the parser, see enduranceCounters
+ * @param {Object} options - { powerOnHours, timestamp } of the device, { ratedTbw } from the
+ *                           rule set's endurance ratings or null
+ * @returns {Object|null} NormalizedEndurance, see smart/model.js, null without counters
+ */
+export const deriveEndurance = (
+    counters,
+    { powerOnHours = 0, timestamp = null, ratedTbw = null }
+) => {
+    if (!counters) {
+        return null
+    }
+
+    const tbWritten =
+        counters.bytesWritten !== null ? round(counters.bytesWritten / BYTES_PER_TB, 3) : null
+    const tbRead = counters.bytesRead !== null ? round(counters.bytesRead / BYTES_PER_TB, 3) : null
+    const powerOnDays = powerOnHours / 24
+    const dailyWriteGb =
+        counters.bytesWritten !== null && powerOnDays
+            ? round(counters.bytesWritten / BYTES_PER_GB / powerOnDays, 1)
+            : null
+
+    let remainingLife = null
+    if (counters.percentageUsed !== null) {
+        remainingLife = Math.max(0, 100 - counters.percentageUsed)
+    } else if (ratedTbw && tbWritten !== null) {
+        remainingLife = Math.max(0, Math.round(100 - (tbWritten / ratedTbw) * 100))
+    }
+
+    const { days, basis } = projectWearOut(
+        { tbWritten, percentageUsed: counters.percentageUsed, ratedTbw, dailyWriteGb },
+        powerOnDays
+    )
+
+    return {
+        tbWritten,
+        tbRead,
+        percentageUsed: counters.percentageUsed,
+        remainingLife,
+        ratedTbw: ratedTbw || null,
+        dailyWriteGb,
+        wearOutTimestamp: days !== null && timestamp ? Math.round(timestamp + days * 86400) : null,
+        wearOutBasis: days !== null && timestamp ? basis : null
+    }
+}
+
+/**
+ * Formats a data volume given in TB, e.g. '412.08 TB', '950 GB'
+ * @param {number|null} tb - Volume in TB
+ * @param {string} locale - Locale of the number, e.g. 'en' or 'de'
+ * @returns {string|null} Volume for display, null if unknown
+ */
+export const formatVolume = (tb, locale = 'en') => {
+    if (tb === null || tb === undefined) {
+        return null
+    }
+    const number = (value) =>
+        new Intl.NumberFormat(locale, { maximumFractionDigits: 2 }).format(value)
+    if (tb >= 1000) {
+        return `${number(tb / 1000)} PB`
+    }
+    if (tb >= 1) {
+        return `${number(tb)} TB`
+    }
+    return `${number(Math.round(tb * 1000))} GB`
+}
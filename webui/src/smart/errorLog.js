@@ -0,0 +1,102 @@
+/**
+ * Normalizes the error logs collected with `smartctl -l error -j`
+ *
+ * Both the ATA summary error log and the NVMe error information log are mapped to the same entry
+ * shape so the UI can render them in one table:
+ *   { number, lifetimeHours, lba, command, description, registers, state, protocol }
+ */
+
+/**
+ * Formats a register value as two digit hex
+ * @param {number} value - Register value
+ * @returns {string} Hex string such as '0x51'
+ */
+const hex = (value) =>
+    value === undefined || value === null ? '--' : `0x${Number(value).toString(16).padStart(2, '0')}`
+
+/**
+ * Entries of a log table, anything that isn't an entry object is skipped
+ * @param {Array} table - Table of the log
+ * @returns {Array<Object>} Entry objects
+ */
+const tableEntries = (table) =>
+    (Array.isArray(table) ? table : []).filter(
+        (entry) => entry !== null && typeof entry === 'object' && !Array.isArray(entry)
+    )
+
+/**
+ * Maps one ATA error log entry
+ * @param {Object} entry - Entry of ata_smart_error_log.summary.table
+ * @returns {Object} Normalized error entry
+ */
+const mapAtaEntry = (entry) => {
+    const registers = entry.completion_registers || {}
+    const commands = tableEntries(entry.previous_commands)
+    // smartctl lists the commands newest first, the first one caused the error
+    const failedCommand = commands[0]
+
+    return {
+        number: entry.error_number ?? null,
+        lifetimeHours: entry.lifetime_hours ?? null,
+        lba: registers.lba ?? null,
+        command: failedCommand?.command_name || (failedCommand ? hex(failedCommand.registers?.command) : 'Unknown'),
+        description: entry.error_description || 'Unknown error',
+        registers: `ER=${hex(registers.error)} ST=${hex(registers.status)} SC=${hex(registers.count)} DEV=${hex(registers.device)}`,
+        state: entry.device_state?.string || null,
+        previousCommands: commands.map((command) => ({
+            name: command.command_name || hex(command.registers?.command),
+            lba: command.registers?.lba ?? null,
+            count: command.registers?.count ?? null,
+            powerupMilliseconds: command.powerup_milliseconds ?? null
+        })),
+        protocol: 'ATA'
+    }
+}
+
+/**
+ * Maps one NVMe error information log entry
+ * @param {Object} entry - Entry of nvme_error_information_log.table
+ * @returns {Object} Normalized error entry
+ */
+const mapNvmeEntry = (entry) => {
+    const status = entry.status_field || {}
+
+    return {
+        number: entry.error_count ?? null,
+        lifetimeHours: null,
+        lba: entry.lba?.value ?? null,
+        command: `SQ ${entry.submission_queue_id ?? '-'} / CID ${entry.command_id ?? '-'}`,
+        description: status.string || 'Unknown status',
+        registers: `SCT=${status.status_code_type ?? '-'} SC=${hex(status.status_code)} DNR=${status.do_not_retry ? 1 : 0}`,
+        state: entry.nsid !== undefined ? `NSID ${entry.nsid}` : null,
+        previousCommands: [],
+        protocol: 'NVMe'
+    }
+}
+
+/**
+ * Parses the error log section of a device file
+ * @param {Object} smartErrors - smart_data.smart_errors
+ * @param {Object} smartAttrs - smart_data.smart_attributes, used for the NVMe lifetime error count
+ * @returns {Object} { entries, count } where count is the total number of errors the device reports,
+ *                   which can be larger than the entries still held in the log
+ */
+export const parseErrorLog = (smartErrors = {}, smartAttrs = {}) => {
+    const ataLog = smartErrors.ata_smart_error_log?.extended || smartErrors.ata_smart_error_log?.summary
+    if (ataLog) {
+        const entries = tableEntries(ataLog.table).map(mapAtaEntry)
+        return { entries, count: ataLog.count ?? entries.length }
+    }
+
+    const nvmeLog = smartErrors.nvme_error_information_log
+    const nvmeErrorCount = smartAttrs.nvme_smart_health_information_log?.num_err_log_entries
+    if (nvmeLog) {
+        // entries without an error count are unused slots of the ring buffer
+        const entries = tableEntries(nvmeLog.table)
+            .filter((entry) => entry.error_count)
+            .map(mapNvmeEntry)
+        return { entries, count: nvmeErrorCount ?? entries.length }
+    }
+
+    return { entries: [], count: nvmeErrorCount ?? 0 }
+}
@@ -0,0 +1,102 @@
+import { DEFAULT_RULES, STATUS_GOOD, STATUS_WARNING } from './healthRules.js'
+
+/**
+ * smartctl's exit status of every section of a device file
+ *
+ * smartctl reports problems it noticed while collecting in the bits of its exit status, which ends
+ * up as `smartctl.exit_status` in every JSON document. Bits 0-2 mean the device could not be fully
+ * read, the other bits are findings about the disk. The health status of each bit comes from the
+ * rule set's `exitStatus` map, see smart/healthRules.js.
+ */
+
+// See EXIT STATUS in smartctl(8)
+export const SMARTCTL_EXIT_BITS = [
+    { bit: 0, key: 'commandLine', label: 'The smartctl command line did not parse' },
+    {
+        bit: 1,
+        key: 'deviceOpen',
+        label: 'The device could not be opened or is in a low-power mode'
+    },
+    {
+        bit: 2,
+        key: 'commandFailed',
+        label: 'A SMART command to the device failed or returned a checksum error'
+    },
+    { bit: 3, key: 'diskFailing', label: 'The SMART status check returned "DISK FAILING"' },
+    {
+        bit: 4,
+        key: 'prefailThreshold',
+        label: 'Prefail attributes are at or below their threshold'
+    },
+    {
+        bit: 5,
+        key: 'thresholdInPast',
+        label: 'Attributes have been at or below their threshold in the past'
+    },
+    { bit: 6, key: 'errorLog', label: 'The device error log contains errors' },
+    { bit: 7, key: 'selftestLog', label: 'The self-test log contains errors' }
+]
+
+// Sections of a device file with the smartctl command that produced them
+export const SMARTCTL_SECTIONS = [
+    { section: 'device_info', command: 'smartctl -i' },
+    { section: 'smart_attributes', command: 'smartctl -A' },
+    { section: 'smart_health', command: 'smartctl -H' },
+    { section: 'smart_errors', command: 'smartctl -l error' },
+    { section: 'smart_selftest', command: 'smartctl -l selftest' }
+]
+
+/**
+ * Decodes an exit status into the bits that are set
+ * @param {number} exitStatus - smartctl exit status
+ * @returns {Array<Object>} Entries of SMARTCTL_EXIT_BITS
+ */
+export const decodeExitStatus = (exitStatus) =>
+    SMARTCTL_EXIT_BITS.filter(({ bit }) => (exitStatus & (1 << bit)) !== 0)
+
+/**
+ * Reads the exit status of every section
+ * @param {Object} smartData - smart_data of a device file
+ * @param {Object} exitStatusRules - Health status per bit key, the rule set's `exitStatus`
+ * @returns {Array<Object>} NormalizedDiagnostic, see smart/model.js, one per section. exitStatus is
+ *                          null if the section is missing or has no smartctl block
+ */
+export const collectionDiagnostics = (smartData, exitStatusRules = DEFAULT_RULES.exitStatus) =>
+    SMARTCTL_SECTIONS.map(({ section, command }) => {
+        const exitStatus = smartData[section]?.smartctl?.exit_status
+        if (!Number.isInteger(exitStatus)) {
+            return { section, command, exitStatus: null, flags: [] }
+        }
+        return {
+            section,
+            command,
+            exitStatus,
+            flags: decodeExitStatus(exitStatus).map((flag) => ({
+                ...flag,
+                status: exitStatusRules[flag.key] || STATUS_WARNING
+            }))
+        }
+    })
+
+/**
+ * Turns the decoded bits into health reasons, a bit set by several sections is reported once
+ * @param {Array<Object>} diagnostics - Result of collectionDiagnostics
+ * @returns {Array<Object>} Health reasons like the ones of evaluateAttributes, bits with the
+ *                          status Good are left out
+ */
+export const exitStatusReasons = (diagnostics) => {
+    const reasons = new Map()
+    for (const { command, flags } of diagnostics) {
+        for (const { key, label, status } of flags) {
+            if (status !== STATUS_GOOD && !reasons.has(key)) {
+                reasons.set(key, {
+                    attribute: command,
+                    status,
+                    rule: `exitStatus.${key}`,
+                    reason: label
+                })
+            }
+        }
+    }
+    return [...reasons.values()]
+}
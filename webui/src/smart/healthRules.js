@@ -0,0 +1,337 @@
+/**
+ * Declarative health rules for SMART attributes
+ *
+ * A rule set has three layers that are merged in order, later layers win per attribute:
+ *   defaults    - rules for every device
+ *   deviceTypes - rules per device type (nvme, ata, scsi)
+ *   overrides   - rules for devices matching a model and/or serial glob, applied in list order
+ *
+ * Rules are keyed by attribute id: the ATA attribute number ('5', '197'), the NVMe field name
+ * ('temperature', 'media_errors') or the SCSI log field ('scsi_grown_defect_list'). The key '*'
+ * applies to every attribute of the device in addition to its own rule.
+ *
+ * Rule fields:
+ *   check       - 'raw' (default) compares the raw value, 'value' the normalized value,
+ *                 'threshold' compares the normalized value/worst with the vendor threshold,
+ *                 'passed' checks an overall PASSED/FAILED result
+ *   direction   - 'above' (default) fires when the value is >= the limit, 'below' when <=
+ *   warn        - limit for a Warning result
+ *   critical    - limit for a Critical result
+ *   failing     - status when a 'threshold'/'passed' check fails now (default Critical)
+ *   failedInPast - status when the worst value was at the threshold before (default Warning)
+ *   enabled     - set to false in an override to switch off an inherited rule
+ *
+ * Besides the rules, a rule set carries the rated endurance of SSD models in `endurance`, a list of
+ * { match: { model, serial }, tbw } entries where the last matching entry wins, and in `exitStatus`
+ * the status each bit of smartctl's exit status adds to the health (see smart/exitStatus.js), a
+ * bit set to Good is ignored.
+ */
+
+export const STATUS_GOOD = 'Good'
+export const STATUS_WARNING = 'Warning'
+export const STATUS_CRITICAL = 'Critical'
+export const STATUS_UNKNOWN = 'Unknown'
+
+const STATUS_RANK = {
+    [STATUS_UNKNOWN]: 0,
+    [STATUS_GOOD]: 1,
+    [STATUS_WARNING]: 2,
+    [STATUS_CRITICAL]: 3
+}
+
+/**
+ * Built-in rule set, used as the base that a rules.json next to index.json is merged onto
+ */
+export const DEFAULT_RULES = {
+    version: 1,
+    defaults: {
+        smart_status: { check: 'passed', failing: STATUS_CRITICAL }
+    },
+    deviceTypes: {
+        nvme: {
+            critical_warning: { critical: 1 },
+            temperature: { warn: 70, critical: 80 },
+            available_spare: { check: 'value', direction: 'below', warn: 20, critical: 10 },
+            percentage_used: { warn: 80, critical: 100 },
+            media_errors: { warn: 1, critical: 50 }
+        },
+        ata: {
+            '*': { check: 'threshold', failing: STATUS_CRITICAL, failedInPast: STATUS_WARNING },
+            5: { warn: 1, critical: 100 },
+            187: { warn: 1, critical: 10 },
+            194: { warn: 55, critical: 65 },
+            197: { warn: 1, critical: 10 },
+            198: { warn: 1, critical: 10 }
+        },
+        scsi: {
+            '*': { check: 'threshold', failing: STATUS_CRITICAL, failedInPast: STATUS_WARNING },
+            temperature: { warn: 55, critical: 65 },
+            scsi_grown_defect_list: { warn: 1, critical: 100 },
+            read_errors_uncorrected: { warn: 1, critical: 10 },
+            write_errors_uncorrected: { warn: 1, critical: 10 },
+            verify_errors_uncorrected: { warn: 1, critical: 10 },
+            scsi_percentage_used_endurance_indicator: { warn: 80, critical: 100 }
+        }
+    },
+    overrides: [],
+    endurance: [],
+    exitStatus: {
+        commandLine: STATUS_WARNING,
+        deviceOpen: STATUS_WARNING,
+        commandFailed: STATUS_WARNING,
+        diskFailing: STATUS_CRITICAL,
+        prefailThreshold: STATUS_CRITICAL,
+        thresholdInPast: STATUS_WARNING,
+        errorLog: STATUS_WARNING,
+        selftestLog: STATUS_WARNING
+    }
+}
+
+/**
+ * Returns the more severe of two statuses
+ * @param {string} a - Status
+ * @param {string} b - Status
+ * @returns {string} The worse status
+ */
+export const worseStatus = (a, b) => ((STATUS_RANK[b] || 0) > (STATUS_RANK[a] || 0) ? b : a)
+
+/**
+ * Maps device information to the rule set's device type key
+ *
+ * The protocol is what the drive speaks, the type only how smartctl reaches it: a SATA drive behind
+ * a SAS HBA has the type 'scsi' and the protocol 'ATA'. The type only decides without a protocol.
+ *
+ * @param {Object} device - { protocol, type } from smartctl's device block, or a deviceType string
+ * @returns {string} 'nvme', 'scsi' or 'ata'
+ */
+export const ruleDeviceType = (device = {}) => {
+    const kind = String(
+        typeof device === 'string' ? device : device.protocol || device.type || ''
+    ).toLowerCase()
+    if (kind.includes('nvme')) {
+        return 'nvme'
+    }
+    if (kind.includes('scsi')) {
+        return 'scsi'
+    }
+    return 'ata'
+}
+
+/**
+ * Merges a rules file onto a base rule set, attribute rules are merged field by field
+ * @param {Object} base - Base rule set (usually DEFAULT_RULES)
+ * @param {Object} custom - Rule set loaded from rules.json
+ * @returns {Object} Merged rule set
+ */
+export const mergeRules = (base, custom) => {
+    if (!custom || typeof custom !== 'object') {
+        return base
+    }
+
+    const mergeLayer = (a = {}, b = {}) => {
+        const merged = { ...a }
+        for (const [key, rule] of Object.entries(b)) {
+            merged[key] = { ...(a[key] || {}), ...rule }
+        }
+        return merged
+    }
+
+    const deviceTypes = { ...base.deviceTypes }
+    for (const [type, layer] of Object.entries(custom.deviceTypes || {})) {
+        deviceTypes[type] = mergeLayer(base.deviceTypes?.[type], layer)
+    }
+
+    return {
+        version: custom.version || base.version,
+        defaults: mergeLayer(base.defaults, custom.defaults),
+        deviceTypes,
+        overrides: [...(base.overrides || []), ...(custom.overrides || [])],
+        endurance: [...(base.endurance || []), ...(custom.endurance || [])],
+        exitStatus: { ...base.exitStatus, ...custom.exitStatus }
+    }
+}
+
+/**
+ * Matches a value against a glob pattern where '*' matches any sequence (case-insensitive)
+ * @param {string} pattern - Glob pattern
+ * @param {string} value - Value to test
+ * @returns {boolean} Whether the value matches
+ */
+export const globMatch = (pattern, value) => {
+    if (pattern === undefined || pattern === null) {
+        return true
+    }
+    const escaped = String(pattern)
+        .split('*')
+        .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*')
+    return new RegExp(`^${escaped}$`, 'i').test(String(value || ''))
+}
+
+/**
+ * Checks whether an override applies to a device
+ * @param {Object} match - { model, serial, deviceType } patterns, all given ones must match
+ * @param {Object} device - { model, serial, deviceType }
+ * @returns {boolean} Whether the override applies
+ */
+const overrideMatches = (match = {}, device) =>
+    globMatch(match.model, device.model) &&
+    globMatch(match.serial, device.serial) &&
+    (!match.deviceType || match.deviceType === device.deviceType)
+
+/**
+ * Resolves the effective rule of every attribute key for one device
+ * @param {Object} rules - Rule set
+ * @param {Object} device - { model, serial, deviceType } where deviceType is a ruleDeviceType key
+ * @returns {Object} Map of attribute key to rule, each rule carries its origin in `source`
+ */
+export const resolveRules = (rules, device) => {
+    const resolved = {}
+    const apply = (layer, origin) => {
+        for (const [key, rule] of Object.entries(layer || {})) {
+            resolved[key] = { ...(resolved[key] || {}), ...rule, source: `${origin}.${key}` }
+        }
+    }
+
+    apply(rules.defaults, 'defaults')
+    apply(rules.deviceTypes?.[device.deviceType], device.deviceType)
+    ;(rules.overrides || []).forEach((override, index) => {
+        if (overrideMatches(override.match, device)) {
+            apply(override.rules, override.name || `overrides[${index}]`)
+        }
+    })
+
+    return resolved
+}
+
+/**
+ * Looks up the rated endurance of a device
+ * @param {Object} rules - Rule set
+ * @param {Object} device - { model, serial, deviceType }
+ * @returns {number|null} Rated terabytes written or null if the model has no rating
+ */
+export const resolveRatedTbw = (rules, device) => {
+    const rating = (rules.endurance || [])
+        .filter((entry) => overrideMatches(entry.match, device))
+        .pop()
+    return rating?.tbw || null
+}
+
+/**
+ * Evaluates a numeric value against a rule's warn/critical limits
+ * @param {number} value - Value to check
+ * @param {Object} rule - Rule with warn/critical/direction
+ * @param {string} label - What the value is, used in the reason
+ * @returns {Object} { status, reason }
+ */
+const evaluateLimits = (value, rule, label) => {
+    if (value === null || value === undefined || Number.isNaN(value)) {
+        return { status: STATUS_UNKNOWN, reason: `${label} is not available` }
+    }
+
+    const below = rule.direction === 'below'
+    const hits = (limit) =>
+        limit !== undefined && limit !== null && (below ? value <= limit : value >= limit)
+    const sign = below ? '≤' : '≥'
+
+    if (hits(rule.critical)) {
+        return { status: STATUS_CRITICAL, reason: `${label} ${value} ${sign} critical limit ${rule.critical}` }
+    }
+    if (hits(rule.warn)) {
+        return { status: STATUS_WARNING, reason: `${label} ${value} ${sign} warning limit ${rule.warn}` }
+    }
+
+    const limits = [
+        rule.warn !== undefined ? `warning ${rule.warn}` : null,
+        rule.critical !== undefined ? `critical ${rule.critical}` : null
+    ].filter(Boolean)
+    return { status: STATUS_GOOD, reason: `${label} ${value} within limits (${limits.join(', ')})` }
+}
+
+/**
+ * Evaluates one transformed attribute against a single rule
+ * @param {Object} attribute - Transformed attribute { id, name, value, worst, threshold, raw }
+ * @param {Object} rule - Resolved rule
+ * @returns {Object} { status, reason }
+ */
+export const evaluateRule = (attribute, rule) => {
+    switch (rule.check) {
+        case 'passed': {
+            const passed = String(attribute.raw).toUpperCase() === 'PASSED'
+            return passed
+                ? { status: STATUS_GOOD, reason: 'SMART overall-health self-assessment passed' }
+                : {
+                      status: rule.failing || STATUS_CRITICAL,
+                      reason: 'SMART overall-health self-assessment failed'
+                  }
+        }
+        case 'threshold': {
+            const threshold = Number(attribute.threshold)
+            // a threshold of 0 means the attribute can never fail
+            if (!threshold) {
+                return { status: STATUS_GOOD, reason: 'No vendor threshold' }
+            }
+            if (Number(attribute.value) <= threshold) {
+                return {
+                    status: rule.failing || STATUS_CRITICAL,
+                    reason: `Normalized value ${attribute.value} at or below vendor threshold ${threshold}`
+                }
+            }
+            if (Number(attribute.worst) <= threshold) {
+                return {
+                    status: rule.failedInPast || STATUS_WARNING,
+                    reason: `Worst value ${attribute.worst} reached vendor threshold ${threshold} in the past`
+                }
+            }
+            return { status: STATUS_GOOD, reason: `Normalized value above vendor threshold ${threshold}` }
+        }
+        case 'value':
+            return evaluateLimits(Number(attribute.value), rule, 'Normalized value')
+        default:
+            return evaluateLimits(parseInt(attribute.raw), rule, 'Raw value')
+    }
+}
+
+/**
+ * Evaluates all attributes of a device and derives the overall health from the worst result
+ * @param {Array<Object>} attributes - Transformed attributes
+ * @param {Object} resolvedRules - Result of resolveRules
+ * @returns {Object} { attributes, health, healthReasons } attributes carry status, rule and reason
+ */
+export const evaluateAttributes = (attributes, resolvedRules) => {
+    let health = STATUS_UNKNOWN
+    const healthReasons = []
+    const wildcard = resolvedRules['*']
+
+    const evaluated = attributes.map((attribute) => {
+        const candidates = [resolvedRules[String(attribute.id)], wildcard].filter(
+            (rule) => rule && rule.enabled !== false
+        )
+
+        let result = { status: STATUS_GOOD, rule: null, reason: 'No rule configured' }
+        for (const rule of candidates) {
+            const outcome = evaluateRule(attribute, rule)
+            if (outcome.status === STATUS_UNKNOWN) {
+                continue
+            }
+            // the first rule sets the reason, a later one only takes over if it is worse
+            if (!result.rule || worseStatus(result.status, outcome.status) !== result.status) {
+                result = { ...outcome, rule: rule.source }
+            }
+        }
+
+        health = worseStatus(health, result.status)
+        if (result.status === STATUS_WARNING || result.status === STATUS_CRITICAL) {
+            healthReasons.push({
+                attribute: attribute.name,
+                status: result.status,
+                rule: result.rule,
+                reason: result.reason
+            })
+        }
+
+        return { ...attribute, ...result }
+    })
+
+    return { attributes: evaluated, health, healthReasons }
+}
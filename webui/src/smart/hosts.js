@@ -0,0 +1,161 @@
+import {
+    STATUS_CRITICAL,
+    STATUS_GOOD,
+    STATUS_UNKNOWN,
+    STATUS_WARNING,
+    worseStatus
+} from './healthRules.js'
+import { UNKNOWN_SERIAL } from './identity.js'
+
+/**
+ * Hosts manifest
+ *
+ * A hosts.json next to the SPA's data directory lists several servers running smart_monitor.sh,
+ * each with its own output directory:
+ *
+ *   { "version": 1, "hosts": [ { "name": "nas01", "label": "NAS", "baseUrl": "hosts/nas01" } ] }
+ *
+ * name is used in the URL and must be unique, label is optional and only used for display.
+ * A relative baseUrl is resolved against the directory hosts.json was loaded from. Without a
+ * manifest the data directory itself is the only host, named LOCAL_HOST.
+ */
+
+export const LOCAL_HOST = 'local'
+
+// Host names end up in routes and query keys, keep them URL safe
+const HOST_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/
+
+/**
+ * Resolves a host's base URL against the directory the manifest was loaded from
+ * @param {string} manifestBase - Base URL of the manifest, e.g. '/api/smart'
+ * @param {string} baseUrl - baseUrl from the manifest
+ * @returns {string} Base URL without trailing slash
+ */
+export const resolveHostUrl = (manifestBase, baseUrl) => {
+    const base = String(manifestBase || '').replace(/\/+$/, '')
+    const url = String(baseUrl ?? '').trim()
+
+    if (url === '' || url === '.' || url === './') {
+        return base
+    }
+    if (url.startsWith('/') || /^[a-z][a-z0-9+.-]*:\/\//i.test(url)) {
+        return url.replace(/\/+$/, '')
+    }
+    return `${base}/${url.replace(/^\.\//, '').replace(/\/+$/, '')}`
+}
+
+/**
+ * Host used when there is no hosts.json, the data directory itself
+ * @param {string} manifestBase - Data base URL
+ * @returns {Object} Normalized host
+ */
+export const localHost = (manifestBase) => ({
+    name: LOCAL_HOST,
+    label: null,
+    baseUrl: resolveHostUrl(manifestBase, '.')
+})
+
+/**
+ * Validates a hosts manifest and resolves the base URLs
+ * @param {Object} manifest - Parsed hosts.json
+ * @param {string} manifestBase - Base URL hosts.json was loaded from
+ * @returns {Array<Object>} Hosts { name, label, baseUrl } in manifest order
+ * @throws {Error} If the manifest has no hosts, a host has an invalid name or a name is repeated
+ */
+export const normalizeHostsManifest = (manifest, manifestBase) => {
+    const hosts = manifest?.hosts
+    if (!Array.isArray(hosts) || hosts.length === 0) {
+        throw new Error('hosts.json must contain a non-empty "hosts" array')
+    }
+
+    const seen = new Set()
+    return hosts.map((host, index) => {
+        const name = typeof host?.name === 'string' ? host.name.trim() : ''
+        if (!HOST_NAME_PATTERN.test(name)) {
+            throw new Error(`hosts.json: host ${index} has an invalid name "${host?.name ?? ''}"`)
+        }
+        if (seen.has(name)) {
+            throw new Error(`hosts.json: host name "${name}" is used more than once`)
+        }
+        seen.add(name)
+
+        return {
+            name,
+            label: host.label || null,
+            baseUrl: resolveHostUrl(manifestBase, host.baseUrl ?? name)
+        }
+    })
+}
+
+/**
+ * Looks up a host by name, an empty name selects the first host
+ * @param {Array<Object>} hosts - Normalized hosts
+ * @param {string} name - Host name from the route
+ * @returns {Object|null} Host or null if there is no such host
+ */
+export const findHost = (hosts, name) => {
+    if (!hosts?.length) {
+        return null
+    }
+    if (!name) {
+        return hosts[0]
+    }
+    return hosts.find((host) => host.name === name) || null
+}
+
+/**
+ * Rolls the device health of one host up into counts and a worst status
+ * @param {Array<Object>} devices - Normalized devices of the host
+ * @returns {Object} { health, total, good, warning, critical }
+ */
+export const hostHealthRollup = (devices = []) => {
+    const count = (status) => devices.filter((device) => device.health === status).length
+
+    return {
+        health: devices.reduce(
+            (health, device) => worseStatus(health, device.health),
+            STATUS_UNKNOWN
+        ),
+        total: devices.length,
+        good: count(STATUS_GOOD),
+        warning: count(STATUS_WARNING),
+        critical: count(STATUS_CRITICAL)
+    }
+}
+
+/**
+ * Key identifying a device file across hosts, the plain device name for the local host
+ * @param {Object} device - Normalized device with its host name
+ * @returns {string} 'sda' or 'nas01:sda'
+ */
+export const deviceKey = (device) =>
+    !device.host || device.host === LOCAL_HOST ? device.name : `${device.host}:${device.name}`
+
+/**
+ * Splits a device key into host name and device name
+ * @param {string} key - Key from deviceKey
+ * @returns {Object} { host, name } host is null for keys without a host
+ */
+export const parseDeviceKey = (key) => {
+    const separator = key.indexOf(':')
+    return separator === -1
+        ? { host: null, name: key }
+        : { host: key.slice(0, separator), name: key.slice(separator + 1) }
+}
+
+/**
+ * Route of a device's detail page
+ *
+ * Drives with a serial number get the stable /drive/:serial route, others the /detail/:name route
+ * that follows whatever drive the name points to. Single host setups leave out the host.
+ *
+ * @param {Object} device - Normalized device with its host name
+ * @returns {string} Router path
+ */
+export const deviceDetailPath = (device) => {
+    const hostPrefix =
+        !device.host || device.host === LOCAL_HOST ? '' : `/host/${encodeURIComponent(device.host)}`
+    return device.serial && device.serial !== UNKNOWN_SERIAL
+        ? `${hostPrefix}/drive/${encodeURIComponent(device.serial)}`
+        : `${hostPrefix}/detail/${encodeURIComponent(device.name)}`
+}
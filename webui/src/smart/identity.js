@@ -0,0 +1,160 @@
+/**
+ * Stable identity of a drive and detection of drives that were swapped or moved
+ *
+ * Device names like sda can point to a different disk after a reboot or a hot-swap, so devices are
+ * keyed on what identifies the drive itself, in the style of /dev/disk/by-id: the WWN of ATA/SCSI
+ * drives, the EUI-64 of NVMe namespaces and model plus serial number for drives that report
+ * neither.
+ *
+ * To notice a swap, the name -> drive mapping that was seen before is kept per host:
+ * { [host]: { [name]: { id, serial, model } } }.
+ */
+
+export const DRIVE_REPLACED = 'replaced'
+export const DRIVE_MOVED = 'moved'
+
+// Placeholder transformDeviceData uses for drives that report no serial number
+export const UNKNOWN_SERIAL = 'Unknown Serial'
+
+/**
+ * Formats a hex number with a fixed number of digits
+ * @param {number} value - Value
+ * @param {number} digits - Digits
+ * @returns {string} Zero-padded lowercase hex
+ */
+const hex = (value, digits) => value.toString(16).padStart(digits, '0')
+
+/**
+ * Formats smartctl's wwn block like the kernel does, e.g. '0x5000cca263c1e326'
+ * @param {Object} wwn - { naa, oui, id }
+ * @returns {string|null} WWN or null if a field is missing
+ */
+export const formatWwn = (wwn) =>
+    [wwn?.naa, wwn?.oui, wwn?.id].every(Number.isInteger)
+        ? `0x${hex(wwn.naa, 1)}${hex(wwn.oui, 6)}${hex(wwn.id, 9)}`
+        : null
+
+/**
+ * Derives the stable identity of a drive
+ * @param {Object} deviceInfo - smart_data.device_info
+ * @param {Object} device - { model, serial } as transformDeviceData reports them
+ * @returns {string|null} e.g. 'wwn-0x5000cca263c1e326', 'nvme-eui.00253856789abcdef0' or
+ *                        'WDC_WD80EFZX_R6G94U4Y', null if the drive reports no serial either
+ */
+export const driveIdentity = (deviceInfo, { model, serial }) => {
+    const wwn = formatWwn(deviceInfo.wwn)
+    if (wwn) {
+        return `wwn-${wwn}`
+    }
+    // SCSI drives report the NAA designator as the logical unit id
+    if (/^0x[0-9a-f]+$/i.test(deviceInfo.logical_unit_id || '')) {
+        return `wwn-${deviceInfo.logical_unit_id.toLowerCase()}`
+    }
+    const eui = (deviceInfo.nvme_namespaces || []).find((namespace) => namespace.eui64)?.eui64
+    if (Number.isInteger(eui?.oui) && Number.isInteger(eui?.ext_id)) {
+        return `nvme-eui.${hex(eui.oui, 6)}${hex(eui.ext_id, 10)}`
+    }
+    if (!serial || serial === UNKNOWN_SERIAL) {
+        return null
+    }
+    return `${model}_${serial}`.replace(/\s+/g, '_')
+}
+
+/**
+ * Whether a device carries a real drive identity and not its name as the fallback
+ * @param {Object} device - Normalized device
+ * @returns {boolean} True if the device can be followed across names
+ */
+export const hasDriveIdentity = (device) => !!device.id && device.id !== device.name
+
+/**
+ * Builds the name -> drive mapping of a list of devices
+ * @param {Array<Object>} devices - Normalized devices with their host name
+ * @returns {Object} { [host]: { [name]: { id, serial, model } } }
+ */
+export const driveMap = (devices) => {
+    const map = {}
+    for (const device of devices.filter(hasDriveIdentity)) {
+        map[device.host] = {
+            ...map[device.host],
+            [device.name]: { id: device.id, serial: device.serial, model: device.model }
+        }
+    }
+    return map
+}
+
+/**
+ * Compares devices with the mapping seen before
+ *
+ * A name that now holds a drive that was known under another name is a move, a name that holds a
+ * drive not seen before on that host is a replacement. Works on any subset of the devices, e.g. the
+ * one shown on the detail page.
+ *
+ * @param {Object} previous - Mapping from driveMap
+ * @param {Array<Object>} devices - Normalized devices with their host name
+ * @returns {Array<Object>} Notices { type, host, name, id, serial, model, previous } previous is
+ *                          the drive the name held before (replaced) or the old name (moved)
+ */
+export const detectDriveChanges = (previous, devices) =>
+    devices.filter(hasDriveIdentity).flatMap((device) => {
+        const known = previous?.[device.host]
+        if (!known) {
+            return []
+        }
+        const notice = {
+            host: device.host,
+            name: device.name,
+            id: device.id,
+            serial: device.serial,
+            model: device.model
+        }
+        const before = known[device.name]
+        if (before?.id === device.id) {
+            return []
+        }
+
+        const oldName = Object.keys(known).find((name) => known[name].id === device.id)
+        if (oldName) {
+            return [{ ...notice, type: DRIVE_MOVED, previous: { name: oldName } }]
+        }
+        return before ? [{ ...notice, type: DRIVE_REPLACED, previous: before }] : []
+    })
+
+/**
+ * Updates the stored mapping with the current devices, except for the names a notice is shown for
+ * so the notice stays until it is acknowledged
+ * @param {Object} previous - Mapping from driveMap
+ * @param {Array<Object>} devices - Normalized devices with their host name
+ * @param {Array<Object>} notices - Result of detectDriveChanges
+ * @returns {Object} Updated mapping
+ */
+export const mergeDriveMap = (previous, devices, notices) => {
+    const pending = new Set(
+        notices.flatMap((notice) => [
+            `${notice.host}/${notice.name}`,
+            `${notice.host}/${notice.previous.name ?? notice.name}`
+        ])
+    )
+    const current = driveMap(devices)
+    const merged = { ...previous }
+
+    for (const [host, names] of Object.entries(current)) {
+        merged[host] = { ...merged[host] }
+        for (const [name, drive] of Object.entries(names)) {
+            if (!pending.has(`${host}/${name}`)) {
+                merged[host][name] = drive
+            }
+        }
+    }
+    return merged
+}
+
+/**
+ * Describes a notice for display
+ * @param {Object} notice - Notice from detectDriveChanges
+ * @returns {string} e.g. 'sda now holds WDC WD80EFZX (R6G94U4Y), before it was ...'
+ */
+export const describeDriveChange = (notice) =>
+    notice.type === DRIVE_MOVED
+        ? `${notice.model} (${notice.serial}) is now ${notice.name}, before it was ${notice.previous.name}`
+        : `${notice.name} now holds ${notice.model} (${notice.serial}), before it was ${notice.previous.model} (${notice.previous.serial})`
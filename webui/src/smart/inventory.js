@@ -0,0 +1,176 @@
+import { UNKNOWN_SERIAL } from './identity.js'
+
+/**
+ * Drive inventory sidecar
+ *
+ * An inventory.json next to a host's index.json holds what SMART can't report, keyed by serial
+ * number:
+ *
+ *   { "version": 1, "drives": { "R6G94U4Y": { "location": "Bay 3", "warrantyEnd": "2027-03-31" } } }
+ *
+ * Every field is optional: location (bay, slot or shelf), purchaseDate, vendor, warrantyEnd and
+ * notes. Dates are YYYY-MM-DD. Fields this version doesn't know are kept so an export doesn't drop
+ * them.
+ */
+
+export const INVENTORY_VERSION = 1
+
+export const INVENTORY_FIELDS = ['location', 'purchaseDate', 'vendor', 'warrantyEnd', 'notes']
+const DATE_FIELDS = ['purchaseDate', 'warrantyEnd']
+
+export const WARRANTY_ACTIVE = 'active'
+export const WARRANTY_EXPIRING = 'expiring'
+export const WARRANTY_EXPIRED = 'expired'
+
+// Time to order a replacement or file a claim before the warranty ends
+export const DEFAULT_WARRANTY_WARN_DAYS = 90
+
+const DAY_SECONDS = 24 * 3600
+
+/**
+ * Parses a YYYY-MM-DD date
+ * @param {string} value - Date
+ * @returns {number|null} Unix timestamp of the start of the day in UTC, null if not a valid date
+ */
+export const parseInventoryDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? '')
+    if (!match) {
+        return null
+    }
+    const [year, month, day] = match.slice(1).map(Number)
+    const date = new Date(Date.UTC(year, month - 1, day))
+    // Date.UTC rolls 2027-02-30 over into March
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day
+        ? date.getTime() / 1000
+        : null
+}
+
+/**
+ * Trims the known fields and leaves out the empty ones
+ * @param {Object} entry - Inventory entry
+ * @returns {Object} Cleaned entry, {} if nothing is left
+ */
+const cleanEntry = (entry) => {
+    const cleaned = { ...entry }
+    for (const field of INVENTORY_FIELDS) {
+        const value = typeof cleaned[field] === 'string' ? cleaned[field].trim() : cleaned[field]
+        if (value === undefined || value === null || value === '') {
+            delete cleaned[field]
+        } else {
+            cleaned[field] = String(value)
+        }
+    }
+    return cleaned
+}
+
+/**
+ * Validates an inventory file
+ * @param {Object} data - Parsed inventory.json
+ * @returns {Object} Entries keyed by serial number
+ * @throws {Error} If there is no drives object, an entry isn't an object or a date is invalid
+ */
+export const normalizeInventory = (data) => {
+    const drives = data?.drives
+    if (!drives || typeof drives !== 'object' || Array.isArray(drives)) {
+        throw new Error('inventory.json must contain a "drives" object keyed by serial number')
+    }
+
+    const inventory = {}
+    for (const [serial, entry] of Object.entries(drives)) {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new Error(`inventory.json: drive "${serial}" must be an object`)
+        }
+        const cleaned = cleanEntry(entry)
+        for (const field of DATE_FIELDS) {
+            if (field in cleaned && parseInventoryDate(cleaned[field]) === null) {
+                throw new Error(
+                    `inventory.json: drive "${serial}" has an invalid ${field} "${cleaned[field]}", expected YYYY-MM-DD`
+                )
+            }
+        }
+        inventory[serial] = cleaned
+    }
+    return inventory
+}
+
+/**
+ * Looks up the entry of a drive
+ * @param {Object} inventory - Result of normalizeInventory
+ * @param {string} serial - Serial number of the drive
+ * @returns {Object|null} Entry or null if the drive has none
+ */
+export const inventoryEntry = (inventory, serial) =>
+    serial && serial !== UNKNOWN_SERIAL ? inventory?.[serial] || null : null
+
+/**
+ * Evaluates the warranty end of a drive
+ * @param {string} warrantyEnd - Last day of the warranty, YYYY-MM-DD
+ * @param {number} now - Current time, unix timestamp
+ * @param {number} warnDays - Days before the end a warranty counts as expiring
+ * @returns {Object|null} { state, daysLeft } daysLeft is negative once expired, null without a
+ *                        valid warrantyEnd
+ */
+export const warrantyStatus = (warrantyEnd, now, warnDays = DEFAULT_WARRANTY_WARN_DAYS) => {
+    const start = parseInventoryDate(warrantyEnd)
+    if (start === null) {
+        return null
+    }
+
+    // The warranty covers the whole last day
+    const end = start + DAY_SECONDS
+    const daysLeft = Math.floor((end - now) / DAY_SECONDS)
+    if (end <= now) {
+        return { state: WARRANTY_EXPIRED, daysLeft }
+    }
+    return { state: daysLeft < warnDays ? WARRANTY_EXPIRING : WARRANTY_ACTIVE, daysLeft }
+}
+
+/**
+ * Adds the inventory entry and warranty status to devices
+ * @param {Array<Object>} devices - Normalized devices
+ * @param {Object} inventory - Result of normalizeInventory
+ * @param {number} now - Current time, unix timestamp
+ * @param {number} warnDays - Days before the end a warranty counts as expiring
+ * @returns {Array<Object>} Devices with inventory (entry or null) and warranty (warrantyStatus)
+ */
+export const withInventory = (devices, inventory, now, warnDays = DEFAULT_WARRANTY_WARN_DAYS) =>
+    devices.map((device) => {
+        const entry = inventoryEntry(inventory, device.serial)
+        return {
+            ...device,
+            inventory: entry,
+            warranty: warrantyStatus(entry?.warrantyEnd, now, warnDays)
+        }
+    })
+
+/**
+ * Changes the entry of a drive, an entry left without fields is removed
+ * @param {Object} inventory - Result of normalizeInventory
+ * @param {string} serial - Serial number of the drive
+ * @param {Object} changes - Fields to set, an empty value clears the field
+ * @returns {Object} Updated inventory
+ */
+export const updateInventory = (inventory, serial, changes) => {
+    const updated = { ...inventory }
+    const entry = cleanEntry({ ...inventory[serial], ...changes })
+    if (Object.keys(entry).length) {
+        updated[serial] = entry
+    } else {
+        delete updated[serial]
+    }
+    return updated
+}
+
+/**
+ * Serializes an inventory as inventory.json, sorted by serial number so exports diff well
+ * @param {Object} inventory - Result of normalizeInventory
+ * @returns {string} File content
+ */
+export const serializeInventory = (inventory) => {
+    const drives = Object.fromEntries(
+        Object.keys(inventory)
+            .sort()
+            .map((serial) => [serial, inventory[serial]])
+    )
+    return `${JSON.stringify({ version: INVENTORY_VERSION, drives }, null, 2)}\n`
+}
@@ -0,0 +1,146 @@
+import { STATUS_CRITICAL, STATUS_GOOD, STATUS_UNKNOWN, STATUS_WARNING } from './healthRules.js'
+import { parseRawNumber } from './model.js'
+import { DATA_MISSING, DATA_OK, DATA_STALE } from './staleness.js'
+
+/**
+ * OpenMetrics rendering of normalized devices
+ *
+ * The output only uses gauges and the label syntax shared by OpenMetrics and the Prometheus text
+ * format, so it can be dropped into node_exporter's textfile collector as is. States (health,
+ * data state) are exported as one series per state with the value 1 for the current one.
+ */
+
+const PREFIX = 'nanosmart'
+
+const HEALTH_STATES = [STATUS_GOOD, STATUS_WARNING, STATUS_CRITICAL, STATUS_UNKNOWN]
+const DATA_STATES = [DATA_OK, DATA_STALE, DATA_MISSING]
+
+/**
+ * Escapes a label value: backslash, double quote and line feed
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabel = (value) =>
+    String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')
+
+/**
+ * Formats a label set
+ * @param {Object} labels - Label name to value
+ * @returns {string} '{a="1",b="2"}' or '' for no labels
+ */
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`)
+    return pairs.length ? `{${pairs.join(',')}}` : ''
+}
+
+/**
+ * Creates an empty gauge family
+ * @param {string} name - Metric name without prefix
+ * @param {string} help - Help text
+ * @returns {Object} { name, help, samples }
+ */
+const gauge = (name, help) => ({ name: `${PREFIX}_${name}`, help, samples: [] })
+
+/**
+ * Adds a sample to a family, skipping values that are not finite numbers
+ * @param {Object} family - Family from gauge()
+ * @param {Object} labels - Labels of the sample
+ * @param {number|null} value - Sample value
+ */
+const addSample = (family, labels, value) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) {
+        return
+    }
+    family.samples.push({ labels, value: Number(value) })
+}
+
+/**
+ * Renders normalized devices as an OpenMetrics text exposition
+ * @param {Array<Object>} devices - Normalized devices, see smart/collection.js
+ * @param {Object} options - { now } unix timestamp the ages are computed from, { lastRun } last_run
+ *                           of index.json, { host } optional host label added to every series
+ * @returns {string} Exposition ending with '# EOF'
+ */
+export const renderOpenMetrics = (devices, { now, lastRun = null, host = null } = {}) => {
+    const hostLabel = host ? { host } : {}
+
+    const families = {
+        lastRun: gauge('last_run_timestamp_seconds', 'Time of the last cron run from index.json'),
+        lastRunAge: gauge('last_run_age_seconds', 'Seconds since the last cron run'),
+        info: gauge('device_info', 'Device identity, always 1'),
+        health: gauge(
+            'device_health',
+            'Device health from the health rules, 1 for the current state'
+        ),
+        dataState: gauge('device_data_state', 'Whether the device file is ok, stale or missing'),
+        dataAge: gauge('device_data_age_seconds', 'Seconds since the device file was collected'),
+        temperature: gauge('device_temperature_celsius', 'Current temperature'),
+        powerOnHours: gauge('device_power_on_hours', 'Power-on hours'),
+        errors: gauge('device_error_log_count', 'Errors reported in the device error log'),
+        value: gauge('attribute_value', 'Normalized attribute value'),
+        worst: gauge('attribute_worst', 'Worst normalized attribute value'),
+        threshold: gauge('attribute_threshold', 'Vendor threshold of the attribute'),
+        raw: gauge('attribute_raw', 'Raw attribute value, leading number of the raw string')
+    }
+
+    if (lastRun) {
+        addSample(families.lastRun, hostLabel, lastRun)
+        addSample(families.lastRunAge, hostLabel, Math.max(0, now - lastRun))
+    }
+
+    devices.forEach((device) => {
+        const labels = {
+            ...hostLabel,
+            device: device.name,
+            model: device.model,
+            serial: device.serial,
+            protocol: device.protocol || 'unknown'
+        }
+
+        addSample(families.info, { ...labels, firmware: device.firmware }, 1)
+        HEALTH_STATES.forEach((state) =>
+            addSample(families.health, { ...labels, state }, device.health === state ? 1 : 0)
+        )
+        const dataState = device.dataState || DATA_OK
+        DATA_STATES.forEach((state) =>
+            addSample(families.dataState, { ...labels, state }, dataState === state ? 1 : 0)
+        )
+        if (device.timestamp) {
+            addSample(families.dataAge, labels, Math.max(0, now - device.timestamp))
+        }
+        addSample(families.temperature, labels, device.temperature)
+        if (device.dataState !== DATA_MISSING) {
+            addSample(families.powerOnHours, labels, device.powerOnHours)
+            addSample(families.errors, labels, device.errorCount)
+        }
+
+        device.smartAttributes.forEach((attribute) => {
+            const attributeLabels = {
+                ...labels,
+                attribute_id: attribute.id,
+                attribute_name: attribute.name
+            }
+            addSample(families.value, attributeLabels, attribute.value)
+            addSample(families.worst, attributeLabels, attribute.worst)
+            addSample(families.threshold, attributeLabels, attribute.threshold)
+            addSample(families.raw, attributeLabels, parseRawNumber(attribute.raw))
+        })
+    })
+
+    const lines = []
+    Object.values(families)
+        .filter((family) => family.samples.length)
+        .forEach((family) => {
+            lines.push(`# HELP ${family.name} ${family.help}`)
+            lines.push(`# TYPE ${family.name} gauge`)
+            family.samples.forEach((sample) =>
+                lines.push(`${family.name}${formatLabels(sample.labels)} ${sample.value}`)
+            )
+        })
+    lines.push('# EOF')
+
+    return `${lines.join('\n')}\n`
+}
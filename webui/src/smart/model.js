@@ -0,0 +1,155 @@
+/**
+ * Normalized device model produced by transformDeviceData
+ *
+ * Every protocol parser feeds into this shape, the views, the history charts and the tests only
+ * depend on it. Bump MODEL_VERSION whenever a field is renamed, removed or changes its meaning,
+ * adding a field does not need a bump.
+ */
+
+// 2: id is the drive identity instead of the device name
+export const MODEL_VERSION = 2
+
+/**
+ * @typedef {Object} NormalizedAttribute
+ * @property {number|string} id - ATA attribute number or NVMe/SCSI field name
+ * @property {string} name - Display name
+ * @property {number|null} value - Normalized value (0-100+ for ATA, derived for NVMe/SCSI), null
+ *                                 for values judged by the rules alone like the NVMe temperature
+ * @property {number|null} worst - Worst normalized value seen
+ * @property {number|null} threshold - Vendor threshold, 0 if the attribute can't fail, null if
+ *                                     there is no normalized value
+ * @property {string} raw - Raw value as reported by smartctl
+ * @property {number|null} [rawValue] - Full numeric raw value (ATA only), packed fields included
+ * @property {Array<Object>|null} decoded - Packed raw value split into { label, value, unit }
+ *                                          components, see smart/rawDecoder.js
+ * @property {string} status - Good, Warning, Critical or Unknown, from the health rules
+ * @property {string|null} rule - Origin of the rule that decided the status, e.g. 'ata.5'
+ * @property {string} reason - Human readable explanation of the status
+ */
+
+/**
+ * @typedef {Object} NormalizedErrorEntry
+ * @property {number|null} number - Error number (ATA) or error count (NVMe)
+ * @property {number|null} lifetimeHours - Power-on hours when the error occurred (ATA only)
+ * @property {number|null} lba - Logical block address of the failed command
+ * @property {string} command - Command that failed
+ * @property {string} description - Error description or NVMe status
+ * @property {string} registers - Register or status field dump
+ * @property {string|null} state - Device state when the error occurred
+ * @property {Array<Object>} previousCommands - Commands leading up to the error (ATA only)
+ * @property {string} protocol - 'ATA' or 'NVMe'
+ */
+
+/**
+ * @typedef {Object} NormalizedSelftest
+ * @property {string} timestamp - When the test ran as logged, e.g. '48624 hours'
+ * @property {number|null} lifetimeHours - Power-on hours when the test ran
+ * @property {number|null} estimatedTime - Estimated wall-clock time of the test, unix timestamp
+ * @property {string} type - Test type as reported by the drive
+ * @property {string} kind - 'short', 'extended', 'conveyance', 'selective' or 'other'
+ * @property {string} status - Result
+ * @property {boolean|null} passed - Completed without error, null while running or unknown
+ * @property {number|null} remainingPercent - Part of the test left when it ended or so far
+ * @property {number|null} failingLba - First LBA that failed
+ * @property {number|null} failingSegment - Segment that failed (NVMe, SCSI)
+ * @property {string|null} duration - Duration if known
+ */
+
+/**
+ * @typedef {Object} NormalizedScsiSummary
+ * @property {string|null} vendor - SCSI vendor
+ * @property {string|null} product - SCSI product
+ * @property {string|null} transport - Transport protocol, e.g. 'SAS (SPL-3)'
+ * @property {string|null} healthStatus - Informational exception, 'OK' when none is reported
+ * @property {number|null} grownDefects - Elements in the grown defect list
+ * @property {string|null} manufactured - Week and year of manufacture
+ * @property {number|null} startStopCycles - Accumulated start-stop cycles
+ * @property {number|null} specifiedStartStopCycles - Start-stop cycles specified over the lifetime
+ * @property {number|null} loadUnloadCycles - Accumulated load-unload cycles
+ * @property {number|null} specifiedLoadUnloadCycles - Load-unload cycles specified over the lifetime
+ * @property {number|null} enduranceUsed - Percentage used endurance indicator (SSDs)
+ * @property {number|null} driveTripTemperature - Temperature at which the drive trips
+ * @property {Object} errorCounters - read/write/verify { corrected, uncorrected, gigabytesProcessed }
+ */
+
+/**
+ * @typedef {Object} NormalizedEndurance
+ * @property {number|null} tbWritten - Data written by the host in TB (10^12 bytes)
+ * @property {number|null} tbRead - Data read by the host in TB
+ * @property {number|null} percentageUsed - Wear the drive reports itself, 0-100+
+ * @property {number|null} remainingLife - Life left in percent, from percentageUsed or ratedTbw
+ * @property {number|null} ratedTbw - Rated TB written from the rule set's endurance ratings
+ * @property {number|null} dailyWriteGb - Average GB written per power-on day
+ * @property {number|null} wearOutTimestamp - Projected date the rated endurance is reached
+ * @property {string|null} wearOutBasis - 'tbw' or 'percentageUsed', what the projection used
+ */
+
+/**
+ * @typedef {Object} NormalizedRisk
+ * @property {number} score - Failure risk 0-100, see smart/risk.js
+ * @property {string} level - 'low', 'elevated', 'high' or 'very high'
+ * @property {Array<Object>} factors - { attribute, points, explanation } highest points first
+ */
+
+/**
+ * @typedef {Object} NormalizedDiagnostic
+ * @property {string} section - Section of the device file, e.g. 'smart_health'
+ * @property {string} command - smartctl command that produced it, e.g. 'smartctl -H'
+ * @property {number|null} exitStatus - smartctl exit status, null if the section has none
+ * @property {Array<Object>} flags - Bits that are set: { bit, key, label, status }
+ */
+
+/**
+ * @typedef {Object} NormalizedDevice
+ * @property {number} modelVersion - MODEL_VERSION the object was produced with
+ * @property {string} id - Stable identity of the drive (WWN, EUI-64 or model and serial), the
+ *                        device name if it reports none, see smart/identity.js
+ * @property {string} name - Device name without /dev/
+ * @property {string} protocol - Protocol of the parser that handled the file: ATA, NVMe, SCSI, USB
+ * @property {string} parser - Name of the parser in the registry
+ * @property {string} model - Model name
+ * @property {string} serial - Serial number
+ * @property {string} firmware - Firmware version
+ * @property {string} deviceType - smartctl device type as reported, e.g. SAT, NVME
+ * @property {string} size - Capacity for display in decimal units, e.g. '4 TB'
+ * @property {number|null} capacityBytes - Capacity in bytes, null if the drive reports none
+ * @property {string} health - Worst status of all attributes and smartctl exit status bits
+ * @property {Array<Object>} healthReasons - Attributes and exit status bits that made the health
+ *                                           worse than Good
+ * @property {NormalizedRisk|null} risk - Failure risk from the predictive attributes
+ * @property {number} powerOnHours - Power-on hours, 0 if unknown
+ * @property {number|null} temperature - Current temperature in °C
+ * @property {number|null} timestamp - Collection time as unix timestamp
+ * @property {Array<NormalizedAttribute>} smartAttributes - Attributes with rule results
+ * @property {Array<NormalizedErrorEntry>} errorLog - Entries still held in the device error log
+ * @property {number} errorCount - Total number of errors the device reports
+ * @property {Array<NormalizedDiagnostic>} diagnostics - smartctl exit status of every section
+ * @property {Array<NormalizedSelftest>} selftestLog - Self-test results
+ * @property {NormalizedScsiSummary|null} scsi - SCSI/SAS specific summary, null for other protocols
+ * @property {NormalizedEndurance|null} endurance - Written data and wear, null if nothing is reported
+ * @property {string} [host] - Name of the host the file came from, added by the data layer
+ * @property {string} [dataState] - 'ok', 'stale' or 'missing', see smart/staleness.js
+ * @property {string|null} [dataError] - Why a missing device could not be loaded
+ * @property {Object|null} [dataProblem] - { file, kind, messages } what is wrong with the device
+ *                                        file, see smart/dataProblems.js. A device that isn't
+ *                                        missing despite one is shown as degraded.
+ */
+
+/**
+ * Top level keys smartctl adds to every JSON document, they carry no SMART data
+ */
+export const SMARTCTL_ENVELOPE_KEYS = ['json_format_version', 'smartctl', 'local_time', 'device']
+
+/**
+ * Parses the leading number of a smartctl raw string such as '32 (Min/Max 20/47)'
+ * @param {Object|string|number} raw - Raw value object of an attribute, a string or a number
+ * @returns {number|null} Parsed number or null
+ */
+export const parseRawNumber = (raw) => {
+    if (raw === undefined || raw === null) {
+        return null
+    }
+    const source = typeof raw === 'object' ? (raw.string ?? raw.value) : raw
+    const value = parseInt(source)
+    return Number.isNaN(value) ? null : value
+}
@@ -0,0 +1,379 @@
+import { deviceMetric } from './check.js'
+import { STATUS_CRITICAL, STATUS_GOOD, STATUS_WARNING, worseStatus } from './healthRules.js'
+import { DATA_MISSING } from './staleness.js'
+
+/**
+ * State changes between two runs of the cron job, for the notifier (cli/smart-notify.js)
+ *
+ * Every run boils the normalized devices down to a snapshot of what alerts are about and compares
+ * it with the snapshot the previous run saved. Each change becomes an event with a key that names
+ * the change, e.g. 'pending:nas01:wwn-0x5000c500a1b2c3d4:8'. An event whose key was sent within the
+ * re-notify interval is dropped, so a flapping drive doesn't flood the sinks. A drive that stays
+ * Warning or Critical is reminded of once per interval.
+ */
+
+export const NOTIFY_STATE_VERSION = 1
+export const DEFAULT_RENOTIFY_HOURS = 24
+// Deliveries that keep failing are given up after this long
+export const PENDING_MAX_AGE_HOURS = 168
+
+export const EVENT_HEALTH = 'health'
+export const EVENT_REALLOCATED = 'reallocated'
+export const EVENT_PENDING = 'pending'
+export const EVENT_ERRORS = 'errors'
+export const EVENT_SELFTEST = 'selftest'
+export const EVENT_APPEARED = 'appeared'
+export const EVENT_DISAPPEARED = 'disappeared'
+
+export const SEVERITY_INFO = 'info'
+export const SEVERITY_WARNING = 'warning'
+export const SEVERITY_CRITICAL = 'critical'
+
+export const SEVERITIES = [SEVERITY_INFO, SEVERITY_WARNING, SEVERITY_CRITICAL]
+
+const HEALTH_SEVERITY = {
+    [STATUS_WARNING]: SEVERITY_WARNING,
+    [STATUS_CRITICAL]: SEVERITY_CRITICAL
+}
+
+/**
+ * Key of a device in the snapshot, the drive identity is only unique per host
+ * @param {Object} device - Normalized device or snapshot entry
+ * @returns {string} 'host:id'
+ */
+const deviceKey = (device) => `${device.host}:${device.id}`
+
+/**
+ * Counts the remapped sectors of a drive: reallocated sectors (ATA) or the grown defect list (SCSI)
+ * @param {Object} device - Normalized device
+ * @returns {number|null} Count or null if the drive reports neither
+ */
+const reallocatedCount = (device) =>
+    deviceMetric(device, '5') ?? deviceMetric(device, 'scsi_grown_defect_list')
+
+/**
+ * Boils a normalized device down to what the notifier compares
+ * @param {Object} device - Normalized device, not missing
+ * @returns {Object} Snapshot entry
+ */
+const snapshotDevice = (device) => {
+    const selftest = device.selftestLog[0]
+    return {
+        host: device.host,
+        id: device.id,
+        name: device.name,
+        model: device.model,
+        serial: device.serial,
+        health: device.health,
+        reasons: device.healthReasons.map((reason) => `${reason.attribute}: ${reason.reason}`),
+        reallocated: reallocatedCount(device),
+        pending: deviceMetric(device, '197'),
+        errorCount: device.errorCount,
+        failedSelftest:
+            selftest?.passed === false
+                ? {
+                      type: selftest.type,
+                      status: selftest.status,
+                      lifetimeHours: selftest.lifetimeHours
+                  }
+                : null
+    }
+}
+
+/**
+ * Builds the snapshot of a run
+ * @param {Array<Object>} devices - Normalized devices, see smart/collection.js
+ * @returns {Object} Device key to snapshot entry, missing devices are left out
+ */
+export const snapshotDevices = (devices) =>
+    Object.fromEntries(
+        devices
+            .filter((device) => device.dataState !== DATA_MISSING)
+            .map((device) => [deviceKey(device), snapshotDevice(device)])
+    )
+
+/**
+ * Formats a device for messages
+ * @param {Object} entry - Snapshot entry
+ * @returns {string} e.g. 'nas01/sda (WDC WD40EFRX, WD-123)'
+ */
+export const deviceLabel = (entry) =>
+    `${entry.host ? `${entry.host}/` : ''}${entry.name} (${entry.model}, ${entry.serial})`
+
+/**
+ * Creates an event
+ * @param {string} type - EVENT_*
+ * @param {string} severity - SEVERITY_*
+ * @param {Object} entry - Snapshot entry of the device
+ * @param {string} detail - Key part that tells this change from earlier ones of the same type
+ * @param {string} message - What happened, without the device
+ * @returns {Object} Event
+ */
+const createEvent = (type, severity, entry, detail, message) => ({
+    key: [type, deviceKey(entry), detail].filter((part) => part !== '').join(':'),
+    type,
+    severity,
+    host: entry.host,
+    device: { id: entry.id, name: entry.name, model: entry.model, serial: entry.serial },
+    message
+})
+
+/**
+ * Event for a drive whose health is Warning or Critical
+ * @param {Object} entry - Snapshot entry
+ * @param {string} previous - Health of the previous run
+ * @returns {Object} Event
+ */
+const healthEvent = (entry, previous) =>
+    createEvent(
+        EVENT_HEALTH,
+        HEALTH_SEVERITY[entry.health],
+        entry,
+        entry.health,
+        `health ${previous === entry.health ? 'is still' : `changed from ${previous} to`} ${entry.health}${entry.reasons.length ? `: ${entry.reasons.join('; ')}` : ''}`
+    )
+
+/**
+ * Events for a counter that went up
+ * @param {string} type - EVENT_*
+ * @param {Object} entry - Snapshot entry
+ * @param {Object} before - Snapshot entry of the previous run
+ * @param {string} field - Counter field of the entry
+ * @param {string} what - Plural noun for the message
+ * @returns {Array<Object>} One event or none
+ */
+const counterEvents = (type, entry, before, field, what) => {
+    const now = entry[field]
+    const then = before[field] ?? 0
+    if (now === null || now === undefined || now <= then) {
+        return []
+    }
+    return [
+        createEvent(
+            type,
+            SEVERITY_WARNING,
+            entry,
+            String(now),
+            `${now - then} new ${what} (${then} → ${now})`
+        )
+    ]
+}
+
+/**
+ * Finds the changes of one drive that was there in both runs (or is new but already degraded)
+ * @param {Object} entry - Snapshot entry of this run
+ * @param {Object|null} before - Snapshot entry of the previous run, null for a new drive
+ * @returns {Array<Object>} Events
+ */
+const deviceTransitions = (entry, before) => {
+    const events = []
+    const previousHealth = before?.health ?? STATUS_GOOD
+    if (
+        HEALTH_SEVERITY[entry.health] &&
+        entry.health !== previousHealth &&
+        worseStatus(previousHealth, entry.health) === entry.health
+    ) {
+        events.push(healthEvent(entry, previousHealth))
+    }
+
+    const selftest = entry.failedSelftest
+    const previousSelftest = before?.failedSelftest
+    if (
+        selftest &&
+        (!previousSelftest ||
+            previousSelftest.lifetimeHours !== selftest.lifetimeHours ||
+            previousSelftest.type !== selftest.type)
+    ) {
+        events.push(
+            createEvent(
+                EVENT_SELFTEST,
+                SEVERITY_CRITICAL,
+                entry,
+                `${selftest.lifetimeHours ?? ''}`,
+                `${selftest.type} self-test failed${selftest.lifetimeHours !== null ? ` at ${selftest.lifetimeHours} hours` : ''}: ${selftest.status}`
+            )
+        )
+    }
+
+    // A new drive has no baseline for its counters
+    if (before) {
+        events.push(
+            ...counterEvents(
+                EVENT_REALLOCATED,
+                entry,
+                before,
+                'reallocated',
+                'reallocated sectors'
+            ),
+            ...counterEvents(EVENT_PENDING, entry, before, 'pending', 'pending sectors'),
+            ...counterEvents(EVENT_ERRORS, entry, before, 'errorCount', 'error log entries')
+        )
+    }
+    return events
+}
+
+/**
+ * Finds the changes between two snapshots
+ * @param {Object|null} previous - Snapshot of the previous run, null on the first run
+ * @param {Object} current - Snapshot of this run
+ * @param {Array<Object>} devices - Normalized devices of this run, tell why a drive is missing
+ * @returns {Array<Object>} Events, on the first run only drives that are already degraded
+ */
+export const detectTransitions = (previous, current, devices = []) => {
+    const events = []
+    Object.entries(current).forEach(([key, entry]) => {
+        const before = previous?.[key] ?? null
+        if (previous && !before) {
+            events.push(createEvent(EVENT_APPEARED, SEVERITY_INFO, entry, '', 'drive appeared'))
+        }
+        events.push(...deviceTransitions(entry, before))
+    })
+
+    Object.entries(previous ?? {})
+        .filter(([key]) => !current[key])
+        .forEach(([, entry]) => {
+            const missing = devices.find(
+                (device) =>
+                    device.dataState === DATA_MISSING &&
+                    device.host === entry.host &&
+                    device.name === entry.name
+            )
+            events.push(
+                createEvent(
+                    EVENT_DISAPPEARED,
+                    SEVERITY_WARNING,
+                    entry,
+                    '',
+                    missing ? `drive disappeared: ${missing.dataError}` : 'drive disappeared'
+                )
+            )
+        })
+    return events
+}
+
+/**
+ * Reminders for the drives that stayed Warning or Critical since they were reported
+ * @param {Object} current - Snapshot of this run
+ * @param {Object} notified - Event key to unix time it was last sent
+ * @param {number} now - Current unix time
+ * @param {number} quiet - Reminder interval in seconds
+ * @returns {Array<Object>} Events
+ */
+const healthReminders = (current, notified, now, quiet) =>
+    Object.values(current)
+        .filter((entry) => HEALTH_SEVERITY[entry.health])
+        .map((entry) => healthEvent(entry, entry.health))
+        .filter((event) => notified[event.key] !== undefined && now - notified[event.key] >= quiet)
+        .map((event) => ({ ...event, reminder: true }))
+
+/**
+ * Compares a run with the saved state and picks the events to send
+ * @param {Object|null} state - State file of the previous run, null if there is none
+ * @param {Array<Object>} devices - Normalized devices of this run
+ * @param {Object} options - { now } current unix time, { renotifyHours } how long an event key
+ *                           stays quiet and how often degraded drives are reminded of
+ * @returns {Object} { events, state } events to send and the state to save
+ */
+export const evaluateRun = (state, devices, { now, renotifyHours = DEFAULT_RENOTIFY_HOURS }) => {
+    const current = snapshotDevices(devices)
+    const notified = { ...(state?.notified ?? {}) }
+    const quiet = renotifyHours * 3600
+
+    const transitions = detectTransitions(state?.devices ?? null, current, devices).filter(
+        (event) => notified[event.key] === undefined || now - notified[event.key] >= quiet
+    )
+    const reminders = healthReminders(current, notified, now, quiet).filter(
+        (reminder) => !transitions.some((event) => event.key === reminder.key)
+    )
+    const events = [...transitions, ...reminders].map((event) => ({ ...event, time: now }))
+    events.forEach((event) => {
+        notified[event.key] = now
+    })
+
+    // Health keys stay while the drive is degraded, so it's reminded of rather than reported anew
+    const active = new Set(
+        Object.values(current)
+            .filter((entry) => HEALTH_SEVERITY[entry.health])
+            .map((entry) => healthEvent(entry, entry.health).key)
+    )
+    const kept = Object.entries(notified).filter(
+        ([key, time]) => active.has(key) || now - time < quiet
+    )
+
+    return {
+        events,
+        state: {
+            version: NOTIFY_STATE_VERSION,
+            updated: now,
+            devices: current,
+            notified: Object.fromEntries(kept),
+            pending: state?.pending ?? {}
+        }
+    }
+}
+
+/**
+ * Checks a parsed state file
+ * @param {Object} state - Parsed state file
+ * @returns {boolean} Whether it can be compared with, a state of another version is discarded
+ */
+export const isUsableState = (state) =>
+    !!state &&
+    typeof state === 'object' &&
+    state.version === NOTIFY_STATE_VERSION &&
+    !!state.devices &&
+    typeof state.devices === 'object'
+
+/**
+ * Drops the events a sink has had for too long
+ * @param {Array<Object>} events - Undelivered events of a sink
+ * @param {number} now - Current unix time
+ * @returns {Array<Object>} Events to retry
+ */
+export const retryableEvents = (events, now) =>
+    (events ?? []).filter((event) => now - event.time < PENDING_MAX_AGE_HOURS * 3600)
+
+/**
+ * Checks whether an event is at least as severe as a sink wants
+ * @param {Object} event - Event
+ * @param {string} minSeverity - SEVERITY_*
+ * @returns {boolean} Whether the sink gets the event
+ */
+export const meetsSeverity = (event, minSeverity = SEVERITY_INFO) =>
+    SEVERITIES.indexOf(event.severity) >= SEVERITIES.indexOf(minSeverity)
+
+/**
+ * Worst severity of some events
+ * @param {Array<Object>} events - Events
+ * @returns {string} SEVERITY_*
+ */
+export const worstSeverity = (events) =>
+    SEVERITIES[Math.max(0, ...events.map((event) => SEVERITIES.indexOf(event.severity)))]
+
+/**
+ * One line per event, worst first
+ * @param {Array<Object>} events - Events
+ * @returns {Array<string>} e.g. '[CRITICAL] nas01/sda (...): health changed from Good to Critical'
+ */
+export const formatEvents = (events) =>
+    [...events]
+        .sort((a, b) => SEVERITIES.indexOf(b.severity) - SEVERITIES.indexOf(a.severity))
+        .map(
+            (event) =>
+                `[${event.severity.toUpperCase()}] ${deviceLabel({ host: event.host, ...event.device })}: ${event.message}${event.reminder ? ' (reminder)' : ''}`
+        )
+
+/**
+ * Summary of some events, e.g. for a mail subject
+ * @param {Array<Object>} events - Events
+ * @returns {string} e.g. '1 critical, 2 warning on nas01, backup01'
+ */
+export const summarizeEvents = (events) => {
+    const counts = [...SEVERITIES]
+        .reverse()
+        .map((severity) => [severity, events.filter((event) => event.severity === severity).length])
+        .filter(([, count]) => count)
+        .map(([severity, count]) => `${count} ${severity}`)
+    const hosts = [...new Set(events.map((event) => event.host))]
+    return `${counts.join(', ')} on ${hosts.join(', ')}`
+}
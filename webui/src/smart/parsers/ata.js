@@ -0,0 +1,143 @@
+import { enduranceCounters } from '../endurance.js'
+import { parseRawNumber } from '../model.js'
+import { selftestEntry } from '../selftests.js'
+
+const MIB = 1024 ** 2
+const GIB = 1024 ** 3
+
+// Write/read counters by attribute name with their unit, 'lba' is the logical block size. Names
+// are used instead of ids because vendors put these counters on different ids.
+const ATA_WRITE_COUNTERS = [
+    ['Total_LBAs_Written', 'lba'],
+    ['Host_Writes_32MiB', 32 * MIB],
+    ['Host_Writes_GiB', GIB],
+    ['Lifetime_Writes_GiB', GIB]
+]
+const ATA_READ_COUNTERS = [
+    ['Total_LBAs_Read', 'lba'],
+    ['Host_Reads_32MiB', 32 * MIB],
+    ['Host_Reads_GiB', GIB],
+    ['Lifetime_Reads_GiB', GIB]
+]
+
+// Attributes whose normalized value counts down from 100 as the flash wears, in order of preference
+const ATA_WEAR_INDICATORS = [
+    'Media_Wearout_Indicator',
+    'Percent_Lifetime_Remain',
+    'SSD_Life_Left',
+    'Wear_Leveling_Count'
+]
+
+/**
+ * Returns the ATA attribute table, smartctl versions and wrappers put it in different places
+ * @param {Object} smartAttrs - smart_data.smart_attributes
+ * @returns {Array|null} Attribute table or null
+ */
+export const ataAttributeTable = (smartAttrs) =>
+    smartAttrs.ata_smart_attributes?.table || (Array.isArray(smartAttrs.table) ? smartAttrs.table : null)
+
+/**
+ * Maps an ATA attribute table to normalized attributes
+ * @param {Array} table - ATA attribute table
+ * @returns {Array<Object>} Normalized attributes without rule results
+ */
+export const mapAtaAttributes = (table) =>
+    table.map((attr) => ({
+        id: attr.id,
+        name: attr.name,
+        value: attr.value,
+        worst: attr.worst,
+        threshold: attr.thresh, // Note: ATA uses 'thresh' not 'threshold'
+        raw: attr.raw?.string || attr.raw?.value?.toString() || '0',
+        // the full 48 bit value, the string above may only show part of it
+        rawValue: attr.raw?.value ?? null
+    }))
+
+/**
+ * Finds the first attribute of the given ids in an ATA table
+ * @param {Array} table - ATA attribute table
+ * @param {Array<number>} ids - Attribute ids in order of preference
+ * @returns {Object|undefined} Attribute
+ */
+const findAttribute = (table, ids) =>
+    ids.map((id) => table.find((attr) => attr.id === id)).find(Boolean)
+
+/**
+ * Reads temperature and power-on hours from the summary blocks or the attribute table
+ * @param {Object} smartAttrs - smart_data.smart_attributes
+ * @param {Array} table - ATA attribute table, may be empty
+ * @returns {Object} { temperature, powerOnHours }
+ */
+export const ataVitals = (smartAttrs, table) => {
+    // 194 is the drive temperature, 190 the airflow temperature some drives report instead
+    const temperature =
+        smartAttrs.temperature?.current ?? parseRawNumber(findAttribute(table, [194, 190])?.raw)
+    const powerOnHours =
+        smartAttrs.power_on_time?.hours ?? parseRawNumber(findAttribute(table, [9])?.raw)
+
+    return { temperature: temperature ?? null, powerOnHours: powerOnHours ?? 0 }
+}
+
+/**
+ * Reads the write/read volume and wear indicator counters of SSDs
+ * @param {Array} table - ATA attribute table
+ * @param {number} logicalBlockSize - Bytes per LBA for the Total_LBAs_* counters
+ * @returns {Object|null} Raw endurance counters, null if the drive has none (e.g. HDDs)
+ */
+export const ataEnduranceCounters = (table, logicalBlockSize = 512) => {
+    const byName = (name) => table.find((attr) => attr.name === name)
+    const volume = (counters) => {
+        for (const [name, unit] of counters) {
+            const value = parseRawNumber(byName(name)?.raw)
+            if (value !== null) {
+                return value * (unit === 'lba' ? logicalBlockSize : unit)
+            }
+        }
+        return null
+    }
+    const wear = ATA_WEAR_INDICATORS.map(byName).find(Boolean)
+
+    return enduranceCounters({
+        bytesWritten: volume(ATA_WRITE_COUNTERS),
+        bytesRead: volume(ATA_READ_COUNTERS),
+        percentageUsed: wear ? Math.max(0, 100 - wear.value) : null
+    })
+}
+
+/**
+ * Maps the ATA self-test log
+ * @param {Object} smartSelftest - smart_data.smart_selftest
+ * @returns {Array<Object>} Normalized self-test entries
+ */
+export const parseAtaSelftestLog = (smartSelftest) =>
+    (smartSelftest.ata_smart_self_test_log?.standard?.table || []).map((test) =>
+        selftestEntry({
+            type: test.type?.string,
+            status: test.status?.string,
+            passed: test.status?.passed ?? null,
+            lifetimeHours: test.lifetime_hours ?? null,
+            remainingPercent: test.status?.remaining_percent ?? null,
+            failingLba: test.lba ?? null
+        })
+    )
+
+/**
+ * ATA/SATA drives, directly attached or through a SAT capable HBA
+ */
+export const ataParser = {
+    name: 'ata',
+    protocol: 'ATA',
+    ruleType: 'ata',
+    matches: ({ protocol, type, smartAttrs }) =>
+        ['ata', 'sata'].includes(protocol) || ['ata', 'sat'].includes(type) || !!ataAttributeTable(smartAttrs),
+    parse: ({ deviceInfo, smartAttrs, smartSelftest }) => {
+        const table = ataAttributeTable(smartAttrs) || []
+
+        return {
+            attributes: mapAtaAttributes(table),
+            ...ataVitals(smartAttrs, table),
+            selftestLog: parseAtaSelftestLog(smartSelftest),
+            endurance: ataEnduranceCounters(table, deviceInfo.logical_block_size)
+        }
+    }
+}
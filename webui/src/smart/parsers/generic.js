@@ -0,0 +1,57 @@
+import { SMARTCTL_ENVELOPE_KEYS } from '../model.js'
+import { selftestEntry } from '../selftests.js'
+
+/**
+ * Returns the entries of a smartctl section without the envelope every document carries
+ * @param {Object} section - smartctl JSON document
+ * @returns {Array} [key, value] pairs
+ */
+const payloadEntries = (section) =>
+    Object.entries(section).filter(([key]) => !SMARTCTL_ENVELOPE_KEYS.includes(key))
+
+/**
+ * Fallback for files none of the protocol parsers recognize, e.g. hand written or very old
+ * smartctl output with attributes keyed by name
+ */
+export const genericParser = {
+    name: 'generic',
+    protocol: 'Unknown',
+    ruleType: 'ata',
+    matches: () => true,
+    parse: ({ smartAttrs, smartSelftest }) => {
+        const attributes = payloadEntries(smartAttrs)
+            .filter(([, attr]) => attr && typeof attr === 'object' && attr.id)
+            .map(([key, attr]) => ({
+                id: attr.id || key,
+                name: attr.name || key,
+                value: attr.value || 0,
+                worst: attr.worst || 0,
+                threshold: attr.threshold || 0,
+                raw: attr.raw || '0'
+            }))
+
+        let powerOnHours = 0
+        if (smartAttrs.Power_On_Hours?.raw) {
+            powerOnHours = parseInt(smartAttrs.Power_On_Hours.raw) || 0
+        } else if (smartAttrs['9']?.raw) {
+            powerOnHours = parseInt(smartAttrs['9'].raw) || 0
+        } else if (smartAttrs.power_on_time?.hours) {
+            powerOnHours = parseInt(smartAttrs.power_on_time.hours) || 0
+        }
+
+        const selftestLog = payloadEntries(smartSelftest)
+            .filter(([, test]) => test && typeof test === 'object')
+            .map(([key, test]) => ({
+                ...selftestEntry({ type: test.type || key, status: test.status }),
+                timestamp: test.timestamp || 'Unknown',
+                duration: test.duration || null
+            }))
+
+        return {
+            attributes,
+            temperature: smartAttrs.temperature?.current ?? null,
+            powerOnHours,
+            selftestLog
+        }
+    }
+}
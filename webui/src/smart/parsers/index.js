@@ -0,0 +1,55 @@
+/**
+ * Registry of protocol parsers
+ *
+ * A parser is an object with:
+ *   name      - unique key, ends up in the normalized device as `parser`
+ *   protocol  - protocol label shown in the UI
+ *   ruleType  - key of the health rules' deviceTypes layer (nvme, ata, scsi)
+ *   matches   - (context) => boolean, context holds the lowercased smartctl `protocol`, `type`,
+ *               `infoName` and the raw `smartAttrs`
+ *   parse     - (sections) => { attributes, temperature, powerOnHours, selftestLog }
+ *               and optionally `ruleType` when it depends on the data and `endurance` with the
+ *               raw counters for smart/endurance.js
+ *
+ * Parsers are tried in order, the generic parser is the fallback when none matches.
+ */
+import { ataParser } from './ata.js'
+import { genericParser } from './generic.js'
+import { nvmeParser } from './nvme.js'
+import { scsiParser } from './scsi.js'
+import { usbParser } from './usb.js'
+
+// USB first: bridged drives also report the protocol of the drive behind the bridge
+const registry = [usbParser, nvmeParser, scsiParser, ataParser]
+
+/**
+ * Adds a parser in front of the built-in ones
+ * @param {Object} parser - Parser implementing the interface above
+ */
+export const registerParser = (parser) => {
+    registry.unshift(parser)
+}
+
+/**
+ * Returns all parsers in the order they are tried, including the fallback
+ * @returns {Array<Object>} Parsers
+ */
+export const listParsers = () => [...registry, genericParser]
+
+/**
+ * Selects the parser for a device file
+ * @param {Object} sections - { deviceInfo, smartAttrs } of the device file
+ * @returns {Object} Matching parser, the generic parser if none matches
+ */
+export const selectParser = ({ deviceInfo, smartAttrs }) => {
+    // the attributes document carries the device block too when device_info is empty
+    const device = deviceInfo.device || smartAttrs.device || {}
+    const context = {
+        protocol: (device.protocol || '').toLowerCase(),
+        type: (device.type || '').toLowerCase(),
+        infoName: (device.info_name || '').toLowerCase(),
+        smartAttrs
+    }
+
+    return registry.find((parser) => parser.matches(context)) || genericParser
+}
@@ -0,0 +1,134 @@
+import { enduranceCounters } from '../endurance.js'
+import { selftestEntry } from '../selftests.js'
+
+// NVMe data units are thousands of 512 byte blocks
+const NVME_DATA_UNIT_BYTES = 512 * 1000
+
+/**
+ * Builds a normalized attribute from an NVMe health log field
+ * @param {string} id - Field name in nvme_smart_health_information_log
+ * @param {string} name - Display name
+ * @param {Object} scores - { value, threshold } derived normalized value and threshold
+ * @param {number} raw - Field value
+ * @returns {Object} Normalized attribute without rule result
+ */
+const nvmeAttribute = (id, name, { value, threshold = 0 }, raw) => ({
+    id,
+    name,
+    value,
+    worst: value,
+    threshold,
+    raw: String(raw)
+})
+
+/**
+ * Maps the NVMe SMART/health information log to normalized attributes
+ *
+ * NVMe has no normalized values, the value column is derived so the progress bars stay meaningful.
+ * The temperature has none: its limits are those of the health rules, a derived value would
+ * contradict them.
+ * @param {Object} log - nvme_smart_health_information_log
+ * @returns {Array<Object>} Normalized attributes without rule results
+ */
+export const mapNvmeAttributes = (log) => {
+    const fields = [
+        ['critical_warning', 'Critical Warning', (v) => ({ value: v === 0 ? 100 : 0 })],
+        ['temperature', 'Temperature', () => ({ value: null, threshold: null })],
+        [
+            'available_spare',
+            'Available Spare',
+            (v) => ({ value: v, threshold: log.available_spare_threshold })
+        ],
+        ['percentage_used', 'Percentage Used', (v) => ({ value: 100 - v })],
+        ['power_on_hours', 'Power-On Hours', (v) => ({ value: v < 8760 ? 100 : 85 })],
+        ['power_cycles', 'Power Cycles', (v) => ({ value: v < 1000 ? 100 : 90 })],
+        ['media_errors', 'Media Errors', (v) => ({ value: v === 0 ? 100 : 0 })],
+        ['num_err_log_entries', 'Error Log Entries', (v) => ({ value: v === 0 ? 100 : 50 })],
+        ['unsafe_shutdowns', 'Unsafe Shutdowns', (v) => ({ value: v === 0 ? 100 : 50 })]
+    ]
+
+    return fields
+        .filter(([id]) => log[id] !== undefined && log[id] !== null)
+        .map(([id, name, score]) => nvmeAttribute(id, name, score(log[id]), log[id]))
+}
+
+/**
+ * Reads the data units written/read and the percentage used of the health log
+ * @param {Object} log - nvme_smart_health_information_log
+ * @returns {Object|null} Raw endurance counters
+ */
+export const nvmeEnduranceCounters = (log) => {
+    const bytes = (units) =>
+        units === undefined || units === null ? null : units * NVME_DATA_UNIT_BYTES
+
+    return enduranceCounters({
+        bytesWritten: bytes(log.data_units_written),
+        bytesRead: bytes(log.data_units_read),
+        percentageUsed: log.percentage_used ?? null
+    })
+}
+
+/**
+ * Maps the NVMe self-test log, a test that is still running comes first like in the ATA log
+ * @param {Object} smartSelftest - smart_data.smart_selftest
+ * @param {number} powerOnHours - Current power-on hours, the running test has no entry yet
+ * @returns {Array<Object>} Normalized self-test entries
+ */
+export const parseNvmeSelftestLog = (smartSelftest, powerOnHours) => {
+    const log = smartSelftest.nvme_self_test_log
+    if (!log) {
+        return []
+    }
+
+    const current = log.current_self_test_operation
+    const running = current?.value
+        ? [
+              selftestEntry({
+                  type: current.string,
+                  status: 'Self-test in progress',
+                  lifetimeHours: powerOnHours,
+                  remainingPercent:
+                      log.current_self_test_completion_percent !== undefined
+                          ? 100 - log.current_self_test_completion_percent
+                          : null
+              })
+          ]
+        : []
+
+    return [
+        ...running,
+        ...(log.table || []).map((test) =>
+            selftestEntry({
+                type: test.self_test_code?.string,
+                status: test.self_test_result?.string,
+                passed: test.self_test_result ? test.self_test_result.value === 0 : null,
+                lifetimeHours: test.power_on_hours ?? null,
+                failingLba: test.lba ?? null,
+                failingSegment: test.segment ?? null
+            })
+        )
+    ]
+}
+
+/**
+ * NVMe drives, read from the SMART/health information log
+ */
+export const nvmeParser = {
+    name: 'nvme',
+    protocol: 'NVMe',
+    ruleType: 'nvme',
+    matches: ({ protocol, type, smartAttrs }) =>
+        protocol === 'nvme' || type === 'nvme' || !!smartAttrs.nvme_smart_health_information_log,
+    parse: ({ smartAttrs, smartSelftest }) => {
+        const log = smartAttrs.nvme_smart_health_information_log || {}
+        const powerOnHours = log.power_on_hours ?? smartAttrs.power_on_time?.hours ?? 0
+
+        return {
+            attributes: mapNvmeAttributes(log),
+            temperature: log.temperature ?? smartAttrs.temperature?.current ?? null,
+            powerOnHours,
+            selftestLog: parseNvmeSelftestLog(smartSelftest, powerOnHours),
+            endurance: nvmeEnduranceCounters(log)
+        }
+    }
+}
@@ -0,0 +1,281 @@
+import { BYTES_PER_GB, enduranceCounters } from '../endurance.js'
+import { selftestEntry } from '../selftests.js'
+import {
+    ataAttributeTable,
+    ataEnduranceCounters,
+    ataVitals,
+    mapAtaAttributes,
+    parseAtaSelftestLog
+} from './ata.js'
+
+// Self-test result code of a test that is still running
+const SCSI_SELFTEST_IN_PROGRESS = 15
+
+const ERROR_COUNTER_DIRECTIONS = [
+    ['read', 'Read'],
+    ['write', 'Write'],
+    ['verify', 'Verify']
+]
+
+/**
+ * Builds a normalized attribute from a SCSI log value
+ * @param {string} id - Attribute id
+ * @param {string} name - Display name
+ * @param {number|null} value - Derived normalized value, null if there is none
+ * @param {number|string} raw - Reported value
+ * @param {number|null} threshold - Threshold for display
+ * @returns {Object} Normalized attribute without rule result
+ */
+const scsiAttribute = (id, name, value, raw, threshold = 0) => ({
+    id,
+    name,
+    value,
+    worst: value,
+    threshold,
+    raw: String(raw)
+})
+
+/**
+ * Percentage of a specified lifetime count still left, used as the normalized value
+ * @param {number} accumulated - Count so far
+ * @param {number} specified - Count the drive is specified for
+ * @returns {number} 0-100
+ */
+const remainingPercent = (accumulated, specified) =>
+    specified ? Math.max(0, Math.round(100 - (accumulated / specified) * 100)) : 100
+
+/**
+ * Maps the SCSI error counter log, grown defect list, start-stop counter and endurance indicator
+ *
+ * The temperature has no normalized value: its limits are those of the health rules, the trip
+ * point of the drive is part of the SCSI summary.
+ * @param {Object} smartAttrs - smart_data.smart_attributes
+ * @param {Object} errorCounters - scsi_error_counter_log
+ * @returns {Array<Object>} Normalized attributes without rule results
+ */
+export const mapScsiAttributes = (smartAttrs, errorCounters) => {
+    const attributes = []
+
+    if (smartAttrs.scsi_grown_defect_list !== undefined) {
+        const defects = smartAttrs.scsi_grown_defect_list
+        attributes.push(
+            scsiAttribute(
+                'scsi_grown_defect_list',
+                'Grown Defect List',
+                defects === 0 ? 100 : 50,
+                defects
+            )
+        )
+    }
+
+    for (const [direction, label] of ERROR_COUNTER_DIRECTIONS) {
+        const counters = errorCounters?.[direction]
+        if (!counters) {
+            continue
+        }
+        const uncorrected = counters.total_uncorrected_errors ?? 0
+        attributes.push(
+            scsiAttribute(
+                `${direction}_errors_corrected`,
+                `${label} Errors Corrected`,
+                100,
+                counters.total_errors_corrected ?? 0
+            ),
+            scsiAttribute(
+                `${direction}_errors_uncorrected`,
+                `${label} Errors Uncorrected`,
+                uncorrected === 0 ? 100 : 0,
+                uncorrected
+            ),
+            scsiAttribute(
+                `${direction}_gigabytes_processed`,
+                `${label} Gigabytes Processed`,
+                100,
+                counters.gigabytes_processed ?? 0
+            )
+        )
+    }
+
+    const cycles = smartAttrs.scsi_start_stop_cycle_counter
+    if (cycles?.accumulated_start_stop_cycles !== undefined) {
+        attributes.push(
+            scsiAttribute(
+                'accumulated_start_stop_cycles',
+                'Start-Stop Cycles',
+                remainingPercent(
+                    cycles.accumulated_start_stop_cycles,
+                    cycles.specified_cycle_count_over_device_lifetime
+                ),
+                cycles.accumulated_start_stop_cycles
+            )
+        )
+    }
+    if (cycles?.accumulated_load_unload_cycles !== undefined) {
+        attributes.push(
+            scsiAttribute(
+                'accumulated_load_unload_cycles',
+                'Load-Unload Cycles',
+                remainingPercent(
+                    cycles.accumulated_load_unload_cycles,
+                    cycles.specified_load_unload_count_over_device_lifetime
+                ),
+                cycles.accumulated_load_unload_cycles
+            )
+        )
+    }
+
+    if (smartAttrs.scsi_percentage_used_endurance_indicator !== undefined) {
+        const used = smartAttrs.scsi_percentage_used_endurance_indicator
+        attributes.push(
+            scsiAttribute(
+                'scsi_percentage_used_endurance_indicator',
+                'Percentage Used Endurance',
+                Math.max(0, 100 - used),
+                used
+            )
+        )
+    }
+
+    if (smartAttrs.temperature?.current !== undefined) {
+        attributes.push(
+            scsiAttribute('temperature', 'Temperature', null, smartAttrs.temperature.current, null)
+        )
+    }
+
+    return attributes
+}
+
+/**
+ * Collects the SCSI specific summary shown on the detail page
+ * @param {Object} sections - Device file sections
+ * @param {Object} errorCounters - scsi_error_counter_log
+ * @returns {Object|null} SCSI summary, null for SATA drives behind a SCSI layer without SCSI logs
+ */
+const scsiSummary = ({ deviceInfo, smartAttrs, smartHealth }, errorCounters) => {
+    const cycles = smartAttrs.scsi_start_stop_cycle_counter || {}
+    const status = smartHealth.smart_status?.scsi
+    if (
+        !status &&
+        !errorCounters &&
+        !smartAttrs.scsi_start_stop_cycle_counter &&
+        smartAttrs.scsi_grown_defect_list === undefined &&
+        smartAttrs.scsi_percentage_used_endurance_indicator === undefined
+    ) {
+        return null
+    }
+
+    const counterSummary = (direction) => {
+        const counters = errorCounters?.[direction]
+        if (!counters) {
+            return null
+        }
+        return {
+            corrected: counters.total_errors_corrected ?? 0,
+            uncorrected: counters.total_uncorrected_errors ?? 0,
+            gigabytesProcessed: parseFloat(counters.gigabytes_processed) || 0
+        }
+    }
+
+    return {
+        vendor: deviceInfo.scsi_vendor || null,
+        product: deviceInfo.scsi_product || null,
+        transport: deviceInfo.scsi_transport_protocol?.name || null,
+        // an empty ie_string with asc/ascq 0 is the "OK" informational exception
+        healthStatus: status ? status.ie_string || 'OK' : null,
+        grownDefects: smartAttrs.scsi_grown_defect_list ?? null,
+        manufactured:
+            cycles.year_of_manufacture && cycles.week_of_manufacture
+                ? `week ${cycles.week_of_manufacture}/${cycles.year_of_manufacture}`
+                : null,
+        startStopCycles: cycles.accumulated_start_stop_cycles ?? null,
+        specifiedStartStopCycles: cycles.specified_cycle_count_over_device_lifetime ?? null,
+        loadUnloadCycles: cycles.accumulated_load_unload_cycles ?? null,
+        specifiedLoadUnloadCycles: cycles.specified_load_unload_count_over_device_lifetime ?? null,
+        enduranceUsed: smartAttrs.scsi_percentage_used_endurance_indicator ?? null,
+        driveTripTemperature: smartAttrs.temperature?.drive_trip ?? null,
+        errorCounters: {
+            read: counterSummary('read'),
+            write: counterSummary('write'),
+            verify: counterSummary('verify')
+        }
+    }
+}
+
+/**
+ * Reads the processed volume of the error counter log and the percentage used endurance indicator
+ * @param {Object} smartAttrs - smart_data.smart_attributes
+ * @param {Object} errorCounters - scsi_error_counter_log
+ * @returns {Object|null} Raw endurance counters
+ */
+const scsiEnduranceCounters = (smartAttrs, errorCounters) => {
+    // smartctl reports 10^9 bytes as gigabytes, older versions as a string
+    const bytes = (direction) => {
+        const processed = errorCounters?.[direction]?.gigabytes_processed
+        return processed === undefined ? null : parseFloat(processed) * BYTES_PER_GB
+    }
+
+    return enduranceCounters({
+        bytesWritten: bytes('write'),
+        bytesRead: bytes('read'),
+        percentageUsed: smartAttrs.scsi_percentage_used_endurance_indicator ?? null
+    })
+}
+
+/**
+ * Maps the SCSI self-test log (scsi_self_test_0 .. scsi_self_test_19)
+ * @param {Object} smartSelftest - smart_data.smart_selftest
+ * @returns {Array<Object>} Normalized self-test entries
+ */
+const parseScsiSelftestLog = (smartSelftest) =>
+    Object.entries(smartSelftest)
+        .filter(([key]) => /^scsi_self_test_\d+$/.test(key))
+        .sort(([a], [b]) => parseInt(a.split('_').pop()) - parseInt(b.split('_').pop()))
+        .map(([, test]) =>
+            selftestEntry({
+                type: test.code?.string,
+                status: test.result?.string,
+                passed:
+                    test.result && test.result.value !== SCSI_SELFTEST_IN_PROGRESS
+                        ? test.result.value === 0
+                        : null,
+                lifetimeHours: test.power_on_time?.hours ?? null,
+                failingLba: test.lba_first_failure?.value ?? null,
+                failingSegment: test.failed_segment?.value ?? null
+            })
+        )
+
+/**
+ * SCSI/SAS drives
+ *
+ * Some HBAs report SATA drives as SCSI while still passing the ATA attribute table through,
+ * in that case the table is used as well and the drive is judged by the ATA rules.
+ */
+export const scsiParser = {
+    name: 'scsi',
+    protocol: 'SCSI',
+    ruleType: 'scsi',
+    matches: ({ protocol, type }) => protocol === 'scsi' || type === 'scsi',
+    parse: (sections) => {
+        const { smartAttrs, smartErrors, smartSelftest } = sections
+        const table = ataAttributeTable(smartAttrs) || []
+        // smartctl prints the error counter log with -l error, older wrappers with -A
+        const errorCounters =
+            smartErrors.scsi_error_counter_log || smartAttrs.scsi_error_counter_log
+
+        const scsiSelftests = parseScsiSelftestLog(smartSelftest)
+
+        return {
+            ruleType: table.length ? 'ata' : 'scsi',
+            attributes: [
+                ...mapAtaAttributes(table),
+                ...mapScsiAttributes(smartAttrs, errorCounters)
+            ],
+            ...ataVitals(smartAttrs, table),
+            selftestLog: scsiSelftests.length ? scsiSelftests : parseAtaSelftestLog(smartSelftest),
+            scsi: scsiSummary(sections, errorCounters),
+            endurance:
+                scsiEnduranceCounters(smartAttrs, errorCounters) ||
+                ataEnduranceCounters(table, sections.deviceInfo.logical_block_size)
+        }
+    }
+}
@@ -0,0 +1,21 @@
+import { ataParser } from './ata.js'
+import { nvmeParser } from './nvme.js'
+
+// smartctl device types of USB bridges: usbcypress, usbjmicron, ... and sntjmicron, ... for NVMe
+const USB_BRIDGE_TYPE = /^(usb|snt)/
+
+/**
+ * Drives behind a USB bridge, the bridge passes either the ATA or the NVMe data through
+ */
+export const usbParser = {
+    name: 'usb',
+    protocol: 'USB',
+    ruleType: 'ata',
+    matches: ({ type, infoName }) => USB_BRIDGE_TYPE.test(type) || infoName.includes('[usb'),
+    parse: (sections) => {
+        if (sections.smartAttrs.nvme_smart_health_information_log) {
+            return { ...nvmeParser.parse(sections), ruleType: nvmeParser.ruleType }
+        }
+        return { ...ataParser.parse(sections), ruleType: ataParser.ruleType }
+    }
+}
@@ -0,0 +1,163 @@
+import { globMatch } from './healthRules.js'
+
+/**
+ * Decoding of packed raw values into labelled components
+ *
+ * Many ATA raw values are not a single counter but several fields packed into the 48 bit raw
+ * value, and some only make sense for drives of one vendor. Decoders are tried in list order,
+ * the first one whose attribute id and (optional) model patterns match is used, so vendor specific
+ * decoders come before the generic ones.
+ *
+ * A component is { label, value, unit } for numbers or { label, value: true/false } for flags.
+ */
+
+const SEAGATE = ['ST*', 'SEAGATE*']
+
+// NVMe SMART/health information log, byte 0
+const NVME_CRITICAL_WARNING_FLAGS = [
+    [0x01, 'Available spare below threshold'],
+    [0x02, 'Temperature outside threshold'],
+    [0x04, 'NVM subsystem reliability degraded'],
+    [0x08, 'Media placed in read-only mode'],
+    [0x10, 'Volatile memory backup failed'],
+    [0x20, 'Persistent memory region read-only']
+]
+
+/**
+ * Extracts a field of a 48 bit raw value, JS bit operators only work on 32 bits
+ * @param {number} raw - Raw value
+ * @param {number} offset - Offset of the field in bits
+ * @param {number} bits - Width of the field
+ * @returns {number} Field value
+ */
+const field = (raw, offset, bits) => Math.floor(raw / 2 ** offset) % 2 ** bits
+
+/**
+ * Temperature attributes: current in byte 0, min/max in byte 2 and 4 when the drive tracks them
+ * @param {Object} attribute - Normalized attribute with rawValue
+ * @returns {Array<Object>|null} Components
+ */
+const decodeTemperature = ({ rawValue }) => {
+    if (rawValue === null || rawValue === undefined) {
+        return null
+    }
+    const min = field(rawValue, 16, 8)
+    const max = field(rawValue, 32, 8)
+    return [
+        { label: 'Current', value: field(rawValue, 0, 8), unit: '°C' },
+        ...(min || max
+            ? [
+                  { label: 'Minimum', value: min, unit: '°C' },
+                  { label: 'Maximum', value: max, unit: '°C' }
+              ]
+            : [])
+    ]
+}
+
+/**
+ * Power-on time printed as '12345h+23m+45.678s' by drives that count milliseconds
+ * @param {Object} attribute - Normalized attribute
+ * @returns {Array<Object>|null} Components
+ */
+const decodePowerOnTime = ({ raw }) => {
+    const match = /^(\d+)h\+(\d+)m\+([\d.]+)s/.exec(String(raw))
+    if (!match) {
+        return null
+    }
+    return [
+        { label: 'Hours', value: Number(match[1]), unit: 'h' },
+        { label: 'Minutes', value: Number(match[2]), unit: 'min' },
+        { label: 'Seconds', value: Number(match[3]), unit: 's' }
+    ]
+}
+
+/**
+ * Power-on time counted in minutes
+ * @param {Object} attribute - Normalized attribute with rawValue
+ * @returns {Array<Object>|null} Components
+ */
+const decodePowerOnMinutes = ({ rawValue }) =>
+    rawValue === null || rawValue === undefined
+        ? null
+        : [
+              { label: 'Hours', value: Math.floor(rawValue / 60), unit: 'h' },
+              { label: 'Minutes', value: rawValue % 60, unit: 'min' }
+          ]
+
+/**
+ * Seagate error rates: error count in the upper 16 bits, operations in the lower 32 bits
+ * @param {Object} attribute - Normalized attribute with rawValue
+ * @returns {Array<Object>|null} Components
+ */
+const decodeSeagateErrorRate = ({ rawValue }) =>
+    rawValue === null || rawValue === undefined
+        ? null
+        : [
+              { label: 'Errors', value: field(rawValue, 32, 16) },
+              { label: 'Operations', value: field(rawValue, 0, 32) }
+          ]
+
+/**
+ * Seagate command timeouts: three 16 bit counters
+ * @param {Object} attribute - Normalized attribute with rawValue
+ * @returns {Array<Object>|null} Components
+ */
+const decodeSeagateTimeouts = ({ rawValue }) =>
+    rawValue === null || rawValue === undefined
+        ? null
+        : [
+              { label: 'Timeouts', value: field(rawValue, 0, 16) },
+              { label: 'Longer than 5 s', value: field(rawValue, 16, 16) },
+              { label: 'Longer than 7.5 s', value: field(rawValue, 32, 16) }
+          ]
+
+/**
+ * NVMe critical warning bitmask as named flags
+ * @param {Object} attribute - Normalized attribute
+ * @returns {Array<Object>} One flag per defined bit
+ */
+export const decodeCriticalWarning = ({ raw }) => {
+    const bits = parseInt(raw) || 0
+    return NVME_CRITICAL_WARNING_FLAGS.map(([mask, label]) => ({
+        label,
+        value: (bits & mask) !== 0
+    }))
+}
+
+/**
+ * Decoders in the order they are tried
+ */
+const RAW_DECODERS = [
+    { ids: ['1', '7', '195'], models: SEAGATE, decode: decodeSeagateErrorRate },
+    { ids: ['188'], models: SEAGATE, decode: decodeSeagateTimeouts },
+    { ids: ['9'], models: ['Maxtor*'], decode: decodePowerOnMinutes },
+    { ids: ['9'], decode: decodePowerOnTime },
+    { ids: ['190', '194'], decode: decodeTemperature },
+    { ids: ['critical_warning'], decode: decodeCriticalWarning }
+]
+
+/**
+ * Decodes the raw value of an attribute
+ * @param {Object} attribute - Normalized attribute, ATA attributes carry the numeric rawValue
+ * @param {Object} device - { model } of the device
+ * @returns {Array<Object>|null} Labelled components or null if the value isn't packed
+ */
+export const decodeRawValue = (attribute, { model }) => {
+    const id = String(attribute.id)
+    const decoder = RAW_DECODERS.find(
+        (candidate) =>
+            candidate.ids.includes(id) &&
+            (!candidate.models || candidate.models.some((pattern) => globMatch(pattern, model)))
+    )
+    return decoder?.decode(attribute) || null
+}
+
+/**
+ * Names of the flags set in a decoded bitfield
+ * @param {Array<Object>|null} components - Result of decodeRawValue
+ * @returns {Array<string>} Labels of the flags that are true
+ */
+export const activeFlags = (components) =>
+    (components || [])
+        .filter((component) => component.value === true)
+        .map((component) => component.label)
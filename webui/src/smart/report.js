@@ -0,0 +1,406 @@
+import { STATUS_CRITICAL, STATUS_GOOD, STATUS_UNKNOWN, STATUS_WARNING } from './healthRules.js'
+import { MODEL_VERSION } from './model.js'
+import { DATA_MISSING, DATA_STALE } from './staleness.js'
+import { CELSIUS, formatTemperature } from './units.js'
+
+/**
+ * Fleet health reports for hardware reviews
+ *
+ * Built from normalized devices, so the Overview, the detail page and cli/smart-report.js produce
+ * the same files: the device list and the attributes as CSV, the devices as JSON and a standalone
+ * HTML page meant for printing. All times are UTC, a report reads the same wherever it's opened.
+ */
+
+export const REPORT_DEVICES_CSV = 'devices-csv'
+export const REPORT_ATTRIBUTES_CSV = 'attributes-csv'
+export const REPORT_JSON = 'json'
+export const REPORT_HTML = 'html'
+
+export const REPORT_FORMATS = {
+    [REPORT_DEVICES_CSV]: { label: 'Devices (CSV)', suffix: 'devices.csv', type: 'text/csv' },
+    [REPORT_ATTRIBUTES_CSV]: {
+        label: 'Attributes (CSV)',
+        suffix: 'attributes.csv',
+        type: 'text/csv'
+    },
+    [REPORT_JSON]: {
+        label: 'Normalized data (JSON)',
+        suffix: 'data.json',
+        type: 'application/json'
+    },
+    [REPORT_HTML]: { label: 'Printable report (HTML)', suffix: 'report.html', type: 'text/html' }
+}
+
+// Self-tests per device in the HTML report, the logs hold up to 21 entries
+const REPORT_SELFTESTS = 5
+
+const HEALTH_ORDER = [STATUS_CRITICAL, STATUS_WARNING, STATUS_UNKNOWN, STATUS_GOOD]
+
+/**
+ * Formats a unix timestamp for a report
+ * @param {number|null} timestamp - Unix timestamp
+ * @returns {string} e.g. '2025-08-16 10:30 UTC', '' without a timestamp
+ */
+export const formatReportTime = (timestamp) =>
+    timestamp
+        ? `${new Date(timestamp * 1000).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+        : ''
+
+/**
+ * Quotes a CSV field when it needs to be
+ * @param {*} value - Field value, null and undefined are empty
+ * @returns {string} RFC 4180 field
+ */
+export const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value)
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Builds a CSV document
+ * @param {Array<string>} header - Column names
+ * @param {Array<Array<*>>} rows - Rows of field values
+ * @returns {string} CSV with CRLF line ends
+ */
+const toCsv = (header, rows) =>
+    [header, ...rows].map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+
+/**
+ * Device list as CSV, one row per device including the missing ones
+ * @param {Array<Object>} devices - Normalized devices, with inventory if there is one
+ * @returns {string} CSV
+ */
+export const devicesCsv = (devices) =>
+    toCsv(
+        [
+            'host',
+            'device',
+            'model',
+            'serial',
+            'firmware',
+            'protocol',
+            'size',
+            'health',
+            'health_reasons',
+            'risk_score',
+            'temperature_c',
+            'power_on_hours',
+            'error_count',
+            'data_state',
+            'collected_utc',
+            'location',
+            'warranty_end'
+        ],
+        devices.map((device) => {
+            const missing = device.dataState === DATA_MISSING
+            return [
+                device.host,
+                device.name,
+                device.model,
+                device.serial,
+                device.firmware,
+                device.protocol,
+                device.size,
+                device.health,
+                (device.healthReasons || [])
+                    .map((reason) => `${reason.attribute}: ${reason.reason}`)
+                    .concat(missing && device.dataError ? [device.dataError] : [])
+                    .join('; '),
+                device.risk?.score,
+                device.temperature,
+                missing ? null : device.powerOnHours,
+                missing ? null : device.errorCount,
+                device.dataState,
+                formatReportTime(device.timestamp),
+                device.inventory?.location,
+                device.inventory?.warrantyEnd
+            ]
+        })
+    )
+
+/**
+ * Attributes of all devices as CSV, one row per attribute
+ * @param {Array<Object>} devices - Normalized devices
+ * @returns {string} CSV
+ */
+export const attributesCsv = (devices) =>
+    toCsv(
+        [
+            'host',
+            'device',
+            'serial',
+            'attribute_id',
+            'attribute',
+            'value',
+            'worst',
+            'threshold',
+            'raw',
+            'status',
+            'rule',
+            'reason'
+        ],
+        devices.flatMap((device) =>
+            (device.smartAttributes || []).map((attribute) => [
+                device.host,
+                device.name,
+                device.serial,
+                attribute.id,
+                attribute.name,
+                attribute.value,
+                attribute.worst,
+                attribute.threshold,
+                attribute.raw,
+                attribute.status,
+                attribute.rule,
+                attribute.reason
+            ])
+        )
+    )
+
+/**
+ * Devices as JSON, exactly as the UI works with them
+ * @param {Array<Object>} devices - Normalized devices
+ * @param {Object} options - { title, generated } generated is a unix timestamp
+ * @returns {string} JSON document
+ */
+export const reportJson = (devices, { title = 'nano SMART', generated }) =>
+    JSON.stringify(
+        {
+            title,
+            generated: new Date(generated * 1000).toISOString(),
+            modelVersion: MODEL_VERSION,
+            devices
+        },
+        null,
+        2
+    ) + '\n'
+
+/**
+ * Escapes text for HTML
+ * @param {*} value - Text, null and undefined are empty
+ * @returns {string} Escaped text
+ */
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+
+/**
+ * Builds a table
+ * @param {Array<string>} header - Column headings
+ * @param {Array<Array<string>>} rows - Cells as HTML
+ * @returns {string} HTML
+ */
+const htmlTable = (header, rows) =>
+    `<table><thead><tr>${header.map((cell) => `<th>${escapeHtml(cell)}</th>`).join('')}</tr></thead><tbody>${rows
+        .map((row) => `<tr>${row.map((cell) => `<td>${cell}</td>`).join('')}</tr>`)
+        .join('')}</tbody></table>`
+
+/**
+ * Health badge
+ * @param {string} health - Good, Warning, Critical or Unknown
+ * @returns {string} HTML
+ */
+const healthBadge = (health) =>
+    `<span class="health health-${escapeHtml(String(health).toLowerCase())}">${escapeHtml(health)}</span>`
+
+/**
+ * Device heading
+ * @param {Object} device - Normalized device
+ * @param {boolean} multiHost - Whether the report covers several hosts
+ * @returns {string} e.g. 'nas01/sda'
+ */
+const deviceName = (device, multiHost) =>
+    multiHost && device.host ? `${device.host}/${device.name}` : device.name
+
+/**
+ * Section of one device: summary, health, failing attributes and self-tests
+ * @param {Object} device - Normalized device
+ * @param {Object} options - { multiHost, temperatureUnit }
+ * @returns {string} HTML
+ */
+const deviceSection = (device, { multiHost, temperatureUnit }) => {
+    const heading = `<h2>${escapeHtml(deviceName(device, multiHost))} ${healthBadge(device.health)}</h2>`
+    if (device.dataState === DATA_MISSING) {
+        return `<section class="device">${heading}<p>No data: ${escapeHtml(device.dataError)}</p></section>`
+    }
+
+    const summary = [
+        ['Model', device.model],
+        ['Serial', device.serial],
+        ['Firmware', device.firmware],
+        ['Protocol', device.protocol],
+        ['Capacity', device.size],
+        ['Power-on hours', device.powerOnHours.toLocaleString('en-US')],
+        ['Temperature', formatTemperature(device.temperature, temperatureUnit)],
+        ['Errors logged', device.errorCount],
+        ['Failure risk', device.risk ? `${device.risk.score} (${device.risk.level})` : 'N/A'],
+        ...(device.inventory?.location ? [['Location', device.inventory.location]] : []),
+        ...(device.inventory?.warrantyEnd ? [['Warranty end', device.inventory.warrantyEnd]] : []),
+        [
+            'Data collected',
+            `${formatReportTime(device.timestamp)}${device.dataState === DATA_STALE ? ' (stale)' : ''}`
+        ]
+    ]
+        .map(([label, value]) => `<dt>${escapeHtml(label)}</dt><dd>${escapeHtml(value)}</dd>`)
+        .join('')
+
+    const reasons = device.healthReasons.length
+        ? `<ul class="reasons">${device.healthReasons
+              .map(
+                  (reason) =>
+                      `<li>${healthBadge(reason.status)} ${escapeHtml(reason.attribute)}: ${escapeHtml(reason.reason)}</li>`
+              )
+              .join('')}</ul>`
+        : ''
+
+    const failing = device.smartAttributes.filter(
+        (attribute) => attribute.status === STATUS_WARNING || attribute.status === STATUS_CRITICAL
+    )
+    const attributes = failing.length
+        ? htmlTable(
+              ['Attribute', 'Value', 'Worst', 'Threshold', 'Raw', 'Status', 'Reason'],
+              failing.map((attribute) => [
+                  escapeHtml(attribute.name),
+                  escapeHtml(attribute.value),
+                  escapeHtml(attribute.worst),
+                  escapeHtml(attribute.threshold),
+                  escapeHtml(attribute.raw),
+                  healthBadge(attribute.status),
+                  escapeHtml(attribute.reason)
+              ])
+          )
+        : '<p>No failing attributes.</p>'
+
+    const tests = device.selftestLog.slice(0, REPORT_SELFTESTS)
+    const selftests = tests.length
+        ? htmlTable(
+              ['Type', 'Result', 'Power-on hours', 'Date (est.)'],
+              tests.map((test) => [
+                  escapeHtml(test.type),
+                  test.passed === false
+                      ? `<strong>${escapeHtml(test.status)}</strong>`
+                      : escapeHtml(test.status),
+                  escapeHtml(test.lifetimeHours),
+                  escapeHtml(formatReportTime(test.estimatedTime).slice(0, 10))
+              ])
+          )
+        : '<p>No self-tests logged.</p>'
+
+    return `<section class="device">${heading}<dl>${summary}</dl>${reasons}<h3>Failing attributes</h3>${attributes}<h3>Self-tests</h3>${selftests}</section>`
+}
+
+const REPORT_STYLE = `
+body { font: 10pt/1.4 system-ui, sans-serif; color: #222; margin: 2rem; }
+h1 { font-size: 18pt; margin: 0 0 0.25rem; }
+h2 { font-size: 13pt; margin: 0 0 0.5rem; }
+h3 { font-size: 10.5pt; margin: 0.75rem 0 0.25rem; }
+.meta { color: #666; margin: 0 0 1rem; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 0.5rem; }
+th, td { border: 1px solid #ccc; padding: 0.2rem 0.4rem; text-align: left; vertical-align: top; }
+th { background: #f2f2f2; }
+dl { display: grid; grid-template-columns: max-content 1fr max-content 1fr; gap: 0.1rem 0.75rem; margin: 0; }
+dt { color: #666; }
+dd { margin: 0; }
+.reasons { margin: 0.5rem 0 0; padding-left: 1.25rem; }
+.device { border-top: 2px solid #444; padding-top: 0.75rem; margin-top: 1.25rem; break-inside: avoid; }
+.health { display: inline-block; padding: 0 0.4rem; border-radius: 3px; font-size: 9pt; font-weight: 600; border: 1px solid; }
+.health-good { color: #166534; border-color: #16a34a; }
+.health-warning { color: #92400e; border-color: #d97706; }
+.health-critical { color: #991b1b; border-color: #dc2626; }
+.health-unknown { color: #555; border-color: #999; }
+@media print {
+    body { margin: 0; }
+    @page { margin: 15mm; }
+    thead { display: table-header-group; }
+    tr { break-inside: avoid; }
+}
+`
+
+/**
+ * Printable HTML report: a summary of all devices, then one section per device
+ * @param {Array<Object>} devices - Normalized devices, with inventory if there is one
+ * @param {Object} options - { title, generated, temperatureUnit } generated is a unix timestamp
+ * @returns {string} Standalone HTML document
+ */
+export const reportHtml = (
+    devices,
+    { title = 'nano SMART', generated, temperatureUnit = CELSIUS }
+) => {
+    const multiHost = new Set(devices.map((device) => device.host)).size > 1
+    const sorted = [...devices].sort(
+        (a, b) =>
+            HEALTH_ORDER.indexOf(a.health) - HEALTH_ORDER.indexOf(b.health) ||
+            deviceName(a, multiHost).localeCompare(deviceName(b, multiHost))
+    )
+    const counts = HEALTH_ORDER.map((health) => [
+        health,
+        devices.filter((device) => device.health === health).length
+    ])
+        .filter(([, count]) => count)
+        .map(([health, count]) => `${count} ${health.toLowerCase()}`)
+    const missing = devices.filter((device) => device.dataState === DATA_MISSING).length
+
+    const overview = htmlTable(
+        ['Device', 'Model', 'Serial', 'Health', 'Temperature', 'Power-on hours', 'Collected'],
+        sorted.map((device) => [
+            escapeHtml(deviceName(device, multiHost)),
+            escapeHtml(device.model),
+            escapeHtml(device.serial),
+            healthBadge(device.health),
+            escapeHtml(formatTemperature(device.temperature, temperatureUnit)),
+            device.dataState === DATA_MISSING
+                ? ''
+                : escapeHtml(device.powerOnHours.toLocaleString('en-US')),
+            escapeHtml(formatReportTime(device.timestamp))
+        ])
+    )
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(title)} – health report</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)} – health report</h1>
+<p class="meta">Generated ${escapeHtml(formatReportTime(generated))} · ${devices.length} device${devices.length === 1 ? '' : 's'}${counts.length ? `: ${escapeHtml(counts.join(', '))}` : ''}${missing ? ` · ${missing} without data` : ''}</p>
+${overview}
+${sorted.map((device) => deviceSection(device, { multiHost, temperatureUnit })).join('\n')}
+</body>
+</html>
+`
+}
+
+/**
+ * Builds a report file
+ * @param {string} format - REPORT_DEVICES_CSV, REPORT_ATTRIBUTES_CSV, REPORT_JSON or REPORT_HTML
+ * @param {Array<Object>} devices - Normalized devices
+ * @param {Object} options - { title, generated, temperatureUnit, name } name is the start of the
+ *                           file name, e.g. 'nanosmart' or the device name
+ * @returns {Object} { fileName, type, content }
+ * @throws {Error} If the format is unknown
+ */
+export const buildReport = (format, devices, { name = 'nanosmart', ...options }) => {
+    const spec = REPORT_FORMATS[format]
+    if (!spec) {
+        throw new Error(
+            `Unknown report format "${format}", expected one of ${Object.keys(REPORT_FORMATS).join(', ')}`
+        )
+    }
+    const builders = {
+        [REPORT_DEVICES_CSV]: () => devicesCsv(devices),
+        [REPORT_ATTRIBUTES_CSV]: () => attributesCsv(devices),
+        [REPORT_JSON]: () => reportJson(devices, options),
+        [REPORT_HTML]: () => reportHtml(devices, options)
+    }
+    const date = formatReportTime(options.generated).slice(0, 10)
+    return {
+        fileName: `${name}-${date}-${spec.suffix}`.replace(/[^\w.-]+/g, '_'),
+        type: spec.type,
+        content: builders[format]()
+    }
+}
@@ -0,0 +1,195 @@
+import { parseRawNumber } from './model.js'
+import { activeFlags } from './rawDecoder.js'
+
+/**
+ * Failure risk of a drive from the attributes that predict failures in field studies
+ *
+ * The health rules answer "is something wrong?", the risk score answers "how likely is this drive
+ * to fail soon?": a drive can pass its self-assessment while its reallocated, pending and
+ * uncorrectable counts keep climbing. Every predictor adds up to `weight` points, the first
+ * occurrences count the most and the points level off at `saturation`. The score is the sum of all
+ * points, capped at 100.
+ */
+
+export const RISK_LOW = 'low'
+export const RISK_ELEVATED = 'elevated'
+export const RISK_HIGH = 'high'
+export const RISK_VERY_HIGH = 'very high'
+
+// Lower bound of the score for each level
+const RISK_LEVELS = [
+    [70, RISK_VERY_HIGH],
+    [40, RISK_HIGH],
+    [10, RISK_ELEVATED],
+    [0, RISK_LOW]
+]
+
+/**
+ * Counting predictors by attribute id: ATA attribute numbers, NVMe and SCSI field names
+ *
+ * `component` names the decoded component that holds the count when the raw value is packed.
+ */
+const COUNT_PREDICTORS = {
+    5: {
+        weight: 30,
+        saturation: 100,
+        explain: (n) => `${n} sector${n === 1 ? ' was' : 's were'} reallocated to the spare area`
+    },
+    187: {
+        weight: 30,
+        saturation: 10,
+        explain: (n) => `${n} read${n === 1 ? '' : 's'} could not be corrected by ECC`
+    },
+    // a weak predictor, Seagate packs three counters into the raw value
+    188: {
+        weight: 10,
+        component: 'Timeouts',
+        saturation: 100,
+        explain: (n) => `${n} command${n === 1 ? '' : 's'} timed out`
+    },
+    197: {
+        weight: 35,
+        saturation: 10,
+        explain: (n) =>
+            `${n} sector${n === 1 ? ' is' : 's are'} unreadable and waiting to be remapped`
+    },
+    198: {
+        weight: 35,
+        saturation: 10,
+        explain: (n) => `${n} sector${n === 1 ? '' : 's'} could not be read during the offline scan`
+    },
+    media_errors: {
+        weight: 35,
+        saturation: 50,
+        explain: (n) => `${n} unrecovered data integrity error${n === 1 ? '' : 's'} on the flash`
+    },
+    scsi_grown_defect_list: {
+        weight: 30,
+        saturation: 100,
+        explain: (n) =>
+            `${n} defect${n === 1 ? '' : 's'} found and remapped since leaving the factory`
+    },
+    read_errors_uncorrected: {
+        weight: 30,
+        saturation: 10,
+        explain: (n) => `${n} read error${n === 1 ? '' : 's'} could not be corrected`
+    },
+    write_errors_uncorrected: {
+        weight: 30,
+        saturation: 10,
+        explain: (n) => `${n} write error${n === 1 ? '' : 's'} could not be corrected`
+    },
+    verify_errors_uncorrected: {
+        weight: 30,
+        saturation: 10,
+        explain: (n) => `${n} verify error${n === 1 ? '' : 's'} could not be corrected`
+    }
+}
+
+const CRITICAL_WARNING_POINTS = 50
+const SPARE_WEIGHT = 40
+const SELF_ASSESSMENT_FAILED_POINTS = 100
+
+/**
+ * Points of a counting predictor, logarithmic so the first occurrences count the most
+ * @param {number} count - Reported count
+ * @param {Object} predictor - { weight, saturation }
+ * @returns {number} 0 to weight
+ */
+const countPoints = (count, { weight, saturation }) =>
+    weight * Math.min(1, Math.log1p(count) / Math.log1p(saturation))
+
+/**
+ * Count of a counting predictor
+ * @param {Object} attribute - Normalized attribute
+ * @param {Object} predictor - { component }
+ * @returns {number|null} The decoded component if the raw value is packed, else the raw number
+ */
+const predictorCount = (attribute, { component }) => {
+    const decoded = component && attribute.decoded?.find(({ label }) => label === component)
+    return decoded ? decoded.value : parseRawNumber(attribute.raw)
+}
+
+/**
+ * Rounds points to one decimal
+ * @param {number} points - Points
+ * @returns {number} Rounded points
+ */
+const roundPoints = (points) => Math.round(points * 10) / 10
+
+/**
+ * Maps a score to its level
+ * @param {number} score - Risk score 0-100
+ * @returns {string} RISK_LOW, RISK_ELEVATED, RISK_HIGH or RISK_VERY_HIGH
+ */
+export const riskLevel = (score) => RISK_LEVELS.find(([min]) => score >= min)[1]
+
+/**
+ * Evaluates one attribute as a risk factor
+ * @param {Object} attribute - Normalized attribute
+ * @returns {Object|null} { attribute, points, explanation } or null if it adds no risk
+ */
+const attributeFactor = (attribute) => {
+    const id = String(attribute.id)
+    const factor = (points, explanation) =>
+        points > 0 ? { attribute: attribute.name, points: roundPoints(points), explanation } : null
+
+    if (COUNT_PREDICTORS[id]) {
+        const count = predictorCount(attribute, COUNT_PREDICTORS[id])
+        return count > 0
+            ? factor(countPoints(count, COUNT_PREDICTORS[id]), COUNT_PREDICTORS[id].explain(count))
+            : null
+    }
+
+    switch (id) {
+        case 'critical_warning': {
+            if (!(parseRawNumber(attribute.raw) > 0)) {
+                return null
+            }
+            const flags = activeFlags(attribute.decoded)
+            return factor(
+                CRITICAL_WARNING_POINTS,
+                `The controller raised a critical warning${flags.length ? ` (${flags.join(', ')})` : ''}`
+            )
+        }
+        case 'available_spare': {
+            // depletion counts from full (100%) down to the vendor threshold
+            const spare = parseRawNumber(attribute.raw)
+            const threshold = attribute.threshold || 0
+            if (spare === null || spare >= 100) {
+                return null
+            }
+            const depletion = Math.min(1, (100 - spare) / Math.max(1, 100 - threshold))
+            return factor(
+                SPARE_WEIGHT * depletion,
+                spare <= threshold
+                    ? `Spare blocks are used up (${spare}% left, threshold ${threshold}%)`
+                    : `${100 - spare}% of the spare blocks are used (${spare}% left)`
+            )
+        }
+        case 'smart_status':
+            return attribute.raw === 'FAILED'
+                ? factor(
+                      SELF_ASSESSMENT_FAILED_POINTS,
+                      'The drive reports itself as failing in its SMART self-assessment'
+                  )
+                : null
+        default:
+            return null
+    }
+}
+
+/**
+ * Scores the failure risk of a device
+ * @param {Array<Object>} attributes - Normalized attributes of the device
+ * @returns {Object} NormalizedRisk: { score, level, factors } factors sorted by points, highest first
+ */
+export const assessRisk = (attributes) => {
+    const factors = attributes
+        .map(attributeFactor)
+        .filter(Boolean)
+        .sort((a, b) => b.points - a.points)
+    const score = Math.min(100, Math.round(factors.reduce((sum, factor) => sum + factor.points, 0)))
+
+    return { score, level: riskLevel(score), factors }
+}
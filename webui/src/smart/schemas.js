@@ -0,0 +1,168 @@
+/**
+ * JSON Schemas of the files smart_monitor.sh writes, and a validator for the subset they use
+ *
+ * The schemas are plain JSON Schema (2020-12) so external tools can check a cron output directory
+ * with them as well. They only describe what the web UI relies on, smartctl adds plenty of fields
+ * per drive type that are accepted as they are.
+ */
+
+// smartctl block every section carries, see smart/exitStatus.js
+const SMARTCTL_BLOCK = {
+    type: 'object',
+    properties: {
+        exit_status: { type: 'integer', minimum: 0 }
+    }
+}
+
+// One smartctl JSON document, {} when smartctl printed nothing usable
+const SECTION = {
+    type: 'object',
+    properties: {
+        smartctl: SMARTCTL_BLOCK
+    }
+}
+
+/**
+ * index.json of a cron run
+ */
+export const INDEX_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'index.schema.json',
+    title: 'smart_monitor.sh run index',
+    type: 'object',
+    required: ['last_run', 'json_files'],
+    properties: {
+        last_run: { type: 'integer', minimum: 0 },
+        last_run_iso: { type: 'string' },
+        total_devices: { type: 'integer', minimum: 0 },
+        json_files: {
+            type: 'array',
+            items: { type: 'string', pattern: '^[^/]+_smart\\.json$' }
+        }
+    }
+}
+
+/**
+ * <dev>_smart.json of one device
+ *
+ * Without device information and attributes the device can't be identified or assessed, the
+ * error and self-test logs are optional.
+ */
+export const DEVICE_SCHEMA = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: 'device.schema.json',
+    title: 'smart_monitor.sh device file',
+    type: 'object',
+    required: ['device', 'timestamp', 'smart_data'],
+    properties: {
+        device: { type: 'string', minLength: 1 },
+        timestamp: { type: 'integer', minimum: 0 },
+        smart_data: {
+            type: 'object',
+            required: [
+                'device_info',
+                'smart_attributes',
+                'smart_health',
+                'smart_errors',
+                'smart_selftest'
+            ],
+            properties: {
+                device_info: {
+                    ...SECTION,
+                    minProperties: 1,
+                    properties: {
+                        ...SECTION.properties,
+                        model_name: { type: 'string' },
+                        serial_number: { type: 'string' },
+                        firmware_version: { type: 'string' }
+                    }
+                },
+                smart_attributes: { ...SECTION, minProperties: 1 },
+                smart_health: { ...SECTION, minProperties: 1 },
+                smart_errors: SECTION,
+                smart_selftest: SECTION
+            }
+        }
+    }
+}
+
+/**
+ * JSON type of a value as the schema keywords name it
+ * @param {*} value - Any parsed JSON value
+ * @returns {string} 'null', 'array', 'integer', 'number', 'string', 'boolean' or 'object'
+ */
+const jsonType = (value) => {
+    if (value === null) return 'null'
+    if (Array.isArray(value)) return 'array'
+    if (Number.isInteger(value)) return 'integer'
+    return typeof value
+}
+
+/**
+ * Whether a value is of a schema type, integers are numbers as well
+ * @param {*} value - Any parsed JSON value
+ * @param {string} type - Schema type
+ * @returns {boolean} True if the value matches
+ */
+const isOfType = (value, type) =>
+    type === 'number' ? typeof value === 'number' : jsonType(value) === type
+
+/**
+ * Validates a value against a schema
+ *
+ * Supports type, required, properties, minProperties, items, minimum, minLength and pattern,
+ * which is all the schemas above use.
+ *
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Parsed JSON value
+ * @param {string} path - JSON Pointer of the value, '' for the document itself
+ * @returns {Array<string>} Violations as '<pointer>: <problem>', empty if the value is valid
+ */
+export const validateSchema = (schema, value, path = '') => {
+    const at = path || '/'
+    const types = [].concat(schema.type || [])
+    if (types.length && !types.some((type) => isOfType(value, type))) {
+        return [`${at}: must be ${types.join(' or ')}, found ${jsonType(value)}`]
+    }
+
+    const violations = []
+    if (schema.minimum !== undefined && typeof value === 'number' && value < schema.minimum) {
+        violations.push(`${at}: must be at least ${schema.minimum}`)
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            violations.push(`${at}: must be at least ${schema.minLength} characters long`)
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            violations.push(`${at}: "${value}" does not match ${schema.pattern}`)
+        }
+    }
+
+    if (jsonType(value) === 'object') {
+        const missing = (schema.required || []).filter((key) => !(key in value))
+        missing.forEach((key) => violations.push(`${at}: missing "${key}"`))
+        if (
+            schema.minProperties !== undefined &&
+            Object.keys(value).length < schema.minProperties
+        ) {
+            violations.push(
+                schema.minProperties === 1
+                    ? `${at}: must not be empty`
+                    : `${at}: must have at least ${schema.minProperties} fields`
+            )
+        }
+        Object.entries(schema.properties || {})
+            .filter(([key]) => key in value)
+            .forEach(([key, propertySchema]) =>
+                violations.push(...validateSchema(propertySchema, value[key], `${path}/${key}`))
+            )
+    }
+
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, i) =>
+            violations.push(...validateSchema(schema.items, item, `${path}/${i}`))
+        )
+    }
+
+    return violations
+}
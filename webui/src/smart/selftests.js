@@ -0,0 +1,132 @@
+/**
+ * Self-test log entries of all protocols and the "last successful test" summary
+ *
+ * Self-test logs record when a test ran in power-on hours, not in wall-clock time. The time is
+ * estimated from the power-on hours and timestamp of the snapshot, assuming the drive was powered
+ * on the whole time in between, so it is a lower bound for drives that are switched off at times.
+ */
+
+export const SELFTEST_SHORT = 'short'
+export const SELFTEST_EXTENDED = 'extended'
+export const SELFTEST_CONVEYANCE = 'conveyance'
+export const SELFTEST_SELECTIVE = 'selective'
+export const SELFTEST_OTHER = 'other'
+
+// Older than this the last successful test counts as overdue, like a weekly/monthly smartd schedule
+export const SHORT_TEST_MAX_DAYS = 7
+export const EXTENDED_TEST_MAX_DAYS = 31
+
+// ATA and SCSI logs store the power-on hours of a test in 16 bits
+const LOG_HOURS_WRAP = 65536
+
+/**
+ * Classifies a test type string of any protocol
+ * @param {string} type - e.g. 'Short offline', 'Extended', 'Background long'
+ * @returns {string} One of the SELFTEST_* kinds
+ */
+export const selftestKind = (type) => {
+    const text = String(type || '').toLowerCase()
+    if (text.includes('short')) {
+        return SELFTEST_SHORT
+    }
+    if (text.includes('extended') || text.includes('long')) {
+        return SELFTEST_EXTENDED
+    }
+    if (text.includes('conveyance')) {
+        return SELFTEST_CONVEYANCE
+    }
+    if (text.includes('selective')) {
+        return SELFTEST_SELECTIVE
+    }
+    return SELFTEST_OTHER
+}
+
+/**
+ * Builds a normalized self-test entry
+ * @param {Object} fields - { type, status, passed, lifetimeHours, remainingPercent, failingLba,
+ *                          failingSegment }, missing ones are null
+ * @returns {Object} NormalizedSelftest, see smart/model.js, without estimatedTime
+ */
+export const selftestEntry = ({
+    type = 'Unknown',
+    status = 'Unknown',
+    passed = null,
+    lifetimeHours = null,
+    remainingPercent = null,
+    failingLba = null,
+    failingSegment = null
+}) => ({
+    timestamp: lifetimeHours !== null ? `${lifetimeHours} hours` : 'Unknown',
+    lifetimeHours,
+    estimatedTime: null,
+    type,
+    kind: selftestKind(type),
+    status,
+    passed,
+    remainingPercent,
+    failingLba,
+    failingSegment,
+    // none of the logs record how long a test took
+    duration: null
+})
+
+/**
+ * Estimates the wall-clock time of a test
+ * @param {number|null} lifetimeHours - Power-on hours when the test ran
+ * @param {Object} snapshot - { powerOnHours, timestamp } of the device file
+ * @returns {number|null} Unix timestamp or null if it can't be estimated
+ */
+export const estimateTestTime = (lifetimeHours, { powerOnHours, timestamp }) => {
+    if (lifetimeHours === null || !timestamp || !powerOnHours) {
+        return null
+    }
+    // the modulo undoes the 16 bit wrap of ATA/SCSI logs on drives past 65535 hours
+    const ageHours =
+        (((powerOnHours - lifetimeHours) % LOG_HOURS_WRAP) + LOG_HOURS_WRAP) % LOG_HOURS_WRAP
+    return timestamp - ageHours * 3600
+}
+
+/**
+ * Adds the estimated wall-clock time to every entry of a log
+ * @param {Array<Object>} log - Normalized self-test entries
+ * @param {Object} snapshot - { powerOnHours, timestamp } of the device file
+ * @returns {Array<Object>} Entries with estimatedTime
+ */
+export const dateSelftests = (log, snapshot) =>
+    log.map((test) => ({ ...test, estimatedTime: estimateTestTime(test.lifetimeHours, snapshot) }))
+
+/**
+ * Finds the last successful short and extended test and whether they are overdue
+ * @param {Array<Object>} log - Normalized self-test entries with estimatedTime
+ * @param {number} now - Current time, unix timestamp
+ * @param {Object} limits - { shortMaxDays, extendedMaxDays }
+ * @returns {Object} { short, extended } each { test, ageDays, overdue }, test is null if there
+ *                   is no successful test of that kind
+ */
+export const selftestSummary = (
+    log,
+    now,
+    { shortMaxDays = SHORT_TEST_MAX_DAYS, extendedMaxDays = EXTENDED_TEST_MAX_DAYS } = {}
+) => {
+    const last = (kind, maxDays) => {
+        const test = log
+            .filter((entry) => entry.kind === kind && entry.passed === true)
+            .reduce(
+                (latest, entry) =>
+                    !latest || (entry.lifetimeHours ?? -1) > (latest.lifetimeHours ?? -1)
+                        ? entry
+                        : latest,
+                null
+            )
+        const ageDays =
+            test?.estimatedTime !== null && test?.estimatedTime !== undefined
+                ? Math.max(0, Math.floor((now - test.estimatedTime) / 86400))
+                : null
+        return { test, ageDays, overdue: !test || (ageDays !== null && ageDays > maxDays) }
+    }
+
+    return {
+        short: last(SELFTEST_SHORT, shortMaxDays),
+        extended: last(SELFTEST_EXTENDED, extendedMaxDays)
+    }
+}
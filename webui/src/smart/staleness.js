@@ -0,0 +1,110 @@
+import { STATUS_UNKNOWN } from './healthRules.js'
+import { UNKNOWN_SERIAL } from './identity.js'
+import { MODEL_VERSION } from './model.js'
+
+/**
+ * Staleness of the cron output
+ *
+ * index.json carries the time of the last cron run (last_run), every device file the time it was
+ * collected (timestamp). The UI compares both with the current time so a dead cron job or a drive
+ * that stopped answering doesn't keep showing old results as healthy.
+ */
+
+export const DATA_OK = 'ok'
+export const DATA_STALE = 'stale'
+export const DATA_MISSING = 'missing'
+
+// A daily cron job plus some slack for a slow run
+export const DEFAULT_MAX_AGE_HOURS = 26
+
+// Device files are written one after another before index.json, allow for a long scan
+export const DEVICE_GRACE_SECONDS = 15 * 60
+
+/**
+ * Evaluates the age of a host's last cron run
+ * @param {number|null} lastRun - last_run from index.json, unix timestamp
+ * @param {number} now - Current time, unix timestamp
+ * @param {number} maxAgeHours - Maximum age before the run counts as stale
+ * @returns {Object} { lastRun, ageSeconds, stale } ageSeconds is null if the index has no last_run
+ */
+export const evaluateRunAge = (lastRun, now, maxAgeHours = DEFAULT_MAX_AGE_HOURS) => {
+    if (!lastRun) {
+        return { lastRun: null, ageSeconds: null, stale: false }
+    }
+
+    const ageSeconds = Math.max(0, Math.round(now - lastRun))
+    return { lastRun, ageSeconds, stale: ageSeconds > maxAgeHours * 3600 }
+}
+
+/**
+ * Compares a device file's timestamp with the run that listed it
+ * @param {number|null} timestamp - timestamp of the device file
+ * @param {number|null} lastRun - last_run of the index.json that lists the file
+ * @param {number} graceSeconds - How much older than the run a file from the same run can be
+ * @returns {string} DATA_STALE if the file is left over from an earlier run, DATA_OK otherwise
+ */
+export const deviceDataState = (timestamp, lastRun, graceSeconds = DEVICE_GRACE_SECONDS) => {
+    if (!timestamp || !lastRun) {
+        return DATA_OK
+    }
+    return timestamp < lastRun - graceSeconds ? DATA_STALE : DATA_OK
+}
+
+/**
+ * Placeholder for a device that index.json lists but whose file could not be used
+ * @param {string} deviceName - Device name from json_files
+ * @param {string} reason - Why the file is missing
+ * @returns {Object} Normalized device with health Unknown and dataState DATA_MISSING
+ */
+export const missingDevice = (deviceName, reason) => ({
+    modelVersion: MODEL_VERSION,
+    id: deviceName,
+    name: deviceName,
+    protocol: null,
+    parser: null,
+    model: 'Unknown Model',
+    serial: UNKNOWN_SERIAL,
+    firmware: 'Unknown Firmware',
+    deviceType: 'Unknown',
+    size: 'Unknown Size',
+    capacityBytes: null,
+    health: STATUS_UNKNOWN,
+    healthReasons: [],
+    risk: null,
+    powerOnHours: 0,
+    temperature: null,
+    timestamp: null,
+    smartAttributes: [],
+    errorLog: [],
+    errorCount: 0,
+    diagnostics: [],
+    selftestLog: [],
+    scsi: null,
+    endurance: null,
+    dataState: DATA_MISSING,
+    dataError: reason
+})
+
+/**
+ * Formats an age in seconds for display, e.g. '3 days', '5 hours', '12 minutes'
+ * @param {number|null} seconds - Age in seconds
+ * @returns {string} Human readable age
+ */
+export const formatAge = (seconds) => {
+    if (seconds === null || seconds === undefined) {
+        return 'unknown'
+    }
+
+    const units = [
+        ['day', 86400],
+        ['hour', 3600],
+        ['minute', 60]
+    ]
+    for (const [unit, size] of units) {
+        const count = Math.floor(seconds / size)
+        if (count >= 1) {
+            return `${count} ${unit}${count === 1 ? '' : 's'}`
+        }
+    }
+    return 'less than a minute'
+}
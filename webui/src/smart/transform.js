@@ -0,0 +1,168 @@
+import { parseErrorLog } from './errorLog.js'
+import { deriveEndurance } from './endurance.js'
+import { collectionDiagnostics, exitStatusReasons } from './exitStatus.js'
+import {
+    DEFAULT_RULES,
+    evaluateAttributes,
+    resolveRatedTbw,
+    resolveRules,
+    worseStatus
+} from './healthRules.js'
+import { UNKNOWN_SERIAL, driveIdentity } from './identity.js'
+import { MODEL_VERSION } from './model.js'
+import { selectParser } from './parsers/index.js'
+import { decodeRawValue } from './rawDecoder.js'
+import { assessRisk } from './risk.js'
+import { dateSelftests } from './selftests.js'
+import { formatCapacity } from './units.js'
+
+/**
+ * Splits a device file into its smartctl sections
+ * @param {Object} smartData - smart_data of a device file
+ * @returns {Object} Sections, missing ones are empty objects
+ */
+const deviceSections = (smartData) => ({
+    deviceInfo: smartData.device_info || {},
+    smartAttrs: smartData.smart_attributes || {},
+    smartHealth: smartData.smart_health || {},
+    smartErrors: smartData.smart_errors || {},
+    smartSelftest: smartData.smart_selftest || {}
+})
+
+/**
+ * Determines the overall SMART self-assessment
+ * @param {Object} smartData - smart_data of a device file
+ * @param {Object} smartHealth - smart_health section
+ * @returns {boolean|undefined} Passed, or undefined if the file has no self-assessment
+ */
+const smartSelfAssessment = (smartData, smartHealth) => {
+    if (smartHealth.smart_status?.passed !== undefined) {
+        return smartHealth.smart_status.passed
+    }
+    if (smartHealth.smart_status?.overall_health) {
+        return smartHealth.smart_status.overall_health === 'PASSED'
+    }
+    // Handle case where smart_status is at root level (like in sample data)
+    return smartData.smart_status?.passed
+}
+
+/**
+ * Transforms raw SMART data into the normalized device model, see smart/model.js
+ * @param {Object} deviceData - Raw device data from the JSON
+ * @param {Object} rules - Health rule set, see smart/healthRules.js
+ * @returns {Object|null} Normalized device or null if the file has no SMART data
+ */
+export const transformDeviceData = (deviceData, rules = DEFAULT_RULES) => {
+    if (!deviceData || !deviceData.smart_data) {
+        return null
+    }
+
+    const { smart_data } = deviceData
+    const sections = deviceSections(smart_data)
+    const { deviceInfo, smartAttrs, smartHealth, smartErrors } = sections
+
+    // Handle different device info structures
+    const model =
+        deviceInfo.model_name ||
+        deviceInfo.scsi_model_name ||
+        deviceInfo.Device_Model ||
+        deviceInfo.Model_Family ||
+        'Unknown Model'
+    const serial = deviceInfo.serial_number || deviceInfo.Serial_Number || UNKNOWN_SERIAL
+    const firmware = deviceInfo.firmware_version || deviceInfo.Firmware_Version || 'Unknown Firmware'
+
+    // Extract device type information
+    let deviceType = 'Unknown'
+    if (deviceInfo.device?.type) {
+        deviceType = deviceInfo.device.type.toUpperCase()
+    } else if (deviceInfo.device?.protocol) {
+        deviceType = deviceInfo.device.protocol
+    } else if (smartAttrs.nvme_smart_health_information_log) {
+        deviceType = 'NVMe'
+    } else {
+        deviceType = 'SATA/SCSI'
+    }
+
+    // Handle different capacity fields
+    const capacityBytes =
+        deviceInfo.nvme_total_capacity ||
+        deviceInfo.user_capacity?.bytes ||
+        deviceInfo.User_Capacity_Bytes ||
+        null
+    const size = formatCapacity(capacityBytes) || 'Unknown Size'
+
+    const name = (deviceData.device || 'unknown').replace('/dev/', '')
+
+    // Protocol specific part: attributes, vitals and self-tests
+    const parser = selectParser(sections)
+    const parsed = parser.parse(sections)
+    const smartAttributes = parsed.attributes.map((attribute) => ({
+        ...attribute,
+        decoded: decodeRawValue(attribute, { model })
+    }))
+
+    // The overall self-assessment is evaluated like any other attribute
+    const smartPassed = smartSelfAssessment(smart_data, smartHealth)
+    if (smartPassed !== undefined) {
+        smartAttributes.push({
+            id: 'smart_status',
+            name: 'SMART Status',
+            value: smartPassed ? 100 : 0,
+            worst: smartPassed ? 100 : 0,
+            threshold: 0,
+            raw: smartPassed ? 'PASSED' : 'FAILED',
+            decoded: null
+        })
+    }
+
+    // Apply the health rules, each attribute gets its status and the rule that decided it
+    const ruleDevice = { model, serial, deviceType: parsed.ruleType || parser.ruleType }
+    const resolvedRules = resolveRules(rules, ruleDevice)
+    const evaluation = evaluateAttributes(smartAttributes, resolvedRules)
+
+    // What smartctl itself noticed while collecting counts towards the health as well, so a drive
+    // it couldn't fully read doesn't look healthy
+    const diagnostics = collectionDiagnostics(smart_data, rules.exitStatus)
+    const healthReasons = [...evaluation.healthReasons, ...exitStatusReasons(diagnostics)]
+    const health = healthReasons.reduce(
+        (worst, reason) => worseStatus(worst, reason.status),
+        evaluation.health
+    )
+
+    // Normalize the ATA summary / NVMe error information log
+    const errorLog = parseErrorLog(smartErrors, smartAttrs)
+
+    return {
+        modelVersion: MODEL_VERSION,
+        id: driveIdentity(deviceInfo, { model, serial }) || name,
+        name,
+        protocol: parser.protocol,
+        parser: parser.name,
+        model,
+        serial,
+        firmware,
+        deviceType,
+        size,
+        capacityBytes,
+        health,
+        healthReasons,
+        risk: assessRisk(evaluation.attributes),
+        powerOnHours: parsed.powerOnHours || 0,
+        temperature: parsed.temperature ?? null,
+        timestamp: deviceData.timestamp || null,
+        smartAttributes: evaluation.attributes,
+        errorLog: errorLog.entries,
+        errorCount: errorLog.count,
+        diagnostics,
+        selftestLog: dateSelftests(parsed.selftestLog, {
+            powerOnHours: parsed.powerOnHours || 0,
+            timestamp: deviceData.timestamp || null
+        }),
+        scsi: parsed.scsi ?? null,
+        endurance: deriveEndurance(parsed.endurance ?? null, {
+            powerOnHours: parsed.powerOnHours || 0,
+            timestamp: deviceData.timestamp || null,
+            ratedTbw: resolveRatedTbw(rules, ruleDevice)
+        })
+    }
+}
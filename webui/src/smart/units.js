@@ -0,0 +1,93 @@
+/**
+ * Display units
+ *
+ * The normalized model keeps temperatures in °C like smartctl reports them and capacities in
+ * bytes, conversion only happens for display.
+ */
+
+export const CELSIUS = 'C'
+export const FAHRENHEIT = 'F'
+export const TEMPERATURE_UNITS = [CELSIUS, FAHRENHEIT]
+
+/**
+ * Converts a temperature from °C
+ * @param {number|null} celsius - Temperature in °C
+ * @param {string} unit - CELSIUS or FAHRENHEIT
+ * @returns {number|null} Temperature in the unit, rounded to whole degrees
+ */
+export const convertTemperature = (celsius, unit = CELSIUS) => {
+    if (celsius === null || celsius === undefined) {
+        return null
+    }
+    return unit === FAHRENHEIT ? Math.round((celsius * 9) / 5 + 32) : celsius
+}
+
+/**
+ * Symbol of a temperature unit
+ * @param {string} unit - CELSIUS or FAHRENHEIT
+ * @returns {string} '°C' or '°F'
+ */
+export const temperatureSymbol = (unit = CELSIUS) =>
+    `°${unit === FAHRENHEIT ? FAHRENHEIT : CELSIUS}`
+
+/**
+ * Formats a temperature from °C for display
+ * @param {number|null} celsius - Temperature in °C
+ * @param {string} unit - CELSIUS or FAHRENHEIT
+ * @returns {string} e.g. '45°C' or '113°F', 'N/A' if there is no temperature
+ */
+export const formatTemperature = (celsius, unit = CELSIUS) => {
+    const value = convertTemperature(celsius, unit)
+    return value === null ? 'N/A' : `${value}${temperatureSymbol(unit)}`
+}
+
+// Capacities: decimal units like the label on the drive, binary units like most operating systems
+export const CAPACITY_DECIMAL = 'decimal'
+export const CAPACITY_BINARY = 'binary'
+export const CAPACITY_UNITS = [CAPACITY_DECIMAL, CAPACITY_BINARY]
+
+const CAPACITY_STEPS = {
+    [CAPACITY_DECIMAL]: { base: 1000, symbols: ['B', 'kB', 'MB', 'GB', 'TB', 'PB'] },
+    [CAPACITY_BINARY]: { base: 1024, symbols: ['B', 'KiB', 'MiB', 'GiB', 'TiB', 'PiB'] }
+}
+
+/**
+ * Formats a capacity in bytes, e.g. '4 TB' or '3.64 TiB'
+ * @param {number|null} bytes - Capacity in bytes
+ * @param {string} unit - CAPACITY_DECIMAL or CAPACITY_BINARY
+ * @param {string} locale - Locale of the number, e.g. 'en' or 'de'
+ * @returns {string|null} Capacity with up to three significant digits, null if unknown
+ */
+export const formatCapacity = (bytes, unit = CAPACITY_DECIMAL, locale = 'en') => {
+    if (bytes === null || bytes === undefined || !(bytes >= 0)) {
+        return null
+    }
+    const { base, symbols } = CAPACITY_STEPS[unit] || CAPACITY_STEPS[CAPACITY_DECIMAL]
+    let value = bytes
+    let step = 0
+    while (value >= base && step < symbols.length - 1) {
+        value /= base
+        step++
+    }
+    const number = new Intl.NumberFormat(locale, { maximumSignificantDigits: 3 }).format(value)
+    return `${number} ${symbols[step]}`
+}
+
+// Power-on time: the hours the drive reports or years and days of it
+export const POWER_ON_HOURS = 'hours'
+export const POWER_ON_YEARS = 'years'
+export const POWER_ON_UNITS = [POWER_ON_HOURS, POWER_ON_YEARS]
+
+/**
+ * Splits power-on hours into years and days, a year being 365 days
+ * @param {number} hours - Power-on hours
+ * @returns {Object} { years, days, hours } whole numbers
+ */
+export const splitPowerOnHours = (hours) => {
+    const totalDays = Math.floor(Math.max(0, hours) / 24)
+    return {
+        years: Math.floor(totalDays / 365),
+        days: totalDays % 365,
+        hours: Math.max(0, hours) % 24
+    }
+}
@@ -1,13 +1,31 @@
 import { fileURLToPath, URL } from 'node:url'
 import { defineConfig } from 'vite'
 import vue from '@vitejs/plugin-vue'
-import fs from 'fs'
-import path from 'path'
+import { smartDataPlugin } from './cli/lib/devServer.js'
+import { pwaPlugin } from './cli/lib/pwa.js'
+
+// SMART_FLEET=<drives> serves a generated fleet instead of the sample data in the dev server,
+// SMART_FLEET_HOSTS and SMART_FLEET_SEED change the number of hosts and the seed
+const fleet = process.env.SMART_FLEET
+  ? {
+      drives: Number(process.env.SMART_FLEET),
+      hosts: Number(process.env.SMART_FLEET_HOSTS || 4),
+      seed: Number(process.env.SMART_FLEET_SEED || 1)
+    }
+  : null
 
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [
     vue(),
+    smartDataPlugin({
+      dir: fileURLToPath(new URL('./sampledata', import.meta.url)),
+      fleet
+    }),
+    pwaPlugin({
+      iconsDir: fileURLToPath(new URL('./src/assets/icons', import.meta.url)),
+      serviceWorker: fileURLToPath(new URL('./src/serviceWorker.js', import.meta.url))
+    })
   ],
   resolve: {
     alias: {
@@ -51,23 +69,6 @@ export default defineConfig({
     fs: {
       allow: ['..']
     }
-  },
-  // Custom middleware to serve sampledata during development
-  configureServer(server) {
-    server.middlewares.use('/sampledata', (req, res, next) => {
-      if (req.url) {
-        const filePath = path.join(path.dirname(fileURLToPath(import.meta.url)), 'sampledata', req.url)
-        if (fs.existsSync(filePath)) {
-          const content = fs.readFileSync(filePath, 'utf-8')
-          res.setHeader('Content-Type', 'application/json')
-          res.end(content)
-        } else {
-          next()
-        }
-      } else {
-        next()
-      }
-    })
   }
 })
 